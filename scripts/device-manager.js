@@ -34,6 +34,33 @@ class DeviceManager {
       case 'security-check':
         await this.performSecurityCheck(process.argv[3]);
         break;
+      case 'record-profile':
+        await this.recordDeviceProfile(process.argv[3], process.argv[4]);
+        break;
+      case 'policy-check':
+        await this.performPolicyCheck(process.argv[3]);
+        break;
+      case 'security-check-all':
+        await this.performPoolSecurityCheck(process.argv[3]);
+        break;
+      case 'baseline-record':
+        await this.recordBaseline(process.argv[3], process.argv[4]);
+        break;
+      case 'baseline-compare':
+        await this.compareBaseline(process.argv[3], process.argv[4]);
+        break;
+      case 'apk-analyze':
+        await this.analyzeApk(process.argv[3]);
+        break;
+      case 'ioc-import':
+        await this.importIocFeed(process.argv[3], process.argv[4]);
+        break;
+      case 'ioc-scan':
+        await this.scanIocs(process.argv[3]);
+        break;
+      case 'reputation-scan':
+        await this.scanApkReputation(process.argv[3]);
+        break;
       default:
         this.showHelp();
     }
@@ -246,6 +273,200 @@ class DeviceManager {
     }
   }
 
+  async recordDeviceProfile(fixturePath, deviceId) {
+    if (!fixturePath) {
+      console.error('❌ Please specify a fixture path');
+      console.log('Usage: node scripts/device-manager.js record-profile <fixture.json> [device-id]');
+      return;
+    }
+
+    console.log(`🎙️  Recording device profile to: ${fixturePath}`);
+
+    try {
+      const DeviceDetector = require('../src/utils/device-detector');
+      const detector = new DeviceDetector(deviceId || null, { mode: 'record', fixturePath });
+
+      await detector.adb.getConnectedDevices();
+      await detector.analyzeDevice();
+
+      const { commands } = detector.adb.transport.fixture;
+      console.log(`✅ Recorded ${commands.length} command(s)`);
+      console.log(`   Replay with: ADB_TRANSPORT=replay ADB_FIXTURE=${fixturePath}`);
+
+    } catch (error) {
+      console.error('❌ Profile recording failed:', error.message);
+    }
+  }
+
+  async performPolicyCheck(deviceId) {
+    const environment = process.env.TEST_ENV || 'development';
+    console.log(`🚦 Evaluating security policies (${environment}): ${deviceId || 'default device'}`);
+
+    try {
+      const DeviceDetector = require('../src/utils/device-detector');
+      const PolicyEvaluator = require('../src/utils/policy-evaluator');
+      const { SecurityConfigManager } = require('../src/config/security-config');
+
+      const securityConfig = new SecurityConfigManager(environment);
+      const detector = new DeviceDetector(deviceId || null, { securityConfig });
+      const analysis = await detector.analyzeDevice();
+
+      const result = new PolicyEvaluator(securityConfig).evaluate(analysis, {
+        deviceId,
+        bypass: process.env.SECURITY_POLICY_BYPASS === 'true'
+      });
+
+      if (result.decision === 'block') {
+        console.error('❌ Device blocked by security policy');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Policy check failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  async performPoolSecurityCheck(concurrency) {
+    const environment = process.env.TEST_ENV || 'development';
+    const limit = concurrency || process.env.PARALLEL || 2;
+    console.log(`🧩 Performing security check on all connected devices (${environment})`);
+
+    try {
+      const DevicePool = require('../src/utils/device-pool');
+      const { SecurityConfigManager } = require('../src/config/security-config');
+
+      const pool = new DevicePool({ concurrency: limit, securityConfig: new SecurityConfigManager(environment) });
+      const matrix = await pool.validateAll({ packageName: process.env.APP_PACKAGE });
+
+      const reportDir = path.join(process.cwd(), 'reports', 'json');
+      fs.mkdirSync(reportDir, { recursive: true });
+      const reportPath = path.join(reportDir, `device-matrix-${Date.now()}.json`);
+      fs.writeFileSync(reportPath, JSON.stringify(matrix, null, 2));
+      console.log(`📄 Device matrix saved: ${reportPath}`);
+
+      if (matrix.summary.failed > 0 || matrix.summary.blocked > 0) {
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Pool security check failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  async recordBaseline(packageName, deviceId) {
+    console.log(`📸 Recording file integrity baseline: ${deviceId || 'default device'}`);
+
+    const BaselineManager = require('../src/utils/baseline-manager');
+    const ADBHelper = require('../src/utils/adb-helper');
+
+    const manager = new BaselineManager(new ADBHelper(deviceId || null));
+    const result = await manager.record(undefined, { packageName: packageName || process.env.APP_PACKAGE });
+
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+  }
+
+  async compareBaseline(packageName, deviceId) {
+    console.log(`🔍 Comparing device against file integrity baseline: ${deviceId || 'default device'}`);
+
+    const BaselineManager = require('../src/utils/baseline-manager');
+    const ADBHelper = require('../src/utils/adb-helper');
+
+    const manager = new BaselineManager(new ADBHelper(deviceId || null));
+    const result = await manager.compare({ packageName: packageName || process.env.APP_PACKAGE });
+
+    if (!result.success || !result.baselineFound) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const { diff } = result;
+    for (const [label, entries] of [['added', diff.added], ['removed', diff.removed], ['modified', diff.modified], ['permissions', diff.permissionChanged]]) {
+      entries.forEach(entry => console.log(`   ${label.padEnd(11)} ${entry.filePath}`));
+    }
+
+    if (!result.passed) {
+      process.exitCode = 1;
+    }
+  }
+
+  async analyzeApk(apkPath) {
+    if (!apkPath) {
+      console.error('❌ Usage: apk-analyze <path/to/app.apk>');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`🧾 Analyzing build artifact: ${apkPath}`);
+
+    try {
+      const ManifestAnalyzer = require('../src/utils/manifest-analyzer');
+      const result = (await ManifestAnalyzer.fromApk(apkPath)).analyze();
+
+      const reportDir = path.join(process.cwd(), 'reports', 'json');
+      fs.mkdirSync(reportDir, { recursive: true });
+      const reportPath = path.join(reportDir, `manifest-analysis-${Date.now()}.json`);
+      fs.writeFileSync(reportPath, JSON.stringify(result, null, 2));
+      console.log(`📄 Manifest analysis saved: ${reportPath}`);
+
+      if (!result.passed) {
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ APK analysis failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  async importIocFeed(feedPath, source) {
+    if (!feedPath) {
+      console.error('❌ Usage: ioc-import <feed.json|feed.csv|stix-bundle.json> [source]');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`🧬 Importing threat-intelligence feed: ${feedPath}`);
+
+    const IocStore = require('../src/utils/ioc-store');
+    const store = await IocStore.open();
+    const result = await store.importFeed(feedPath, { source });
+
+    if (!result.success) {
+      process.exitCode = 1;
+      return;
+    }
+
+    result.skipped.forEach(entry => console.log(`   skipped ${entry.entry}: ${entry.reason}`));
+    const purged = store.purgeExpired();
+    console.log(`📄 IOC store saved: ${await store.save()} (${store.activeCount()} active indicators, ${purged} expired removed)`);
+  }
+
+  async scanIocs(deviceId) {
+    console.log(`🧬 Matching device against the IOC store: ${deviceId || 'default device'}`);
+
+    const SecurityChecker = require('../src/utils/security-checker');
+    const result = await new SecurityChecker(deviceId || null).scanIocs();
+
+    if (!result.passed) {
+      process.exitCode = 1;
+    }
+  }
+
+  async scanApkReputation(deviceId) {
+    console.log(`🧬 Checking installed APK reputation: ${deviceId || 'default device'}`);
+
+    const SecurityChecker = require('../src/utils/security-checker');
+    const result = await new SecurityChecker(deviceId || null).checkApkReputation();
+
+    if (!result.passed) {
+      process.exitCode = 1;
+    }
+  }
+
   async verifyDeviceConnection(deviceId) {
     console.log('🔍 Verifying device connection...');
 
@@ -296,12 +517,27 @@ class DeviceManager {
     console.log('  start-emulator <name>   - Start an Android emulator');
     console.log('  setup-device [device]   - Setup device for security testing');
     console.log('  security-check [device] - Perform security analysis on device');
+    console.log('  record-profile <fixture> [device] - Record device responses for replay');
+    console.log('  policy-check [device]   - Evaluate security policies; exits non-zero when blocked');
+    console.log('  security-check-all [concurrency] - Validate every connected device in parallel');
+    console.log('  baseline-record [package] [device]  - Record a golden file integrity baseline');
+    console.log('  baseline-compare [package] [device] - Diff the device against its baseline; exits non-zero on changes');
+    console.log('  apk-analyze <apk>       - Static manifest checks on a build artifact; exits non-zero on failures');
+    console.log('  ioc-import <feed> [source] - Import a JSON, CSV or STIX 2.1 feed into the IOC store');
+    console.log('  ioc-scan [device]       - Match the device against the IOC store; exits non-zero on matches');
+    console.log('  reputation-scan [device] - Look up every installed APK hash; exits non-zero on malicious verdicts');
     console.log('\nExamples:');
     console.log('  node scripts/device-manager.js list');
     console.log('  node scripts/device-manager.js connect 192.168.1.100:5555');
     console.log('  node scripts/device-manager.js start-emulator Pixel_4_API_30');
     console.log('  node scripts/device-manager.js setup-device emulator-5554');
     console.log('  node scripts/device-manager.js security-check');
+    console.log('  node scripts/device-manager.js record-profile tests/fixtures/devices/rooted.json emulator-5554');
+    console.log('  TEST_ENV=production node scripts/device-manager.js policy-check emulator-5554');
+    console.log('  node scripts/device-manager.js security-check-all 4');
+    console.log('  node scripts/device-manager.js baseline-record com.security.testapp emulator-5554');
+    console.log('  node scripts/device-manager.js apk-analyze app/build/outputs/apk/release/app-release.apk');
+    console.log('  node scripts/device-manager.js ioc-import feeds/mobile-threats.stix.json');
   }
 }
 
@@ -22,7 +22,9 @@ const securityPolicies = {
         'hardware_features',
         'system_files',
         'performance_characteristics',
-        'sensor_data'
+        'sensor_data',
+        'network_interfaces',
+        'emulator_processes'
       ]
     },
     
@@ -114,11 +116,52 @@ const securityPolicies = {
         'proxy.suspicious.com',
         'mitm.attacker.net'
       ],
-      corporate_proxies_allowed: true
+      corporate_proxies_allowed: true,
+      // Hosts allowed as corporate proxies; entries starting with '.' match any subdomain
+      corporate_proxies: [
+        'corporate-proxy.internal'
+      ]
     }
   }
 };
 
+// Detection scoring model - per-signal weights and decisive indicators.
+// Weights are relative; confidence is the fired weight over the weight of the methods that ran.
+const detectionScoring = {
+  emulator: {
+    weights: {
+      build_fingerprint: 3,
+      hardware_features: 1,
+      system_files: 3,
+      performance_characteristics: 2,
+      sensor_data: 2,
+      network_interfaces: 2,
+      emulator_processes: 3
+    },
+    // Evidence that settles the verdict on its own, matched on method + evidence fields
+    decisive: [
+      { method: 'build_fingerprint', indicator: 'ro.kernel.qemu=1' }
+    ]
+  },
+
+  root: {
+    weights: {
+      su_binary: 3,
+      root_apps: 2,
+      system_writable: 3,
+      dangerous_props: 1,
+      busybox: 1,
+      xposed_framework: 2,
+      magisk: 3,
+      root_cloaking: 2
+    },
+    decisive: [
+      { method: 'su_binary', reason: 'su resolvable on shell PATH' },
+      { method: 'magisk', reason: 'Magisk mount trace' }
+    ]
+  }
+};
+
 // Security test configurations
 const securityTestConfig = {
   // Test execution settings
@@ -156,13 +199,180 @@ const securityTestConfig = {
       path: './reports/videos/'
     },
     
+    // Per-test traces: HAR from the MITM proxy, or pcap from on-device tcpdump when
+    // mode is 'tcpdump' (root), 'auto' picks tcpdump when root and the binary are available
     network_traces: {
       enabled: true,
       capture_ssl: false, // Only in test environments
-      path: './reports/network/'
+      path: './reports/network/',
+      mode: 'auto',
+      interface: 'any',
+      remote_dir: '/data/local/tmp',
+      min_tls_version: 'TLSv1.2',
+      fail_severities: ['critical', 'high']
     }
   },
-  
+
+  // Golden file integrity baselines, one manifest per device fingerprint and app version.
+  // Paths may be files, directories (snapshotted recursively) or globs; {package} is the app under test.
+  baseline: {
+    path: './baselines/',
+    paths: [
+      '/system/build.prop',
+      '/system/bin/su',
+      '/system/xbin/su',
+      '/data/local.prop',
+      '/data/local/tmp/*',
+      '/data/data/{package}/shared_prefs'
+    ]
+  },
+
+  // Static AndroidManifest.xml checks; findings at fail_severities fail the build
+  manifest: {
+    min_sdk_version: 24,
+    fail_severities: ['critical', 'high']
+  },
+
+  // Permission analysis. A combination matches when every group has at least one requested
+  // permission; 'accessibility_service' stands for a declared accessibility service.
+  permissions: {
+    max_dangerous_granted: 5,
+    risky_combinations: [
+      {
+        id: 'sms_accessibility',
+        severity: 'critical',
+        description: 'SMS access with an accessibility service (OTP interception)',
+        requires: [['android.permission.READ_SMS', 'android.permission.RECEIVE_SMS'], ['accessibility_service']]
+      },
+      {
+        id: 'overlay_accessibility',
+        severity: 'critical',
+        description: 'Screen overlay with an accessibility service (overlay phishing and input capture)',
+        requires: [['android.permission.SYSTEM_ALERT_WINDOW'], ['accessibility_service']]
+      },
+      {
+        id: 'overlay_internet',
+        severity: 'high',
+        description: 'Screen overlay with network access (overlay phishing)',
+        requires: [['android.permission.SYSTEM_ALERT_WINDOW'], ['android.permission.INTERNET']]
+      },
+      {
+        id: 'package_install_internet',
+        severity: 'high',
+        description: 'Installs packages downloaded over the network (dropper)',
+        requires: [['android.permission.REQUEST_INSTALL_PACKAGES', 'android.permission.INSTALL_PACKAGES'], ['android.permission.INTERNET']]
+      },
+      {
+        id: 'contacts_send_sms',
+        severity: 'high',
+        description: 'Contact list with SMS sending (SMS spreading)',
+        requires: [['android.permission.READ_CONTACTS'], ['android.permission.SEND_SMS']]
+      }
+    ]
+  },
+
+  // Exported component probing. Each extra set is sent as one invocation; provider_paths
+  // are appended to every authority. Patterns are case-insensitive regex sources.
+  ipc: {
+    settle_time_ms: 1500,
+    extra_sets: [
+      {
+        id: 'auth_flags',
+        extras: [
+          { key: 'authenticated', type: 'boolean', value: true },
+          { key: 'logged_in', type: 'boolean', value: true },
+          { key: 'is_admin', type: 'boolean', value: true }
+        ]
+      },
+      {
+        id: 'injection_strings',
+        extras: [
+          { key: 'url', type: 'string', value: 'javascript:alert(1)' },
+          { key: 'path', type: 'string', value: '../../../../data/data' },
+          { key: 'query', type: 'string', value: "' OR '1'='1" }
+        ]
+      },
+      {
+        id: 'type_confusion',
+        extras: [
+          { key: 'id', type: 'int', value: -1 },
+          { key: 'uri', type: 'uri', value: 'file:///data/data' }
+        ]
+      }
+    ],
+    provider_paths: ['', 'users', 'accounts', 'files'],
+    provider_where_injection: "' OR '1'='1",
+    provider_traversal_path: '../../../../../../../../etc/hosts',
+    auth_activity_pattern: 'login|signin|sign_in|auth|lock|pin|password|unlock',
+    sensitive_activity_pattern: 'account|payment|wallet|transfer|admin|settings|profile|card',
+    fail_severities: ['critical', 'high']
+  },
+
+  // Deep link fuzzing. Cases are generated from the app's intent filters with a seeded
+  // PRNG, so the same seed and iteration count replay the same inputs.
+  deep_links: {
+    seed: 1337,
+    iterations: 25,
+    max_mutations: 3,
+    minimize: true,
+    output_dir: 'reports/fuzz',
+    gated_activity_pattern: 'account|payment|wallet|transfer|admin|settings|profile|card',
+    corpus: {
+      paths: ['admin', 'account', 'settings/security', 'transfer/confirm', 'debug', 'webview'],
+      traversals: ['../', '..%2F', '%2e%2e/'],
+      hosts: ['attacker.example', 'localhost', '127.0.0.1'],
+      query_keys: ['redirect', 'url', 'next', 'token', 'session', 'debug', 'amount'],
+      payloads: [
+        'https://attacker.example/', 'javascript:alert(1)', 'file:///data/data', "' OR '1'='1",
+        '<script>alert(1)</script>', '%00', '-1', '99999999999', 'true', 'A'.repeat(2048)
+      ],
+      extras: [
+        { key: 'authenticated', type: 'boolean', value: true },
+        { key: 'skip_security_check', type: 'boolean', value: true },
+        { key: 'url', type: 'string', value: 'https://attacker.example/' },
+        { key: 'id', type: 'int', value: -1 }
+      ]
+    }
+  },
+
+  // Local MITM proxy for certificate pinning checks. Every host in pinned_hosts must refuse
+  // the proxy's certificate; upstreams map 'host:port' to a local stand-in backend ('127.0.0.1:9443').
+  mitm: {
+    port: 8899,
+    bind_address: '127.0.0.1',
+    ca_common_name: 'Mobile Security Automation MITM CA',
+    observe_ms: 15000,
+    pinned_hosts: [],
+    // Hosts the app reaches without pinning; one intercepted proves the device trusts the proxy CA
+    control_hosts: [],
+    upstreams: {}
+  },
+
+  // Network environment scenarios. Proxy and VPN expectations follow proxyPolicy and
+  // trafficPolicy.vpn_detection unless a scenario sets `expect` ('allow', 'warn' or 'block').
+  // hosts overrides need an adb root build; vpn scenarios only verify a VPN that is already up.
+  network_scenarios: {
+    settle_time_ms: 5000,
+    hosts_path: '/system/etc/hosts',
+    scenarios: [
+      { name: 'blacklisted_proxy', proxy: 'proxy.suspicious.com:8080' },
+      { name: 'whitelisted_proxy', proxy: '127.0.0.1:8080' },
+      { name: 'corporate_proxy', proxy: 'corporate-proxy.internal:3128' },
+      { name: 'pac_proxy', pacUrl: 'http://mitm.attacker.net/proxy.pac' },
+      { name: 'private_dns', privateDns: { mode: 'hostname', specifier: 'dns.suspicious.com' }, expect: 'warn' },
+      { name: 'hosts_override', hosts: { 'api.example.com': '10.0.2.2' }, expect: 'warn' },
+      { name: 'vpn', vpn: true }
+    ]
+  },
+
+  // APK signer pins: SHA-256 fingerprints of the certificates each package must be signed with
+  signing: {
+    expected_signers: {
+      // 'com.security.testapp': ['<sha256 of the release signing certificate>']
+    },
+    debug_subjects: ['CN=Android Debug']
+  },
+
   // Reporting settings
   reporting: {
     formats: ['html', 'json', 'xml'],
@@ -357,16 +567,52 @@ const threatIntelligence = {
     ]
   },
   
+  // Local IOC store fed from JSON, CSV or STIX 2.1 files (`npm run ioc:import`). Indicators
+  // without their own expiry date lapse default_ttl_days after import.
+  ioc_store: {
+    path: './threat-intel/ioc-store.json',
+    default_ttl_days: 90,
+    fail_severities: ['critical', 'high'],
+    scan: {
+      // Third-party APKs are pulled to hash them and read their signers
+      max_apk_pulls: 50,
+      file_paths: [
+        '/data/local/tmp/*',
+        '/sdcard/Download/*'
+      ]
+    }
+  },
+
   // Reputation services
+  // Services are generic HTTP providers (see reputation-providers.js). With REPUTATION_OFFLINE=true,
+  // or once a service is unreachable, lookups are answered from the cache only, stale entries included.
   reputation: {
     enabled: true,
     cache_duration: 3600, // 1 hour
+    cache_path: './threat-intel/reputation-cache.json',
+    offline: process.env.REPUTATION_OFFLINE === 'true',
+    // Lookups that would wait longer than this for the rate limiter are deferred to a later run
+    max_wait_seconds: 120,
+    // Total time one batch may spend querying services; the rest is answered from the cache
+    batch_budget_seconds: 300,
+    apk_scan: {
+      // System images hold hundreds of APKs; at 4 lookups a minute they would take hours
+      include_system_apks: false
+    },
     services: [
       {
         name: 'VirusTotal',
+        type: 'http',
         enabled: process.env.VT_API_KEY ? true : false,
         api_key: process.env.VT_API_KEY,
-        rate_limit: 4 // requests per minute
+        api_key_header: 'x-apikey',
+        rate_limit: 4, // requests per minute
+        endpoints: {
+          file_hash: 'https://www.virustotal.com/api/v3/files/{value}',
+          domain: 'https://www.virustotal.com/api/v3/domains/{value}'
+        },
+        malicious_count_path: 'data.attributes.last_analysis_stats.malicious',
+        suspicious_count_path: 'data.attributes.last_analysis_stats.suspicious'
       }
     ]
   }
@@ -396,6 +642,7 @@ class SecurityConfigManager {
       alerts: securityAlerts,
       compliance: complianceConfig,
       threatIntel: threatIntelligence,
+      scoring: detectionScoring,
       environment: environment,
       loadedAt: new Date().toISOString()
     };
@@ -548,6 +795,18 @@ class SecurityConfigManager {
     return current === true;
   }
   
+  /**
+   * Get detection scoring model ('emulator' or 'root')
+   */
+  getDetectionScoring(kind) {
+    const scoring = this.config.scoring[kind];
+    if (!scoring) {
+      throw new Error(`Unknown detection scoring model: ${kind}`);
+    }
+    
+    return scoring;
+  }
+  
   /**
    * Get security threshold
    */
@@ -564,5 +823,6 @@ module.exports = {
   complianceConfig,
   environmentConfigs,
   threatIntelligence,
+  detectionScoring,
   SecurityConfigManager
 };
\ No newline at end of file
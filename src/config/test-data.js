@@ -234,6 +234,49 @@ const securityScenarios = {
         ]
       }
     ]
+  },
+
+  deepLinks: {
+    name: 'Deep Link Security Testing',
+    description: 'Test that deep links cannot bypass login and security screens',
+    testCases: [
+      {
+        id: 'DL_001',
+        name: 'Gated screen via deep link',
+        deviceType: 'physical',
+        expectedBehavior: 'require_authentication',
+        user: testUsers.legitimate,
+        deepLink: 'testapp://app/account/transfer',
+        assertions: [
+          'login_screen_shown',
+          'gated_screen_not_reached'
+        ]
+      },
+      {
+        id: 'DL_002',
+        name: 'Open redirect parameter',
+        deviceType: 'physical',
+        expectedBehavior: 'reject_external_redirect',
+        user: testUsers.suspicious,
+        deepLink: 'testapp://app/login?redirect=https://attacker.example/',
+        assertions: [
+          'redirect_ignored',
+          'no_external_navigation'
+        ]
+      },
+      {
+        id: 'DL_003',
+        name: 'Deep link fuzzing on a compromised device',
+        deviceType: 'rooted',
+        expectedBehavior: 'block_access',
+        user: testUsers.highRisk,
+        manipulations: ['fuzz_deep_links'],
+        assertions: [
+          'no_crashes_or_anrs',
+          'security_warning_before_gated_screens'
+        ]
+      }
+    ]
   }
 };
 
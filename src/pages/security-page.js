@@ -21,6 +21,7 @@ class SecurityPage extends BasePage {
       emulatorWarning: '//*[contains(@text, "Emulator detected")]',
       rootWarning: '//*[contains(@text, "Root detected")]',
       tamperingWarning: '//*[contains(@text, "File tampering detected")]',
+      networkWarning: '//*[contains(@text, "Proxy detected") or contains(@text, "VPN detected") or contains(@text, "Insecure network")]',
       
       // Security action buttons
       securityOkButton: '//*[@resource-id="security_ok_btn"]',
@@ -290,6 +291,7 @@ class SecurityPage extends BasePage {
         { selector: this.selectors.emulatorWarning, type: 'emulator' },
         { selector: this.selectors.rootWarning, type: 'root' },
         { selector: this.selectors.tamperingWarning, type: 'tampering' },
+        { selector: this.selectors.networkWarning, type: 'network' },
         { selector: this.selectors.appWarning, type: 'general' }
       ];
       
@@ -3,15 +3,24 @@
  * Provides Android Debug Bridge command utilities for security testing
  */
 
-const { execSync, spawn } = require('child_process');
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
+const { ExecTransport, commandKey, createTransport } = require('./adb-transport');
+const LogcatMonitor = require('./logcat-monitor');
+
+// Arguments made only of these characters need no quoting in the device shell
+const SHELL_SAFE = /^[A-Za-z0-9_\-.,:=@%+/]+$/;
 
 class ADBHelper {
-  constructor(deviceId = null) {
+  /**
+   * @param {string|null} deviceId - Target device serial
+   * @param {Object} options - { transport, mode: 'live'|'record'|'replay', fixturePath }
+   */
+  constructor(deviceId = null, options = {}) {
     this.deviceId = deviceId;
-    this.adbPath = this.findADBPath();
+    this.transport = options.transport || createTransport({ ...options, deviceId });
+    this.adbPath = this.transport.adbPath;
     this.timeout = 30000;
   }
 
@@ -19,30 +28,16 @@ class ADBHelper {
    * Find ADB executable path
    */
   findADBPath() {
-    try {
-      // Try common locations
-      const commonPaths = [
-        '/usr/local/bin/adb',
-        '/opt/android-sdk/platform-tools/adb',
-        process.env.ANDROID_HOME ? path.join(process.env.ANDROID_HOME, 'platform-tools', 'adb') : null,
-        'adb' // Global PATH
-      ].filter(Boolean);
-
-      for (const adbPath of commonPaths) {
-        try {
-          execSync(`${adbPath} version`, { stdio: 'ignore' });
-          console.log(chalk.green(`✅ Found ADB at: ${adbPath}`));
-          return adbPath;
-        } catch (error) {
-          continue;
-        }
-      }
+    return ExecTransport.findADBPath();
+  }
 
-      throw new Error('ADB not found in common locations');
-    } catch (error) {
-      console.error(chalk.red('❌ ADB not found. Please install Android SDK platform-tools'));
-      throw error;
-    }
+  /**
+   * Quote a value for the device shell (POSIX single quotes)
+   */
+  static quoteShellArg(value) {
+    const text = String(value);
+    if (SHELL_SAFE.test(text)) return text;
+    return `'${text.replace(/'/g, `'\\''`)}'`;
   }
 
   /**
@@ -50,8 +45,12 @@ class ADBHelper {
    */
   async getConnectedDevices() {
     try {
-      const output = execSync(`${this.adbPath} devices`, { encoding: 'utf8' });
-      const lines = output.split('\n').filter(line => line.trim() && !line.includes('List of devices'));
+      const result = await this.run(['devices'], { global: true });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const lines = result.output.split('\n').filter(line => line.trim() && !line.includes('List of devices'));
       
       const devices = lines.map(line => {
         const [deviceId, status] = line.trim().split('\t');
@@ -67,34 +66,73 @@ class ADBHelper {
   }
 
   /**
-   * Execute ADB command
+   * Run adb with an argv - nothing is interpreted by a local shell.
+   *
+   * @param {string[]} args - Arguments after `adb [-s serial]`
+   * @param {Object} options - { timeout, signal (AbortSignal), global }
+   * @returns {Promise<Object>} { success, exitCode, stdout, stderr, output, error }
    */
-  async executeCommand(command, options = {}) {
+  async run(args, options = {}) {
+    const command = commandKey(args);
+
     try {
-      const deviceFlag = this.deviceId ? `-s ${this.deviceId}` : '';
-      const fullCommand = `${this.adbPath} ${deviceFlag} ${command}`;
-      
-      console.log(chalk.gray(`🔧 Executing: ${fullCommand}`));
-      
-      const output = execSync(fullCommand, {
-        encoding: 'utf8',
-        timeout: options.timeout || this.timeout,
-        ...options
+      const { exitCode, stdout, stderr } = await this.transport.run(args, {
+        ...options,
+        timeout: options.timeout || this.timeout
       });
 
+      if (exitCode !== 0) {
+        console.error(chalk.red(`❌ ADB command failed (exit ${exitCode}): ${command}`));
+        return {
+          success: false,
+          exitCode,
+          stdout,
+          stderr,
+          output: stdout.trim(),
+          error: stderr.trim() || `Exit code ${exitCode}`
+        };
+      }
+
       console.log(chalk.green(`✅ Command executed successfully`));
-      return { success: true, output: output.trim() };
+      return { success: true, exitCode, stdout, stderr, output: stdout.trim() };
     } catch (error) {
       console.error(chalk.red(`❌ ADB command failed: ${command}`), error.message);
-      return { success: false, error: error.message, output: error.stdout || '' };
+      return {
+        success: false,
+        exitCode: error.exitCode,
+        stdout: error.stdout || '',
+        stderr: error.stderr || '',
+        output: (error.stdout || '').trim(),
+        error: error.message,
+        code: error.code
+      };
     }
   }
 
   /**
-   * Execute shell command on device
+   * Execute ADB command. Prefer run() with an argv; a string is split on
+   * whitespace, so it cannot carry arguments containing spaces.
+   */
+  async executeCommand(command, options = {}) {
+    const args = Array.isArray(command) ? command : command.split(/\s+/).filter(Boolean);
+    return await this.run(args, options);
+  }
+
+  /**
+   * Run a command on the device. Each argv element is quoted for the device
+   * shell, so caller-supplied values are never interpreted.
+   */
+  async shell(args, options = {}) {
+    return await this.run(['shell', args.map(ADBHelper.quoteShellArg).join(' ')], options);
+  }
+
+  /**
+   * Execute a fixed shell script on device (pipes, redirects, &&). The script
+   * is run verbatim by the device shell - pass caller-supplied values through
+   * shell() or quoteShellArg() instead of interpolating them.
    */
   async executeShellCommand(command, options = {}) {
-    return await this.executeCommand(`shell "${command}"`, options);
+    return await this.run(['shell', command], options);
   }
 
   /**
@@ -205,7 +243,7 @@ class ADBHelper {
       // Check for root management apps
       const rootApps = ['com.noshufou.android.su', 'com.thirdparty.superuser', 'eu.chainfire.supersu'];
       for (const app of rootApps) {
-        const appCheck = await this.executeShellCommand(`pm list packages ${app}`);
+        const appCheck = await this.shell(['pm', 'list', 'packages', app]);
         if (appCheck.success && appCheck.output.includes(app)) {
           rootIndicators.push(`root_app_${app}`);
         }
@@ -242,7 +280,7 @@ class ADBHelper {
       
       // Push the script to device
       await this.pushFile(Buffer.from(suContent), tempSuScript);
-      await this.executeShellCommand(`chmod 755 ${tempSuScript}`);
+      await this.shell(['chmod', '755', tempSuScript]);
       
       // Add to PATH temporarily
       await this.executeShellCommand(`export PATH=${path.dirname(tempSuScript)}:$PATH`);
@@ -253,7 +291,7 @@ class ADBHelper {
         success: true,
         simulatedSuPath: tempSuScript,
         cleanup: async () => {
-          await this.executeShellCommand(`rm -f ${tempSuScript}`);
+          await this.shell(['rm', '-f', tempSuScript]);
         }
       };
     } catch (error) {
@@ -305,7 +343,7 @@ class ADBHelper {
   /**
    * Push file to device
    */
-  async pushFile(localPath, remotePath) {
+  async pushFile(localPath, remotePath, options = {}) {
     try {
       console.log(chalk.blue(`📤 Pushing file to device: ${remotePath}`));
       
@@ -317,13 +355,13 @@ class ADBHelper {
         localPath = tempFile;
       }
       
-      const result = await this.executeCommand(`push "${localPath}" "${remotePath}"`);
-      
-      if (result.success) {
-        console.log(chalk.green(`✅ File pushed successfully`));
+      const result = await this.transport.push(localPath, remotePath, { ...options, timeout: options.timeout || this.timeout });
+      if (result.exitCode !== 0) {
+        throw new Error(result.stderr.trim() || `Exit code ${result.exitCode}`);
       }
       
-      return result;
+      console.log(chalk.green(`✅ File pushed successfully`));
+      return { success: true, output: result.stdout.trim() };
     } catch (error) {
       console.error(chalk.red('❌ Failed to push file:'), error.message);
       return { success: false, error: error.message };
@@ -333,17 +371,17 @@ class ADBHelper {
   /**
    * Pull file from device
    */
-  async pullFile(remotePath, localPath) {
+  async pullFile(remotePath, localPath, options = {}) {
     try {
       console.log(chalk.blue(`📥 Pulling file from device: ${remotePath}`));
       
-      const result = await this.executeCommand(`pull "${remotePath}" "${localPath}"`);
-      
-      if (result.success) {
-        console.log(chalk.green(`✅ File pulled successfully`));
+      const result = await this.transport.pull(remotePath, localPath, { ...options, timeout: options.timeout || this.timeout });
+      if (result.exitCode !== 0) {
+        throw new Error(result.stderr.trim() || `Exit code ${result.exitCode}`);
       }
       
-      return result;
+      console.log(chalk.green(`✅ File pulled successfully`));
+      return { success: true, output: result.stdout.trim() };
     } catch (error) {
       console.error(chalk.red('❌ Failed to pull file:'), error.message);
       return { success: false, error: error.message };
@@ -362,7 +400,7 @@ class ADBHelper {
       if (options.test) flags.push('-t');
       if (options.downgrade) flags.push('-d');
       
-      const result = await this.executeCommand(`install ${flags.join(' ')} "${apkPath}"`);
+      const result = await this.run(['install', ...flags, apkPath]);
       
       if (result.success) {
         console.log(chalk.green(`✅ APK installed successfully`));
@@ -382,9 +420,7 @@ class ADBHelper {
     try {
       console.log(chalk.blue(`🚀 Starting application: ${packageName}`));
       
-      const result = await this.executeShellCommand(
-        `am start -n ${packageName}/${activityName}`
-      );
+      const result = await this.shell(['am', 'start', '-n', `${packageName}/${activityName}`]);
       
       if (result.success) {
         console.log(chalk.green(`✅ Application started successfully`));
@@ -404,7 +440,7 @@ class ADBHelper {
     try {
       console.log(chalk.blue(`🛑 Stopping application: ${packageName}`));
       
-      const result = await this.executeShellCommand(`am force-stop ${packageName}`);
+      const result = await this.shell(['am', 'force-stop', packageName]);
       
       if (result.success) {
         console.log(chalk.green(`✅ Application stopped successfully`));
@@ -424,7 +460,7 @@ class ADBHelper {
     try {
       console.log(chalk.blue(`📋 Getting application info: ${packageName}`));
       
-      const result = await this.executeShellCommand(`dumpsys package ${packageName}`);
+      const result = await this.shell(['dumpsys', 'package', packageName]);
       
       if (result.success) {
         console.log(chalk.green(`✅ Application info retrieved`));
@@ -470,7 +506,7 @@ class ADBHelper {
       const remotePath = '/sdcard/screenshot.png';
       
       // Take screenshot on device
-      const screenshotResult = await this.executeShellCommand(`screencap -p ${remotePath}`);
+      const screenshotResult = await this.shell(['screencap', '-p', remotePath]);
       if (!screenshotResult.success) {
         throw new Error('Failed to take screenshot on device');
       }
@@ -479,7 +515,7 @@ class ADBHelper {
       const pullResult = await this.pullFile(remotePath, localPath);
       
       // Clean up remote screenshot
-      await this.executeShellCommand(`rm -f ${remotePath}`);
+      await this.shell(['rm', '-f', remotePath]);
       
       if (pullResult.success) {
         console.log(chalk.green(`✅ Screenshot saved: ${localPath}`));
@@ -527,46 +563,53 @@ class ADBHelper {
   }
 
   /**
-   * Monitor logcat for security events
+   * Monitor logcat for security events over a fixed window. Filters match
+   * the tag or message by substring; use createLogcatMonitor() for live
+   * subscriptions and waitFor().
    */
   async monitorLogcat(filters = [], duration = 30000) {
     return new Promise((resolve) => {
       console.log(chalk.blue(`📊 Monitoring logcat for ${duration}ms...`));
       
-      const deviceFlag = this.deviceId ? ['-s', this.deviceId] : [];
-      const logcatProcess = spawn(this.adbPath, [...deviceFlag, 'logcat', '-v', 'time']);
-      
+      const monitor = this.createLogcatMonitor();
       const logs = [];
+      let timer = null;
+      let finished = false;
       
-      logcatProcess.stdout.on('data', (data) => {
-        const logLine = data.toString();
-        
+      monitor.on('entry', (entry) => {
         // Apply filters if provided
-        if (filters.length === 0 || filters.some(filter => logLine.includes(filter))) {
-          logs.push({
-            timestamp: new Date().toISOString(),
-            content: logLine.trim()
-          });
+        if (filters.length === 0 || filters.some(filter => entry.tag.includes(filter) || entry.message.includes(filter))) {
+          logs.push({ ...entry, content: `${entry.level}/${entry.tag}: ${entry.message}` });
         }
       });
       
-      logcatProcess.stderr.on('data', (data) => {
-        console.error(chalk.red('Logcat error:'), data.toString());
-      });
-      
-      // Stop monitoring after duration
-      setTimeout(() => {
-        logcatProcess.kill();
-        console.log(chalk.green(`✅ Logcat monitoring completed. Captured ${logs.length} log entries`));
-        resolve({ success: true, logs });
-      }, duration);
-      
-      logcatProcess.on('error', (error) => {
+      monitor.on('error', (error) => {
+        finished = true;
+        clearTimeout(timer);
+        monitor.stop();
         console.error(chalk.red('❌ Logcat monitoring failed:'), error.message);
         resolve({ success: false, error: error.message });
       });
+      
+      monitor.start().then(() => {
+        if (finished) return;
+        
+        // Stop monitoring after duration
+        timer = setTimeout(() => {
+          monitor.stop();
+          console.log(chalk.green(`✅ Logcat monitoring completed. Captured ${logs.length} log entries`));
+          resolve({ success: true, logs });
+        }, duration);
+      });
     });
   }
+
+  /**
+   * Create a streaming logcat monitor for this device
+   */
+  createLogcatMonitor(options = {}) {
+    return new LogcatMonitor(this, options);
+  }
 }
 
 module.exports = ADBHelper;
\ No newline at end of file
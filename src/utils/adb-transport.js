@@ -0,0 +1,428 @@
+/**
+ * ADB Transport Layer
+ * Pluggable command transports used by ADBHelper (live, record and replay)
+ */
+
+const { execFileSync, spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const FIXTURE_VERSION = 2;
+
+/**
+ * Error raised by a transport when a command cannot run to completion
+ * (adb missing, timeout, cancellation, unrecorded command). A command that
+ * exits non-zero is not an error at this layer - see the result's exitCode.
+ */
+class TransportError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.code = details.code || null;
+    this.exitCode = details.exitCode !== undefined ? details.exitCode : null;
+    this.stdout = details.stdout || '';
+    this.stderr = details.stderr || '';
+  }
+}
+
+/**
+ * Fixture key for an argv - the command line as it would be typed after `adb`
+ */
+function commandKey(args) {
+  return args.join(' ');
+}
+
+function abortError(args) {
+  return new TransportError(`Command cancelled: ${commandKey(args)}`, { code: 'ABORT_ERR' });
+}
+
+/**
+ * Live transport - executes commands against a real adb binary
+ */
+class ExecTransport {
+  constructor(options = {}) {
+    this.mode = 'live';
+    this.deviceId = options.deviceId || null;
+    this.adbPath = options.adbPath || ExecTransport.findADBPath();
+  }
+
+  /**
+   * Find ADB executable path
+   */
+  static findADBPath() {
+    const commonPaths = [
+      '/usr/local/bin/adb',
+      '/opt/android-sdk/platform-tools/adb',
+      process.env.ANDROID_HOME ? path.join(process.env.ANDROID_HOME, 'platform-tools', 'adb') : null,
+      'adb' // Global PATH
+    ].filter(Boolean);
+
+    for (const adbPath of commonPaths) {
+      try {
+        execFileSync(adbPath, ['version'], { stdio: 'ignore' });
+        console.log(chalk.green(`✅ Found ADB at: ${adbPath}`));
+        return adbPath;
+      } catch (error) {
+        continue;
+      }
+    }
+
+    console.error(chalk.red('❌ ADB not found. Please install Android SDK platform-tools'));
+    throw new Error('ADB not found in common locations');
+  }
+
+  /**
+   * Run adb with an argv (no local shell) and resolve with its exit code and output.
+   *
+   * @param {string[]} args - Arguments after `adb [-s serial]`
+   * @param {Object} options - { global, timeout, signal }
+   * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+   */
+  run(args, options = {}) {
+    const deviceFlag = this.deviceId && !options.global ? ['-s', this.deviceId] : [];
+    const argv = [...deviceFlag, ...args];
+
+    console.log(chalk.gray(`🔧 Executing: ${this.adbPath} ${commandKey(argv)}`));
+
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(abortError(args));
+        return;
+      }
+
+      const child = spawn(this.adbPath, argv, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      let settled = false;
+      let timer = null;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+        if (error) {
+          error.stdout = stdout;
+          error.stderr = stderr;
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const onAbort = () => {
+        child.kill();
+        finish(abortError(args));
+      };
+
+      if (options.timeout) {
+        timer = setTimeout(() => {
+          child.kill();
+          finish(new TransportError(`Command timed out after ${options.timeout}ms: ${commandKey(args)}`, { code: 'ETIMEDOUT' }));
+        }, options.timeout);
+      }
+      options.signal?.addEventListener('abort', onAbort);
+
+      child.stdout.on('data', (data) => { stdout += data.toString(); });
+      child.stderr.on('data', (data) => { stderr += data.toString(); });
+      child.on('error', (error) => finish(new TransportError(error.message, { code: error.code })));
+      child.on('close', (exitCode, signal) => {
+        finish(null, { exitCode: exitCode === null ? 128 : exitCode, signal, stdout, stderr });
+      });
+    });
+  }
+
+  /**
+   * Copy a file from the device to the local filesystem
+   */
+  async pull(remotePath, localPath, options = {}) {
+    return this.run(['pull', remotePath, localPath], options);
+  }
+
+  /**
+   * Copy a local file to the device
+   */
+  async push(localPath, remotePath, options = {}) {
+    return this.run(['push', localPath, remotePath], options);
+  }
+
+  /**
+   * Start a long-running adb process (e.g. logcat)
+   */
+  spawn(args) {
+    const deviceFlag = this.deviceId ? ['-s', this.deviceId] : [];
+    return spawn(this.adbPath, [...deviceFlag, ...args]);
+  }
+}
+
+/**
+ * Recording transport - proxies a live transport and captures every
+ * command/output pair into a fixture file for later replay
+ */
+class RecordingTransport {
+  constructor(options = {}) {
+    if (!options.fixturePath) {
+      throw new Error('Recording transport requires a fixture path');
+    }
+
+    this.mode = 'record';
+    this.inner = options.inner || new ExecTransport(options);
+    this.adbPath = this.inner.adbPath;
+    this.fixturePath = options.fixturePath;
+    this.fixture = {
+      version: FIXTURE_VERSION,
+      profile: options.profile || path.basename(this.fixturePath, '.json'),
+      deviceId: this.inner.deviceId,
+      recordedAt: new Date().toISOString(),
+      commands: [],
+      streams: []
+    };
+  }
+
+  async run(args, options = {}) {
+    return this.capture(commandKey(args), () => this.inner.run(args, options));
+  }
+
+  async pull(remotePath, localPath, options = {}) {
+    return this.capture(`pull ${remotePath}`, () => this.inner.pull(remotePath, localPath, options), async (result) => {
+      if (result.exitCode !== 0) return {};
+      const content = await fs.readFile(localPath);
+      return { file: content.toString('base64') };
+    });
+  }
+
+  async push(localPath, remotePath, options = {}) {
+    const content = await fs.readFile(localPath);
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    return this.capture(`push ${remotePath}`, () => this.inner.push(localPath, remotePath, options), async () => ({ sha256 }));
+  }
+
+  /**
+   * Run a command through the inner transport and record its result, or the
+   * error that stopped it, under the given fixture key
+   */
+  async capture(command, runInner, extraFields = async () => ({})) {
+    try {
+      const result = await runInner();
+      this.record({
+        command,
+        exitCode: result.exitCode,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        ...(await extraFields(result))
+      });
+      return result;
+    } catch (error) {
+      this.record({ command, error: error.message, code: error.code || null });
+      throw error;
+    }
+  }
+
+  spawn(args) {
+    const child = this.inner.spawn(args);
+    const stream = { args: commandKey(args), chunks: [] };
+    this.fixture.streams.push(stream);
+
+    child.stdout.on('data', (data) => {
+      stream.chunks.push(data.toString());
+    });
+    // Streams that ended on their own replay their exit; killed ones stay open
+    child.on('close', (code) => {
+      if (typeof code === 'number') stream.exitCode = code;
+      this.save();
+    });
+
+    return child;
+  }
+
+  /**
+   * Append an entry and persist the fixture so a crashed run keeps its capture
+   */
+  record(entry) {
+    this.fixture.commands.push(entry);
+    this.save();
+  }
+
+  save() {
+    fs.outputJsonSync(this.fixturePath, this.fixture, { spaces: 2 });
+  }
+}
+
+/**
+ * Replay transport - serves recorded fixture responses deterministically
+ */
+class ReplayTransport {
+  constructor(options = {}) {
+    this.mode = 'replay';
+    this.adbPath = 'adb';
+    this.deviceId = options.deviceId || null;
+    this.fixture = options.fixture || ReplayTransport.loadFixture(options.fixturePath);
+    this.responses = new Map();
+    this.cursors = new Map();
+    this.calls = [];
+    this.misses = [];
+
+    for (const entry of this.fixture.commands || []) {
+      if (!this.responses.has(entry.command)) {
+        this.responses.set(entry.command, []);
+      }
+      this.responses.get(entry.command).push(entry);
+    }
+  }
+
+  /**
+   * Load and validate a fixture file
+   */
+  static loadFixture(fixturePath) {
+    if (!fixturePath) {
+      throw new Error('Replay transport requires a fixture path');
+    }
+
+    const fixture = fs.readJsonSync(fixturePath);
+    if (fixture.version !== FIXTURE_VERSION) {
+      throw new Error(`Unsupported fixture version: ${fixture.version}`);
+    }
+
+    return fixture;
+  }
+
+  /**
+   * Next recorded response for a command. Repeated commands are served in
+   * recording order and the last response sticks once the list runs out.
+   */
+  nextResponse(command) {
+    this.calls.push(command);
+
+    const entries = this.responses.get(command);
+    if (!entries) {
+      this.misses.push(command);
+      throw new TransportError(`No recorded response for: ${command}`, { code: 'ENOREPLAY' });
+    }
+
+    const cursor = this.cursors.get(command) || 0;
+    this.cursors.set(command, cursor + 1);
+    return entries[Math.min(cursor, entries.length - 1)];
+  }
+
+  async run(args, options = {}) {
+    return this.toResult(this.respond(commandKey(args), options));
+  }
+
+  async pull(remotePath, localPath, options = {}) {
+    const entry = this.respond(`pull ${remotePath}`, options);
+    if (entry.exitCode === 0) {
+      await fs.outputFile(localPath, Buffer.from(entry.file || '', 'base64'));
+    }
+    return this.toResult(entry);
+  }
+
+  async push(localPath, remotePath, options = {}) {
+    return this.toResult(this.respond(`push ${remotePath}`, options));
+  }
+
+  /**
+   * Recorded entry for a command, re-raising recorded transport errors
+   */
+  respond(command, options = {}) {
+    if (options.signal?.aborted) {
+      throw new TransportError(`Command cancelled: ${command}`, { code: 'ABORT_ERR' });
+    }
+
+    const entry = this.nextResponse(command);
+    if (entry.error) {
+      throw new TransportError(entry.error, { code: entry.code });
+    }
+    return entry;
+  }
+
+  toResult(entry) {
+    return { exitCode: entry.exitCode, stdout: entry.stdout || '', stderr: entry.stderr || '' };
+  }
+
+  spawn(args) {
+    const key = commandKey(args);
+    const stream = (this.fixture.streams || []).find(s => s.args === key);
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.killed = false;
+    let closed = false;
+    const close = (code) => {
+      if (!closed) {
+        closed = true;
+        child.emit('close', code);
+      }
+    };
+    child.kill = () => {
+      child.killed = true;
+      close(0);
+    };
+
+    setImmediate(() => {
+      if (!stream) {
+        child.emit('error', new Error(`No recorded stream for: ${key}`));
+        return;
+      }
+      for (const chunk of stream.chunks) {
+        if (child.killed) break;
+        child.stdout.emit('data', Buffer.from(chunk));
+      }
+      if (typeof stream.exitCode === 'number') close(stream.exitCode);
+    });
+
+    return child;
+  }
+}
+
+/**
+ * Create a transport for the given mode. Falls back to ADB_TRANSPORT and
+ * ADB_FIXTURE environment variables when options are not supplied.
+ */
+function createTransport(options = {}) {
+  const mode = options.mode || process.env.ADB_TRANSPORT || 'live';
+  const fixturePath = options.fixturePath || process.env.ADB_FIXTURE;
+
+  switch (mode) {
+    case 'live':
+      return new ExecTransport(options);
+    case 'record':
+      return getRecorder({ ...options, fixturePath });
+    case 'replay':
+      return new ReplayTransport({ ...options, fixturePath });
+    default:
+      throw new Error(`Unknown ADB transport mode: ${mode}`);
+  }
+}
+
+// One recorder per fixture file so helpers sharing a device append to the same capture.
+// A fixture is one device's profile: reusing it for another serial would run that
+// helper's commands against the first device.
+const recorders = new Map();
+
+function getRecorder(options) {
+  const key = path.resolve(options.fixturePath || '');
+  if (!recorders.has(key)) {
+    recorders.set(key, new RecordingTransport(options));
+  }
+
+  const recorder = recorders.get(key);
+  const deviceId = options.deviceId || null;
+  if (recorder.inner.deviceId !== deviceId) {
+    throw new Error(`${key} is already recording ${recorder.inner.deviceId || 'the default device'}; ` +
+      `record ${deviceId || 'the default device'} to its own fixture`);
+  }
+  return recorder;
+}
+
+module.exports = {
+  ExecTransport,
+  RecordingTransport,
+  ReplayTransport,
+  TransportError,
+  commandKey,
+  createTransport,
+  FIXTURE_VERSION
+};
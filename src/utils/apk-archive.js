@@ -0,0 +1,236 @@
+/**
+ * APK Archive Utility
+ * Minimal ZIP reader/writer for APKs. Keeps each entry's compression method
+ * and aligns stored entries the way zipalign does, so repackaged builds stay
+ * installable.
+ */
+
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// zipalign's alignment extra field
+const ALIGNMENT_EXTRA_ID = 0xd935;
+
+// Stored native libraries are mmap'ed straight from the APK, so they need page alignment
+const PAGE_ALIGNMENT = 4096;
+const DEFAULT_ALIGNMENT = 4;
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+class ApkArchive {
+  constructor(entries = []) {
+    this.entries = new Map(entries.map(entry => [entry.name, entry]));
+  }
+
+  static async read(apkPath) {
+    return ApkArchive.fromBuffer(await fs.readFile(apkPath));
+  }
+
+  /**
+   * Parse a ZIP buffer. ZIP64 and multi-disk archives are not supported.
+   */
+  static fromBuffer(buffer) {
+    const eocdOffset = ApkArchive.findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+    let offset = buffer.readUInt32LE(eocdOffset + 16);
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+      if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+        throw new Error(`Corrupt central directory at offset ${offset}`);
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      let data;
+      if (method === STORED) {
+        data = Buffer.from(raw);
+      } else if (method === DEFLATED) {
+        data = zlib.inflateRawSync(raw);
+      } else {
+        throw new Error(`Unsupported compression method ${method} for ${name}`);
+      }
+
+      if (crc32(data) !== buffer.readUInt32LE(offset + 16)) {
+        throw new Error(`CRC mismatch for ${name}`);
+      }
+
+      entries.push({
+        name,
+        data,
+        method,
+        time: buffer.readUInt16LE(offset + 12),
+        date: buffer.readUInt16LE(offset + 14),
+        externalAttributes: buffer.readUInt32LE(offset + 38)
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return new ApkArchive(entries);
+  }
+
+  static findEndOfCentralDirectory(buffer) {
+    const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+      if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a ZIP archive: end of central directory not found');
+  }
+
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Add or replace an entry. Replacements keep the original compression
+   * method unless options.compress says otherwise.
+   */
+  set(name, data, options = {}) {
+    const existing = this.entries.get(name);
+    const compress = options.compress !== undefined ? options.compress : existing ? existing.method === DEFLATED : true;
+
+    this.entries.set(name, {
+      time: 0,
+      date: 0x21, // 1980-01-01
+      externalAttributes: 0,
+      ...existing,
+      name,
+      data: Buffer.from(data),
+      method: compress ? DEFLATED : STORED
+    });
+    return this;
+  }
+
+  remove(name) {
+    return this.entries.delete(name);
+  }
+
+  /**
+   * Serialise the archive. Stored entries are aligned (4 bytes, 4096 for .so files).
+   */
+  toBuffer() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries.values()) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const compressed = entry.method === DEFLATED ? zlib.deflateRawSync(entry.data, { level: 9 }) : entry.data;
+      const crc = crc32(entry.data);
+      const flags = /[^\x20-\x7e]/.test(entry.name) ? 0x0800 : 0;
+      const version = entry.method === DEFLATED ? 20 : 10;
+
+      const extra = entry.method === STORED
+        ? ApkArchive.alignmentExtra(offset + 30 + name.length, entry.name.endsWith('.so') ? PAGE_ALIGNMENT : DEFAULT_ALIGNMENT)
+        : Buffer.alloc(0);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(LOCAL_HEADER, 0);
+      local.writeUInt16LE(version, 4);
+      local.writeUInt16LE(flags, 6);
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(entry.time, 10);
+      local.writeUInt16LE(entry.date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(entry.data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(extra.length, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(CENTRAL_HEADER, 0);
+      central.writeUInt16LE(version, 4);
+      central.writeUInt16LE(version, 6);
+      central.writeUInt16LE(flags, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(entry.time, 12);
+      central.writeUInt16LE(entry.date, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(entry.data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(entry.externalAttributes >>> 0, 38);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, extra, compressed);
+      centralParts.push(central, name);
+      offset += local.length + name.length + extra.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    eocd.writeUInt16LE(this.entries.size, 8);
+    eocd.writeUInt16LE(this.entries.size, 10);
+    eocd.writeUInt32LE(centralDirectory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, eocd]);
+  }
+
+  /**
+   * Extra field that moves data starting after `dataOffset` onto an `alignment` boundary
+   */
+  static alignmentExtra(dataOffset, alignment) {
+    let padding = (alignment - (dataOffset % alignment)) % alignment;
+    if (padding === 0) return Buffer.alloc(0);
+    // The extra field needs at least its 4-byte header plus the 2-byte alignment value
+    while (padding < 6) padding += alignment;
+
+    const extra = Buffer.alloc(padding);
+    extra.writeUInt16LE(ALIGNMENT_EXTRA_ID, 0);
+    extra.writeUInt16LE(padding - 4, 2);
+    extra.writeUInt16LE(alignment, 4);
+    return extra;
+  }
+
+  static crc32(buffer) {
+    return crc32(buffer);
+  }
+}
+
+module.exports = ApkArchive;
@@ -0,0 +1,370 @@
+/**
+ * APK Signature Verifier Utility
+ * Parses and verifies JAR (v1) signatures and the APK Signing Block (v2/v3)
+ * in pure JS, and describes the signer certificates
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const ApkArchive = require('./apk-archive');
+const ApkSigner = require('./apk-signer');
+
+const SIGNING_BLOCK_MAGIC = Buffer.from('APK Sig Block 42', 'ascii');
+
+const SCHEME_BLOCK_IDS = {
+  v2: 0x7109871a,
+  v3: 0xf05368c0
+};
+
+// APK Signature Scheme v2/v3 signature algorithm IDs. The verity (0x04xx) IDs are
+// only used alongside one of these and are skipped.
+const SIGNATURE_ALGORITHMS = {
+  0x0101: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  0x0102: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  0x0103: { hash: 'sha256' },
+  0x0104: { hash: 'sha512' },
+  0x0201: { hash: 'sha256' },
+  0x0202: { hash: 'sha512' },
+  0x0301: { hash: 'sha256' }
+};
+
+// PKCS#7 digest algorithm OIDs used by JAR signing
+const DIGEST_OIDS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+const MESSAGE_DIGEST_OID = '1.2.840.113549.1.9.4';
+
+const V1_SIGNATURE_BLOCK_PATTERN = /^META-INF\/[^/]+\.(RSA|DSA|EC)$/i;
+const V1_METADATA_PATTERN = /^META-INF\/(MANIFEST\.MF|[^/]+\.(SF|RSA|DSA|EC))$/i;
+
+function digest(hash, data) {
+  return crypto.createHash(hash).update(data).digest();
+}
+
+/**
+ * Reads the uint32 and uint32-length-prefixed fields the signing block is made of
+ */
+function cursor(buffer) {
+  let offset = 0;
+  return {
+    uint32() {
+      const value = buffer.readUInt32LE(offset);
+      offset += 4;
+      return value;
+    },
+    bytes() {
+      const length = buffer.readUInt32LE(offset);
+      if (offset + 4 + length > buffer.length) {
+        throw new Error('Truncated length-prefixed field in APK Signing Block');
+      }
+      const value = buffer.subarray(offset + 4, offset + 4 + length);
+      offset += 4 + length;
+      return value;
+    },
+    get done() {
+      return offset >= buffer.length;
+    }
+  };
+}
+
+function lengthPrefixedSequence(buffer) {
+  const reader = cursor(buffer);
+  const items = [];
+  while (!reader.done) items.push(reader.bytes());
+  return items;
+}
+
+/**
+ * JAR manifest (MANIFEST.MF / *.SF) parser: main attributes plus named sections
+ */
+function parseManifest(text) {
+  const sections = text.replace(/\r\n/g, '\n').replace(/\n /g, '').split(/\n{2,}/);
+  const parsed = sections.map(section => Object.fromEntries(
+    section.split('\n').filter(Boolean).map(line => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    })
+  ));
+
+  return {
+    main: parsed[0] || {},
+    entries: new Map(parsed.slice(1).filter(section => section.Name).map(section => [section.Name, section]))
+  };
+}
+
+/**
+ * First `<ALG>-Digest<suffix>` attribute of a manifest section, as [node hash name, base64 value]
+ */
+function findDigestAttribute(attributes, suffix = '') {
+  for (const [name, value] of Object.entries(attributes)) {
+    const match = name.match(new RegExp(`^(SHA-?1|SHA-256|SHA-384|SHA-512)-Digest${suffix}$`, 'i'));
+    if (match) return [match[1].replace('-', '').toLowerCase(), value];
+  }
+  return null;
+}
+
+class ApkSignatureVerifier {
+  /**
+   * Verify every signature scheme present in an APK
+   */
+  static verify(apk) {
+    const archive = ApkArchive.fromBuffer(apk);
+    const signers = [];
+
+    if (archive.names().some(name => V1_SIGNATURE_BLOCK_PATTERN.test(name))) {
+      signers.push(...ApkSignatureVerifier.verifyV1(archive));
+    }
+
+    const block = ApkSignatureVerifier.findSigningBlock(apk);
+    if (block) {
+      for (const [scheme, id] of Object.entries(SCHEME_BLOCK_IDS)) {
+        if (block.pairs.has(id)) {
+          signers.push(...ApkSignatureVerifier.verifySchemeBlock(apk, block, scheme));
+        }
+      }
+    }
+
+    const schemes = [...new Set(signers.map(signer => signer.scheme))];
+    const certificates = new Map();
+    signers.filter(signer => signer.certificate).forEach(signer => certificates.set(signer.certificate.sha256, signer.certificate));
+
+    // A v1 signature that declares v2/v3 signing means those signatures were stripped if they are missing
+    const strippedSchemes = [...new Set(signers.flatMap(signer => signer.declaredSchemes || []))]
+      .filter(scheme => !schemes.includes(scheme));
+
+    return {
+      schemes,
+      verified: signers.length > 0 && signers.every(signer => signer.verified) && strippedSchemes.length === 0,
+      strippedSchemes,
+      signers,
+      certificates: [...certificates.values()]
+    };
+  }
+
+  /**
+   * Locate the APK Signing Block that sits just before the central directory
+   */
+  static findSigningBlock(apk) {
+    const eocdOffset = ApkArchive.findEndOfCentralDirectory(apk);
+    const centralDirectoryOffset = apk.readUInt32LE(eocdOffset + 16);
+
+    if (centralDirectoryOffset < 32 || !apk.subarray(centralDirectoryOffset - 16, centralDirectoryOffset).equals(SIGNING_BLOCK_MAGIC)) {
+      return null;
+    }
+
+    const blockSize = Number(apk.readBigUInt64LE(centralDirectoryOffset - 24));
+    const offset = centralDirectoryOffset - blockSize - 8;
+    if (offset < 0 || Number(apk.readBigUInt64LE(offset)) !== blockSize) {
+      throw new Error('Corrupt APK Signing Block: size fields do not match');
+    }
+
+    const pairs = new Map();
+    for (let position = offset + 8; position < centralDirectoryOffset - 24;) {
+      const length = Number(apk.readBigUInt64LE(position));
+      pairs.set(apk.readUInt32LE(position + 8), apk.subarray(position + 12, position + 8 + length));
+      position += 8 + length;
+    }
+
+    return { offset, centralDirectoryOffset, eocdOffset, pairs };
+  }
+
+  /**
+   * Verify each signer of a v2 or v3 scheme block: the signature over its signed
+   * data, the APK content digest, and that the certificate matches the public key
+   */
+  static verifySchemeBlock(apk, block, scheme) {
+    const contentDigests = new Map();
+    const contentDigest = hash => {
+      if (!contentDigests.has(hash)) {
+        // Digested as if the signing block were absent
+        const eocd = Buffer.from(apk.subarray(block.eocdOffset));
+        eocd.writeUInt32LE(block.offset, 16);
+        contentDigests.set(hash, ApkSigner.computeV2Digest([
+          apk.subarray(0, block.offset),
+          apk.subarray(block.centralDirectoryOffset, block.eocdOffset),
+          eocd
+        ], hash));
+      }
+      return contentDigests.get(hash);
+    };
+
+    return lengthPrefixedSequence(cursor(block.pairs.get(SCHEME_BLOCK_IDS[scheme])).bytes()).map(signerBytes => {
+      try {
+        const signer = cursor(signerBytes);
+        const signedData = signer.bytes();
+        const sdkRange = scheme === 'v3' ? { minSdk: signer.uint32(), maxSdk: signer.uint32() } : {};
+        const signatures = lengthPrefixedSequence(signer.bytes()).map(record => {
+          const reader = cursor(record);
+          return { algorithm: reader.uint32(), signature: reader.bytes() };
+        });
+        const publicKeyDer = signer.bytes();
+
+        const data = cursor(signedData);
+        const digests = lengthPrefixedSequence(data.bytes()).map(record => {
+          const reader = cursor(record);
+          return { algorithm: reader.uint32(), digest: reader.bytes() };
+        });
+        const [certificateDer] = lengthPrefixedSequence(data.bytes());
+
+        const supported = signatures.filter(entry => SIGNATURE_ALGORITHMS[entry.algorithm]);
+        if (supported.length === 0) {
+          throw new Error('No supported signature algorithm');
+        }
+
+        const publicKey = crypto.createPublicKey({ key: publicKeyDer, format: 'der', type: 'spki' });
+        const signatureVerified = supported.every(({ algorithm, signature }) => {
+          const { hash, padding, saltLength } = SIGNATURE_ALGORITHMS[algorithm];
+          return crypto.verify(hash, signedData, padding ? { key: publicKey, padding, saltLength } : publicKey, signature);
+        });
+        const digestVerified = supported.every(({ algorithm }) => {
+          const expected = digests.find(entry => entry.algorithm === algorithm);
+          return Boolean(expected) && expected.digest.equals(contentDigest(SIGNATURE_ALGORITHMS[algorithm].hash));
+        });
+
+        const certificate = ApkSignatureVerifier.describeCertificate(certificateDer);
+        const certificateMatchesKey = new crypto.X509Certificate(certificateDer).publicKey
+          .export({ type: 'spki', format: 'der' })
+          .equals(publicKeyDer);
+
+        return {
+          scheme,
+          verified: signatureVerified && digestVerified && certificateMatchesKey,
+          signatureVerified,
+          digestVerified,
+          certificateMatchesKey,
+          ...sdkRange,
+          certificate
+        };
+      } catch (error) {
+        return { scheme, verified: false, error: error.message, certificate: null };
+      }
+    });
+  }
+
+  /**
+   * Verify JAR signatures: each PKCS#7 block over its .SF, the .SF over the
+   * manifest, and the manifest digests over every entry
+   */
+  static verifyV1(archive) {
+    const manifestBytes = archive.get('META-INF/MANIFEST.MF');
+    const manifest = manifestBytes ? parseManifest(manifestBytes.toString('utf8')) : null;
+    const entryResult = manifest ? ApkSignatureVerifier.verifyManifestEntries(archive, manifest) : null;
+
+    return archive.names().filter(name => V1_SIGNATURE_BLOCK_PATTERN.test(name)).map(blockName => {
+      try {
+        const signatureFileName = blockName.replace(/\.[^.]+$/, '.SF');
+        const signatureFile = archive.get(signatureFileName);
+        if (!signatureFile) throw new Error(`Missing ${signatureFileName}`);
+        if (!manifest) throw new Error('Missing META-INF/MANIFEST.MF');
+
+        const { certificateDer, signatureVerified } = ApkSignatureVerifier.verifyPkcs7(archive.get(blockName), signatureFile);
+
+        const signatureAttributes = parseManifest(signatureFile.toString('utf8')).main;
+        const manifestDigest = findDigestAttribute(signatureAttributes, '-Manifest');
+        const manifestVerified = Boolean(manifestDigest) && digest(manifestDigest[0], manifestBytes).toString('base64') === manifestDigest[1];
+
+        return {
+          scheme: 'v1',
+          signatureFile: signatureFileName,
+          verified: signatureVerified && manifestVerified && entryResult.verified,
+          signatureVerified,
+          digestVerified: manifestVerified && entryResult.verified,
+          mismatchedEntries: entryResult.mismatched,
+          unlistedEntries: entryResult.unlisted,
+          declaredSchemes: (signatureAttributes['X-Android-APK-Signed'] || '').split(',').filter(id => id.trim()).map(id => `v${id.trim()}`),
+          certificate: ApkSignatureVerifier.describeCertificate(certificateDer)
+        };
+      } catch (error) {
+        return { scheme: 'v1', signatureFile: blockName, verified: false, error: error.message, certificate: null };
+      }
+    });
+  }
+
+  static verifyManifestEntries(archive, manifest) {
+    const mismatched = [];
+    const unlisted = [];
+
+    archive.names().filter(name => !name.endsWith('/') && !V1_METADATA_PATTERN.test(name)).forEach(name => {
+      const section = manifest.entries.get(name);
+      const entryDigest = section && findDigestAttribute(section);
+      if (!entryDigest) {
+        unlisted.push(name);
+      } else if (digest(entryDigest[0], archive.get(name)).toString('base64') !== entryDigest[1]) {
+        mismatched.push(name);
+      }
+    });
+
+    return { verified: mismatched.length === 0 && unlisted.length === 0, mismatched, unlisted };
+  }
+
+  /**
+   * Check a detached PKCS#7 SignedData block against its content. Only the
+   * first SignerInfo is checked, which is all apksigner ever writes.
+   */
+  static verifyPkcs7(block, content) {
+    const asn1 = forge.asn1;
+    const isContextTag = (node, type) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === type;
+    const toBuffer = node => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+
+    const contentInfo = asn1.fromDer(block.toString('binary'), { decodeBitStrings: false });
+    const signedData = contentInfo.value[1].value[0].value;
+    const certificates = signedData.filter(node => isContextTag(node, 0)).flatMap(node => node.value).map(toBuffer);
+    const signerInfo = signedData[signedData.length - 1].value[0].value;
+
+    const serialNumber = Buffer.from(signerInfo[1].value[1].value, 'binary').toString('hex').replace(/^0+/, '');
+    const certificateDer = certificates.find(der => new crypto.X509Certificate(der).serialNumber.toLowerCase().replace(/^0+/, '') === serialNumber);
+    if (!certificateDer) {
+      throw new Error('Signer certificate not found in signature block');
+    }
+
+    const hash = DIGEST_OIDS[asn1.derToOid(signerInfo[2].value[0].value)];
+    if (!hash) {
+      throw new Error('Unsupported digest algorithm in signature block');
+    }
+
+    let signedBytes = content;
+    let index = 3;
+    if (isContextTag(signerInfo[index], 0)) {
+      // Authenticated attributes are signed as a DER SET and carry the content digest
+      const attributes = signerInfo[index].value;
+      const messageDigest = attributes.find(attribute => asn1.derToOid(attribute.value[0].value) === MESSAGE_DIGEST_OID);
+      if (!messageDigest || !Buffer.from(messageDigest.value[1].value[0].value, 'binary').equals(digest(hash, content))) {
+        return { certificateDer, signatureVerified: false };
+      }
+      signedBytes = toBuffer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributes));
+      index++;
+    }
+
+    const signature = Buffer.from(signerInfo[index + 1].value, 'binary');
+    const publicKey = new crypto.X509Certificate(certificateDer).publicKey;
+    return { certificateDer, signatureVerified: crypto.verify(hash, signedBytes, publicKey, signature) };
+  }
+
+  /**
+   * Digests, names, validity and key details of a DER certificate
+   */
+  static describeCertificate(der) {
+    const certificate = new crypto.X509Certificate(der);
+    const { publicKey } = certificate;
+    const keyDetails = publicKey.asymmetricKeyDetails || {};
+
+    return {
+      subject: certificate.subject.split('\n').join(', '),
+      issuer: certificate.issuer.split('\n').join(', '),
+      serialNumber: certificate.serialNumber.toLowerCase(),
+      sha256: digest('sha256', der).toString('hex'),
+      sha1: digest('sha1', der).toString('hex'),
+      validFrom: new Date(certificate.validFrom).toISOString(),
+      validTo: new Date(certificate.validTo).toISOString(),
+      keyAlgorithm: publicKey.asymmetricKeyType.toUpperCase(),
+      keySize: keyDetails.modulusLength || null,
+      curve: keyDetails.namedCurve || null,
+      selfSigned: certificate.checkIssued(certificate)
+    };
+  }
+}
+
+module.exports = ApkSignatureVerifier;
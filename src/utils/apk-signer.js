@@ -0,0 +1,232 @@
+/**
+ * APK Signer Utility
+ * Signs repackaged APKs with a test key using JAR signing (v1) and APK
+ * Signature Scheme v2
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const ApkArchive = require('./apk-archive');
+
+const CREATED_BY = '1.0 (Android)';
+const SIGNER_NAME = 'CERT';
+
+// v1 signature files that must be dropped before re-signing
+const SIGNATURE_FILE_PATTERN = /^META-INF\/(MANIFEST\.MF|[^/]+\.(SF|RSA|DSA|EC))$/i;
+
+// APK Signature Scheme v2 constants
+const V2_BLOCK_ID = 0x7109871a;
+const RSA_PKCS1_SHA256 = 0x0103;
+const CHUNK_SIZE = 1024 * 1024;
+const SIGNING_BLOCK_MAGIC = Buffer.from('APK Sig Block 42', 'ascii');
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+}
+
+function uint64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value), 0);
+  return buffer;
+}
+
+function lengthPrefixed(...parts) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([uint32(body.length), body]);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+/**
+ * Manifest attribute line, wrapped at 72 bytes with continuation lines as the JAR spec requires
+ */
+function manifestLine(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  const lines = [];
+  let start = 0;
+  let limit = 72;
+
+  while (bytes.length - start > limit) {
+    let end = start + limit;
+    // Never split a multi-byte UTF-8 sequence
+    while ((bytes[end] & 0xc0) === 0x80) end--;
+    lines.push(bytes.subarray(start, end));
+    start = end;
+    limit = 71;
+  }
+  lines.push(bytes.subarray(start));
+
+  return Buffer.concat(lines.flatMap((line, i) => [i > 0 ? Buffer.from(' ') : Buffer.alloc(0), line, Buffer.from('\r\n')]));
+}
+
+class ApkSigner {
+  /**
+   * @param {Object} key - { privateKeyPem, certificatePem }; see generateTestKey()
+   */
+  constructor(key) {
+    this.privateKeyPem = key.privateKeyPem;
+    this.certificatePem = key.certificatePem;
+    this.certificate = forge.pki.certificateFromPem(key.certificatePem);
+    this.privateKey = forge.pki.privateKeyFromPem(key.privateKeyPem);
+    this.certificateDer = Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(this.certificate)).getBytes(), 'binary');
+  }
+
+  /**
+   * Self-signed RSA test key and certificate
+   */
+  static generateTestKey(options = {}) {
+    const keys = forge.pki.rsa.generateKeyPair({ bits: options.bits || 2048, e: 0x10001 });
+    const certificate = forge.pki.createCertificate();
+    const attributes = [
+      { name: 'commonName', value: options.commonName || 'Security Automation Test Key' },
+      { name: 'organizationName', value: 'Mobile Security Automation' }
+    ];
+
+    certificate.publicKey = keys.publicKey;
+    certificate.serialNumber = `01${crypto.randomBytes(8).toString('hex')}`;
+    certificate.validity.notBefore = new Date();
+    certificate.validity.notAfter = new Date();
+    certificate.validity.notAfter.setFullYear(certificate.validity.notBefore.getFullYear() + 30);
+    certificate.setSubject(attributes);
+    certificate.setIssuer(attributes);
+    certificate.sign(keys.privateKey, forge.md.sha256.create());
+
+    return {
+      privateKeyPem: forge.pki.privateKeyToPem(keys.privateKey),
+      certificatePem: forge.pki.certificateToPem(certificate)
+    };
+  }
+
+  getCertificateSha256() {
+    return sha256(this.certificateDer).toString('hex');
+  }
+
+  /**
+   * Sign an archive and return the APK bytes
+   */
+  sign(archive, options = {}) {
+    const v2 = options.v2 !== false;
+    this.signV1(archive, { v2 });
+    const apk = archive.toBuffer();
+    return v2 ? this.signV2(apk) : apk;
+  }
+
+  /**
+   * Replace any existing JAR signature with META-INF/MANIFEST.MF, CERT.SF and CERT.RSA
+   */
+  signV1(archive, options = {}) {
+    archive.names().filter(name => SIGNATURE_FILE_PATTERN.test(name)).forEach(name => archive.remove(name));
+
+    const mainAttributes = Buffer.concat([manifestLine('Manifest-Version: 1.0'), manifestLine(`Created-By: ${CREATED_BY}`), Buffer.from('\r\n')]);
+    const sections = archive.names()
+      .filter(name => !name.endsWith('/'))
+      .sort()
+      .map(name => ({
+        name,
+        bytes: Buffer.concat([
+          manifestLine(`Name: ${name}`),
+          manifestLine(`SHA-256-Digest: ${sha256(archive.get(name)).toString('base64')}`),
+          Buffer.from('\r\n')
+        ])
+      }));
+    const manifest = Buffer.concat([mainAttributes, ...sections.map(section => section.bytes)]);
+
+    const signatureFile = Buffer.concat([
+      manifestLine('Signature-Version: 1.0'),
+      manifestLine(`Created-By: ${CREATED_BY}`),
+      manifestLine(`SHA-256-Digest-Manifest: ${sha256(manifest).toString('base64')}`),
+      // Tells v2-aware verifiers to reject the APK if the v2 signature was stripped
+      ...(options.v2 ? [manifestLine('X-Android-APK-Signed: 2')] : []),
+      Buffer.from('\r\n'),
+      ...sections.map(section => Buffer.concat([
+        manifestLine(`Name: ${section.name}`),
+        manifestLine(`SHA-256-Digest: ${sha256(section.bytes).toString('base64')}`),
+        Buffer.from('\r\n')
+      ]))
+    ]);
+
+    archive.set('META-INF/MANIFEST.MF', manifest, { compress: true });
+    archive.set(`META-INF/${SIGNER_NAME}.SF`, signatureFile, { compress: true });
+    archive.set(`META-INF/${SIGNER_NAME}.RSA`, this.createPkcs7Signature(signatureFile), { compress: true });
+    return archive;
+  }
+
+  /**
+   * Detached PKCS#7 SignedData over the signature file
+   */
+  createPkcs7Signature(content) {
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(content.toString('binary'));
+    p7.addCertificate(this.certificate);
+    p7.addSigner({
+      key: this.privateKey,
+      certificate: this.certificate,
+      digestAlgorithm: forge.pki.oids.sha256
+    });
+    p7.sign({ detached: true });
+    return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+  }
+
+  /**
+   * Insert an APK Signing Block with a v2 signature before the central directory
+   */
+  signV2(apk) {
+    const eocdOffset = ApkArchive.findEndOfCentralDirectory(apk);
+    const centralDirectoryOffset = apk.readUInt32LE(eocdOffset + 16);
+
+    const entries = apk.subarray(0, centralDirectoryOffset);
+    const centralDirectory = apk.subarray(centralDirectoryOffset, eocdOffset);
+    const eocd = apk.subarray(eocdOffset);
+
+    const digest = ApkSigner.computeV2Digest([entries, centralDirectory, eocd]);
+
+    const signedData = Buffer.concat([
+      lengthPrefixed(lengthPrefixed(uint32(RSA_PKCS1_SHA256), lengthPrefixed(digest))),
+      lengthPrefixed(lengthPrefixed(this.certificateDer)),
+      lengthPrefixed()
+    ]);
+    const signature = crypto.sign('sha256', signedData, this.privateKeyPem);
+    const publicKey = crypto.createPublicKey(this.privateKeyPem).export({ type: 'spki', format: 'der' });
+
+    const signer = Buffer.concat([
+      lengthPrefixed(signedData),
+      lengthPrefixed(lengthPrefixed(uint32(RSA_PKCS1_SHA256), lengthPrefixed(signature))),
+      lengthPrefixed(publicKey)
+    ]);
+    const v2Value = lengthPrefixed(lengthPrefixed(signer));
+
+    const pair = Buffer.concat([uint32(V2_BLOCK_ID), v2Value]);
+    const pairs = Buffer.concat([uint64(pair.length), pair]);
+    const blockSize = pairs.length + 8 + SIGNING_BLOCK_MAGIC.length;
+    const signingBlock = Buffer.concat([uint64(blockSize), pairs, uint64(blockSize), SIGNING_BLOCK_MAGIC]);
+
+    const updatedEocd = Buffer.from(eocd);
+    updatedEocd.writeUInt32LE(centralDirectoryOffset + signingBlock.length, 16);
+
+    return Buffer.concat([entries, signingBlock, centralDirectory, updatedEocd]);
+  }
+
+  /**
+   * v2 content digest: 1 MiB chunk digests over the entries, central directory
+   * and end of central directory, combined into one top-level digest
+   */
+  static computeV2Digest(sections, hash = 'sha256') {
+    const digest = data => crypto.createHash(hash).update(data).digest();
+    const chunkDigests = [];
+
+    for (const section of sections) {
+      for (let offset = 0; offset < section.length; offset += CHUNK_SIZE) {
+        const chunk = section.subarray(offset, Math.min(offset + CHUNK_SIZE, section.length));
+        chunkDigests.push(digest(Buffer.concat([Buffer.from([0xa5]), uint32(chunk.length), chunk])));
+      }
+    }
+
+    return digest(Buffer.concat([Buffer.from([0x5a]), uint32(chunkDigests.length), ...chunkDigests]));
+  }
+}
+
+module.exports = ApkSigner;
@@ -0,0 +1,137 @@
+/**
+ * App Data Access Utility
+ * Reads and writes files in an app's private data directory through
+ * `run-as` (debuggable builds) or root, staging through /data/local/tmp
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+
+const STAGING_DIR = '/data/local/tmp';
+
+// Each script takes its values as positional parameters: never interpolated.
+// Writes truncate the existing file in place, so owner, mode and SELinux label are kept.
+const SCRIPTS = {
+  'run-as': {
+    read: 'run-as "$1" cat "$2" > "$3"',
+    write: 'run-as "$1" sh -c \'cat > "$1"\' sh "$2" < "$3"',
+    exists: 'run-as "$1" test -e "$2"',
+    size: 'run-as "$1" stat -c %s "$2"',
+    remove: 'run-as "$1" rm -f "$2"'
+  },
+  root: {
+    read: 'su 0 sh -c \'cat "$1"\' sh "$2" > "$3"',
+    write: 'su 0 sh -c \'cat > "$1"\' sh "$2" < "$3"',
+    exists: 'su 0 test -e "$2"',
+    size: 'su 0 stat -c %s "$2"',
+    remove: 'su 0 rm -f "$2"'
+  }
+};
+
+class AppDataAccess {
+  /**
+   * @param {ADBHelper} adb - Device helper
+   * @param {string} packageName - App whose data directory is accessed
+   * @param {Object} options - { access: 'run-as' (default) or 'root' }
+   */
+  constructor(adb, packageName, options = {}) {
+    this.adb = adb;
+    this.packageName = packageName;
+    this.access = options.access || 'run-as';
+
+    if (!SCRIPTS[this.access]) {
+      throw new Error(`Unknown app data access mode: ${this.access}`);
+    }
+  }
+
+  /**
+   * Absolute path for a path relative to the app's data directory
+   */
+  resolve(relativePath) {
+    return relativePath.startsWith('/') ? relativePath : path.posix.join('/data/data', this.packageName, relativePath);
+  }
+
+  stagingPath(remotePath) {
+    return path.posix.join(STAGING_DIR, `tamper_stage_${this.packageName}_${path.posix.basename(remotePath)}`);
+  }
+
+  async runScript(script, remotePath, stagingPath = '') {
+    return await this.adb.shell(['sh', '-c', SCRIPTS[this.access][script], 'sh', this.packageName, remotePath, stagingPath]);
+  }
+
+  async exists(relativePath) {
+    const result = await this.runScript('exists', this.resolve(relativePath));
+    return result.exitCode === 0;
+  }
+
+  /**
+   * Size in bytes, or null when the file does not exist
+   */
+  async size(relativePath) {
+    const result = await this.runScript('size', this.resolve(relativePath));
+    return result.exitCode === 0 ? parseInt(result.output, 10) : null;
+  }
+
+  async remove(relativePath) {
+    return await this.runScript('remove', this.resolve(relativePath));
+  }
+
+  /**
+   * Copy an app file to a local path
+   */
+  async pull(relativePath, localPath) {
+    const remotePath = this.resolve(relativePath);
+    const stagingPath = this.stagingPath(remotePath);
+
+    try {
+      const copy = await this.runScript('read', remotePath, stagingPath);
+      if (!copy.success) {
+        throw new Error(`Cannot read ${remotePath} via ${this.access}: ${copy.error}`);
+      }
+
+      const pull = await this.adb.pullFile(stagingPath, localPath);
+      if (!pull.success) {
+        throw new Error(`Failed to pull ${remotePath}: ${pull.error}`);
+      }
+      return { success: true, remotePath, localPath };
+    } finally {
+      await this.adb.shell(['rm', '-f', stagingPath]);
+    }
+  }
+
+  /**
+   * Overwrite an app file with a local file's content
+   */
+  async push(localPath, relativePath) {
+    const remotePath = this.resolve(relativePath);
+    const stagingPath = this.stagingPath(remotePath);
+
+    try {
+      const push = await this.adb.pushFile(localPath, stagingPath);
+      if (!push.success) {
+        throw new Error(`Failed to push ${remotePath}: ${push.error}`);
+      }
+
+      const copy = await this.runScript('write', remotePath, stagingPath);
+      if (!copy.success) {
+        throw new Error(`Cannot write ${remotePath} via ${this.access}: ${copy.error}`);
+      }
+
+      console.log(chalk.green(`✅ App file updated via ${this.access}: ${remotePath}`));
+      return { success: true, remotePath };
+    } finally {
+      await this.adb.shell(['rm', '-f', stagingPath]);
+    }
+  }
+
+  /**
+   * Stop the app so it neither holds stale data in memory nor rewrites the file
+   */
+  async stopApp() {
+    return await this.adb.shell(['am', 'force-stop', this.packageName]);
+  }
+}
+
+AppDataAccess.SCRIPTS = SCRIPTS;
+
+module.exports = AppDataAccess;
@@ -0,0 +1,264 @@
+/**
+ * AXML Parser Utility
+ * Decodes Android binary XML (the compiled AndroidManifest.xml inside an APK)
+ * into an element tree
+ */
+
+const ANDROID_NAMESPACE = 'http://schemas.android.com/apk/res/android';
+
+const CHUNK_TYPES = {
+  STRING_POOL: 0x0001,
+  XML: 0x0003,
+  XML_START_NAMESPACE: 0x0100,
+  XML_END_NAMESPACE: 0x0101,
+  XML_START_ELEMENT: 0x0102,
+  XML_END_ELEMENT: 0x0103,
+  XML_CDATA: 0x0104,
+  XML_RESOURCE_MAP: 0x0180
+};
+
+// Res_value data types
+const VALUE_TYPES = {
+  NULL: 0x00,
+  REFERENCE: 0x01,
+  ATTRIBUTE: 0x02,
+  STRING: 0x03,
+  FLOAT: 0x04,
+  DIMENSION: 0x05,
+  FRACTION: 0x06,
+  INT_DEC: 0x10,
+  INT_HEX: 0x11,
+  INT_BOOLEAN: 0x12
+};
+
+const UTF8_FLAG = 0x100;
+const NO_INDEX = 0xffffffff;
+
+// android:* attribute resource IDs. Obfuscated or stripped manifests may drop the
+// attribute name string, so names are resolved through the resource map first.
+const ANDROID_ATTRIBUTES = {
+  0x01010001: 'label',
+  0x01010002: 'icon',
+  0x01010003: 'name',
+  0x01010006: 'permission',
+  0x01010007: 'readPermission',
+  0x01010008: 'writePermission',
+  0x0101000e: 'enabled',
+  0x0101000f: 'debuggable',
+  0x01010010: 'exported',
+  0x01010018: 'authorities',
+  0x01010026: 'mimeType',
+  0x01010027: 'scheme',
+  0x01010028: 'host',
+  0x01010029: 'port',
+  0x0101002a: 'path',
+  0x0101002b: 'pathPrefix',
+  0x0101002c: 'pathPattern',
+  0x0101020c: 'minSdkVersion',
+  0x0101021b: 'versionCode',
+  0x0101021c: 'versionName',
+  0x01010270: 'targetSdkVersion',
+  0x01010271: 'maxSdkVersion',
+  0x01010272: 'testOnly',
+  0x01010280: 'allowBackup',
+  0x010104ec: 'usesCleartextTraffic',
+  0x01010527: 'networkSecurityConfig'
+};
+
+class AxmlParser {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.strings = [];
+    this.resourceIds = [];
+  }
+
+  /**
+   * Parse a binary XML document and return its root element:
+   * { name, namespace, attributes: [{ name, namespace, resourceId, type, value }], children, text }
+   */
+  static parse(buffer) {
+    return new AxmlParser(buffer).parse();
+  }
+
+  parse() {
+    const { buffer } = this;
+    if (buffer.length < 8 || buffer.readUInt16LE(0) !== CHUNK_TYPES.XML) {
+      throw new Error('Not an Android binary XML document');
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    let offset = buffer.readUInt16LE(2);
+    const end = Math.min(buffer.readUInt32LE(4), buffer.length);
+
+    while (offset + 8 <= end) {
+      const type = buffer.readUInt16LE(offset);
+      const headerSize = buffer.readUInt16LE(offset + 2);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (size < 8 || offset + size > end) {
+        throw new Error(`Corrupt binary XML chunk at offset ${offset}`);
+      }
+
+      switch (type) {
+        case CHUNK_TYPES.STRING_POOL:
+          this.strings = this.readStringPool(offset);
+          break;
+        case CHUNK_TYPES.XML_RESOURCE_MAP:
+          for (let position = offset + headerSize; position < offset + size; position += 4) {
+            this.resourceIds.push(buffer.readUInt32LE(position));
+          }
+          break;
+        case CHUNK_TYPES.XML_START_ELEMENT: {
+          const element = this.readElement(offset, headerSize);
+          stack[stack.length - 1].children.push(element);
+          stack.push(element);
+          break;
+        }
+        case CHUNK_TYPES.XML_END_ELEMENT:
+          if (stack.length > 1) stack.pop();
+          break;
+        case CHUNK_TYPES.XML_CDATA:
+          stack[stack.length - 1].text = this.string(buffer.readUInt32LE(offset + headerSize));
+          break;
+        default:
+          // Namespace and unknown chunks carry nothing the tree needs
+          break;
+      }
+
+      offset += size;
+    }
+
+    if (root.children.length === 0) {
+      throw new Error('Binary XML document has no root element');
+    }
+    return root.children[0];
+  }
+
+  readElement(offset, headerSize) {
+    const { buffer } = this;
+    const body = offset + headerSize;
+    const attributeStart = buffer.readUInt16LE(body + 8);
+    const attributeSize = buffer.readUInt16LE(body + 10);
+    const attributeCount = buffer.readUInt16LE(body + 12);
+
+    const attributes = [];
+    for (let i = 0; i < attributeCount; i++) {
+      const position = body + attributeStart + i * attributeSize;
+      const nameIndex = buffer.readUInt32LE(position + 4);
+      const resourceId = this.resourceIds[nameIndex] || null;
+      const rawValue = buffer.readUInt32LE(position + 8);
+      const type = buffer.readUInt8(position + 15);
+      const data = buffer.readUInt32LE(position + 16);
+
+      attributes.push({
+        name: ANDROID_ATTRIBUTES[resourceId] || this.string(nameIndex),
+        namespace: this.string(buffer.readUInt32LE(position)),
+        resourceId,
+        type,
+        value: this.decodeValue(type, data, rawValue)
+      });
+    }
+
+    return {
+      name: this.string(buffer.readUInt32LE(body + 4)),
+      namespace: this.string(buffer.readUInt32LE(body)),
+      attributes,
+      children: []
+    };
+  }
+
+  /**
+   * Typed attribute value as a JS value. References keep their resource ID
+   * (e.g. '@0x7f120001'), since resolving them needs resources.arsc.
+   */
+  decodeValue(type, data, rawValue) {
+    switch (type) {
+      case VALUE_TYPES.STRING:
+        return this.string(rawValue !== NO_INDEX ? rawValue : data);
+      case VALUE_TYPES.INT_BOOLEAN:
+        return data !== 0;
+      case VALUE_TYPES.INT_DEC:
+        return data | 0;
+      case VALUE_TYPES.INT_HEX:
+        return `0x${data.toString(16).padStart(8, '0')}`;
+      case VALUE_TYPES.FLOAT: {
+        const float = Buffer.alloc(4);
+        float.writeUInt32LE(data, 0);
+        return float.readFloatLE(0);
+      }
+      case VALUE_TYPES.REFERENCE:
+        return `@0x${data.toString(16).padStart(8, '0')}`;
+      case VALUE_TYPES.ATTRIBUTE:
+        return `?0x${data.toString(16).padStart(8, '0')}`;
+      case VALUE_TYPES.NULL:
+        return null;
+      default:
+        // Dimensions, fractions and colours: raw data is enough for manifest checks
+        return rawValue !== NO_INDEX ? this.string(rawValue) : data;
+    }
+  }
+
+  readStringPool(offset) {
+    const { buffer } = this;
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const stringCount = buffer.readUInt32LE(offset + 8);
+    const utf8 = (buffer.readUInt32LE(offset + 16) & UTF8_FLAG) !== 0;
+    const stringsStart = offset + buffer.readUInt32LE(offset + 20);
+
+    const strings = [];
+    for (let i = 0; i < stringCount; i++) {
+      const position = stringsStart + buffer.readUInt32LE(offset + headerSize + i * 4);
+      strings.push(utf8 ? this.readUtf8String(position) : this.readUtf16String(position));
+    }
+    return strings;
+  }
+
+  readUtf8String(position) {
+    const { buffer } = this;
+    // UTF-16 length, then UTF-8 byte length; each is one byte, or two with the high bit set
+    const readLength = () => {
+      let length = buffer[position++];
+      if (length & 0x80) length = ((length & 0x7f) << 8) | buffer[position++];
+      return length;
+    };
+    readLength();
+    const byteLength = readLength();
+    return buffer.toString('utf8', position, position + byteLength);
+  }
+
+  readUtf16String(position) {
+    const { buffer } = this;
+    let length = buffer.readUInt16LE(position);
+    position += 2;
+    if (length & 0x8000) {
+      length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(position);
+      position += 2;
+    }
+    return buffer.toString('utf16le', position, position + length * 2);
+  }
+
+  string(index) {
+    return index === NO_INDEX || index >= this.strings.length ? null : this.strings[index];
+  }
+
+  /**
+   * Value of an attribute by name, android: namespace by default
+   */
+  static getAttribute(element, name, namespace = ANDROID_NAMESPACE) {
+    const attribute = element.attributes.find(item => item.name === name && (item.namespace === namespace || (namespace === null && !item.namespace)));
+    return attribute ? attribute.value : undefined;
+  }
+
+  /**
+   * Direct children with the given tag name
+   */
+  static children(element, name) {
+    return element.children.filter(child => child.name === name);
+  }
+}
+
+AxmlParser.ANDROID_NAMESPACE = ANDROID_NAMESPACE;
+AxmlParser.CHUNK_TYPES = CHUNK_TYPES;
+AxmlParser.VALUE_TYPES = VALUE_TYPES;
+
+module.exports = AxmlParser;
@@ -0,0 +1,248 @@
+/**
+ * Baseline Manager Utility
+ * Records golden file integrity manifests per device fingerprint and app
+ * version, and diffs later runs against them
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { securityTestConfig } = require('../config/security-config');
+
+const MANIFEST_VERSION = 1;
+
+// Files per stat/sha256sum call, to stay well under the device's argument limit
+const BATCH_SIZE = 100;
+
+// Expand each pattern on the device: globs via the shell, directories recursively.
+// Patterns arrive as positional parameters so they are never parsed as shell syntax.
+const EXPAND_SCRIPT = 'for p in "$@"; do for f in $p; do ' +
+  'if [ -d "$f" ]; then find "$f" -type f; elif [ -e "$f" ]; then echo "$f"; fi; ' +
+  'done; done';
+
+// Size, octal mode, owner, group and SELinux context, then the name (which may contain spaces)
+const STAT_FORMAT = '%s %a %U %G %C %n';
+
+const PERMISSION_FIELDS = ['mode', 'owner', 'group', 'context'];
+
+class BaselineManager {
+  /**
+   * @param {ADBHelper} adb - Device to snapshot
+   * @param {Object} options - { baselineDir, paths: default patterns to record }
+   */
+  constructor(adb, options = {}) {
+    this.adb = adb;
+    this.baselineDir = options.baselineDir || process.env.BASELINE_DIR || securityTestConfig.baseline.path;
+    this.paths = options.paths || securityTestConfig.baseline.paths;
+  }
+
+  /**
+   * Device fingerprint and app version that a manifest is keyed by
+   */
+  async getIdentity(packageName = null) {
+    const properties = await this.adb.getSystemProperties();
+    const fingerprint = properties['ro.build.fingerprint'];
+    if (!fingerprint) {
+      throw new Error('Could not read device fingerprint');
+    }
+
+    let appVersion = null;
+    if (packageName) {
+      const appInfo = await this.adb.getApplicationInfo(packageName);
+      appVersion = appInfo.success ? appInfo.info.versionName : null;
+    }
+
+    return { fingerprint, packageName, appVersion };
+  }
+
+  /**
+   * Local manifest location: <baselineDir>/<fingerprint>/<package>@<version>.json
+   */
+  getManifestPath(identity) {
+    const safe = value => String(value).replace(/[^A-Za-z0-9._-]+/g, '_');
+    const name = identity.packageName ? `${identity.packageName}@${identity.appVersion || 'unknown'}` : 'system';
+    return path.join(this.baselineDir, safe(identity.fingerprint), `${safe(name)}.json`);
+  }
+
+  /**
+   * Snapshot every file matching the patterns into a manifest (not saved)
+   */
+  async capture(patterns = this.paths, options = {}) {
+    const identity = options.identity || await this.getIdentity(options.packageName);
+    const resolved = patterns.map(pattern => pattern.replace(/\{package\}/g, identity.packageName || ''));
+
+    console.log(chalk.blue(`📸 Capturing file baseline (${resolved.length} patterns)...`));
+
+    const filePaths = await this.expandPaths(resolved);
+    const files = await this.snapshotFiles(filePaths);
+
+    console.log(chalk.green(`✅ Captured ${Object.keys(files).length} files`));
+
+    return {
+      version: MANIFEST_VERSION,
+      ...identity,
+      createdAt: new Date().toISOString(),
+      patterns,
+      files
+    };
+  }
+
+  /**
+   * Capture and store a manifest for the current device and app version
+   */
+  async record(patterns = this.paths, options = {}) {
+    try {
+      const manifest = await this.capture(patterns, options);
+      const manifestPath = this.getManifestPath(manifest);
+      await fs.outputJson(manifestPath, manifest, { spaces: 2 });
+
+      console.log(chalk.green(`✅ Baseline saved: ${manifestPath}`));
+      return { success: true, manifestPath, manifest };
+    } catch (error) {
+      console.error(chalk.red('❌ Baseline recording failed:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stored manifest for an identity, or null when none has been recorded
+   */
+  async load(identity) {
+    const manifestPath = this.getManifestPath(identity);
+    if (!await fs.pathExists(manifestPath)) return null;
+
+    const manifest = await fs.readJson(manifestPath);
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported baseline manifest version: ${manifest.version}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Diff the device against its stored baseline. `baselineFound` is false when
+   * nothing has been recorded for this fingerprint and app version.
+   */
+  async compare(options = {}) {
+    try {
+      const identity = await this.getIdentity(options.packageName);
+      const manifestPath = this.getManifestPath(identity);
+      const baseline = await this.load(identity);
+
+      if (!baseline) {
+        console.log(chalk.yellow(`⚠️  No baseline recorded for this device and app version: ${manifestPath}`));
+        return { success: true, baselineFound: false, manifestPath, passed: null };
+      }
+
+      const current = await this.capture(baseline.patterns, { identity });
+      const diff = BaselineManager.diff(baseline, current);
+      const passed = diff.violations === 0;
+
+      const color = passed ? chalk.green : chalk.red;
+      console.log(color(`${passed ? '✅' : '⚠️ '} Baseline comparison: ${diff.added.length} added, ${diff.removed.length} removed, ` +
+        `${diff.modified.length} modified, ${diff.permissionChanged.length} permission-changed`));
+
+      return { success: true, baselineFound: true, manifestPath, baselineCreatedAt: baseline.createdAt, passed, diff };
+    } catch (error) {
+      console.error(chalk.red('❌ Baseline comparison failed:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Classify files as added, removed, modified (content) or permission-changed
+   * (mode, owner, group or SELinux context)
+   */
+  static diff(baseline, current) {
+    const result = { added: [], removed: [], modified: [], permissionChanged: [], unchanged: 0 };
+
+    for (const [filePath, previous] of Object.entries(baseline.files)) {
+      const entry = current.files[filePath];
+
+      if (!entry) {
+        result.removed.push({ filePath, previous });
+      } else if (previous.sha256 !== entry.sha256 || previous.size !== entry.size) {
+        result.modified.push({ filePath, previous, current: entry });
+      } else {
+        const fields = PERMISSION_FIELDS.filter(field => previous[field] !== entry[field]);
+        if (fields.length > 0) {
+          result.permissionChanged.push({ filePath, fields, previous, current: entry });
+        } else {
+          result.unchanged++;
+        }
+      }
+    }
+
+    for (const [filePath, entry] of Object.entries(current.files)) {
+      if (!baseline.files[filePath]) {
+        result.added.push({ filePath, current: entry });
+      }
+    }
+
+    result.violations = result.added.length + result.removed.length +
+      result.modified.length + result.permissionChanged.length;
+    return result;
+  }
+
+  /**
+   * Existing file paths matching the patterns, sorted and de-duplicated
+   */
+  async expandPaths(patterns) {
+    if (patterns.length === 0) return [];
+
+    const result = await this.adb.shell(['sh', '-c', EXPAND_SCRIPT, 'sh', ...patterns]);
+    if (result.code) throw new Error(result.error);
+
+    const filePaths = result.output.split('\n').map(line => line.trim()).filter(Boolean);
+    return [...new Set(filePaths)].sort();
+  }
+
+  /**
+   * Manifest entries for the given files. Files that vanish between listing and
+   * stat are skipped; unreadable files are kept with a null sha256.
+   */
+  async snapshotFiles(filePaths) {
+    const files = {};
+
+    for (let i = 0; i < filePaths.length; i += BATCH_SIZE) {
+      const batch = filePaths.slice(i, i + BATCH_SIZE);
+
+      // Both commands exit non-zero if any one file fails, so parse what was printed
+      const stat = await this.adb.shell(['stat', '-c', STAT_FORMAT, ...batch]);
+      if (stat.code) throw new Error(stat.error);
+      const hashes = await this.adb.shell(['sha256sum', ...batch]);
+      if (hashes.code) throw new Error(hashes.error);
+
+      const checksums = BaselineManager.parseChecksums(hashes.output);
+
+      for (const line of stat.output.split('\n')) {
+        const match = line.match(/^(\d+) (\d+) (\S+) (\S+) (\S+) (.+)$/);
+        if (!match) continue;
+
+        const [, size, mode, owner, group, context, filePath] = match;
+        files[filePath] = {
+          sha256: checksums[filePath] || null,
+          size: parseInt(size),
+          mode,
+          owner,
+          group,
+          context
+        };
+      }
+    }
+
+    return files;
+  }
+
+  static parseChecksums(output) {
+    const checksums = {};
+    for (const line of output.split('\n')) {
+      const match = line.match(/^([0-9a-f]{64})\s+(.+)$/);
+      if (match) checksums[match[2]] = match[1];
+    }
+    return checksums;
+  }
+}
+
+BaselineManager.EXPAND_SCRIPT = EXPAND_SCRIPT;
+
+module.exports = BaselineManager;
@@ -0,0 +1,436 @@
+/**
+ * Component Prober Utility
+ * Invokes an app's exported activities, services, receivers and providers with
+ * crafted extras and URIs, and records crashes, security warnings and returned data
+ */
+
+const chalk = require('chalk');
+const { securityTestConfig } = require('../config/security-config');
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+// `am` intent extra flags by extra type
+const EXTRA_FLAGS = { string: '--es', int: '--ei', long: '--el', boolean: '--ez', uri: '--eu' };
+
+// dumpsys package resolver tables and the component type each one lists
+const RESOLVER_TABLES = {
+  'Activity Resolver Table:': 'activity',
+  'Receiver Resolver Table:': 'receiver',
+  'Service Resolver Table:': 'service'
+};
+
+const PERMISSION_DENIED = /Permission Denial|SecurityException|requires permission|not exported/i;
+const SQL_ERROR = /SQLiteException|syntax error|unrecognized token/i;
+
+class ComponentProber {
+  /**
+   * @param {ADBHelper} adb - Device helper
+   * @param {Object} options - { securityPage, logcatMonitor (defaults to adb.createLogcatMonitor(); an injected
+   *   monitor is only unsubscribed from, never stopped), settleTime,
+   *   extraSets, providerPaths, authActivityPattern, sensitiveActivityPattern, failSeverities }
+   *   overriding securityTestConfig.ipc
+   */
+  constructor(adb, options = {}) {
+    const config = securityTestConfig.ipc;
+    this.adb = adb;
+    this.securityPage = options.securityPage || null;
+    this.logcatMonitor = options.logcatMonitor || null;
+    this.ownsLogcatMonitor = !options.logcatMonitor;
+    this.settleTime = options.settleTime ?? config.settle_time_ms;
+    this.extraSets = options.extraSets || config.extra_sets;
+    this.providerPaths = options.providerPaths || config.provider_paths;
+    this.whereInjection = options.whereInjection || config.provider_where_injection;
+    this.traversalPath = options.traversalPath || config.provider_traversal_path;
+    this.authActivityPattern = new RegExp(options.authActivityPattern || config.auth_activity_pattern, 'i');
+    this.sensitiveActivityPattern = new RegExp(options.sensitiveActivityPattern || config.sensitive_activity_pattern, 'i');
+    this.failSeverities = options.failSeverities || config.fail_severities;
+    this.activeProbe = null;
+    this.pendingCrash = null;
+    this.crashes = [];
+  }
+
+  /**
+   * Probe every exported, enabled component. Components come from
+   * options.manifest (a ManifestAnalyzer summary) when given, otherwise from
+   * `dumpsys package`, which only lists components with intent filters.
+   * options.securityPage replaces the constructor's for reading on-screen warnings.
+   */
+  async probe(packageName, options = {}) {
+    let unsubscribe = null;
+
+    try {
+      console.log(chalk.blue(`🧪 Probing exported components: ${packageName}`));
+
+      const components = options.manifest
+        ? ComponentProber.fromManifest(options.manifest)
+        : await this.enumerate(packageName);
+
+      this.securityPage = options.securityPage || this.securityPage;
+      this.crashes = [];
+      this.pendingCrash = null;
+      this.logcatMonitor = this.logcatMonitor || this.adb.createLogcatMonitor();
+      unsubscribe = await this.logcatMonitor.subscribe({ tag: 'AndroidRuntime', level: 'E' }, entry => this.recordCrashLine(entry, packageName));
+      await this.logcatMonitor.start();
+
+      const probed = [];
+      for (const component of components) {
+        probed.push({ ...component, probes: await this.probeComponent(packageName, component) });
+      }
+
+      const findings = this.evaluate(probed);
+      const risk = findings.length > 0 ? findings[0].severity : 'low';
+      const probes = probed.flatMap(component => component.probes);
+      const result = {
+        packageName,
+        source: options.manifest ? 'manifest' : 'dumpsys',
+        passed: !findings.some(finding => this.failSeverities.includes(finding.severity)),
+        risk,
+        components: probed,
+        crashes: this.crashes,
+        findings,
+        summary: {
+          components: probed.length,
+          probes: probes.length,
+          accepted: probes.filter(probe => probe.accepted).length,
+          denied: probes.filter(probe => probe.denied).length,
+          crashes: this.crashes.length
+        }
+      };
+
+      this.logResults(result);
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ Component probing failed:'), error.message);
+      return { passed: false, risk: 'unknown', error: error.message };
+    } finally {
+      if (unsubscribe) unsubscribe();
+      // Stopping an injected monitor would cancel its other subscribers
+      if (this.logcatMonitor && this.ownsLogcatMonitor) this.logcatMonitor.stop();
+      this.activeProbe = null;
+    }
+  }
+
+  async enumerate(packageName) {
+    const result = await this.adb.shell(['dumpsys', 'package', packageName]);
+    if (!result.success || !result.output.includes(`Package [${packageName}]`)) {
+      throw new Error(`Package not installed: ${packageName}`);
+    }
+    return ComponentProber.parseDumpsys(result.output, packageName);
+  }
+
+  /**
+   * Exported, enabled components of a ManifestAnalyzer summary
+   */
+  static fromManifest(summary) {
+    return summary.components
+      .filter(component => component.exported && component.enabled && component.name)
+      .map(component => ({
+        type: component.type === 'activity-alias' ? 'activity' : component.type,
+        name: component.name,
+        permission: component.permission || null,
+        launcher: component.launcher,
+        actions: [...new Set(component.intentFilters.flatMap(filter => filter.actions))],
+        authorities: component.authorities || []
+      }));
+  }
+
+  /**
+   * Components of `packageName` listed in the resolver tables and provider
+   * authorities of `dumpsys package`
+   */
+  static parseDumpsys(output, packageName) {
+    const components = new Map();
+    const add = (type, flatName) => {
+      const name = ComponentProber.componentName(flatName);
+      const key = `${type}:${name}`;
+      if (!components.has(key)) {
+        components.set(key, { type, name, permission: null, launcher: false, actions: [], authorities: [] });
+      }
+      return components.get(key);
+    };
+    const addUnique = (list, value) => {
+      if (!list.includes(value)) list.push(value);
+    };
+
+    let table = null;
+    let section = null;
+    let key = null;
+    let component = null;
+
+    for (const line of output.split('\n')) {
+      if (/^\S/.test(line)) {
+        table = RESOLVER_TABLES[line.trim()] || (line.startsWith('ContentProvider Authorities:') ? 'provider' : null);
+        section = key = component = null;
+        continue;
+      }
+      if (!table) continue;
+
+      if (table === 'provider') {
+        const authority = line.match(/^ {2}\[([^\]]+)\]:/);
+        const provider = line.match(/^\s+Provider\{\S+ ([^\s}]+)\}/);
+        if (authority) {
+          key = authority[1];
+        } else if (provider && key && provider[1].startsWith(`${packageName}/`)) {
+          addUnique(add('provider', provider[1]).authorities, key);
+        }
+        continue;
+      }
+
+      const entry = line.match(/^\s+[0-9a-f]+ (\S+\/\S+) filter/);
+      if (/^ {2}\S/.test(line)) {
+        section = line.trim();
+      } else if (/^ {6}\S/.test(line)) {
+        key = line.trim().replace(/:$/, '');
+      } else if (entry) {
+        component = entry[1].startsWith(`${packageName}/`) ? add(table, entry[1]) : null;
+        if (component && /Actions/.test(section)) addUnique(component.actions, key);
+      } else if (component && line.includes('Category: "android.intent.category.LAUNCHER"')) {
+        component.launcher = true;
+      }
+    }
+
+    return [...components.values()];
+  }
+
+  /**
+   * Full class name from a flattened component name (com.app/.Main or com.app/com.app.Main)
+   */
+  static componentName(flatName) {
+    const [packageName, className] = flatName.split('/');
+    return className.startsWith('.') ? packageName + className : className;
+  }
+
+  /**
+   * `am` arguments for a list of { key, type, value } extras
+   */
+  static extraArgs(extras) {
+    return extras.flatMap(extra => {
+      const flag = EXTRA_FLAGS[extra.type];
+      if (!flag) throw new Error(`Unsupported extra type: ${extra.type}`);
+      return [flag, extra.key, String(extra.value)];
+    });
+  }
+
+  async probeComponent(packageName, component) {
+    console.log(chalk.blue(`   Probing ${component.type}: ${component.name}`));
+
+    if (component.type === 'provider') {
+      return await this.probeProvider(component);
+    }
+
+    const target = `${packageName}/${component.name}`;
+    const variants = [{ id: 'baseline', args: [] }, ...this.extraSets.map(set => ({ id: set.id, args: ComponentProber.extraArgs(set.extras) }))];
+    // Receivers and services commonly switch on the action, so send the first declared one
+    const action = component.type !== 'activity' && component.actions.length > 0 ? ['-a', component.actions[0]] : [];
+
+    const probes = [];
+    for (const variant of variants) {
+      if (component.type === 'activity') {
+        // Cold start each time, so an earlier login or redirect does not carry over
+        await this.adb.shell(['am', 'force-stop', packageName]);
+        probes.push(await this.invoke(component, variant.id, ['am', 'start', '-W', '-n', target, ...variant.args], async probe => {
+          probe.accepted = /Status: ok/.test(probe.output) || (/Starting: Intent/.test(probe.output) && !/Error/.test(probe.output));
+          probe.resumedActivity = await this.getResumedActivity();
+          probe.warnings = await this.getWarnings();
+        }));
+      } else if (component.type === 'service') {
+        probes.push(await this.invoke(component, variant.id, ['am', 'startservice', '-n', target, ...action, ...variant.args], probe => {
+          probe.accepted = /Starting service:/.test(probe.output) && !/Error/.test(probe.output);
+        }));
+      } else {
+        probes.push(await this.invoke(component, variant.id, ['am', 'broadcast', '-n', target, ...action, ...variant.args], probe => {
+          const match = probe.output.match(/Broadcast completed: result=(-?\d+)(?:, data="([^"]*)")?(?:, extras: (Bundle\[.*\]))?/);
+          probe.accepted = Boolean(match);
+          probe.resultCode = match ? parseInt(match[1]) : null;
+          probe.data = match ? match[2] || match[3] || null : null;
+        }));
+      }
+    }
+    return probes;
+  }
+
+  async probeProvider(component) {
+    const probes = [];
+    const query = (id, uri, extraArgs = []) => this.invoke(component, id, ['content', 'query', '--uri', uri, ...extraArgs], probe => {
+      probe.uri = uri;
+      probe.rows = ComponentProber.parseRows(probe.output);
+      probe.sqlError = SQL_ERROR.test(probe.output);
+      probe.accepted = !probe.denied && !/Error while accessing provider|Exception/.test(probe.output);
+    });
+
+    for (const authority of component.authorities) {
+      for (const providerPath of this.providerPaths) {
+        const uri = `content://${authority}/${providerPath}`;
+        probes.push(await query(`query:${providerPath || '/'}`, uri));
+        probes.push(await query(`where_injection:${providerPath || '/'}`, uri, ['--where', this.whereInjection]));
+      }
+
+      const traversalUri = `content://${authority}/${this.traversalPath}`;
+      probes.push(await this.invoke(component, 'path_traversal', ['content', 'read', '--uri', traversalUri], probe => {
+        probe.uri = traversalUri;
+        probe.accepted = probe.success && probe.output.length > 0 && !/Error|Exception|No such file/i.test(probe.output);
+      }));
+    }
+    return probes;
+  }
+
+  /**
+   * Run one invocation, give the app settleTime ms to crash, then let
+   * `inspect` fill in the type-specific fields
+   */
+  async invoke(component, id, args, inspect) {
+    const probe = {
+      id,
+      component: component.name,
+      command: args.join(' '),
+      success: false,
+      accepted: false,
+      denied: false,
+      output: '',
+      crash: null
+    };
+    this.activeProbe = probe;
+
+    const result = await this.adb.shell(args);
+    probe.success = result.success;
+    probe.output = [result.stdout, result.stderr].map(text => (text || '').trim()).filter(Boolean).join('\n');
+    probe.denied = PERMISSION_DENIED.test(probe.output);
+
+    if (this.settleTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.settleTime));
+    }
+    await inspect(probe);
+
+    this.activeProbe = null;
+    return probe;
+  }
+
+  /**
+   * Collect AndroidRuntime FATAL EXCEPTION reports from the probed package and
+   * attach each to the probe that was running when it started
+   */
+  recordCrashLine(entry, packageName) {
+    if (entry.message.startsWith('FATAL EXCEPTION')) {
+      this.pendingCrash = {
+        probe: this.activeProbe,
+        crash: { pid: entry.pid, thread: entry.message.replace(/^FATAL EXCEPTION:\s*/, ''), exception: null, stack: [] }
+      };
+      return;
+    }
+
+    const pending = this.pendingCrash;
+    if (!pending || entry.pid !== pending.crash.pid) return;
+    const { crash, probe } = pending;
+
+    const processLine = entry.message.match(/^Process: ([^,\s]+)/);
+    if (processLine) {
+      if (processLine[1] !== packageName && !processLine[1].startsWith(`${packageName}:`)) {
+        this.pendingCrash = null;
+        return;
+      }
+      crash.component = probe ? probe.component : null;
+      crash.probe = probe ? probe.id : null;
+      if (probe) probe.crash = crash;
+      this.crashes.push(crash);
+    } else if (!crash.exception) {
+      crash.exception = entry.message.trim();
+    } else {
+      crash.stack.push(entry.message.trim());
+    }
+  }
+
+  async getResumedActivity() {
+    const result = await this.adb.shell(['dumpsys', 'activity', 'activities']);
+    const match = result.output.match(/(?:mResumedActivity|topResumedActivity)[:=]\s*ActivityRecord\{\S+ u\d+ ([^\s}]+)/);
+    return match ? ComponentProber.componentName(match[1]) : null;
+  }
+
+  async getWarnings() {
+    if (!this.securityPage) return [];
+    try {
+      return (await this.securityPage.getActiveWarnings()).map(warning => warning.type);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Rows printed by `content query` ("Row: 0 _id=1, email=a@b.c")
+   */
+  static parseRows(output) {
+    return output.split('\n')
+      .map(line => line.match(/^Row: \d+ (.*)$/))
+      .filter(Boolean)
+      .map(match => Object.fromEntries(match[1].split(/, (?=[\w.]+=)/).map(pair => {
+        const separator = pair.indexOf('=');
+        return [pair.slice(0, separator), pair.slice(separator + 1)];
+      })));
+  }
+
+  /**
+   * Findings from the probe records, most severe first
+   */
+  evaluate(components) {
+    const findings = [];
+    const add = (check, severity, component, message, probe) => findings.push({
+      check, severity, message, component: component.name, componentType: component.type, probe: probe.id
+    });
+
+    for (const component of components) {
+      component.probes.filter(probe => probe.crash).forEach(probe => {
+        add('component_crash', 'medium', component, `${component.name} crashed on ${probe.id}: ${probe.crash.exception}`, probe);
+      });
+
+      if (component.type === 'activity' && !component.launcher && !this.authActivityPattern.test(component.name)) {
+        // The target stayed on screen with no security warning: nothing asked the user to authenticate
+        const reached = component.probes.filter(probe => probe.accepted && !probe.crash &&
+          probe.resumedActivity === component.name && probe.warnings.length === 0);
+        if (reached.length > 0) {
+          const baselineRedirected = !reached.some(probe => probe.id === 'baseline');
+          const severity = baselineRedirected || this.sensitiveActivityPattern.test(component.name) ? 'high' : 'medium';
+          add('authentication_bypass', severity, component,
+            `${component.name} opened directly without authentication (${reached.map(probe => probe.id).join(', ')})`, reached[0]);
+        }
+      }
+
+      if (component.type === 'receiver') {
+        component.probes.filter(probe => probe.data).slice(0, 1).forEach(probe => {
+          add('receiver_data_leak', 'medium', component, `${component.name} returned result data: ${probe.data}`, probe);
+        });
+      }
+
+      if (component.type === 'provider') {
+        for (const probe of component.probes) {
+          const plain = component.probes.find(other => other.id === probe.id.replace(/^where_injection:/, 'query:'));
+          if (probe.id.startsWith('query:') && probe.rows.length > 0) {
+            const columns = Object.keys(probe.rows[0]).join(', ');
+            add('provider_data_leak', 'high', component, `${probe.uri} returned ${probe.rows.length} row(s) without permission (${columns})`, probe);
+          } else if (probe.id.startsWith('where_injection:') && probe.rows.length > plain.rows.length) {
+            add('provider_sql_injection', 'critical', component, `${probe.uri} returned extra rows for an injected selection`, probe);
+          } else if (probe.id.startsWith('where_injection:') && probe.sqlError) {
+            add('provider_sql_injection', 'medium', component, `${probe.uri} surfaced an SQL error for an injected selection`, probe);
+          } else if (probe.id === 'path_traversal' && probe.accepted) {
+            add('provider_path_traversal', 'critical', component, `${probe.uri} served a file outside the provider root`, probe);
+          }
+        }
+      }
+    }
+
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+    return findings;
+  }
+
+  logResults(result) {
+    const { summary } = result;
+    console.log(chalk.blue(`🧪 Probed ${summary.components} components with ${summary.probes} invocations ` +
+      `(${summary.accepted} accepted, ${summary.denied} denied, ${summary.crashes} crashes)`));
+
+    result.findings.forEach(finding => {
+      const color = ['critical', 'high'].includes(finding.severity) ? chalk.red : chalk.yellow;
+      console.log(color(`   [${finding.severity}] ${finding.message}`));
+    });
+    console.log(result.passed ? chalk.green('✅ Component probing passed') : chalk.red('❌ Component probing found exposed components'));
+  }
+}
+
+module.exports = ComponentProber;
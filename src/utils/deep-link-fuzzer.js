@@ -0,0 +1,389 @@
+/**
+ * Deep Link Fuzzer Utility
+ * Generates mutated deep link URIs and extras from an app's intent filters,
+ * fires them with `am start -d` and writes minimized reproducers for crashes,
+ * ANRs and gated screens reached without a security check
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const ADBHelper = require('./adb-helper');
+const ComponentProber = require('./component-prober');
+const { securityTestConfig } = require('../config/security-config');
+
+const VIEW_ACTION = 'android.intent.action.VIEW';
+
+const FAILURE_SEVERITY = { crash: 'medium', anr: 'medium', gate_bypass: 'high' };
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const MUTATIONS = ['path', 'traversal', 'host', 'query', 'encode', 'extra'];
+
+/**
+ * mulberry32: small seeded PRNG returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class DeepLinkFuzzer {
+  /**
+   * @param {ADBHelper} adb - Device helper
+   * @param {Object} options - { seed, iterations, maxMutations, minimize, outputDir, corpus,
+   *   gatedActivityPattern, securityPage, logcatMonitor (an injected monitor is only unsubscribed from, never
+   *   stopped), settleTime } overriding securityTestConfig.deep_links
+   */
+  constructor(adb, options = {}) {
+    const config = securityTestConfig.deep_links;
+    this.adb = adb;
+    this.seed = options.seed ?? config.seed;
+    this.iterations = options.iterations ?? config.iterations;
+    this.maxMutations = options.maxMutations || config.max_mutations;
+    this.minimize = options.minimize ?? config.minimize;
+    this.outputDir = options.outputDir || path.join(process.cwd(), config.output_dir);
+    this.corpus = { ...config.corpus, ...options.corpus };
+    this.gatedActivityPattern = new RegExp(options.gatedActivityPattern || config.gated_activity_pattern, 'i');
+    this.logcatMonitor = options.logcatMonitor || null;
+    this.ownsLogcatMonitor = !options.logcatMonitor;
+    // Invocation, crash capture and screen checks are shared with exported component probing
+    this.prober = new ComponentProber(adb, options);
+    this.pendingAnr = null;
+  }
+
+  /**
+   * Deep link targets of a ManifestAnalyzer summary: one per exported activity,
+   * scheme, host and path its intent filters accept
+   */
+  static getTargets(summary) {
+    const targets = [];
+
+    for (const component of summary.components) {
+      if (!['activity', 'activity-alias'].includes(component.type) || !component.exported || !component.enabled) continue;
+
+      for (const filter of component.intentFilters) {
+        // <data> attributes within one filter combine, wherever they are declared
+        const collect = (...names) => [...new Set(filter.data.flatMap(data => names.map(name => data[name]).filter(Boolean)))];
+        const schemes = collect('scheme');
+        if (schemes.length === 0) continue;
+
+        const hosts = collect('host');
+        const paths = collect('path', 'pathPrefix', 'pathPattern').map(value => value.replace(/\.\*/g, 'fuzz'));
+
+        for (const scheme of schemes) {
+          for (const host of hosts.length > 0 ? hosts : ['']) {
+            for (const basePath of paths.length > 0 ? paths : ['/']) {
+              targets.push({
+                component: component.name,
+                scheme,
+                host,
+                path: basePath.startsWith('/') ? basePath : `/${basePath}`,
+                browsable: filter.categories.includes('android.intent.category.BROWSABLE')
+              });
+            }
+          }
+        }
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * Seeded cases for each target: the unmutated link, then `iterations`
+   * links with 1..maxMutations mutations each. options: { seed, iterations }
+   */
+  generateCases(targets, options = {}) {
+    const seed = options.seed ?? this.seed;
+    const iterations = options.iterations ?? this.iterations;
+    const random = createRandom(seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const cases = [];
+
+    targets.forEach((target, targetIndex) => {
+      for (let i = 0; i <= iterations; i++) {
+        const count = i === 0 ? 0 : 1 + Math.floor(random() * this.maxMutations);
+        const mutations = [];
+        for (let m = 0; m < count; m++) {
+          mutations.push(this.createMutation(pick(MUTATIONS), pick));
+        }
+        cases.push({ id: `${targetIndex}-${i}`, seed, target, mutations });
+      }
+    });
+    return cases;
+  }
+
+  /**
+   * A mutation with its random choices resolved, so applying it is deterministic
+   */
+  createMutation(type, pick) {
+    const { corpus } = this;
+    switch (type) {
+      case 'path':
+        return { type, value: pick(corpus.paths) };
+      case 'traversal':
+        return { type, value: `${pick(corpus.traversals).repeat(3)}${pick(corpus.paths)}` };
+      case 'host':
+        return { type, value: pick(corpus.hosts) };
+      case 'query':
+        return { type, key: pick(corpus.query_keys), value: pick(corpus.payloads) };
+      case 'extra':
+        return { type, extra: pick(corpus.extras) };
+      default:
+        return { type };
+    }
+  }
+
+  /**
+   * URI and extras for a target with the mutations applied in order
+   */
+  static buildIntent(target, mutations) {
+    let { host, path: uriPath } = target;
+    const query = [];
+    const extras = [];
+
+    for (const mutation of mutations) {
+      switch (mutation.type) {
+        case 'path':
+        case 'traversal':
+          uriPath = `${uriPath.replace(/\/$/, '')}/${mutation.value}`;
+          break;
+        case 'host':
+          host = mutation.value;
+          break;
+        case 'query':
+          query.push(`${mutation.key}=${mutation.value}`);
+          break;
+        case 'encode':
+          uriPath = uriPath.replace(/[A-Za-z0-9]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+          break;
+        case 'extra':
+          extras.push(mutation.extra);
+          break;
+        default:
+          throw new Error(`Unknown mutation: ${mutation.type}`);
+      }
+    }
+
+    return {
+      uri: `${target.scheme}://${host}${uriPath}${query.length > 0 ? `?${query.join('&')}` : ''}`,
+      extras
+    };
+  }
+
+  /**
+   * Fuzz the app's deep links. Targets come from options.manifest (a
+   * ManifestAnalyzer summary) or options.targets; options.seed and
+   * options.iterations override the constructor's, and options.cases replays
+   * previously generated cases instead.
+   */
+  async fuzz(packageName, options = {}) {
+    let unsubscribers = [];
+
+    try {
+      if (!options.targets && !options.manifest && !options.cases) {
+        throw new Error('Deep link fuzzing needs options.manifest, options.targets or options.cases');
+      }
+      const targets = options.targets || (options.manifest ? DeepLinkFuzzer.getTargets(options.manifest) : []);
+      const seed = options.seed ?? this.seed;
+      const cases = options.cases || this.generateCases(targets, { ...options, seed });
+      console.log(chalk.blue(`🔗 Fuzzing ${targets.length} deep link targets of ${packageName} with ${cases.length} cases (seed ${seed})`));
+
+      this.prober.securityPage = options.securityPage || this.prober.securityPage;
+      this.prober.crashes = [];
+      this.logcatMonitor = this.logcatMonitor || this.adb.createLogcatMonitor();
+      unsubscribers = [
+        await this.logcatMonitor.subscribe({ tag: 'AndroidRuntime', level: 'E' }, entry => this.prober.recordCrashLine(entry, packageName)),
+        await this.logcatMonitor.subscribe({ tag: 'ActivityManager', level: 'E' }, entry => this.recordAnrLine(entry, packageName))
+      ];
+      await this.logcatMonitor.start();
+
+      const failures = [];
+      for (const fuzzCase of cases) {
+        const failure = await this.runCase(packageName, fuzzCase);
+        if (!failure) continue;
+
+        // One reproducer per distinct problem; repeats only add to its count
+        const known = failures.find(existing => existing.signature === failure.signature);
+        if (known) {
+          known.occurrences++;
+          continue;
+        }
+        failures.push({ ...failure, occurrences: 1 });
+      }
+
+      for (const failure of failures) {
+        failure.minimized = this.minimize ? await this.minimizeCase(packageName, failure) : failure.case;
+        failure.testCasePath = await this.writeTestCase(packageName, failure);
+      }
+
+      const findings = failures.map(failure => ({
+        check: `deep_link_${failure.kind}`,
+        severity: FAILURE_SEVERITY[failure.kind],
+        component: failure.case.target.component,
+        message: DeepLinkFuzzer.describe(failure),
+        testCasePath: failure.testCasePath
+      })).sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+
+      const result = {
+        packageName,
+        seed,
+        targets: targets.length,
+        cases: cases.length,
+        passed: findings.length === 0,
+        risk: findings.length > 0 ? findings[0].severity : 'low',
+        failures,
+        findings
+      };
+
+      this.logResults(result);
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ Deep link fuzzing failed:'), error.message);
+      return { passed: false, risk: 'unknown', error: error.message };
+    } finally {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      if (this.logcatMonitor && this.ownsLogcatMonitor) this.logcatMonitor.stop();
+    }
+  }
+
+  /**
+   * Fire one case from a cold start. Returns the failure it caused, or null.
+   */
+  async runCase(packageName, fuzzCase) {
+    const { target } = fuzzCase;
+    const { uri, extras } = DeepLinkFuzzer.buildIntent(target, fuzzCase.mutations);
+    const args = ['am', 'start', '-W', '-a', VIEW_ACTION, '-d', uri, '-n', `${packageName}/${target.component}`,
+      ...ComponentProber.extraArgs(extras)];
+
+    await this.adb.shell(['am', 'force-stop', packageName]);
+    const probe = await this.prober.invoke({ name: target.component }, fuzzCase.id, args, async result => {
+      result.anr = result.anr || (/Status: timeout/.test(result.output) ? { reason: 'am start timed out' } : null);
+      if (!result.crash && !result.anr) {
+        result.resumedActivity = await this.prober.getResumedActivity();
+        result.warnings = await this.prober.getWarnings();
+      }
+    });
+
+    const failure = { case: fuzzCase, uri, command: probe.command, output: probe.output };
+    if (probe.crash) {
+      return { ...failure, kind: 'crash', signature: `crash:${target.component}:${probe.crash.exception}`, details: probe.crash };
+    }
+    if (probe.anr) {
+      return { ...failure, kind: 'anr', signature: `anr:${target.component}`, details: probe.anr };
+    }
+    if (probe.resumedActivity && this.gatedActivityPattern.test(probe.resumedActivity) && probe.warnings.length === 0) {
+      return {
+        ...failure,
+        kind: 'gate_bypass',
+        signature: `gate_bypass:${probe.resumedActivity}`,
+        details: { resumedActivity: probe.resumedActivity }
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Track "ANR in <process>" reports from ActivityManager and attach them to the running invocation
+   */
+  recordAnrLine(entry, packageName) {
+    const anr = entry.message.match(/^ANR in (\S+)(?: \(([^)]+)\))?/);
+    if (anr) {
+      const ours = anr[1] === packageName || anr[1].startsWith(`${packageName}:`);
+      this.pendingAnr = ours ? { process: anr[1], activity: anr[2] || null, reason: null } : null;
+      if (ours && this.prober.activeProbe) this.prober.activeProbe.anr = this.pendingAnr;
+      return;
+    }
+
+    const reason = entry.message.match(/^Reason: (.*)$/);
+    if (reason && this.pendingAnr && !this.pendingAnr.reason) {
+      this.pendingAnr.reason = reason[1].trim();
+    }
+  }
+
+  /**
+   * Drop mutations one at a time while the failure still reproduces
+   */
+  async minimizeCase(packageName, failure) {
+    let mutations = [...failure.case.mutations];
+
+    for (let i = mutations.length - 1; i >= 0; i--) {
+      const candidate = { ...failure.case, id: `${failure.case.id}-min`, mutations: mutations.filter((_, index) => index !== i) };
+      const result = await this.runCase(packageName, candidate);
+      if (result && result.signature === failure.signature) {
+        mutations = candidate.mutations;
+      }
+    }
+
+    return { ...failure.case, mutations };
+  }
+
+  /**
+   * Save a minimized case as JSON with the adb command that reproduces it
+   */
+  async writeTestCase(packageName, failure) {
+    const { minimized } = failure;
+    const { uri, extras } = DeepLinkFuzzer.buildIntent(minimized.target, minimized.mutations);
+    const digest = crypto.createHash('sha256').update(failure.signature).digest('hex').slice(0, 12);
+    const testCasePath = path.join(this.outputDir, `${packageName}-${failure.kind}-${digest}.json`);
+
+    await fs.outputJson(testCasePath, {
+      packageName,
+      kind: failure.kind,
+      signature: failure.signature,
+      seed: failure.case.seed,
+      caseId: failure.case.id,
+      component: minimized.target.component,
+      uri,
+      extras,
+      mutations: minimized.mutations,
+      originalUri: failure.uri,
+      command: DeepLinkFuzzer.reproducerCommand(['am', 'start', '-W', '-a', VIEW_ACTION, '-d', uri, '-n',
+        `${packageName}/${minimized.target.component}`, ...ComponentProber.extraArgs(extras)]),
+      details: failure.details
+    }, { spaces: 2 });
+
+    return testCasePath;
+  }
+
+  /**
+   * Host command line for device args. adb joins its arguments and hands them
+   * to the device shell unquoted, so each arg is quoted for the device and the
+   * whole command quoted again for the host, as ADBHelper.shell() does.
+   */
+  static reproducerCommand(deviceArgs) {
+    return `adb shell ${ADBHelper.quoteShellArg(deviceArgs.map(ADBHelper.quoteShellArg).join(' '))}`;
+  }
+
+  static describe(failure) {
+    const intent = DeepLinkFuzzer.buildIntent(failure.minimized.target, failure.minimized.mutations);
+    const extras = intent.extras.map(extra => `${extra.key}=${extra.value}`).join(', ');
+    const uri = extras ? `${intent.uri} (extras: ${extras})` : intent.uri;
+    switch (failure.kind) {
+      case 'crash':
+        return `${uri} crashed ${failure.case.target.component}: ${failure.details.exception}`;
+      case 'anr':
+        return `${uri} hung ${failure.case.target.component}${failure.details.reason ? ` (${failure.details.reason})` : ''}`;
+      default:
+        return `${uri} opened ${failure.details.resumedActivity} without a security check`;
+    }
+  }
+
+  logResults(result) {
+    console.log(chalk.blue(`🔗 Fired ${result.cases} deep link cases, ${result.failures.length} distinct failures`));
+    result.findings.forEach(finding => {
+      const color = finding.severity === 'high' ? chalk.red : chalk.yellow;
+      console.log(color(`   [${finding.severity}] ${finding.message}`));
+      console.log(chalk.gray(`      reproducer: ${finding.testCasePath}`));
+    });
+    console.log(result.passed ? chalk.green('✅ Deep link fuzzing found no failures') : chalk.red('❌ Deep link fuzzing found failures'));
+  }
+}
+
+module.exports = DeepLinkFuzzer;
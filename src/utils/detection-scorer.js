@@ -0,0 +1,138 @@
+/**
+ * Detection Scorer Utility
+ * Weighted, policy-driven scoring for emulator and root verdicts
+ */
+
+const { SecurityConfigManager } = require('../config/security-config');
+
+// Policy that owns the threshold and method list for each scoring model
+const POLICIES = {
+  emulator: 'emulatorPolicy',
+  root: 'rootPolicy'
+};
+
+// Advanced root methods are toggled through rootPolicy.advanced_detection
+const ADVANCED_ROOT_METHODS = {
+  magisk: 'magisk_detection',
+  root_cloaking: 'root_cloaking_detection'
+};
+
+class DetectionScorer {
+  constructor(securityConfig = null) {
+    this.securityConfig = securityConfig || new SecurityConfigManager(process.env.TEST_ENV || 'development');
+  }
+
+  /**
+   * Get the device policy backing a scoring model
+   */
+  getPolicy(kind) {
+    const policyName = POLICIES[kind];
+    if (!policyName) {
+      throw new Error(`Unknown detection scoring model: ${kind}`);
+    }
+
+    return this.securityConfig.getSecurityPolicy('deviceSecurity', policyName);
+  }
+
+  /**
+   * Methods to run for a model, in policy order
+   */
+  getEnabledMethods(kind) {
+    const policy = this.getPolicy(kind);
+    const methods = [...(policy.detection_methods || [])];
+
+    if (kind === 'root') {
+      const advanced = policy.advanced_detection || {};
+      for (const [method, flag] of Object.entries(ADVANCED_ROOT_METHODS)) {
+        if (advanced[flag] && !methods.includes(method)) {
+          methods.push(method);
+        }
+      }
+    }
+
+    return methods;
+  }
+
+  getThreshold(kind) {
+    const threshold = this.getPolicy(kind).confidence_threshold;
+    return typeof threshold === 'number' ? threshold : 0.5;
+  }
+
+  /**
+   * Score check results keyed by method name.
+   *
+   * Confidence is the weight of fired signals over the weight of the signals
+   * that ran; a matching decisive indicator forces full confidence.
+   */
+  score(kind, results) {
+    const scoring = this.securityConfig.getDetectionScoring(kind);
+    const threshold = this.getThreshold(kind);
+
+    let totalWeight = 0;
+    let firedWeight = 0;
+
+    for (const [method, result] of Object.entries(results)) {
+      const weight = this.getWeight(scoring, method);
+      totalWeight += weight;
+      if (result && result.detected) {
+        firedWeight += weight;
+      }
+    }
+
+    const breakdown = Object.entries(results).map(([method, result]) => {
+      const weight = this.getWeight(scoring, method);
+      const fired = Boolean(result && result.detected);
+
+      return {
+        method,
+        weight,
+        fired,
+        contribution: fired && totalWeight > 0 ? weight / totalWeight : 0,
+        evidence: (result && result.evidence) || [],
+        error: (result && result.error) || null
+      };
+    });
+
+    const decisive = this.findDecisiveEvidence(scoring, results);
+    const weightedConfidence = totalWeight > 0 ? firedWeight / totalWeight : 0;
+    const confidence = decisive.length > 0 ? 1 : weightedConfidence;
+
+    return {
+      detected: confidence >= threshold && firedWeight > 0,
+      confidence,
+      weightedConfidence,
+      threshold,
+      decisive,
+      breakdown
+    };
+  }
+
+  getWeight(scoring, method) {
+    const weight = scoring.weights[method];
+    return typeof weight === 'number' ? weight : 1;
+  }
+
+  /**
+   * Evidence entries matching a decisive rule (every rule field except
+   * `method` must equal the evidence field of the same name)
+   */
+  findDecisiveEvidence(scoring, results) {
+    const matches = [];
+
+    for (const rule of scoring.decisive || []) {
+      const { method, ...fields } = rule;
+      const result = results[method];
+      if (!result || !result.detected) continue;
+
+      for (const evidence of result.evidence || []) {
+        if (Object.entries(fields).every(([key, value]) => evidence[key] === value)) {
+          matches.push({ method, ...evidence });
+        }
+      }
+    }
+
+    return matches;
+  }
+}
+
+module.exports = DetectionScorer;
@@ -4,12 +4,16 @@
  */
 
 const ADBHelper = require('./adb-helper');
+const DetectionScorer = require('./detection-scorer');
 const chalk = require('chalk');
 const crypto = require('crypto');
 
 class DeviceDetector {
-  constructor(deviceId = null) {
-    this.adb = new ADBHelper(deviceId);
+  constructor(deviceId = null, options = {}) {
+    this.adb = options.adb || new ADBHelper(deviceId, options);
+    this.packageName = options.packageName || null;
+    this.maxPatchAgeDays = options.maxPatchAgeDays || 90;
+    this.scorer = new DetectionScorer(options.securityConfig);
     this.detectionCache = new Map();
     this.cacheTimeout = 30000; // 30 seconds
   }
@@ -96,30 +100,20 @@ class DeviceDetector {
     try {
       console.log(chalk.blue('🔍 Performing advanced emulator detection...'));
       
-      const properties = await this.adb.getSystemProperties();
-      const detectionResults = {
-        buildFingerprint: this.checkBuildFingerprint(properties),
-        hardwareFeatures: await this.checkHardwareFeatures(),
-        systemFiles: await this.checkEmulatorFiles(),
-        networkInterface: await this.checkNetworkInterfaces(),
-        sensorData: await this.checkSensors(),
-        performanceMetrics: await this.checkPerformanceCharacteristics(),
-        processAnalysis: await this.checkEmulatorProcesses()
-      };
-
-      // Calculate confidence score
-      const indicators = Object.values(detectionResults).filter(result => result.detected).length;
-      const confidence = indicators / Object.keys(detectionResults).length;
+      const detection = await this.runDetectionMethods('emulator');
       
       const result = {
-        isEmulator: confidence > 0.5,
-        confidence: confidence,
-        indicators: indicators,
-        details: detectionResults,
+        isEmulator: detection.score.detected,
+        confidence: detection.score.confidence,
+        threshold: detection.score.threshold,
+        indicators: detection.score.breakdown.filter(signal => signal.fired).length,
+        decisive: detection.score.decisive,
+        breakdown: detection.score.breakdown,
+        details: detection.details,
         timestamp: new Date().toISOString()
       };
 
-      console.log(chalk.yellow(`📱 Emulator detection: ${result.isEmulator ? 'EMULATOR' : 'PHYSICAL'} (${Math.round(confidence * 100)}% confidence)`));
+      console.log(chalk.yellow(`📱 Emulator detection: ${result.isEmulator ? 'EMULATOR' : 'PHYSICAL'} (${Math.round(result.confidence * 100)}% confidence)`));
       
       this.setCachedResult(cacheKey, result);
       return result;
@@ -140,30 +134,20 @@ class DeviceDetector {
     try {
       console.log(chalk.blue('🔍 Performing advanced root detection...'));
       
-      const detectionResults = {
-        suBinary: await this.checkSuBinary(),
-        rootApps: await this.checkRootApps(),
-        systemWritable: await this.checkSystemWritable(),
-        dangerousProps: await this.checkDangerousProps(),
-        rootCloaking: await this.checkRootCloaking(),
-        busyBox: await this.checkBusyBox(),
-        xposed: await this.checkXposedFramework(),
-        magisk: await this.checkMagisk()
-      };
-
-      // Calculate confidence score
-      const indicators = Object.values(detectionResults).filter(result => result.detected).length;
-      const confidence = indicators / Object.keys(detectionResults).length;
+      const detection = await this.runDetectionMethods('root');
       
       const result = {
-        isRooted: confidence > 0.3, // Lower threshold due to root hiding techniques
-        confidence: confidence,
-        indicators: indicators,
-        details: detectionResults,
+        isRooted: detection.score.detected,
+        confidence: detection.score.confidence,
+        threshold: detection.score.threshold,
+        indicators: detection.score.breakdown.filter(signal => signal.fired).length,
+        decisive: detection.score.decisive,
+        breakdown: detection.score.breakdown,
+        details: detection.details,
         timestamp: new Date().toISOString()
       };
 
-      console.log(chalk.yellow(`🔓 Root detection: ${result.isRooted ? 'ROOTED' : 'NOT ROOTED'} (${Math.round(confidence * 100)}% confidence)`));
+      console.log(chalk.yellow(`🔓 Root detection: ${result.isRooted ? 'ROOTED' : 'NOT ROOTED'} (${Math.round(result.confidence * 100)}% confidence)`));
       
       this.setCachedResult(cacheKey, result);
       return result;
@@ -173,6 +157,50 @@ class DeviceDetector {
     }
   }
 
+  /**
+   * Run the policy-enabled detection methods for a model and score them.
+   * Details stay keyed by the historical camelCase names.
+   */
+  async runDetectionMethods(kind) {
+    const checks = {
+      emulator: {
+        build_fingerprint: { key: 'buildFingerprint', run: async () => this.checkBuildFingerprint(await this.getProperties()) },
+        hardware_features: { key: 'hardwareFeatures', run: () => this.checkHardwareFeatures() },
+        system_files: { key: 'systemFiles', run: () => this.checkEmulatorFiles() },
+        network_interfaces: { key: 'networkInterface', run: () => this.checkNetworkInterfaces() },
+        sensor_data: { key: 'sensorData', run: () => this.checkSensors() },
+        performance_characteristics: { key: 'performanceMetrics', run: () => this.checkPerformanceCharacteristics() },
+        emulator_processes: { key: 'processAnalysis', run: () => this.checkEmulatorProcesses() }
+      },
+      root: {
+        su_binary: { key: 'suBinary', run: () => this.checkSuBinary() },
+        root_apps: { key: 'rootApps', run: () => this.checkRootApps() },
+        system_writable: { key: 'systemWritable', run: () => this.checkSystemWritable() },
+        dangerous_props: { key: 'dangerousProps', run: () => this.checkDangerousProps() },
+        root_cloaking: { key: 'rootCloaking', run: () => this.checkRootCloaking() },
+        busybox: { key: 'busyBox', run: () => this.checkBusyBox() },
+        xposed_framework: { key: 'xposed', run: () => this.checkXposedFramework() },
+        magisk: { key: 'magisk', run: () => this.checkMagisk() }
+      }
+    }[kind];
+
+    const results = {};
+    const details = {};
+
+    for (const method of this.scorer.getEnabledMethods(kind)) {
+      const check = checks[method];
+      if (!check) {
+        console.log(chalk.yellow(`⚠️  Unknown ${kind} detection method: ${method}`));
+        continue;
+      }
+
+      results[method] = await check.run();
+      details[check.key] = results[method];
+    }
+
+    return { details, score: this.scorer.score(kind, results) };
+  }
+
   /**
    * Detect debugging environments
    */
@@ -180,20 +208,27 @@ class DeviceDetector {
     try {
       console.log(chalk.blue('🔍 Detecting debugging environments...'));
       
-      const properties = await this.adb.getSystemProperties();
-      
-      const debugging = {
-        adbEnabled: properties['ro.adb.secure'] === '0',
-        debuggable: properties['ro.debuggable'] === '1',
+      const properties = await this.getProperties();
+      const checks = {
         developerOptions: await this.checkDeveloperOptions(),
         usbDebugging: await this.checkUSBDebugging(),
         mockLocations: await this.checkMockLocations(),
         debuggerAttached: await this.checkDebuggerAttached()
       };
+      
+      const debugging = {
+        adbEnabled: properties['ro.adb.secure'] === '0',
+        debuggable: properties['ro.debuggable'] === '1',
+        developerOptions: checks.developerOptions.enabled,
+        usbDebugging: checks.usbDebugging.enabled,
+        mockLocations: checks.mockLocations.enabled,
+        debuggerAttached: checks.debuggerAttached.attached
+      };
 
       const result = {
         debuggingDetected: Object.values(debugging).some(Boolean),
         details: debugging,
+        checks: checks,
         riskLevel: this.calculateDebuggingRisk(debugging)
       };
 
@@ -368,17 +403,19 @@ class DeviceDetector {
     const product = properties['ro.build.product'] || '';
     
     const emulatorIndicators = [
-      fingerprint.includes('generic'),
-      fingerprint.includes('test-keys'),
-      model.includes('Emulator'),
-      model.includes('Android SDK'),
-      product.includes('sdk'),
-      product.includes('generic')
-    ];
+      { fired: properties['ro.kernel.qemu'] === '1', indicator: 'ro.kernel.qemu=1', reason: 'kernel running under QEMU' },
+      { fired: fingerprint.includes('generic'), indicator: fingerprint, reason: 'generic build fingerprint' },
+      { fired: fingerprint.includes('test-keys'), indicator: fingerprint, reason: 'fingerprint signed with test keys' },
+      { fired: model.includes('Emulator'), indicator: model, reason: 'emulator model name' },
+      { fired: model.includes('Android SDK'), indicator: model, reason: 'SDK model name' },
+      { fired: product.includes('sdk'), indicator: product, reason: 'SDK product name' },
+      { fired: product.includes('generic'), indicator: product, reason: 'generic product name' }
+    ].filter(check => check.fired);
 
     return {
-      detected: emulatorIndicators.some(Boolean),
-      indicators: emulatorIndicators.filter(Boolean).length,
+      detected: emulatorIndicators.length > 0,
+      indicators: emulatorIndicators.length,
+      evidence: emulatorIndicators.map(({ indicator, reason }) => ({ indicator, reason })),
       details: { fingerprint, model, product }
     };
   }
@@ -400,9 +437,16 @@ class DeviceDetector {
       // Emulators often lack hardware features
       const missingFeatures = Object.values(hardwareFeatures).filter(f => !f).length;
       
+      const evidence = missingFeatures > 3
+        ? Object.keys(hardwareFeatures)
+          .filter(feature => !hardwareFeatures[feature])
+          .map(feature => ({ indicator: feature, reason: 'hardware feature missing' }))
+        : [];
+      
       return {
         detected: missingFeatures > 3,
         missingFeatures: missingFeatures,
+        evidence: evidence,
         details: hardwareFeatures
       };
     } catch (error) {
@@ -416,23 +460,24 @@ class DeviceDetector {
       '/sys/qemu_trace',
       '/system/bin/qemu-props',
       '/dev/socket/qemud',
-      '/dev/qemu_pipe',
-      '/proc/tty/drivers'
+      '/dev/qemu_pipe'
     ];
 
     try {
-      let foundFiles = 0;
-      for (const file of emulatorFiles) {
-        const result = await this.adb.executeShellCommand(`test -e ${file} && echo exists || echo missing`);
-        if (result.success && result.output.includes('exists')) {
-          foundFiles++;
-        }
+      const foundFiles = await this.probePaths(emulatorFiles);
+      const evidence = foundFiles.map(file => ({ indicator: file, reason: 'emulator file present' }));
+
+      // /proc/tty/drivers exists everywhere; only its goldfish entry is telling
+      const ttyDrivers = await this.adb.executeShellCommand('cat /proc/tty/drivers');
+      if (ttyDrivers.success && ttyDrivers.output.includes('goldfish')) {
+        evidence.push({ indicator: '/proc/tty/drivers', reason: 'goldfish tty driver registered' });
       }
 
       return {
-        detected: foundFiles > 0,
-        foundFiles: foundFiles,
-        totalChecked: emulatorFiles.length
+        detected: evidence.length > 0,
+        foundFiles: evidence.length,
+        evidence: evidence,
+        totalChecked: emulatorFiles.length + 1
       };
     } catch (error) {
       return { detected: false, error: error.message };
@@ -489,6 +534,757 @@ class DeviceDetector {
     }
   }
 
+  // Root detection checks
+
+  async checkSuBinary() {
+    const suPaths = [
+      '/system/bin/su',
+      '/system/xbin/su',
+      '/sbin/su',
+      '/system/su',
+      '/system/bin/.ext/.su',
+      '/system/usr/we-need-root/su-backup',
+      '/system/xbin/mu',
+      '/su/bin/su',
+      '/data/local/su',
+      '/data/local/bin/su',
+      '/data/local/xbin/su',
+      '/cache/su',
+      '/dev/su'
+    ];
+
+    try {
+      const evidence = [];
+
+      const whichResult = await this.adb.executeShellCommand('which su');
+      if (whichResult.success && whichResult.output.includes('/su')) {
+        evidence.push({ indicator: whichResult.output.trim(), reason: 'su resolvable on shell PATH' });
+      }
+
+      for (const suPath of await this.probePaths(suPaths)) {
+        evidence.push({ indicator: suPath, reason: 'su binary present' });
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        totalChecked: suPaths.length
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkRootApps() {
+    const rootApps = [
+      'com.noshufou.android.su',
+      'com.noshufou.android.su.elite',
+      'eu.chainfire.supersu',
+      'com.koushikdutta.superuser',
+      'com.thirdparty.superuser',
+      'com.yellowes.su',
+      'com.topjohnwu.magisk',
+      'com.kingroot.kinguser',
+      'com.kingo.root',
+      'com.smedialink.oneclickroot',
+      'com.zhiqupk.root.global',
+      'com.alephzain.framaroot'
+    ];
+
+    try {
+      const packages = await this.getInstalledPackages();
+      const evidence = packages
+        .filter(pkg => rootApps.includes(pkg))
+        .map(pkg => ({ indicator: pkg, reason: 'root management app installed' }));
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        totalChecked: rootApps.length
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkSystemWritable() {
+    const protectedMounts = ['/', '/system', '/system_root', '/vendor', '/product'];
+
+    try {
+      const mounts = await this.getMountEntries();
+      const evidence = mounts
+        .filter(mount => protectedMounts.includes(mount.mountPoint) && mount.options.includes('rw'))
+        .map(mount => ({
+          indicator: mount.mountPoint,
+          reason: `mounted read-write (${mount.device}, ${mount.options.join(',')})`
+        }));
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        mountsInspected: mounts.length
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkDangerousProps() {
+    try {
+      const properties = await this.getProperties();
+      const evidence = [];
+
+      const dangerousProps = [
+        { property: 'ro.debuggable', matches: value => value === '1', reason: 'system image is debuggable' },
+        { property: 'ro.secure', matches: value => value === '0', reason: 'adbd runs as root (insecure build)' },
+        { property: 'service.adb.root', matches: value => value === '1', reason: 'adb root enabled' },
+        { property: 'ro.build.tags', matches: value => value.includes('test-keys'), reason: 'build signed with test keys' },
+        { property: 'ro.build.type', matches: value => value === 'eng' || value === 'userdebug', reason: 'non-user build type' }
+      ];
+
+      for (const { property, matches, reason } of dangerousProps) {
+        const value = properties[property];
+        if (value !== undefined && matches(value)) {
+          evidence.push({ indicator: `${property}=${value}`, reason });
+        }
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkRootCloaking() {
+    const cloakingApps = [
+      'com.devadvance.rootcloak',
+      'com.devadvance.rootcloakplus',
+      'com.amphoras.hidemyroot',
+      'com.amphoras.hidemyrootadfree',
+      'com.formyhm.hideroot',
+      'com.formyhm.hiderootPremium',
+      'com.zachspong.temprootremovejb',
+      'com.saurik.substrate'
+    ];
+
+    try {
+      const evidence = [];
+
+      const packages = await this.getInstalledPackages();
+      packages
+        .filter(pkg => cloakingApps.includes(pkg))
+        .forEach(pkg => evidence.push({ indicator: pkg, reason: 'root cloaking app installed' }));
+
+      // Hiding modules stay on disk even when the manager app is renamed or hidden
+      const hidingModules = await this.probePaths([
+        '/data/adb/shamiko',
+        '/data/adb/modules/zygisk_shamiko',
+        '/data/adb/modules/MagiskHidePropsConf'
+      ]);
+      hidingModules.forEach(file => evidence.push({ indicator: file, reason: 'root hiding module present' }));
+
+      const properties = await this.getProperties();
+      if (properties['persist.magisk.hide'] === '1') {
+        evidence.push({ indicator: 'persist.magisk.hide=1', reason: 'MagiskHide enabled' });
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkBusyBox() {
+    const busyBoxPaths = [
+      '/system/xbin/busybox',
+      '/system/bin/busybox',
+      '/sbin/busybox',
+      '/data/local/busybox',
+      '/data/local/xbin/busybox',
+      '/data/adb/magisk/busybox'
+    ];
+
+    try {
+      const evidence = [];
+
+      const whichResult = await this.adb.executeShellCommand('which busybox');
+      if (whichResult.success && whichResult.output.includes('/busybox')) {
+        evidence.push({ indicator: whichResult.output.trim(), reason: 'busybox resolvable on shell PATH' });
+      }
+
+      for (const busyBoxPath of await this.probePaths(busyBoxPaths)) {
+        evidence.push({ indicator: busyBoxPath, reason: 'busybox binary present' });
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkXposedFramework() {
+    const bridgeFiles = [
+      '/system/framework/XposedBridge.jar',
+      '/system/lib/libxposed_art.so',
+      '/system/lib64/libxposed_art.so',
+      '/system/xposed.prop',
+      '/data/adb/lspd',
+      '/data/adb/modules/riru_lsposed',
+      '/data/adb/modules/zygisk_lsposed',
+      '/data/adb/modules/riru_edxposed'
+    ];
+    const xposedApps = [
+      'de.robv.android.xposed.installer',
+      'org.meowcat.edxposed.manager',
+      'org.lsposed.manager',
+      'io.va.exposed'
+    ];
+
+    try {
+      const evidence = [];
+
+      for (const file of await this.probePaths(bridgeFiles)) {
+        evidence.push({ indicator: file, reason: 'Xposed bridge file present' });
+      }
+
+      const packages = await this.getInstalledPackages();
+      packages
+        .filter(pkg => xposedApps.includes(pkg))
+        .forEach(pkg => evidence.push({ indicator: pkg, reason: 'Xposed manager installed' }));
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkMagisk() {
+    const magiskPaths = ['/sbin/.magisk', '/data/adb/magisk', '/data/adb/modules', '/cache/.disable_magisk', '/debug_ramdisk/.magisk'];
+
+    try {
+      const evidence = [];
+
+      const mounts = await this.getMountEntries();
+      mounts
+        .filter(mount => /magisk/i.test(mount.device) || /magisk/i.test(mount.mountPoint))
+        .forEach(mount => evidence.push({
+          indicator: `${mount.device} on ${mount.mountPoint}`,
+          reason: 'Magisk mount trace'
+        }));
+
+      for (const magiskPath of await this.probePaths(magiskPaths)) {
+        evidence.push({ indicator: magiskPath, reason: 'Magisk file present' });
+      }
+
+      const packages = await this.getInstalledPackages();
+      if (packages.includes('com.topjohnwu.magisk')) {
+        evidence.push({ indicator: 'com.topjohnwu.magisk', reason: 'Magisk app installed' });
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  // Debug and platform security checks
+
+  async checkDeveloperOptions() {
+    const raw = {
+      development_settings_enabled: await this.getSetting('global', 'development_settings_enabled')
+    };
+
+    return { enabled: raw.development_settings_enabled === '1', raw };
+  }
+
+  async checkUSBDebugging() {
+    const properties = await this.getProperties();
+    const raw = {
+      adb_enabled: await this.getSetting('global', 'adb_enabled'),
+      'persist.sys.usb.config': properties['persist.sys.usb.config'] || null
+    };
+
+    const usbConfig = raw['persist.sys.usb.config'] || '';
+    return { enabled: raw.adb_enabled === '1' || usbConfig.split(',').includes('adb'), raw };
+  }
+
+  async checkMockLocations() {
+    // Pre-Marshmallow uses a global toggle; newer releases grant the app-op to a chosen app
+    const raw = {
+      mock_location: await this.getSetting('secure', 'mock_location'),
+      mockLocationApps: []
+    };
+
+    const appOps = await this.adb.executeShellCommand('appops query-op android:mock_location allow');
+    if (appOps.success) {
+      raw.mockLocationApps = appOps.output.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.includes('No operations'));
+    }
+
+    return { enabled: raw.mock_location === '1' || raw.mockLocationApps.length > 0, raw };
+  }
+
+  async checkDebuggerAttached() {
+    const debuggerNames = ['gdbserver', 'gdbserver64', 'lldb-server', 'frida-server', 'strace', 'ltrace'];
+    const raw = { debuggerProcesses: [], tracerPid: null };
+
+    const processes = await this.getProcessList();
+    raw.debuggerProcesses = processes
+      .filter(proc => debuggerNames.some(name => proc.name.endsWith(name)))
+      .map(proc => `${proc.name}(${proc.pid})`);
+
+    if (this.packageName) {
+      const pidResult = await this.adb.shell(['pidof', this.packageName]);
+      const pid = pidResult.success ? pidResult.output.trim().split(/\s+/)[0] : '';
+
+      if (pid) {
+        const status = await this.adb.shell(['cat', `/proc/${pid}/status`]);
+        const match = status.success ? status.output.match(/TracerPid:\s*(\d+)/) : null;
+        raw.tracerPid = match ? parseInt(match[1]) : null;
+      }
+    }
+
+    return { attached: raw.debuggerProcesses.length > 0 || raw.tracerPid > 0, raw };
+  }
+
+  async checkScreenLock() {
+    const raw = {
+      lockscreenDisabled: null,
+      'lockscreen.disabled': await this.getSetting('secure', 'lockscreen.disabled')
+    };
+
+    const result = await this.adb.executeShellCommand('locksettings get-disabled');
+    if (result.success) {
+      raw.lockscreenDisabled = result.output.trim();
+    }
+
+    return {
+      passed: raw.lockscreenDisabled === 'false' && raw['lockscreen.disabled'] !== '1',
+      raw
+    };
+  }
+
+  async checkEncryption() {
+    const properties = await this.getProperties();
+    const raw = {
+      'ro.crypto.state': properties['ro.crypto.state'] || null,
+      'ro.crypto.type': properties['ro.crypto.type'] || null
+    };
+
+    return { passed: raw['ro.crypto.state'] === 'encrypted', raw };
+  }
+
+  async checkSELinux() {
+    const result = await this.adb.executeShellCommand('getenforce');
+    const raw = { getenforce: result.success ? result.output.trim() : null };
+
+    return { passed: raw.getenforce === 'Enforcing', raw };
+  }
+
+  async checkVerifiedBoot() {
+    const properties = await this.getProperties();
+    const raw = {
+      'ro.boot.verifiedbootstate': properties['ro.boot.verifiedbootstate'] || null,
+      'ro.boot.flash.locked': properties['ro.boot.flash.locked'] || null,
+      'ro.boot.vbmeta.device_state': properties['ro.boot.vbmeta.device_state'] || null
+    };
+
+    return { passed: raw['ro.boot.verifiedbootstate'] === 'green', raw };
+  }
+
+  async checkPlayProtect() {
+    const packages = await this.getInstalledPackages();
+    const raw = {
+      package_verifier_enable: await this.getSetting('global', 'package_verifier_enable'),
+      verifier_verify_adb_installs: await this.getSetting('global', 'verifier_verify_adb_installs'),
+      gmsInstalled: packages.includes('com.google.android.gms')
+    };
+
+    // The verifier is on by default, so an unset value still counts as enabled
+    return { passed: raw.gmsInstalled && raw.package_verifier_enable !== '0', raw };
+  }
+
+  async checkSecurityPatchLevel() {
+    const properties = await this.getProperties();
+    const patchLevel = properties['ro.build.version.security_patch'] || null;
+    const raw = { 'ro.build.version.security_patch': patchLevel };
+
+    const patchDate = patchLevel ? new Date(`${patchLevel}T00:00:00Z`) : null;
+    if (!patchDate || isNaN(patchDate.getTime())) {
+      return { passed: false, patchLevel, ageDays: null, raw };
+    }
+
+    const ageDays = Math.floor((Date.now() - patchDate.getTime()) / (24 * 60 * 60 * 1000));
+    return {
+      passed: ageDays <= this.maxPatchAgeDays,
+      patchLevel,
+      ageDays,
+      maxAgeDays: this.maxPatchAgeDays,
+      raw
+    };
+  }
+
+  async checkKeystore() {
+    const properties = await this.getProperties();
+    const result = await this.adb.executeShellCommand('pm list features');
+    const features = result.success ? result.output : '';
+
+    const raw = {
+      'ro.hardware.keystore': properties['ro.hardware.keystore'] || null,
+      'ro.hardware.gatekeeper': properties['ro.hardware.gatekeeper'] || null,
+      hardwareKeystore: features.includes('android.hardware.hardware_keystore'),
+      strongBox: features.includes('android.hardware.strongbox_keystore')
+    };
+
+    return {
+      passed: Boolean(raw['ro.hardware.keystore']) || raw.hardwareKeystore || raw.strongBox,
+      raw
+    };
+  }
+
+  // Emulator and network probes
+
+  async checkNetworkInterfaces() {
+    try {
+      const interfaces = await this.getNetworkInterfaces();
+      const evidence = [];
+
+      for (const iface of interfaces) {
+        // QEMU user-mode networking hands out 10.0.2.15 (eth0) / 10.0.2.16 (wifi)
+        iface.addresses
+          .filter(address => address.startsWith('10.0.2.'))
+          .forEach(address => evidence.push({ indicator: `${iface.name} ${address}`, reason: 'QEMU NAT address' }));
+
+        if (iface.name === 'radio0') {
+          evidence.push({ indicator: iface.name, reason: 'emulator virtual radio interface' });
+        }
+      }
+
+      const hasCellular = interfaces.some(iface => /^(rmnet|ccmni|seth|v4-rmnet)/.test(iface.name));
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        hasCellular: hasCellular,
+        interfaces: interfaces.map(iface => iface.name)
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkSensors() {
+    const emulatorSensorPattern = /goldfish|ranchu|emulator|genymotion/i;
+
+    try {
+      const result = await this.adb.executeShellCommand('dumpsys sensorservice');
+      if (!result.success) {
+        return { detected: false, evidence: [], error: result.error };
+      }
+
+      const sensors = this.parseSensorList(result.output);
+      const evidence = sensors
+        .filter(sensor => emulatorSensorPattern.test(sensor.name) || emulatorSensorPattern.test(sensor.vendor))
+        .map(sensor => ({ indicator: `${sensor.name} (${sensor.vendor})`, reason: 'emulated sensor' }));
+
+      // Phones ship well over a dozen sensors; emulators expose a handful
+      if (sensors.length < 5) {
+        evidence.push({ indicator: `${sensors.length} sensors`, reason: 'unusually small sensor list' });
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        sensorCount: sensors.length
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkPerformanceCharacteristics() {
+    try {
+      const result = await this.adb.executeShellCommand('cat /proc/cpuinfo');
+      if (!result.success) {
+        return { detected: false, evidence: [], error: result.error };
+      }
+
+      const cpuInfo = this.parseCpuInfo(result.output);
+      const evidence = [];
+
+      if (/goldfish|ranchu/i.test(cpuInfo.hardware || '')) {
+        evidence.push({ indicator: `Hardware: ${cpuInfo.hardware}`, reason: 'emulator board in cpuinfo' });
+      }
+      if (/qemu|virtual/i.test(cpuInfo.modelName || '')) {
+        evidence.push({ indicator: `model name: ${cpuInfo.modelName}`, reason: 'virtual CPU model' });
+      }
+      if (cpuInfo.flags.includes('hypervisor')) {
+        evidence.push({ indicator: 'hypervisor', reason: 'CPU reports running under a hypervisor' });
+      }
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        details: {
+          processors: cpuInfo.processors,
+          hardware: cpuInfo.hardware,
+          modelName: cpuInfo.modelName
+        }
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async checkEmulatorProcesses() {
+    const emulatorProcesses = [/qemu/i, /goldfish/i, /ranchu/i, /genymotion/i, /vbox/i, /androVM/i, /^noxd?$/i, /ldplayer/i];
+
+    try {
+      const processes = await this.getProcessList();
+      const evidence = processes
+        .filter(proc => emulatorProcesses.some(pattern => pattern.test(proc.name)))
+        .map(proc => ({ indicator: `${proc.name}(${proc.pid})`, reason: 'emulator service running' }));
+
+      return {
+        detected: evidence.length > 0,
+        evidence: evidence,
+        totalProcesses: processes.length
+      };
+    } catch (error) {
+      return { detected: false, evidence: [], error: error.message };
+    }
+  }
+
+  async getNetworkInterfaces() {
+    const result = await this.adb.executeShellCommand('ip addr');
+    if (!result.success) return [];
+
+    const interfaces = [];
+    let current = null;
+
+    for (const line of result.output.split('\n')) {
+      const header = line.match(/^\d+:\s+([^:@\s]+)(?:@\S+)?:\s+<([^>]*)>/);
+      if (header) {
+        const state = line.match(/\bstate (\S+)/);
+        current = { name: header[1], flags: header[2].split(','), state: state ? state[1] : 'UNKNOWN', addresses: [] };
+        interfaces.push(current);
+        continue;
+      }
+
+      const inet = line.match(/^\s+inet6?\s+([^/\s]+)/);
+      if (inet && current) {
+        current.addresses.push(inet[1]);
+      }
+    }
+
+    return interfaces;
+  }
+
+  /**
+   * VPN tunnels that are up. The exact name pattern keeps kernel placeholders
+   * such as the tunl0 IPIP device out; idle ppp/tun devices are down.
+   */
+  async checkVPNStatus() {
+    const vpnPattern = /^(tun|ppp|tap|ipsec|wg)\d+$/;
+
+    const interfaces = await this.getNetworkInterfaces();
+    const vpnInterfaces = interfaces
+      .filter(iface => vpnPattern.test(iface.name) && !iface.flags.includes('LOOPBACK'))
+      .filter(iface => iface.flags.includes('UP') && iface.state !== 'DOWN')
+      .map(iface => iface.name);
+
+    return { active: vpnInterfaces.length > 0, interfaces: vpnInterfaces };
+  }
+
+  async checkProxySettings() {
+    const raw = {
+      http_proxy: await this.getSetting('global', 'http_proxy'),
+      global_http_proxy_host: await this.getSetting('global', 'global_http_proxy_host'),
+      global_http_proxy_port: await this.getSetting('global', 'global_http_proxy_port'),
+      global_proxy_pac_url: await this.getSetting('global', 'global_proxy_pac_url')
+    };
+
+    // ":0" is what `settings put global http_proxy :0` leaves behind when clearing a proxy
+    const httpProxy = raw.http_proxy && raw.http_proxy !== ':0' ? raw.http_proxy : null;
+    const host = raw.global_http_proxy_host || (httpProxy ? httpProxy.split(':')[0] : null);
+    const port = raw.global_http_proxy_port || (httpProxy ? httpProxy.split(':')[1] || null : null);
+
+    return {
+      configured: Boolean(host || raw.global_proxy_pac_url),
+      host: host,
+      port: port,
+      pacUrl: raw.global_proxy_pac_url,
+      raw
+    };
+  }
+
+  async getDNSServers() {
+    const properties = await this.getProperties();
+
+    return Object.keys(properties)
+      .filter(key => /^net\.dns\d+$/.test(key))
+      .sort()
+      .map(key => properties[key])
+      .filter(Boolean);
+  }
+
+  async getNetworkOperator() {
+    const properties = await this.getProperties();
+    return properties['gsm.operator.alpha'] || properties['gsm.sim.operator.alpha'] || '';
+  }
+
+  analyzeNetworkRisks(network) {
+    const risks = [];
+
+    if (network.vpnStatus?.active) {
+      risks.push({ type: 'vpn', severity: 'medium', detail: `VPN interface up: ${network.vpnStatus.interfaces.join(', ')}` });
+    }
+
+    if (network.proxySettings?.configured) {
+      const target = network.proxySettings.pacUrl || `${network.proxySettings.host}:${network.proxySettings.port || ''}`;
+      risks.push({ type: 'proxy', severity: 'high', detail: `Global proxy configured: ${target}` });
+    }
+
+    const localResolvers = (network.dnsServers || []).filter(server => /^127\.|^::1$/.test(server));
+    if (localResolvers.length > 0) {
+      risks.push({ type: 'dns', severity: 'medium', detail: `DNS resolved on-device: ${localResolvers.join(', ')}` });
+    }
+
+    // "Android" is the operator name the emulator's simulated modem reports
+    if (network.networkOperator === 'Android') {
+      risks.push({ type: 'operator', severity: 'low', detail: 'Emulator network operator' });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Parse `dumpsys sensorservice` sensor list lines:
+   * "0x00000001) Goldfish 3-axis Accelerometer | The Android Open Source Project | ver: 1 | type: android.sensor.accelerometer(1) | ..."
+   */
+  parseSensorList(output) {
+    return output.split('\n')
+      .map(line => line.match(/^\s*0x[0-9a-f]+\)\s*([^|]+)\|\s*([^|]+)\|.*?type:\s*([\w.]+)/i))
+      .filter(Boolean)
+      .map(match => ({ name: match[1].trim(), vendor: match[2].trim(), type: match[3] }));
+  }
+
+  parseCpuInfo(output) {
+    const field = (name) => {
+      const match = output.match(new RegExp(`^${name}\\s*:\\s*(.*)$`, 'mi'));
+      return match ? match[1].trim() : null;
+    };
+
+    return {
+      processors: (output.match(/^processor\s*:/gmi) || []).length,
+      hardware: field('Hardware'),
+      modelName: field('model name'),
+      flags: (field('flags') || field('Features') || '').split(/\s+/).filter(Boolean)
+    };
+  }
+
+  // Shared probing helpers
+
+  async getProperties() {
+    const cacheKey = 'system_properties';
+    const cached = this.getCachedResult(cacheKey);
+    if (cached) return cached;
+
+    const properties = await this.adb.getSystemProperties();
+    this.setCachedResult(cacheKey, properties);
+    return properties;
+  }
+
+  async getInstalledPackages() {
+    const cacheKey = 'installed_packages';
+    const cached = this.getCachedResult(cacheKey);
+    if (cached) return cached;
+
+    const result = await this.adb.executeShellCommand('pm list packages');
+    if (!result.success) return [];
+
+    const packages = result.output.split('\n')
+      .map(line => line.replace('package:', '').trim())
+      .filter(Boolean);
+
+    this.setCachedResult(cacheKey, packages);
+    return packages;
+  }
+
+  async getSetting(namespace, key) {
+    const result = await this.adb.shell(['settings', 'get', namespace, key]);
+    if (!result.success) return null;
+
+    const value = result.output.trim();
+    return value === 'null' || value === '' ? null : value;
+  }
+
+  async getProcessList() {
+    const result = await this.adb.executeShellCommand('ps -A');
+    if (!result.success) return [];
+
+    return result.output.split('\n')
+      .slice(1) // Skip header
+      .filter(line => line.trim())
+      .map(line => {
+        const parts = line.trim().split(/\s+/);
+        return { user: parts[0], pid: parts[1], ppid: parts[2], name: parts[parts.length - 1] };
+      });
+  }
+
+  /**
+   * Parse `mount` output. Handles both toybox ("dev on /path type fs (opts)")
+   * and /proc/mounts style ("dev /path fs opts 0 0") lines.
+   */
+  async getMountEntries() {
+    const result = await this.adb.executeShellCommand('mount');
+    if (!result.success) return [];
+
+    return result.output.split('\n')
+      .map(line => {
+        const toybox = line.match(/^(\S+) on (\S+) type (\S+) \(([^)]*)\)/);
+        if (toybox) {
+          return { device: toybox[1], mountPoint: toybox[2], type: toybox[3], options: toybox[4].split(',') };
+        }
+        const procMounts = line.match(/^(\S+) (\S+) (\S+) (\S+)/);
+        if (procMounts) {
+          return { device: procMounts[1], mountPoint: procMounts[2], type: procMounts[3], options: procMounts[4].split(',') };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Return the subset of paths that exist on the device
+   */
+  async probePaths(paths) {
+    const found = [];
+    for (const file of paths) {
+      const result = await this.adb.shell(['test', '-e', file]);
+      if (result.exitCode === 0) {
+        found.push(file);
+      }
+    }
+    return found;
+  }
+
   // Additional helper methods...
   
   getRiskLevel(score) {
@@ -544,47 +1340,13 @@ class DeviceDetector {
     });
   }
 
-  // Stub methods for comprehensive implementation
-  async checkSuBinary() { return { detected: false }; }
-  async checkRootApps() { return { detected: false }; }
-  async checkSystemWritable() { return { detected: false }; }
-  async checkDangerousProps() { return { detected: false }; }
-  async checkRootCloaking() { return { detected: false }; }
-  async checkBusyBox() { return { detected: false }; }
-  async checkXposedFramework() { return { detected: false }; }
-  async checkMagisk() { return { detected: false }; }
-  async checkDeveloperOptions() { return false; }
-  async checkUSBDebugging() { return false; }
-  async checkMockLocations() { return false; }
-  async checkDebuggerAttached() { return false; }
-  async checkScreenLock() { return true; }
-  async checkEncryption() { return true; }
-  async checkSELinux() { return true; }
-  async checkVerifiedBoot() { return true; }
-  async checkPlayProtect() { return true; }
-  async checkSecurityPatchLevel() { return 10; }
-  async checkKeystore() { return true; }
-  async getNetworkInterfaces() { return []; }
-  async checkVPNStatus() { return false; }
-  async checkProxySettings() { return {}; }
-  async getDNSServers() { return []; }
-  async getNetworkOperator() { return ''; }
-  async checkNetworkInterfaces() { return { detected: false }; }
-  async checkSensors() { return { detected: false }; }
-  async checkPerformanceCharacteristics() { return { detected: false }; }
-  async checkEmulatorProcesses() { return { detected: false }; }
-  
   calculateDebuggingRisk(debugging) {
     const risks = Object.values(debugging).filter(Boolean).length;
     return risks > 2 ? 'high' : risks > 0 ? 'medium' : 'low';
   }
   
   calculateSecurityScore(features) {
-    return Object.values(features).filter(Boolean).length;
-  }
-  
-  analyzeNetworkRisks(network) {
-    return [];
+    return Object.values(features).filter(feature => feature && feature.passed).length;
   }
   
   isRootingApp(pkg) {
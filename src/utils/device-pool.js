@@ -0,0 +1,170 @@
+/**
+ * Device Pool Utility
+ * Runs security validation across every connected device with a concurrency limit
+ */
+
+const ADBHelper = require('./adb-helper');
+const SecurityChecker = require('./security-checker');
+const chalk = require('chalk');
+
+class DevicePool {
+  /**
+   * @param {Object} options
+   * @param {number} [options.concurrency=2] - Devices validated at the same time
+   * @param {ADBHelper} [options.adb] - Helper used to enumerate devices
+   * @param {Function} [options.checkerFactory] - (deviceId) => SecurityChecker
+   * Remaining options are passed to each SecurityChecker
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 2);
+    this.adb = options.adb || new ADBHelper(null, options);
+    // The enumeration helper and its transport are bound to no device; each
+    // checker builds its own for its serial
+    this.checkerOptions = { ...options };
+    delete this.checkerOptions.adb;
+    delete this.checkerOptions.transport;
+    this.checkerFactory = options.checkerFactory || (deviceId => new SecurityChecker(deviceId, this.checkerOptions));
+  }
+
+  /**
+   * Serials of devices that are online ('device' state); offline and
+   * unauthorized devices are reported but skipped
+   */
+  async discoverDevices() {
+    const devices = await this.adb.getConnectedDevices();
+
+    devices
+      .filter(device => device.status !== 'device')
+      .forEach(device => console.log(chalk.yellow(`⚠️  Skipping ${device.deviceId} (${device.status})`)));
+
+    return devices
+      .filter(device => device.status === 'device')
+      .map(device => device.deviceId);
+  }
+
+  /**
+   * Run SecurityChecker.validateSecurity() on each device and build a results matrix
+   */
+  async validateAll(options = {}) {
+    const startTime = Date.now();
+    const deviceIds = options.deviceIds || await this.discoverDevices();
+
+    console.log(chalk.blue(`🧩 Validating ${deviceIds.length} device(s), concurrency ${this.concurrency}...`));
+
+    const devices = await this.runWithLimit(deviceIds, deviceId => this.validateDevice(deviceId, options));
+
+    const matrix = {
+      timestamp: new Date().toISOString(),
+      durationMs: Date.now() - startTime,
+      concurrency: this.concurrency,
+      devices,
+      summary: this.summarize(devices)
+    };
+
+    this.logMatrix(matrix);
+    return matrix;
+  }
+
+  async validateDevice(deviceId, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      console.log(chalk.blue(`📱 [${deviceId}] Starting security validation...`));
+
+      const checker = this.checkerFactory(deviceId);
+      const validation = await checker.validateSecurity(options);
+
+      if (validation.error) {
+        return this.deviceResult(deviceId, 'failed', startTime, { error: validation.error });
+      }
+
+      return this.deviceResult(deviceId, 'completed', startTime, {
+        row: this.buildRow(validation),
+        validation
+      });
+    } catch (error) {
+      console.error(chalk.red(`❌ [${deviceId}] Security validation failed:`), error.message);
+      return this.deviceResult(deviceId, 'failed', startTime, { error: error.message });
+    }
+  }
+
+  deviceResult(deviceId, status, startTime, fields) {
+    return { deviceId, status, durationMs: Date.now() - startTime, ...fields };
+  }
+
+  /**
+   * Flatten a validation into the columns of the results matrix
+   */
+  buildRow(validation) {
+    const device = validation.deviceAnalysis || {};
+    const assessment = validation.overallAssessment || {};
+
+    return {
+      emulator: device.emulatorStatus?.isEmulator || false,
+      rooted: device.rootStatus?.isRooted || false,
+      debugging: device.debugStatus?.debuggingEnabled || false,
+      securityFeatureScore: device.securityFeatures?.score || 0,
+      overallScore: assessment.overallScore,
+      securityLevel: assessment.securityLevel,
+      policyDecision: assessment.policyDecision || 'allow',
+      passed: assessment.passed || false
+    };
+  }
+
+  summarize(devices) {
+    const completed = devices.filter(device => device.status === 'completed');
+
+    return {
+      total: devices.length,
+      completed: completed.length,
+      failed: devices.length - completed.length,
+      passed: completed.filter(device => device.row.passed).length,
+      blocked: completed.filter(device => device.row.policyDecision === 'block').length
+    };
+  }
+
+  /**
+   * Map items through an async worker, keeping at most `concurrency` in flight.
+   * Results keep the input order.
+   */
+  async runWithLimit(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+
+    await Promise.all(runners);
+    return results;
+  }
+
+  logMatrix(matrix) {
+    console.log(chalk.cyan('\n📊 Device Security Matrix:'));
+
+    matrix.devices.forEach(device => {
+      if (device.status !== 'completed') {
+        console.log(chalk.red(`   ${device.deviceId}: FAILED - ${device.error}`));
+        return;
+      }
+
+      const { row } = device;
+      const color = row.policyDecision === 'block' ? chalk.red : row.passed ? chalk.green : chalk.yellow;
+      console.log(color(
+        `   ${device.deviceId}: score ${row.overallScore} | emulator ${row.emulator ? 'yes' : 'no'} | ` +
+        `root ${row.rooted ? 'yes' : 'no'} | debug ${row.debugging ? 'yes' : 'no'} | policy ${row.policyDecision}`
+      ));
+    });
+
+    const { summary } = matrix;
+    console.log(chalk.gray(
+      `   ${summary.completed}/${summary.total} completed, ${summary.passed} passed, ` +
+      `${summary.blocked} blocked, ${summary.failed} failed (${matrix.durationMs}ms)`
+    ));
+  }
+}
+
+module.exports = DevicePool;
@@ -0,0 +1,222 @@
+/**
+ * File Integrity Watcher Utility
+ * Long-running on-device file watcher; uses inotifyd where available and
+ * falls back to polling
+ */
+
+const { EventEmitter } = require('events');
+const ADBHelper = require('./adb-helper');
+const chalk = require('chalk');
+const path = require('path');
+
+// inotifyd events for a watched directory: c modified, e metadata changed,
+// w closed after writing, y/m moved in/out, n created, d deleted
+const DIRECTORY_EVENTS = 'cewymnd';
+
+class FileIntegrityWatcher extends EventEmitter {
+  /**
+   * @param {ADBHelper} adb - Device to watch
+   * @param {string[]} filePaths - Absolute device paths
+   * @param {Object} options - { interval: poll interval in ms, useInotify: try inotifyd first }
+   */
+  constructor(adb, filePaths, options = {}) {
+    super();
+    this.adb = adb;
+    this.filePaths = [...new Set(filePaths)];
+    this.interval = options.interval || 5000;
+    this.useInotify = options.useInotify !== false;
+    this.mode = null;
+    this.snapshots = new Map();
+    this.changes = [];
+    this.running = false;
+    this.inotifyProcess = null;
+    this.pollTimer = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Record baseline snapshots and begin watching
+   */
+  async start() {
+    if (this.running) return this;
+
+    for (const filePath of this.filePaths) {
+      this.snapshots.set(filePath, await this.snapshot(filePath));
+    }
+    this.running = true;
+
+    if (this.useInotify && await this.hasInotify()) {
+      this.startInotify();
+    } else {
+      this.startPolling();
+    }
+
+    const present = [...this.snapshots.values()].filter(Boolean).length;
+    console.log(chalk.green(`✅ Watching ${this.filePaths.length} files (${present} present) via ${this.mode}`));
+    return this;
+  }
+
+  /**
+   * Stop watching. Resolves once any in-flight check has finished.
+   */
+  async stop() {
+    if (!this.running) return this.getSummary();
+    this.running = false;
+
+    clearTimeout(this.pollTimer);
+    if (this.inotifyProcess) {
+      this.inotifyProcess.kill();
+      this.inotifyProcess = null;
+    }
+
+    await this.queue;
+    console.log(chalk.green(`✅ File integrity watch stopped. Changes detected: ${this.changes.length}`));
+    this.emit('stop', this.getSummary());
+    return this.getSummary();
+  }
+
+  getSummary() {
+    return {
+      mode: this.mode,
+      monitoredFiles: this.filePaths,
+      changes: this.changes
+    };
+  }
+
+  async hasInotify() {
+    const result = await this.adb.shell(['which', 'inotifyd']);
+    return result.exitCode === 0;
+  }
+
+  /**
+   * Watch the parent directories so deleted and recreated files keep reporting
+   */
+  startInotify() {
+    this.mode = 'inotify';
+
+    const directories = [...new Set(this.filePaths.map(filePath => path.posix.dirname(filePath)))];
+    const command = ['inotifyd', '-', ...directories.map(dir => `${dir}:${DIRECTORY_EVENTS}`)];
+    const child = this.adb.transport.spawn(['shell', command.map(ADBHelper.quoteShellArg).join(' ')]);
+    this.inotifyProcess = child;
+
+    let buffer = '';
+    child.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => this.handleInotifyLine(line));
+    });
+
+    child.on('error', (error) => {
+      if (!this.running || this.inotifyProcess !== child) return;
+      console.log(chalk.yellow(`⚠️  inotifyd unavailable (${error.message}), falling back to polling`));
+      this.inotifyProcess = null;
+      this.startPolling();
+    });
+
+    // inotifyd exiting on the device (or adb dropping) ends the stream without an error
+    child.on('close', (code) => {
+      if (!this.running || this.inotifyProcess !== child) return;
+      console.log(chalk.yellow(`⚠️  inotifyd exited (code ${code}), falling back to polling`));
+      this.inotifyProcess = null;
+      this.startPolling();
+    });
+  }
+
+  handleInotifyLine(line) {
+    const [, directory, name] = line.trim().split('\t');
+    if (!directory) return;
+
+    const filePath = name ? path.posix.join(directory, name) : directory;
+    if (this.snapshots.has(filePath)) {
+      this.enqueueCheck(filePath);
+    }
+  }
+
+  /**
+   * Poll on a timer that is only re-armed after a full pass, so passes never overlap
+   */
+  startPolling() {
+    this.mode = 'poll';
+
+    const pass = async () => {
+      for (const filePath of this.filePaths) {
+        await this.enqueueCheck(filePath);
+      }
+      if (this.running) {
+        this.pollTimer = setTimeout(pass, this.interval);
+      }
+    };
+
+    this.pollTimer = setTimeout(pass, this.interval);
+  }
+
+  /**
+   * Serialise checks so bursts of events cannot interleave snapshots
+   */
+  enqueueCheck(filePath) {
+    this.queue = this.queue.then(() => (this.running ? this.checkFile(filePath) : null));
+    return this.queue;
+  }
+
+  async checkFile(filePath) {
+    const previous = this.snapshots.get(filePath) || null;
+    let current;
+    try {
+      current = await this.snapshot(filePath);
+    } catch (error) {
+      // Device unreachable - keep the last snapshot and retry on the next event or pass
+      console.error(chalk.red(`❌ Integrity check failed: ${filePath}`), error.message);
+      return null;
+    }
+
+    const changeType = FileIntegrityWatcher.classify(previous, current);
+    if (!changeType) return null;
+
+    this.snapshots.set(filePath, current);
+
+    const change = {
+      filePath,
+      changeType,
+      previous,
+      current,
+      timestamp: new Date().toISOString()
+    };
+    this.changes.push(change);
+
+    console.log(chalk.red(`⚠️  File integrity violation detected: ${filePath} (${changeType})`));
+    this.emit('change', change);
+    return change;
+  }
+
+  /**
+   * Hash, size, mode and mtime of a device file, or null when it does not exist.
+   * Throws when the device could not be queried at all.
+   */
+  async snapshot(filePath) {
+    const stat = await this.adb.shell(['stat', '-c', '%s %a %Y', filePath]);
+    if (stat.code) throw new Error(stat.error);
+    if (stat.exitCode !== 0) return null;
+
+    const [size, mode, mtime] = stat.output.trim().split(/\s+/);
+    const hash = await this.adb.shell(['sha256sum', filePath]);
+
+    return {
+      sha256: hash.exitCode === 0 ? hash.output.split(/\s+/)[0] : null,
+      size: parseInt(size),
+      mode,
+      mtime: parseInt(mtime)
+    };
+  }
+
+  static classify(previous, current) {
+    if (!previous && !current) return null;
+    if (!previous) return 'created';
+    if (!current) return 'deleted';
+    if (previous.sha256 !== current.sha256 || previous.size !== current.size) return 'content_modified';
+    if (previous.mode !== current.mode || previous.mtime !== current.mtime) return 'metadata_modified';
+    return null;
+  }
+}
+
+module.exports = FileIntegrityWatcher;
@@ -4,15 +4,27 @@
  */
 
 const ADBHelper = require('./adb-helper');
+const ApkArchive = require('./apk-archive');
+const ApkSigner = require('./apk-signer');
+const AppDataAccess = require('./app-data-access');
+const FileIntegrityWatcher = require('./file-integrity-watcher');
+const SharedPreferences = require('./shared-preferences');
+const TamperSession = require('./tamper-session');
 const chalk = require('chalk');
 const crypto = require('crypto');
 const fs = require('fs-extra');
+const initSqlJs = require('sql.js');
 const path = require('path');
 
+// sql.js compiles its WebAssembly module once per process
+let sqlJs = null;
+
 class FileManipulator {
-  constructor(deviceId = null) {
-    this.adb = new ADBHelper(deviceId);
+  constructor(deviceId = null, options = {}) {
+    this.adb = options.adb || new ADBHelper(deviceId, options);
     this.backupDir = path.join(__dirname, '../../tmp/backups');
+    this.journalDir = options.journalDir || path.join(__dirname, '../../tmp/journals');
+    this.signingKey = options.signingKey || null;
     this.checksums = new Map();
     this.monitoredFiles = new Set();
   }
@@ -30,6 +42,12 @@ class FileManipulator {
       // Set up monitoring directories on device
       await this.setupMonitoringDirectories();
       
+      // Undo tampering left behind by a run that crashed mid-session
+      const recovered = await TamperSession.recover(this);
+      if (recovered.some(result => !result.success)) {
+        console.log(chalk.yellow('⚠️  Some files from a previous tamper session could not be restored'));
+      }
+      
       console.log(chalk.green('✅ File manipulation environment initialized'));
       return true;
     } catch (error) {
@@ -152,6 +170,9 @@ class FileManipulator {
         case 'xml':
           modifiedContent = this.modifyXMLFile(originalContent, key, value);
           break;
+        case 'shared_prefs':
+          modifiedContent = SharedPreferences.parse(originalContent).set(key, value).toXML();
+          break;
         default:
           throw new Error(`Unsupported config format: ${configFormat}`);
       }
@@ -186,6 +207,219 @@ class FileManipulator {
     }
   }
 
+  /**
+   * Set an entry in an app's shared_prefs/<prefsName>.xml. Existing entries keep
+   * their XML type; options.type ('boolean', 'int', 'long', 'float', 'string',
+   * 'set') applies to new keys. options.access is 'run-as' (default) or 'root'.
+   */
+  async modifySharedPreference(packageName, prefsName, key, value, options = {}) {
+    const appData = new AppDataAccess(this.adb, packageName, options);
+    const prefsPath = `shared_prefs/${prefsName.replace(/\.xml$/, '')}.xml`;
+    const tempLocalPath = path.join(__dirname, '../../tmp', `prefs_${Date.now()}.xml`);
+
+    try {
+      console.log(chalk.blue(`🔧 Modifying shared preference: ${packageName} ${prefsPath}`));
+      console.log(chalk.gray(`   Setting ${key} = ${value}`));
+
+      await fs.ensureDir(path.dirname(tempLocalPath));
+
+      // A running app would write its in-memory copy back over the change
+      await appData.stopApp();
+      await appData.pull(prefsPath, tempLocalPath);
+
+      const prefs = SharedPreferences.parse(await fs.readFile(tempLocalPath, 'utf8'));
+      const originalValue = prefs.get(key);
+      prefs.set(key, value, options.type);
+
+      await fs.writeFile(tempLocalPath, prefs.toXML());
+      await appData.push(tempLocalPath, prefsPath);
+
+      const filePath = appData.resolve(prefsPath);
+      this.monitoredFiles.add(filePath);
+      console.log(chalk.green(`✅ Shared preference modified: ${key}`));
+
+      return {
+        success: true,
+        filePath,
+        key,
+        type: prefs.getType(key),
+        originalValue,
+        newValue: prefs.get(key)
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to modify shared preference:'), error.message);
+      return { success: false, error: error.message };
+    } finally {
+      await fs.remove(tempLocalPath);
+    }
+  }
+
+  /**
+   * Update rows in an app's SQLite database: the database is pulled, edited
+   * with sql.js and pushed back over the original.
+   *
+   * @param {Object} update - { table, set: { column: value }, where: { column: value } }
+   * @param {Object} options - { access, discardWal: drop an un-checkpointed -wal file }
+   */
+  async modifySQLiteRows(packageName, databaseName, update, options = {}) {
+    const appData = new AppDataAccess(this.adb, packageName, options);
+    const databasePath = databaseName.startsWith('/') ? databaseName : `databases/${databaseName}`;
+    const tempLocalPath = path.join(__dirname, '../../tmp', `db_${Date.now()}.sqlite`);
+
+    try {
+      console.log(chalk.blue(`🔧 Modifying SQLite rows: ${packageName} ${databasePath} (${update.table})`));
+
+      await fs.ensureDir(path.dirname(tempLocalPath));
+      await appData.stopApp();
+
+      // Committed rows may still live only in the write-ahead log, which sql.js cannot read
+      const walSize = await appData.size(`${databasePath}-wal`);
+      if (walSize) {
+        if (!options.discardWal) {
+          throw new Error(`${databasePath}-wal holds ${walSize} bytes not yet checkpointed; pass discardWal to drop them`);
+        }
+        await appData.remove(`${databasePath}-wal`);
+        await appData.remove(`${databasePath}-shm`);
+      }
+
+      await appData.pull(databasePath, tempLocalPath);
+
+      sqlJs = sqlJs || await initSqlJs();
+      const db = new sqlJs.Database(await fs.readFile(tempLocalPath));
+      let originalRows;
+      let rowsModified;
+
+      try {
+        const { select, statement, params, whereParams } = this.buildSQLiteUpdate(update);
+        originalRows = this.queryRows(db, select, whereParams);
+        db.run(statement, params);
+        rowsModified = db.getRowsModified();
+
+        if (rowsModified === 0) {
+          throw new Error(`No rows in ${update.table} matched ${JSON.stringify(update.where)}`);
+        }
+
+        await fs.writeFile(tempLocalPath, Buffer.from(db.export()));
+      } finally {
+        db.close();
+      }
+
+      await appData.push(tempLocalPath, databasePath);
+
+      const filePath = appData.resolve(databasePath);
+      this.monitoredFiles.add(filePath);
+      console.log(chalk.green(`✅ Updated ${rowsModified} row(s) in ${update.table}`));
+
+      return {
+        success: true,
+        filePath,
+        table: update.table,
+        rowsModified,
+        originalRows,
+        newValues: update.set
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to modify SQLite rows:'), error.message);
+      return { success: false, error: error.message };
+    } finally {
+      await fs.remove(tempLocalPath);
+    }
+  }
+
+  /**
+   * Repackage an APK locally and re-sign it with a test key (v1 + v2), the way
+   * an attacker would after patching it. Modifications:
+   *   { type: 'replace_entry', entry, content }       - e.g. a changed resource or asset
+   *   { type: 'append_dex_byte', entry, byte }        - header checksums are recomputed
+   *   { type: 'swap_native_lib', entry, content | localPath }
+   *   { type: 'remove_entry', entry }
+   *
+   * @param {Object} options - { outputPath, signingKey, v2, install, packageName (uninstalled first when installing) }
+   */
+  async repackageAPK(apkPath, modifications, options = {}) {
+    try {
+      console.log(chalk.blue(`📦 Repackaging APK: ${path.basename(apkPath)}`));
+
+      const archive = await ApkArchive.read(apkPath);
+      const applied = [];
+
+      for (const modification of modifications) {
+        applied.push(await this.applyApkModification(archive, modification));
+        console.log(chalk.gray(`   ${modification.type}: ${applied[applied.length - 1].entry}`));
+      }
+
+      this.signingKey = options.signingKey || this.signingKey || ApkSigner.generateTestKey();
+      const signer = new ApkSigner(this.signingKey);
+      const apk = signer.sign(archive, { v2: options.v2 });
+
+      const outputPath = options.outputPath || path.join(__dirname, '../../tmp', `${path.basename(apkPath, '.apk')}-repackaged.apk`);
+      await fs.outputFile(outputPath, apk);
+
+      console.log(chalk.red(`⚠️  Repackaged APK written: ${outputPath}`));
+      console.log(chalk.gray(`   Signer certificate SHA-256: ${signer.getCertificateSha256()}`));
+
+      const result = {
+        success: true,
+        outputPath,
+        modifications: applied,
+        signer: {
+          certificateSha256: signer.getCertificateSha256(),
+          schemes: options.v2 === false ? ['v1'] : ['v1', 'v2']
+        }
+      };
+
+      if (options.install) {
+        // A different signing key cannot update the installed app in place
+        if (options.packageName) {
+          await this.adb.run(['uninstall', options.packageName]);
+        }
+        result.install = await this.adb.installAPK(outputPath, { replace: true, test: true });
+        result.success = result.install.success;
+      }
+
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ APK repackaging failed:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async applyApkModification(archive, modification) {
+    const entry = modification.entry || (modification.type === 'append_dex_byte' ? 'classes.dex' : null);
+    if (!entry) {
+      throw new Error(`APK modification ${modification.type} needs an entry`);
+    }
+
+    const original = archive.get(entry);
+    const digest = data => (data ? crypto.createHash('sha256').update(data).digest('hex') : null);
+    let updated;
+
+    switch (modification.type) {
+      case 'replace_entry':
+        updated = Buffer.from(modification.content);
+        archive.set(entry, updated);
+        break;
+      case 'append_dex_byte':
+        if (!original) throw new Error(`No ${entry} in APK`);
+        updated = this.updateDexHeader(Buffer.concat([original, Buffer.from([modification.byte || 0])]));
+        archive.set(entry, updated);
+        break;
+      case 'swap_native_lib':
+        if (!original) throw new Error(`No native library ${entry} in APK`);
+        updated = modification.localPath ? await fs.readFile(modification.localPath) : Buffer.from(modification.content);
+        archive.set(entry, updated);
+        break;
+      case 'remove_entry':
+        if (!archive.remove(entry)) throw new Error(`No ${entry} in APK`);
+        updated = null;
+        break;
+      default:
+        throw new Error(`Unknown APK modification: ${modification.type}`);
+    }
+
+    return { type: modification.type, entry, originalSha256: digest(original), newSha256: digest(updated) };
+  }
+
   /**
    * Tamper with application files
    */
@@ -200,30 +434,7 @@ class FileManipulator {
         throw new Error('Failed to create backup before tampering');
       }
       
-      let tamperResult;
-      
-      switch (tamperType) {
-        case 'corrupt':
-          tamperResult = await this.corruptFile(filePath, options);
-          break;
-        case 'modify_permissions':
-          tamperResult = await this.modifyFilePermissions(filePath, options.permissions || '777');
-          break;
-        case 'inject_code':
-          tamperResult = await this.injectCode(filePath, options.code || '// Injected code');
-          break;
-        case 'replace_content':
-          tamperResult = await this.replaceFileContent(filePath, options.newContent || 'TAMPERED');
-          break;
-        case 'modify_timestamp':
-          tamperResult = await this.modifyTimestamp(filePath, options.timestamp);
-          break;
-        case 'add_malicious_payload':
-          tamperResult = await this.addMaliciousPayload(filePath, options.payload);
-          break;
-        default:
-          throw new Error(`Unknown tamper type: ${tamperType}`);
-      }
+      const tamperResult = await this.applyTamper(filePath, tamperType, options);
       
       if (tamperResult.success) {
         console.log(chalk.red(`⚠️  File tampered successfully: ${tamperType}`));
@@ -245,59 +456,83 @@ class FileManipulator {
   }
 
   /**
-   * Monitor file integrity
+   * Apply a tamper type without taking a backup (callers own the undo)
+   */
+  async applyTamper(filePath, tamperType, options = {}) {
+    let tamperResult;
+    
+    switch (tamperType) {
+      case 'corrupt':
+        tamperResult = await this.corruptFile(filePath, options);
+        break;
+      case 'modify_permissions':
+        tamperResult = await this.modifyFilePermissions(filePath, options.permissions || '777');
+        break;
+      case 'inject_code':
+        tamperResult = await this.injectCode(filePath, options.code || '// Injected code');
+        break;
+      case 'replace_content':
+        tamperResult = await this.replaceFileContent(filePath, options.newContent || 'TAMPERED');
+        break;
+      case 'modify_timestamp':
+        tamperResult = await this.modifyTimestamp(filePath, options.timestamp);
+        break;
+      case 'add_malicious_payload':
+        tamperResult = await this.addMaliciousPayload(filePath, options.payload);
+        break;
+      default:
+        throw new Error(`Unknown tamper type: ${tamperType}`);
+    }
+    
+    return tamperResult;
+  }
+
+  /**
+   * Open a journaled tamper session. Call rollback() when done; if the run
+   * crashes first, the next initialize() rolls it back.
+   */
+  async startTamperSession(options = {}) {
+    return await new TamperSession(this, options).open();
+  }
+
+  /**
+   * Run fn with a tamper session and restore every touched file afterwards,
+   * even if fn throws
+   */
+  async withTamperSession(fn, options = {}) {
+    const session = await this.startTamperSession(options);
+    try {
+      return await fn(session);
+    } finally {
+      await session.rollback();
+    }
+  }
+
+  /**
+   * Start a long-running integrity watcher. Listen for 'change' events and
+   * call stop() when done.
    */
-  async monitorFileIntegrity(filePaths, duration = 30000) {
+  async watchFileIntegrity(filePaths, options = {}) {
+    const watcher = new FileIntegrityWatcher(this.adb, filePaths, options);
+    watcher.on('change', change => this.monitoredFiles.add(change.filePath));
+    filePaths.forEach(filePath => this.monitoredFiles.add(filePath));
+    return await watcher.start();
+  }
+
+  /**
+   * Monitor file integrity for a fixed duration and return every change seen
+   */
+  async monitorFileIntegrity(filePaths, duration = 30000, options = {}) {
     try {
       console.log(chalk.blue(`🔍 Starting file integrity monitoring for ${duration}ms...`));
       
-      const initialChecksums = new Map();
-      
-      // Calculate initial checksums
-      for (const filePath of filePaths) {
-        const checksum = await this.calculateRemoteFileChecksum(filePath);
-        if (checksum) {
-          initialChecksums.set(filePath, checksum);
-          this.monitoredFiles.add(filePath);
-        }
-      }
-      
-      console.log(chalk.green(`✅ Monitoring ${initialChecksums.size} files for changes...`));
-      
-      // Monitor for changes
-      const changes = [];
-      const monitorInterval = setInterval(async () => {
-        for (const [filePath, originalChecksum] of initialChecksums) {
-          const currentChecksum = await this.calculateRemoteFileChecksum(filePath);
-          
-          if (currentChecksum && currentChecksum !== originalChecksum) {
-            changes.push({
-              filePath: filePath,
-              originalChecksum: originalChecksum,
-              currentChecksum: currentChecksum,
-              timestamp: new Date().toISOString(),
-              changeType: 'content_modified'
-            });
-            
-            console.log(chalk.red(`⚠️  File integrity violation detected: ${filePath}`));
-            
-            // Update the checksum to avoid duplicate notifications
-            initialChecksums.set(filePath, currentChecksum);
-          }
-        }
-      }, 5000); // Check every 5 seconds
-      
-      // Stop monitoring after duration
-      setTimeout(() => {
-        clearInterval(monitorInterval);
-        console.log(chalk.green(`✅ File integrity monitoring completed`));
-        console.log(chalk.yellow(`   Changes detected: ${changes.length}`));
-      }, duration);
+      const watcher = await this.watchFileIntegrity(filePaths, options);
+      await new Promise(resolve => setTimeout(resolve, duration));
+      const summary = await watcher.stop();
       
       return {
         success: true,
-        monitoredFiles: Array.from(initialChecksums.keys()),
-        changes: changes
+        ...summary
       };
     } catch (error) {
       console.error(chalk.red('❌ File integrity monitoring failed:'), error.message);
@@ -342,7 +577,7 @@ class FileManipulator {
         
         if (result.success) {
           // Set appropriate permissions
-          await this.adb.executeShellCommand(`chmod 644 ${testFile.path}`);
+          await this.adb.shell(['chmod', '644', testFile.path]);
           createdFiles.push(testFile.path);
           
           console.log(chalk.green(`✅ Test file created: ${testFile.path}`));
@@ -403,7 +638,7 @@ class FileManipulator {
     const monitorDirs = ['/data/local/tmp', '/sdcard/test'];
     
     for (const dir of monitorDirs) {
-      await this.adb.executeShellCommand(`mkdir -p ${dir}`);
+      await this.adb.shell(['mkdir', '-p', dir]);
     }
   }
 
@@ -475,6 +710,8 @@ class FileManipulator {
         } catch (error) {
           return null;
         }
+      case 'shared_prefs':
+        return SharedPreferences.parse(content).get(key);
       default:
         return null;
     }
@@ -484,9 +721,77 @@ class FileManipulator {
     return path.split('.').reduce((current, key) => current && current[key], obj);
   }
 
+  /**
+   * Parameterised UPDATE (and matching SELECT) for modifySQLiteRows. Only
+   * identifiers are spliced into the SQL, and they are quoted.
+   */
+  buildSQLiteUpdate({ table, set, where }) {
+    if (!table || !set || Object.keys(set).length === 0) {
+      throw new Error('SQLite update needs a table and at least one column to set');
+    }
+    if (!where) {
+      throw new Error('SQLite update needs a where clause (use {} to update every row)');
+    }
+
+    const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+    const toSQLite = value => (typeof value === 'boolean' ? (value ? 1 : 0) : value);
+
+    const assignments = Object.keys(set).map(column => `${quote(column)} = ?`);
+    const conditions = Object.entries(where).map(([column, value]) =>
+      value === null ? `${quote(column)} IS NULL` : `${quote(column)} = ?`
+    );
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const whereParams = Object.values(where).filter(value => value !== null).map(toSQLite);
+
+    return {
+      select: `SELECT * FROM ${quote(table)}${whereClause}`,
+      statement: `UPDATE ${quote(table)} SET ${assignments.join(', ')}${whereClause}`,
+      params: [...Object.values(set).map(toSQLite), ...whereParams],
+      whereParams
+    };
+  }
+
+  /**
+   * Recompute a dex header's file_size, SHA-1 signature and Adler-32 checksum
+   * so the modified dex still passes the runtime's structural checks
+   */
+  updateDexHeader(dex) {
+    if (dex.toString('latin1', 0, 4) !== 'dex\n') {
+      throw new Error('Not a dex file');
+    }
+
+    dex.writeUInt32LE(dex.length, 32);
+    crypto.createHash('sha1').update(dex.subarray(32)).digest().copy(dex, 12);
+
+    let a = 1;
+    let b = 0;
+    for (let i = 12; i < dex.length; i++) {
+      a = (a + dex[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    dex.writeUInt32LE(((b << 16) | a) >>> 0, 8);
+
+    return dex;
+  }
+
+  queryRows(db, sql, params) {
+    const [result] = db.exec(sql, params);
+    if (!result) return [];
+    return result.values.map(row => Object.fromEntries(result.columns.map((column, i) => [column, row[i]])));
+  }
+
+  /**
+   * Write a line to a device file. Content and path travel as positional
+   * parameters of a fixed script, so neither is interpreted by the shell.
+   */
+  async writeRemoteFile(filePath, content, options = {}) {
+    const redirect = options.append ? '>>' : '>';
+    return await this.adb.shell(['sh', '-c', `printf '%s\\n' "$1" ${redirect} "$2"`, 'sh', content, filePath]);
+  }
+
   async calculateRemoteFileChecksum(filePath) {
     try {
-      const result = await this.adb.executeShellCommand(`sha256sum ${filePath}`);
+      const result = await this.adb.shell(['sha256sum', filePath]);
       if (result.success) {
         const checksum = result.output.split(' ')[0];
         return checksum;
@@ -501,7 +806,7 @@ class FileManipulator {
     try {
       // Simple corruption: add random bytes
       const corruption = options.corruption || 'CORRUPTED_DATA_INJECTION';
-      const result = await this.adb.executeShellCommand(`echo "${corruption}" >> ${filePath}`);
+      const result = await this.writeRemoteFile(filePath, corruption, { append: true });
       
       return {
         success: result.success,
@@ -514,7 +819,7 @@ class FileManipulator {
 
   async modifyFilePermissions(filePath, permissions) {
     try {
-      const result = await this.adb.executeShellCommand(`chmod ${permissions} ${filePath}`);
+      const result = await this.adb.shell(['chmod', permissions, filePath]);
       
       return {
         success: result.success,
@@ -527,7 +832,7 @@ class FileManipulator {
 
   async injectCode(filePath, code) {
     try {
-      const result = await this.adb.executeShellCommand(`echo "${code}" >> ${filePath}`);
+      const result = await this.writeRemoteFile(filePath, code, { append: true });
       
       return {
         success: result.success,
@@ -540,7 +845,7 @@ class FileManipulator {
 
   async replaceFileContent(filePath, newContent) {
     try {
-      const result = await this.adb.executeShellCommand(`echo "${newContent}" > ${filePath}`);
+      const result = await this.writeRemoteFile(filePath, newContent);
       
       return {
         success: result.success,
@@ -554,7 +859,7 @@ class FileManipulator {
   async modifyTimestamp(filePath, timestamp) {
     try {
       const touchTime = timestamp || '202301010000'; // Format: YYYYMMDDhhmm
-      const result = await this.adb.executeShellCommand(`touch -t ${touchTime} ${filePath}`);
+      const result = await this.adb.shell(['touch', '-t', touchTime, filePath]);
       
       return {
         success: result.success,
@@ -568,7 +873,7 @@ class FileManipulator {
   async addMaliciousPayload(filePath, payload) {
     try {
       const maliciousCode = payload || 'eval(base64_decode("bWFsaWNpb3VzX2NvZGU="))'; // "malicious_code" in base64
-      const result = await this.adb.executeShellCommand(`echo "${maliciousCode}" >> ${filePath}`);
+      const result = await this.writeRemoteFile(filePath, maliciousCode, { append: true });
       
       return {
         success: result.success,
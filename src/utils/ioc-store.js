@@ -0,0 +1,551 @@
+/**
+ * IOC Store Utility
+ * Local store of threat-intelligence indicators imported from JSON, CSV or
+ * STIX 2.1 feeds, with provenance and expiry, matched against what was
+ * observed on the device
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { threatIntelligence } = require('../config/security-config');
+
+const STORE_VERSION = 1;
+
+const TYPES = ['package', 'signer', 'file_hash', 'domain', 'url'];
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Column and feed spellings of each indicator type
+const TYPE_ALIASES = {
+  package: 'package', package_name: 'package', app: 'package',
+  signer: 'signer', certificate: 'signer', signer_sha256: 'signer', cert_sha256: 'signer',
+  file_hash: 'file_hash', hash: 'file_hash', sha256: 'file_hash', sha1: 'file_hash', md5: 'file_hash',
+  domain: 'domain', hostname: 'domain', 'domain-name': 'domain',
+  url: 'url', uri: 'url'
+};
+
+// STIX 2.1 object paths that map onto an indicator type
+const STIX_PATHS = [
+  { pattern: /^domain-name:value$/, type: 'domain' },
+  { pattern: /^url:value$/, type: 'url' },
+  { pattern: /^file:hashes\.'?(SHA-256|SHA-1|MD5)'?$/i, type: 'file_hash' },
+  { pattern: /^x509-certificate:hashes\.'?(SHA-256|SHA-1)'?$/i, type: 'signer' },
+  { pattern: /^software:name$/, type: 'package' }
+];
+
+const STIX_COMPARISON = /([a-z0-9-]+:[A-Za-z0-9_.'-]+)\s*=\s*'((?:[^'\\]|\\.)*)'/g;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class IocStore {
+  /**
+   * @param {Object} options - { storePath, defaultTtlDays, failSeverities, seed (add
+   *   threatIntelligence.knownThreats, default true) } overriding threatIntelligence.ioc_store
+   */
+  constructor(options = {}) {
+    const config = threatIntelligence.ioc_store;
+    this.storePath = options.storePath || process.env.IOC_STORE || config.path;
+    this.defaultTtlDays = options.defaultTtlDays ?? config.default_ttl_days;
+    this.failSeverities = options.failSeverities || config.fail_severities;
+    this.indicators = new Map();
+    this.index = new Map();
+    this.sources = {};
+
+    if (options.seed !== false) {
+      IocStore.fromKnownThreats(threatIntelligence.knownThreats).forEach(indicator => this.add(indicator));
+    }
+  }
+
+  /**
+   * Store loaded from disk (empty apart from the seed when nothing was saved yet)
+   */
+  static async open(options = {}) {
+    const store = new IocStore(options);
+    await store.load();
+    return store;
+  }
+
+  /**
+   * Indicators for the hardcoded knownThreats lists; they never expire
+   */
+  static fromKnownThreats(knownThreats) {
+    const provenance = { source: 'config', feed: 'security-config.js', format: 'config', importedAt: null, expiresAt: null };
+    const entries = [
+      ...knownThreats.malicious_packages.map(value => ({ type: 'package', value })),
+      ...knownThreats.malicious_signatures.map(value => ({ type: 'signer', value })),
+      ...knownThreats.malicious_domains.map(value => ({ type: 'domain', value }))
+    ];
+    return entries.map(entry => IocStore.createIndicator({ ...entry, severity: 'critical', description: 'Listed in threatIntelligence.knownThreats' }, provenance));
+  }
+
+  /**
+   * Canonical value for matching: lowercase hex digests without separators,
+   * lowercase hostnames without scheme, path or trailing dot, and URLs with a
+   * lowercase scheme and host, no default port and no fragment
+   */
+  static normalize(type, value) {
+    const text = String(value).trim();
+
+    switch (type) {
+      case 'package':
+        return text;
+      case 'signer':
+      case 'file_hash': {
+        const digest = text.replace(/[:\s]/g, '').toLowerCase();
+        if (!/^[0-9a-f]+$/.test(digest)) {
+          throw new Error(`Not a hex digest: ${value}`);
+        }
+        return digest;
+      }
+      case 'domain': {
+        const host = text.toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/[/?#].*$/, '').replace(/:\d+$/, '').replace(/\.$/, '');
+        if (!host) {
+          throw new Error(`Not a domain: ${value}`);
+        }
+        return host;
+      }
+      case 'url': {
+        let url;
+        try {
+          url = new URL(text);
+        } catch (error) {
+          throw new Error(`Not a URL: ${value}`);
+        }
+        if (!url.hostname) {
+          throw new Error(`Not a URL: ${value}`);
+        }
+        return `${url.protocol}//${url.host}${url.pathname}${url.search}`;
+      }
+      default:
+        throw new Error(`Unknown indicator type: ${type}`);
+    }
+  }
+
+  static hashAlgorithm(digest) {
+    return { 32: 'md5', 40: 'sha1', 64: 'sha256' }[digest.length] || 'unknown';
+  }
+
+  static createIndicator(entry, provenance) {
+    const type = TYPE_ALIASES[String(entry.type).trim().toLowerCase()];
+    if (!type) {
+      throw new Error(`Unknown indicator type: ${entry.type}`);
+    }
+
+    const value = IocStore.normalize(type, entry.value);
+    const severity = String(entry.severity || 'high').toLowerCase();
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown severity: ${entry.severity}`);
+    }
+
+    const indicator = {
+      id: crypto.createHash('sha1').update(`${provenance.source}|${type}|${value}`).digest('hex').slice(0, 16),
+      type,
+      value,
+      severity,
+      description: entry.description || null,
+      reference: entry.reference || null,
+      source: provenance.source,
+      feed: provenance.feed,
+      format: provenance.format,
+      importedAt: provenance.importedAt,
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : provenance.expiresAt
+    };
+    if (type === 'file_hash' || type === 'signer') {
+      indicator.algorithm = IocStore.hashAlgorithm(value);
+    }
+    return indicator;
+  }
+
+  static isActive(indicator, now = new Date()) {
+    return !indicator.expiresAt || new Date(indicator.expiresAt) > now;
+  }
+
+  /**
+   * Add or replace an indicator (same source, type and value)
+   */
+  add(indicator) {
+    this.remove(indicator.id);
+    this.indicators.set(indicator.id, indicator);
+
+    const key = `${indicator.type}:${indicator.value}`;
+    if (!this.index.has(key)) this.index.set(key, []);
+    this.index.get(key).push(indicator);
+  }
+
+  remove(id) {
+    const indicator = this.indicators.get(id);
+    if (!indicator) return;
+
+    this.indicators.delete(id);
+    const key = `${indicator.type}:${indicator.value}`;
+    const remaining = this.index.get(key).filter(entry => entry.id !== id);
+    if (remaining.length > 0) {
+      this.index.set(key, remaining);
+    } else {
+      this.index.delete(key);
+    }
+  }
+
+  removeSource(source) {
+    [...this.indicators.values()].filter(indicator => indicator.source === source).forEach(indicator => this.remove(indicator.id));
+    delete this.sources[source];
+  }
+
+  /**
+   * Import a feed file. A feed is a snapshot of its source: indicators the
+   * source published earlier but no longer lists are dropped.
+   * @param {Object} options - { source (default: the feed's own name or file name), format
+   *   ('json', 'csv' or 'stix'; default from the file), ttlDays, severity (default for entries without one) }
+   */
+  async importFeed(feedPath, options = {}) {
+    try {
+      const content = await fs.readFile(feedPath);
+      const text = content.toString('utf8');
+      const format = options.format || IocStore.detectFormat(feedPath, text);
+      const parsed = format === 'csv' ? IocStore.parseCsvFeed(text)
+        : format === 'stix' ? IocStore.parseStixBundle(JSON.parse(text))
+          : format === 'json' ? IocStore.parseJsonFeed(JSON.parse(text))
+            : null;
+      if (!parsed) {
+        throw new Error(`Unknown feed format: ${format}`);
+      }
+
+      const now = new Date();
+      const ttlDays = options.ttlDays ?? this.defaultTtlDays;
+      const provenance = {
+        source: options.source || parsed.source || path.basename(feedPath, path.extname(feedPath)),
+        feed: path.basename(feedPath),
+        format,
+        importedAt: now.toISOString(),
+        expiresAt: ttlDays ? new Date(now.getTime() + ttlDays * DAY_MS).toISOString() : null
+      };
+
+      const result = { success: true, source: provenance.source, format, imported: 0, expired: 0, apkOnlyHashes: 0, skipped: [...parsed.skipped] };
+      const indicators = [];
+      for (const entry of parsed.entries) {
+        try {
+          const indicator = IocStore.createIndicator({ ...entry, severity: entry.severity || options.severity }, provenance);
+          if (IocStore.isActive(indicator, now)) {
+            indicators.push(indicator);
+          } else {
+            result.expired++;
+          }
+        } catch (error) {
+          result.skipped.push({ entry: entry.reference || entry.value, reason: error.message });
+        }
+      }
+
+      this.removeSource(provenance.source);
+      indicators.forEach(indicator => this.add(indicator));
+      result.imported = indicators.length;
+      // Files on the device are hashed there with sha256sum; only pulled APKs also get MD5 and SHA-1
+      result.apkOnlyHashes = indicators.filter(indicator => indicator.type === 'file_hash' && indicator.algorithm !== 'sha256').length;
+      this.sources[provenance.source] = {
+        feed: provenance.feed,
+        format,
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        importedAt: provenance.importedAt,
+        indicators: indicators.length
+      };
+
+      console.log(chalk.green(`✅ Imported ${result.imported} indicators from ${provenance.feed} (${provenance.source}): ` +
+        `${result.expired} expired, ${result.skipped.length} skipped`));
+      if (result.apkOnlyHashes > 0) {
+        console.log(chalk.yellow(`⚠️  ${result.apkOnlyHashes} MD5/SHA-1 file hashes can only match pulled APKs, not other device files`));
+      }
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ Feed import failed:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static detectFormat(feedPath, text) {
+    if (path.extname(feedPath).toLowerCase() === '.csv') return 'csv';
+
+    const data = JSON.parse(text);
+    return data && data.type === 'bundle' ? 'stix' : 'json';
+  }
+
+  /**
+   * `[{ type, value, ... }]` or `{ source, indicators: [...] }`
+   */
+  static parseJsonFeed(data) {
+    const list = Array.isArray(data) ? data : data.indicators;
+    if (!Array.isArray(list)) {
+      throw new Error('JSON feed must be an array or have an indicators array');
+    }
+
+    return {
+      source: Array.isArray(data) ? null : data.source || null,
+      entries: list.map(entry => ({
+        type: entry.type,
+        value: entry.value,
+        severity: entry.severity,
+        description: entry.description,
+        reference: entry.reference || entry.id,
+        expiresAt: entry.expires_at || entry.expiresAt
+      })),
+      skipped: []
+    };
+  }
+
+  /**
+   * Header row with type and value (or indicator) columns; severity,
+   * description, reference and expires_at are optional
+   */
+  static parseCsvFeed(text) {
+    const [header, ...rows] = IocStore.parseCsv(text);
+    if (!header) return { source: null, entries: [], skipped: [] };
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const valueColumn = columns.includes('value') ? 'value' : 'indicator';
+    if (!columns.includes('type') || !columns.includes(valueColumn)) {
+      throw new Error('CSV feed needs type and value columns');
+    }
+
+    const entries = rows
+      .map(row => Object.fromEntries(columns.map((name, index) => [name, (row[index] || '').trim()])))
+      .filter(row => row[valueColumn])
+      .map(row => ({
+        type: row.type,
+        value: row[valueColumn],
+        severity: row.severity || undefined,
+        description: row.description || undefined,
+        reference: row.reference || undefined,
+        expiresAt: row.expires_at || undefined
+      }));
+
+    return { source: null, entries, skipped: [] };
+  }
+
+  /**
+   * RFC 4180 rows: quoted fields may hold commas, newlines and doubled quotes
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+  }
+
+  /**
+   * STIX 2.1 bundle: every `indicator` with a stix pattern. Comparisons joined
+   * by OR become separate indicators; AND patterns describe a combination that
+   * single observations cannot match, so they are skipped.
+   */
+  static parseStixBundle(bundle) {
+    const objects = bundle.objects || [];
+    const identities = Object.fromEntries(objects.filter(object => object.type === 'identity').map(object => [object.id, object.name]));
+    const entries = [];
+    const skipped = [];
+    const creators = new Set();
+
+    for (const object of objects.filter(candidate => candidate.type === 'indicator')) {
+      if (object.revoked) {
+        skipped.push({ entry: object.id, reason: 'Revoked' });
+        continue;
+      }
+      if (object.pattern_type && object.pattern_type !== 'stix') {
+        skipped.push({ entry: object.id, reason: `Unsupported pattern type: ${object.pattern_type}` });
+        continue;
+      }
+      if (/\bAND\b|\bFOLLOWEDBY\b/.test(object.pattern)) {
+        skipped.push({ entry: object.id, reason: 'Compound pattern' });
+        continue;
+      }
+
+      const comparisons = [...object.pattern.matchAll(STIX_COMPARISON)];
+      const mapped = comparisons
+        .map(([, objectPath, value]) => ({ mapping: STIX_PATHS.find(candidate => candidate.pattern.test(objectPath)), value: value.replace(/\\(.)/g, '$1') }))
+        .filter(comparison => comparison.mapping);
+      if (mapped.length === 0) {
+        skipped.push({ entry: object.id, reason: `No supported comparison in pattern: ${object.pattern}` });
+        continue;
+      }
+
+      if (object.created_by_ref && identities[object.created_by_ref]) {
+        creators.add(identities[object.created_by_ref]);
+      }
+      mapped.forEach(({ mapping, value }) => entries.push({
+        type: mapping.type,
+        value,
+        severity: object.x_severity,
+        description: object.description || object.name,
+        reference: object.id,
+        expiresAt: object.valid_until
+      }));
+    }
+
+    return { source: creators.size === 1 ? [...creators][0] : null, entries, skipped };
+  }
+
+  /**
+   * Active indicators for an observed value; domains also match indicators for
+   * any parent domain. URLs only match the same URL, never the rest of its host.
+   */
+  lookup(type, value, now = new Date()) {
+    let normalized;
+    try {
+      normalized = IocStore.normalize(type, value);
+    } catch (error) {
+      return [];
+    }
+
+    const candidates = [normalized];
+    if (type === 'domain') {
+      const labels = normalized.split('.');
+      for (let i = 1; i < labels.length - 1; i++) {
+        candidates.push(labels.slice(i).join('.'));
+      }
+    }
+
+    return candidates.flatMap(candidate => this.index.get(`${type}:${candidate}`) || [])
+      .filter(indicator => IocStore.isActive(indicator, now));
+  }
+
+  /**
+   * Match device observables against the store. Each finding cites the
+   * indicator and where it came from.
+   * @param {Object} observables - { packages: [name], signers: [{ packageName, sha256, sha1 }],
+   *   files: [{ path, sha256, sha1, md5 }], domains: [host], urls: [requested URL] }
+   */
+  match(observables, options = {}) {
+    const now = options.now || new Date();
+    const findings = [];
+
+    const check = (type, value, context) => {
+      for (const indicator of this.lookup(type, value, now)) {
+        findings.push({
+          check: 'ioc_match',
+          type,
+          severity: indicator.severity,
+          observed: value,
+          context,
+          message: `${context} matches ${indicator.source} indicator ${indicator.value}${indicator.description ? ` (${indicator.description})` : ''}`,
+          indicator: {
+            id: indicator.id,
+            type: indicator.type,
+            value: indicator.value,
+            source: indicator.source,
+            feed: indicator.feed,
+            reference: indicator.reference,
+            importedAt: indicator.importedAt,
+            expiresAt: indicator.expiresAt
+          }
+        });
+      }
+    };
+
+    const packages = observables.packages || [];
+    const signers = observables.signers || [];
+    const files = observables.files || [];
+    const domains = [...new Set(observables.domains || [])];
+    const urls = [...new Set(observables.urls || [])];
+
+    packages.forEach(packageName => check('package', packageName, `Installed package ${packageName}`));
+    signers.forEach(signer => [signer.sha256, signer.sha1].filter(Boolean)
+      .forEach(digest => check('signer', digest, `Signer of ${signer.packageName}`)));
+    files.forEach(file => [file.sha256, file.sha1, file.md5].filter(Boolean)
+      .forEach(digest => check('file_hash', digest, `File ${file.path}`)));
+    domains.forEach(domain => check('domain', domain, `Domain ${domain}`));
+    urls.forEach(url => check('url', url, `Request ${url}`));
+
+    const worst = findings.reduce((max, finding) => Math.max(max, SEVERITIES.indexOf(finding.severity)), -1);
+    return {
+      passed: !findings.some(finding => this.failSeverities.includes(finding.severity)),
+      risk: worst >= 0 ? SEVERITIES[worst] : 'low',
+      findings,
+      checked: { packages: packages.length, signers: signers.length, files: files.length, domains: domains.length, urls: urls.length },
+      indicators: this.activeCount(now),
+      timestamp: now.toISOString()
+    };
+  }
+
+  activeCount(now = new Date()) {
+    return [...this.indicators.values()].filter(indicator => IocStore.isActive(indicator, now)).length;
+  }
+
+  /**
+   * Drop expired indicators; returns how many were removed
+   */
+  purgeExpired(now = new Date()) {
+    const expired = [...this.indicators.values()].filter(indicator => !IocStore.isActive(indicator, now));
+    expired.forEach(indicator => this.remove(indicator.id));
+    return expired.length;
+  }
+
+  async load() {
+    if (!await fs.pathExists(this.storePath)) return this;
+
+    const data = await fs.readJson(this.storePath);
+    if (data.version !== STORE_VERSION) {
+      throw new Error(`Unsupported IOC store version: ${data.version}`);
+    }
+
+    data.indicators.forEach(indicator => this.add(indicator));
+    this.sources = { ...this.sources, ...data.sources };
+    return this;
+  }
+
+  /**
+   * Persist imported indicators; the config seed is rebuilt on every open
+   */
+  async save() {
+    const indicators = [...this.indicators.values()].filter(indicator => indicator.source !== 'config');
+    await fs.outputJson(this.storePath, {
+      version: STORE_VERSION,
+      updatedAt: new Date().toISOString(),
+      sources: this.sources,
+      indicators
+    }, { spaces: 2 });
+    return this.storePath;
+  }
+
+  logResults(result) {
+    const color = result.passed ? chalk.green : chalk.red;
+    console.log(color(`${result.passed ? '✅' : '⚠️ '} IOC scan: ${result.findings.length} matches against ${result.indicators} indicators ` +
+      `(${result.checked.packages} packages, ${result.checked.signers} signers, ${result.checked.files} files, ` +
+      `${result.checked.domains} domains, ${result.checked.urls} URLs)`));
+    result.findings.forEach(finding => console.log(chalk.red(`   [${finding.severity}] ${finding.message}`)));
+  }
+}
+
+IocStore.TYPES = TYPES;
+
+module.exports = IocStore;
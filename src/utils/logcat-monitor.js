@@ -0,0 +1,254 @@
+/**
+ * Logcat Monitor Utility
+ * Long-lived logcat stream with structured parsing and live subscriptions
+ */
+
+const { EventEmitter } = require('events');
+const chalk = require('chalk');
+
+// threadtime with the year, UTC and uid modifiers:
+//   2026-10-18 12:00:01.250 10120  4321  4350 W RootDetection: su binary found
+// The year and uid columns are optional so plain `-v threadtime` lines parse too.
+const LINE_PATTERN = /^(?:(\d{4})-)?(\d\d-\d\d) (\d\d:\d\d:\d\d\.\d+)\s+(?:(\S+)\s+)?(\d+)\s+(\d+) ([VDIWEFA]) (.*?)\s*: (.*)$/;
+
+// Priority order; a subscription level matches that level and above
+const LEVELS = ['V', 'D', 'I', 'W', 'E', 'F', 'A'];
+
+const NAMED_UIDS = {
+  root: 0,
+  system: 1000,
+  radio: 1001,
+  shell: 2000
+};
+
+class LogcatMonitor extends EventEmitter {
+  /**
+   * @param {ADBHelper} adb - Helper whose transport runs logcat
+   * @param {Object} options - { clear: run `logcat -c` first, tail: only the last N backlog lines }
+   */
+  constructor(adb, options = {}) {
+    super();
+    this.adb = adb;
+    this.clear = options.clear || false;
+    this.tail = options.tail || null;
+    this.process = null;
+    this.buffer = '';
+    this.subscriptions = new Set();
+    this.entryCount = 0;
+  }
+
+  /**
+   * Logcat arguments; also the fixture key for recorded streams
+   */
+  getArgs() {
+    const args = ['logcat', '-v', 'threadtime', '-v', 'year', '-v', 'UTC', '-v', 'uid'];
+    if (this.tail) args.push('-T', String(this.tail));
+    return args;
+  }
+
+  /**
+   * Start streaming. Resolves once the logcat process has been spawned.
+   */
+  async start() {
+    if (this.process) return this;
+
+    if (this.clear) {
+      await this.adb.run(['logcat', '-c']);
+    }
+
+    console.log(chalk.blue('📊 Starting logcat stream...'));
+
+    this.process = this.adb.transport.spawn(this.getArgs());
+
+    this.process.stdout.on('data', (data) => this.handleChunk(data.toString()));
+    this.process.stderr.on('data', (data) => {
+      console.error(chalk.red('Logcat error:'), data.toString());
+    });
+    this.process.on('error', (error) => {
+      console.error(chalk.red('❌ Logcat stream failed:'), error.message);
+      this.cancelSubscriptions(error);
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+    this.process.on('close', (code) => {
+      this.flush();
+      this.process = null;
+      this.cancelSubscriptions(new Error('Logcat stream closed'));
+      this.emit('close', code);
+    });
+
+    return this;
+  }
+
+  /**
+   * Stop streaming and drop all subscriptions; pending waitFor() calls reject
+   */
+  stop() {
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+    this.cancelSubscriptions(new Error('Logcat monitor stopped'));
+    console.log(chalk.green(`✅ Logcat stream stopped. Parsed ${this.entryCount} entries`));
+  }
+
+  cancelSubscriptions(error) {
+    for (const subscription of this.subscriptions) {
+      if (subscription.cancel) subscription.cancel(error);
+    }
+    this.subscriptions.clear();
+  }
+
+  handleChunk(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    lines.forEach(line => this.handleLine(line));
+  }
+
+  flush() {
+    if (this.buffer) {
+      this.handleLine(this.buffer);
+      this.buffer = '';
+    }
+  }
+
+  handleLine(line) {
+    const entry = LogcatMonitor.parseLine(line);
+    if (!entry) return;
+
+    this.entryCount++;
+    this.emit('entry', entry);
+
+    for (const subscription of [...this.subscriptions]) {
+      if (LogcatMonitor.matches(entry, subscription.filter)) {
+        subscription.listener(entry);
+      }
+    }
+  }
+
+  /**
+   * Parse one logcat line. Returns null for separators ("--------- beginning of main")
+   * and anything else that is not a log entry.
+   */
+  static parseLine(line) {
+    const match = line.replace(/\r$/, '').match(LINE_PATTERN);
+    if (!match) return null;
+
+    const [, year, date, time, uid, pid, tid, level, tag, message] = match;
+
+    return {
+      timestamp: `${year ? `${year}-` : ''}${date} ${time}`,
+      deviceTime: year ? new Date(`${year}-${date}T${time}Z`).toISOString() : null,
+      uid: uid !== undefined ? LogcatMonitor.parseUid(uid) : null,
+      pid: parseInt(pid),
+      tid: parseInt(tid),
+      level,
+      tag,
+      message
+    };
+  }
+
+  /**
+   * Numeric uid from logcat's uid column, which prints either the number or
+   * a name such as "u0_a120" or "system"
+   */
+  static parseUid(value) {
+    if (/^\d+$/.test(value)) return parseInt(value);
+    if (value in NAMED_UIDS) return NAMED_UIDS[value];
+
+    const appUid = value.match(/^u(\d+)_a(\d+)$/);
+    if (appUid) return parseInt(appUid[1]) * 100000 + 10000 + parseInt(appUid[2]);
+
+    return null;
+  }
+
+  /**
+   * Filter fields (all optional, all must match):
+   *   tag - string or RegExp, level - minimum level letter, uid, pid,
+   *   message - RegExp or pattern string
+   */
+  static matches(entry, filter = {}) {
+    if (filter.tag !== undefined) {
+      const tagMatches = filter.tag instanceof RegExp ? filter.tag.test(entry.tag) : entry.tag === filter.tag;
+      if (!tagMatches) return false;
+    }
+
+    if (filter.level && LEVELS.indexOf(entry.level) < LEVELS.indexOf(filter.level)) return false;
+    if (filter.uid !== undefined && entry.uid !== filter.uid) return false;
+    if (filter.pid !== undefined && entry.pid !== filter.pid) return false;
+
+    if (filter.message !== undefined) {
+      const pattern = filter.message instanceof RegExp ? filter.message : new RegExp(filter.message);
+      if (!pattern.test(entry.message)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve a package filter to the app's uid
+   */
+  async resolveFilter(filter) {
+    if (!filter.package) return filter;
+
+    const { package: packageName, ...rest } = filter;
+    const uid = await this.resolvePackageUid(packageName);
+    if (uid === null) {
+      throw new Error(`Could not resolve uid for package: ${packageName}`);
+    }
+    return { ...rest, uid };
+  }
+
+  async resolvePackageUid(packageName) {
+    const result = await this.adb.shell(['pm', 'list', 'packages', '-U', packageName]);
+    if (!result.success) return null;
+
+    const line = result.output.split('\n').find(entry => entry.startsWith(`package:${packageName} `));
+    const match = line && line.match(/uid:(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Call listener for every matching entry as it arrives. Accepts a
+   * `package` filter, resolved to its uid. Resolves with an unsubscribe function.
+   */
+  async subscribe(filter, listener) {
+    const subscription = { filter: await this.resolveFilter(filter), listener };
+    this.subscriptions.add(subscription);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  /**
+   * Wait for the first matching entry, rejecting after `timeout` ms
+   */
+  async waitFor(filter, options = {}) {
+    const timeout = options.timeout || 30000;
+    const resolved = await this.resolveFilter(filter);
+
+    return new Promise((resolve, reject) => {
+      const subscription = {
+        filter: resolved,
+        listener: (entry) => {
+          clearTimeout(timer);
+          this.subscriptions.delete(subscription);
+          resolve(entry);
+        },
+        cancel: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        this.subscriptions.delete(subscription);
+        reject(new Error(`No logcat entry matched within ${timeout}ms`));
+      }, timeout);
+
+      this.subscriptions.add(subscription);
+    });
+  }
+}
+
+module.exports = LogcatMonitor;
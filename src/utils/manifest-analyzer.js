@@ -0,0 +1,204 @@
+/**
+ * Manifest Analyzer Utility
+ * Static AndroidManifest.xml checks that run straight against an APK file,
+ * without a device
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const ApkArchive = require('./apk-archive');
+const AxmlParser = require('./axml-parser');
+const { securityTestConfig } = require('../config/security-config');
+
+const COMPONENT_TYPES = ['activity', 'activity-alias', 'service', 'receiver', 'provider'];
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+// Cleartext traffic is allowed by default below Android 9 (API 28)
+const CLEARTEXT_DEFAULT_OFF_SDK = 28;
+
+// Providers are exported by default below Android 4.2 (API 17)
+const PROVIDER_EXPORT_DEFAULT_OFF_SDK = 17;
+
+const attribute = AxmlParser.getAttribute;
+
+class ManifestAnalyzer {
+  /**
+   * @param {Object} manifest - Root <manifest> element from AxmlParser
+   * @param {Object} options - { minSdkVersion, failSeverities } overriding securityTestConfig.manifest
+   */
+  constructor(manifest, options = {}) {
+    if (!manifest || manifest.name !== 'manifest') {
+      throw new Error('Not an AndroidManifest.xml: missing <manifest> root');
+    }
+
+    this.manifest = manifest;
+    this.minSdkVersion = options.minSdkVersion || securityTestConfig.manifest.min_sdk_version;
+    this.failSeverities = options.failSeverities || securityTestConfig.manifest.fail_severities;
+  }
+
+  static async fromApk(apkPath, options = {}) {
+    return ManifestAnalyzer.fromBuffer(await fs.readFile(apkPath), options);
+  }
+
+  static fromBuffer(apk, options = {}) {
+    const manifest = ApkArchive.fromBuffer(apk).get('AndroidManifest.xml');
+    if (!manifest) {
+      throw new Error('APK has no AndroidManifest.xml');
+    }
+    return new ManifestAnalyzer(AxmlParser.parse(manifest), options);
+  }
+
+  /**
+   * Package identity, SDK levels, application flags (with platform defaults
+   * applied), requested permissions and components
+   */
+  getSummary() {
+    const [usesSdk] = AxmlParser.children(this.manifest, 'uses-sdk');
+    const application = this.getApplication();
+
+    const minSdkVersion = ManifestAnalyzer.sdkLevel(usesSdk && attribute(usesSdk, 'minSdkVersion')) || 1;
+    const targetSdkVersion = ManifestAnalyzer.sdkLevel(usesSdk && attribute(usesSdk, 'targetSdkVersion')) || minSdkVersion;
+    const flag = (name, defaultValue) => {
+      const value = attribute(application, name);
+      return value === undefined ? defaultValue : value === true || value === 'true';
+    };
+
+    return {
+      packageName: attribute(this.manifest, 'package', null) || null,
+      versionCode: attribute(this.manifest, 'versionCode') ?? null,
+      versionName: attribute(this.manifest, 'versionName') ?? null,
+      minSdkVersion,
+      targetSdkVersion,
+      application: {
+        debuggable: flag('debuggable', false),
+        allowBackup: flag('allowBackup', true),
+        usesCleartextTraffic: flag('usesCleartextTraffic', targetSdkVersion < CLEARTEXT_DEFAULT_OFF_SDK),
+        networkSecurityConfig: attribute(application, 'networkSecurityConfig') || null,
+        testOnly: flag('testOnly', false),
+        permission: attribute(application, 'permission') || null
+      },
+      permissions: AxmlParser.children(this.manifest, 'uses-permission').map(element => attribute(element, 'name')),
+      components: this.getComponents(targetSdkVersion)
+    };
+  }
+
+  getApplication() {
+    return AxmlParser.children(this.manifest, 'application')[0] || { attributes: [], children: [] };
+  }
+
+  getComponents(targetSdkVersion) {
+    const application = this.getApplication();
+    const packageName = attribute(this.manifest, 'package', null);
+
+    return application.children.filter(element => COMPONENT_TYPES.includes(element.name)).map(element => {
+      const intentFilters = AxmlParser.children(element, 'intent-filter').map(filter => ({
+        actions: AxmlParser.children(filter, 'action').map(action => attribute(action, 'name')),
+        categories: AxmlParser.children(filter, 'category').map(category => attribute(category, 'name')),
+        data: AxmlParser.children(filter, 'data').map(data => Object.fromEntries(data.attributes.map(item => [item.name, item.value])))
+      }));
+
+      const declaredExported = attribute(element, 'exported');
+      const exported = declaredExported !== undefined
+        ? declaredExported === true
+        : element.name === 'provider'
+          ? targetSdkVersion < PROVIDER_EXPORT_DEFAULT_OFF_SDK
+          : intentFilters.length > 0;
+
+      let name = attribute(element, 'name') || null;
+      if (name && name.startsWith('.') && packageName) name = packageName + name;
+
+      return {
+        type: element.name,
+        name,
+        exported,
+        exportedByDefault: declaredExported === undefined && exported,
+        enabled: attribute(element, 'enabled') !== false,
+        permission: attribute(element, 'permission') || attribute(application, 'permission') || null,
+        readPermission: attribute(element, 'readPermission') || null,
+        writePermission: attribute(element, 'writePermission') || null,
+        authorities: element.name === 'provider' ? String(attribute(element, 'authorities') || '').split(';').filter(Boolean) : [],
+        launcher: intentFilters.some(filter => filter.actions.includes('android.intent.action.MAIN') &&
+          filter.categories.includes('android.intent.category.LAUNCHER')),
+        intentFilters
+      };
+    });
+  }
+
+  /**
+   * Run the static checks and return findings sorted by severity
+   */
+  analyze() {
+    const summary = this.getSummary();
+    const { application } = summary;
+    const findings = [];
+    const add = (check, severity, message, extra = {}) => findings.push({ check, severity, message, ...extra });
+
+    if (application.debuggable) {
+      add('debuggable', 'high', 'android:debuggable is true');
+    }
+    if (application.testOnly) {
+      add('test_only', 'high', 'android:testOnly is true');
+    }
+    if (application.allowBackup) {
+      add('allow_backup', 'medium', 'App data can be extracted with adb backup (android:allowBackup is true or unset)');
+    }
+    if (application.networkSecurityConfig) {
+      // On API 24+ the network security config decides cleartext policy, not the attribute
+      add('network_security_config', 'info', `Network security config: ${application.networkSecurityConfig}`);
+    } else {
+      add('network_security_config', 'low', 'No android:networkSecurityConfig declared');
+      if (application.usesCleartextTraffic) {
+        add('cleartext_traffic', 'medium', `Cleartext traffic allowed (targetSdkVersion ${summary.targetSdkVersion})`);
+      }
+    }
+    if (summary.minSdkVersion < this.minSdkVersion) {
+      add('min_sdk_version', 'medium', `minSdkVersion ${summary.minSdkVersion} is below the required ${this.minSdkVersion}`);
+    }
+
+    summary.components
+      .filter(component => component.exported && component.enabled && !component.launcher)
+      .filter(component => !component.permission && !(component.readPermission && component.writePermission))
+      .forEach(component => {
+        add(
+          'exported_component',
+          component.type === 'provider' ? 'high' : 'medium',
+          `Exported ${component.type} without permission: ${component.name}${component.exportedByDefault ? ' (exported by default)' : ''}`,
+          { component: component.name, componentType: component.type }
+        );
+      });
+
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+    const risk = findings.length > 0 ? findings[0].severity : 'low';
+    const result = {
+      passed: !findings.some(finding => this.failSeverities.includes(finding.severity)),
+      risk: risk === 'info' ? 'low' : risk,
+      findings,
+      manifest: summary
+    };
+
+    this.logFindings(result);
+    return result;
+  }
+
+  logFindings(result) {
+    const label = `${result.manifest.packageName} ${result.manifest.versionName || ''}`.trim();
+    console.log(chalk.blue(`🧾 Manifest analysis: ${label}`));
+
+    result.findings.filter(finding => finding.severity !== 'info').forEach(finding => {
+      const color = ['critical', 'high'].includes(finding.severity) ? chalk.red : chalk.yellow;
+      console.log(color(`   [${finding.severity}] ${finding.message}`));
+    });
+    console.log(result.passed ? chalk.green('✅ Manifest checks passed') : chalk.red('❌ Manifest checks failed'));
+  }
+
+  /**
+   * SDK levels are usually ints but may be codename strings in preview builds
+   */
+  static sdkLevel(value) {
+    const level = parseInt(value, 10);
+    return Number.isNaN(level) ? null : level;
+  }
+}
+
+module.exports = ManifestAnalyzer;
@@ -0,0 +1,666 @@
+/**
+ * MITM Proxy Utility
+ * Local HTTPS intercepting proxy for certificate pinning checks. Generates its
+ * own CA, answers each CONNECT with a certificate from that CA and relays the
+ * decrypted traffic to the real host or a local stand-in backend, recording
+ * it as HAR
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const packageJson = require('../../package.json');
+const TrafficAnalyzer = require('./traffic-analyzer');
+const { securityTestConfig } = require('../config/security-config');
+
+const MAX_RECORDED_REQUESTS = 50;
+const MAX_RECORDED_ENTRIES = 5000;
+const MAX_HELLO_BYTES = 16384;
+
+// The device reaches the proxy through `adb reverse`, so it always dials loopback
+const DEVICE_PROXY_HOST = '127.0.0.1';
+
+class MitmProxy {
+  /**
+   * @param {Object} options - { port, bindAddress, ca: { privateKeyPem, certificatePem }, upstreams,
+   *   upstreamCa, pinnedHosts, controlHosts, intercept } overriding securityTestConfig.mitm. port 0 picks a
+   *   free port; intercept: false tunnels TLS untouched and only records the hellos.
+   */
+  constructor(options = {}) {
+    const config = securityTestConfig.mitm;
+    this.port = options.port ?? config.port;
+    this.bindAddress = options.bindAddress || config.bind_address;
+    this.upstreams = { ...config.upstreams, ...options.upstreams };
+    this.upstreamCa = options.upstreamCa || null;
+    this.intercept = options.intercept ?? true;
+    this.pinnedHosts = options.pinnedHosts || config.pinned_hosts;
+    this.controlHosts = options.controlHosts || config.control_hosts;
+    this.ca = options.ca || MitmProxy.generateCa({ commonName: config.ca_common_name });
+    this.caCertificate = forge.pki.certificateFromPem(this.ca.certificatePem);
+    this.caKey = forge.pki.privateKeyFromPem(this.ca.privateKeyPem);
+    this.leafKeys = null;
+    this.contexts = new Map();
+    this.hosts = new Map();
+    this.entries = [];
+    this.connections = [];
+    this.sockets = new Set();
+    this.server = null;
+    this.device = null;
+    this.previousProxy = null;
+    this.systemCaInstalled = false;
+  }
+
+  /**
+   * Self-signed RSA CA key and certificate
+   */
+  static generateCa(options = {}) {
+    const keys = forge.pki.rsa.generateKeyPair({ bits: options.bits || 2048, e: 0x10001 });
+    const certificate = forge.pki.createCertificate();
+    const attributes = [
+      { name: 'commonName', value: options.commonName || 'Mobile Security Automation MITM CA' },
+      { name: 'organizationName', value: 'Mobile Security Automation' }
+    ];
+
+    certificate.publicKey = keys.publicKey;
+    certificate.serialNumber = `01${crypto.randomBytes(8).toString('hex')}`;
+    // Back-dated a day so devices with a skewed clock still accept it
+    certificate.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    certificate.validity.notAfter = new Date();
+    certificate.validity.notAfter.setFullYear(certificate.validity.notAfter.getFullYear() + 10);
+    certificate.setSubject(attributes);
+    certificate.setIssuer(attributes);
+    certificate.setExtensions([
+      { name: 'basicConstraints', cA: true, critical: true },
+      { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+      { name: 'subjectKeyIdentifier' }
+    ]);
+    certificate.sign(keys.privateKey, forge.md.sha256.create());
+
+    return {
+      privateKeyPem: forge.pki.privateKeyToPem(keys.privateKey),
+      certificatePem: forge.pki.certificateToPem(certificate)
+    };
+  }
+
+  /**
+   * OpenSSL subject_hash_old of the CA, the file name Android's cacerts store expects
+   */
+  getCaSubjectHash() {
+    const subject = forge.asn1.toDer(forge.pki.distinguishedNameToAsn1(this.caCertificate.subject)).getBytes();
+    const digest = crypto.createHash('md5').update(Buffer.from(subject, 'binary')).digest();
+    return digest.readUInt32LE(0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * TLS context with a leaf certificate for `hostname`, signed by the proxy CA
+   */
+  getSecureContext(hostname) {
+    if (!this.contexts.has(hostname)) {
+      // One leaf key for every host; only the certificates differ
+      this.leafKeys = this.leafKeys || forge.pki.rsa.generateKeyPair({ bits: 2048, e: 0x10001 });
+
+      const certificate = forge.pki.createCertificate();
+      certificate.publicKey = this.leafKeys.publicKey;
+      certificate.serialNumber = `02${crypto.randomBytes(8).toString('hex')}`;
+      certificate.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      // Clients reject leaf certificates valid for more than 398 days
+      certificate.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+      certificate.setSubject([{ name: 'commonName', value: hostname }]);
+      certificate.setIssuer(this.caCertificate.subject.attributes);
+      certificate.setExtensions([
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        { name: 'subjectAltName', altNames: [net.isIP(hostname) ? { type: 7, ip: hostname } : { type: 2, value: hostname }] }
+      ]);
+      certificate.sign(this.caKey, forge.md.sha256.create());
+
+      this.contexts.set(hostname, tls.createSecureContext({
+        key: forge.pki.privateKeyToPem(this.leafKeys.privateKey),
+        cert: forge.pki.certificateToPem(certificate) + this.ca.certificatePem
+      }));
+    }
+    return this.contexts.get(hostname);
+  }
+
+  /**
+   * Start listening. Resolves once the port is bound.
+   */
+  async start() {
+    if (this.server) return this;
+
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.on('connect', (request, socket, head) => this.handleConnect(request, socket, head));
+    this.server.on('connection', socket => this.track(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.bindAddress, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    console.log(chalk.blue(`🕵️  MITM proxy listening on ${this.bindAddress}:${this.port}`));
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    console.log(chalk.green('✅ MITM proxy stopped'));
+  }
+
+  track(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    return socket;
+  }
+
+  getHostRecord(hostname, port) {
+    const key = `${hostname}:${port}`;
+    if (!this.hosts.has(key)) {
+      this.hosts.set(key, {
+        hostname,
+        port,
+        connections: 0,
+        handshakes: 0,
+        intercepted: false,
+        closedAfterHandshake: 0,
+        handshakeFailures: [],
+        tunneled: 0,
+        cleartext: false,
+        requests: [],
+        errors: []
+      });
+    }
+    return this.hosts.get(key);
+  }
+
+  recordRequest(record, requestLine) {
+    if (record.requests.length < MAX_RECORDED_REQUESTS) record.requests.push(requestLine);
+  }
+
+  /**
+   * `host:port` a request should be relayed to: a configured stand-in, or the host itself
+   */
+  resolveUpstream(hostname, port) {
+    const upstream = this.upstreams[`${hostname}:${port}`] || this.upstreams[hostname];
+    if (!upstream) return { host: hostname, port };
+
+    const separator = upstream.lastIndexOf(':');
+    return { host: upstream.slice(0, separator).replace(/^\[|\]$/g, ''), port: parseInt(upstream.slice(separator + 1)) };
+  }
+
+  /**
+   * CONNECT tunnel. The ClientHello is read first for the trace (SNI, offered
+   * versions), then the tunnel is intercepted or, with intercept off, passed
+   * through untouched.
+   */
+  handleConnect(request, clientSocket, head) {
+    const separator = request.url.lastIndexOf(':');
+    const hostname = request.url.slice(0, separator).replace(/^\[|\]$/g, '');
+    const port = parseInt(request.url.slice(separator + 1)) || 443;
+    const record = this.getHostRecord(hostname, port);
+    record.connections++;
+
+    const connection = { hostname, port, startedDateTime: new Date().toISOString(), sni: null, offeredVersions: [], version: null, intercepted: this.intercept };
+    if (this.connections.length < MAX_RECORDED_ENTRIES) this.connections.push(connection);
+
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+    this.readClientHello(clientSocket, head, record, (hello) => {
+      if (hello && hello.type === 'client_hello') {
+        connection.sni = hello.serverName;
+        connection.offeredVersions = hello.versions;
+      }
+
+      if (this.intercept) {
+        this.interceptTunnel(clientSocket, hostname, port, record, connection);
+      } else {
+        this.passThroughTunnel(clientSocket, hostname, port, record, connection);
+      }
+    });
+  }
+
+  /**
+   * Buffer the start of the tunnel until it holds a whole TLS hello (or is not
+   * one), then hand it back to the socket for the next reader
+   */
+  readClientHello(socket, head, record, callback) {
+    let buffer = head || Buffer.alloc(0);
+
+    const onError = error => record.handshakeFailures.push(error.code || error.message);
+    const onClose = () => record.handshakeFailures.push('closed_before_hello');
+    const check = () => {
+      const hello = TrafficAnalyzer.parseTlsHello(buffer);
+      if (hello === undefined && buffer.length < MAX_HELLO_BYTES) return false;
+
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      socket.pause();
+      if (buffer.length > 0) socket.unshift(buffer);
+      callback(hello || null);
+      return true;
+    };
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      check();
+    };
+
+    if (buffer.length > 0 && check()) return;
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.once('close', onClose);
+  }
+
+  /**
+   * Terminate TLS with our certificate, then relay to the upstream once the
+   * client sends data. A client that closes after the handshake without
+   * sending anything rejected the certificate after the fact (OkHttp pinning).
+   */
+  interceptTunnel(clientSocket, hostname, port, record, connection) {
+    let handshake = false;
+    let upstream = null;
+    const pending = [];
+    const tlsSocket = this.track(new tls.TLSSocket(clientSocket, {
+      isServer: true,
+      secureContext: this.getSecureContext(hostname),
+      SNICallback: (servername, callback) => callback(null, this.getSecureContext(servername || hostname))
+    }));
+
+    tlsSocket.on('secure', () => {
+      handshake = true;
+      record.handshakes++;
+      connection.version = tlsSocket.getProtocol();
+    });
+
+    tlsSocket.on('data', (chunk) => {
+      const requestHead = TrafficAnalyzer.parseHttpRequest(chunk);
+      if (requestHead) {
+        this.recordRequest(record, `${requestHead.method} ${requestHead.target} HTTP/${requestHead.httpVersion}`);
+        const authority = port === 443 ? hostname : `${hostname}:${port}`;
+        pending.push(this.startEntry(requestHead, `https://${net.isIPv6(hostname) ? `[${authority}]` : authority}${requestHead.target}`));
+      }
+      if (upstream) return;
+
+      record.intercepted = true;
+      const target = this.resolveUpstream(hostname, port);
+      upstream = this.track(tls.connect({
+        host: target.host,
+        port: target.port,
+        servername: net.isIP(tlsSocket.servername || hostname) ? undefined : (tlsSocket.servername || hostname),
+        ca: this.upstreamCa || undefined
+      }));
+      upstream.on('data', (responseChunk) => {
+        const responseHead = MitmProxy.parseHttpResponse(responseChunk);
+        if (responseHead && pending.length > 0) this.finishEntry(pending.shift(), responseHead);
+      });
+      upstream.on('error', (error) => {
+        record.errors.push(`upstream ${target.host}:${target.port}: ${error.message}`);
+        tlsSocket.destroy();
+      });
+
+      upstream.write(chunk);
+      tlsSocket.pipe(upstream).pipe(tlsSocket);
+    });
+
+    tlsSocket.on('error', (error) => {
+      if (handshake) {
+        record.errors.push(error.message);
+      } else {
+        record.handshakeFailures.push(error.code || error.message);
+      }
+    });
+
+    // Proxy sockets allow half-open connections: a client that hangs up
+    // before relaying anything has nothing left to wait for
+    tlsSocket.on('end', () => {
+      if (!upstream) tlsSocket.destroy();
+    });
+
+    tlsSocket.on('close', () => {
+      if (handshake && !upstream) record.closedAfterHandshake++;
+      if (!handshake && record.handshakeFailures.length === 0) record.handshakeFailures.push('closed_during_handshake');
+    });
+  }
+
+  /**
+   * Relay the encrypted stream as is; only the hellos are read, for the trace
+   */
+  passThroughTunnel(clientSocket, hostname, port, record, connection) {
+    const target = this.resolveUpstream(hostname, port);
+    const upstream = this.track(net.connect(target.port, target.host));
+    let serverHello = Buffer.alloc(0);
+    record.tunneled++;
+
+    const onServerData = (chunk) => {
+      serverHello = Buffer.concat([serverHello, chunk]);
+      const hello = TrafficAnalyzer.parseTlsHello(serverHello);
+      if (hello === undefined && serverHello.length < MAX_HELLO_BYTES) return;
+
+      upstream.removeListener('data', onServerData);
+      if (hello && hello.type === 'server_hello') connection.version = hello.version;
+    };
+
+    upstream.on('data', onServerData);
+    upstream.on('error', (error) => {
+      record.errors.push(`upstream ${target.host}:${target.port}: ${error.message}`);
+      clientSocket.destroy();
+    });
+    clientSocket.on('error', () => upstream.destroy());
+    clientSocket.pipe(upstream).pipe(clientSocket);
+  }
+
+  /**
+   * Plain HTTP proxy request: recorded as cleartext and relayed
+   */
+  handleRequest(request, response) {
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch (error) {
+      response.writeHead(400);
+      response.end('Proxy requests need an absolute URL');
+      return;
+    }
+
+    const port = parseInt(url.port) || 80;
+    const record = this.getHostRecord(url.hostname, port);
+    record.connections++;
+    record.cleartext = true;
+    this.recordRequest(record, `${request.method} ${url.pathname}${url.search} HTTP/${request.httpVersion}`);
+    const entry = this.startEntry({ method: request.method, httpVersion: request.httpVersion, headers: request.headers }, url.href);
+
+    const target = this.resolveUpstream(url.hostname, port);
+    const upstream = http.request({
+      host: target.host,
+      port: target.port,
+      method: request.method,
+      path: `${url.pathname}${url.search}`,
+      headers: request.headers
+    }, (upstreamResponse) => {
+      this.finishEntry(entry, {
+        status: upstreamResponse.statusCode,
+        statusText: upstreamResponse.statusMessage || '',
+        httpVersion: upstreamResponse.httpVersion,
+        headers: upstreamResponse.headers
+      });
+      response.writeHead(upstreamResponse.statusCode, upstreamResponse.headers);
+      upstreamResponse.pipe(response);
+    });
+
+    upstream.on('error', (error) => {
+      record.errors.push(`upstream ${target.host}:${target.port}: ${error.message}`);
+      response.writeHead(502);
+      response.end();
+    });
+    request.pipe(upstream);
+  }
+
+  /**
+   * HAR entry for a request; the response half is filled in by finishEntry()
+   */
+  startEntry(requestHead, url) {
+    const entry = {
+      startedDateTime: new Date().toISOString(),
+      time: 0,
+      request: {
+        method: requestHead.method,
+        url,
+        httpVersion: `HTTP/${requestHead.httpVersion}`,
+        headers: MitmProxy.harHeaders(requestHead.headers),
+        queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: 0,
+        statusText: '',
+        httpVersion: '',
+        headers: [],
+        cookies: [],
+        content: { size: -1, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 }
+    };
+
+    if (this.entries.length < MAX_RECORDED_ENTRIES) this.entries.push(entry);
+    return entry;
+  }
+
+  finishEntry(entry, responseHead) {
+    const headers = MitmProxy.harHeaders(responseHead.headers);
+    const header = name => (headers.find(item => item.name.toLowerCase() === name) || {}).value || '';
+
+    entry.time = Date.now() - Date.parse(entry.startedDateTime);
+    entry.timings.wait = entry.time;
+    Object.assign(entry.response, {
+      status: responseHead.status,
+      statusText: responseHead.statusText,
+      httpVersion: `HTTP/${responseHead.httpVersion}`,
+      headers,
+      content: { size: -1, mimeType: header('content-type') },
+      redirectURL: header('location')
+    });
+  }
+
+  static harHeaders(headers) {
+    return Object.entries(headers).flatMap(([name, value]) => [].concat(value).map(item => ({ name, value: String(item) })));
+  }
+
+  /**
+   * Status line and headers at the start of a response chunk, or null
+   */
+  static parseHttpResponse(chunk) {
+    const text = chunk.toString('latin1');
+    const match = text.match(/^HTTP\/(\d\.\d) (\d{3}) ?([^\r\n]*)\r\n/);
+    if (!match) return null;
+
+    const headEnd = text.indexOf('\r\n\r\n');
+    const headers = {};
+    text.slice(match[0].length, headEnd < 0 ? undefined : headEnd).split('\r\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    });
+    return { httpVersion: match[1], status: parseInt(match[2]), statusText: match[3], headers };
+  }
+
+  /**
+   * Everything the proxy saw as a HAR 1.2 log. TLS connections, including
+   * ones that never sent a request, are listed under `_connections`.
+   * options.since ({ entries, connections } counts) limits it to later traffic.
+   */
+  getHar(options = {}) {
+    const since = options.since || { entries: 0, connections: 0 };
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: packageJson.name, version: packageJson.version },
+        pages: [],
+        entries: this.entries.slice(since.entries),
+        _connections: this.connections.slice(since.connections)
+      }
+    };
+  }
+
+  getTracePosition() {
+    return { entries: this.entries.length, connections: this.connections.length };
+  }
+
+  /**
+   * Route the device's traffic through the proxy: `adb reverse` the port and
+   * set the global HTTP proxy to it. The proxy it replaces is put back by
+   * detachDevice().
+   */
+  async attachDevice(adb) {
+    const current = await adb.shell(['settings', 'get', 'global', 'http_proxy']);
+    const previousProxy = current.success ? current.output.trim() : '';
+
+    const reverse = await adb.run(['reverse', `tcp:${this.port}`, `tcp:${this.port}`]);
+    if (!reverse.success) {
+      throw new Error(`adb reverse failed: ${reverse.error}`);
+    }
+
+    const proxySetting = await adb.shell(['settings', 'put', 'global', 'http_proxy', `${DEVICE_PROXY_HOST}:${this.port}`]);
+    if (!proxySetting.success) {
+      await adb.run(['reverse', '--remove', `tcp:${this.port}`]);
+      throw new Error(`Failed to set device proxy: ${proxySetting.error}`);
+    }
+
+    this.device = adb;
+    this.previousProxy = previousProxy === 'null' ? '' : previousProxy;
+    console.log(chalk.blue(`📡 Device proxy set to ${DEVICE_PROXY_HOST}:${this.port}`));
+  }
+
+  async detachDevice() {
+    if (!this.device) return;
+
+    // ':0' clears the proxy immediately; deleting the setting only applies after a reboot
+    await this.device.shell(['settings', 'put', 'global', 'http_proxy', this.previousProxy || ':0']);
+    await this.device.run(['reverse', '--remove', `tcp:${this.port}`]);
+    console.log(chalk.green(this.previousProxy ? `✅ Device proxy restored to ${this.previousProxy}` : '✅ Device proxy cleared'));
+    this.device = null;
+    this.previousProxy = null;
+  }
+
+  /**
+   * Put the CA where the device trusts it. The system store needs an adb root
+   * build (emulator images without Play); otherwise the certificate is pushed to
+   * /sdcard/Download for manual install as a user CA, which apps targeting
+   * API 24+ ignore unless their network security config opts in.
+   */
+  async installCaCertificate(adb, options = {}) {
+    const pem = Buffer.from(this.ca.certificatePem);
+
+    if (!options.system) {
+      const remotePath = '/sdcard/Download/mitm-ca.crt';
+      const push = await adb.pushFile(pem, remotePath);
+      return { success: push.success, store: 'user', path: remotePath, error: push.error };
+    }
+
+    const remotePath = `/system/etc/security/cacerts/${this.getCaSubjectHash()}.0`;
+    for (const args of [['root'], ['remount']]) {
+      const result = await adb.run(args);
+      if (!result.success) {
+        return { success: false, store: 'system', path: remotePath, error: `adb ${args[0]} failed: ${result.error}` };
+      }
+    }
+
+    const push = await adb.pushFile(pem, remotePath);
+    if (push.success) {
+      await adb.shell(['chmod', '644', remotePath]);
+      this.systemCaInstalled = true;
+    }
+    return { success: push.success, store: 'system', path: remotePath, error: push.error };
+  }
+
+  /**
+   * Pinning verdict for a host: 'fail' when the client sent data through our
+   * certificate, 'pass' when it refused it, 'cleartext' for plain HTTP. A
+   * rejected handshake only counts as pinning once the device is known to
+   * trust the proxy CA; until then it is 'inconclusive'.
+   */
+  static verdict(record, caTrusted = false) {
+    if (record.intercepted) return 'fail';
+    if (record.cleartext) return 'cleartext';
+    if (record.handshakes > 0) return 'pass';
+    if (record.handshakeFailures.length > 0) return caTrusted ? 'pass' : 'inconclusive';
+    return 'not_observed';
+  }
+
+  static reason(record, caTrusted = false) {
+    if (record.intercepted) return 'TLS intercepted: the app sent requests through the proxy certificate';
+    if (record.cleartext) return 'Plain HTTP request';
+    if (record.handshakeFailures.length > 0) {
+      const rejected = `Handshake rejected (${[...new Set(record.handshakeFailures)].join(', ')})`;
+      return caTrusted || record.handshakes > 0 ? rejected : `${rejected}; the device may not trust the proxy CA`;
+    }
+    if (record.closedAfterHandshake > 0) return 'Connection closed after the handshake without sending data';
+    if (record.tunneled > 0) return 'Tunneled without interception';
+    return 'No connection observed';
+  }
+
+  /**
+   * What shows the device trusts the proxy CA: the CA pushed to the system
+   * store, or a control host (one that does not pin) that was intercepted.
+   * Null when nothing does.
+   */
+  getCaTrustProof(controlHosts = this.controlHosts) {
+    if (this.systemCaInstalled) return 'system_store';
+
+    const control = [...this.hosts.values()].find(record => record.intercepted && controlHosts.includes(record.hostname));
+    return control ? `control_host:${control.hostname}` : null;
+  }
+
+  /**
+   * Per-host verdicts. Every host in pinnedHosts must pass; when none are
+   * configured, every TLS host the app contacted must. Control hosts only
+   * serve as proof of CA trust and are left out of the result.
+   */
+  getReport(options = {}) {
+    const pinnedHosts = options.pinnedHosts || this.pinnedHosts;
+    const controlHosts = options.controlHosts || this.controlHosts;
+    const caTrustProof = this.getCaTrustProof(controlHosts);
+    const hosts = [...this.hosts.values()].filter(record => !controlHosts.includes(record.hostname)).map(record => ({
+      hostname: record.hostname,
+      port: record.port,
+      verdict: MitmProxy.verdict(record, caTrustProof !== null),
+      reason: MitmProxy.reason(record, caTrustProof !== null),
+      connections: record.connections,
+      handshakes: record.handshakes,
+      requests: record.requests,
+      errors: record.errors
+    }));
+
+    for (const hostname of pinnedHosts) {
+      if (!hosts.some(host => host.hostname === hostname)) {
+        hosts.push({ hostname, port: null, verdict: 'not_observed', reason: 'No connection observed', connections: 0, handshakes: 0, requests: [], errors: [] });
+      }
+    }
+
+    const required = pinnedHosts.length > 0
+      ? hosts.filter(host => pinnedHosts.includes(host.hostname))
+      : hosts.filter(host => host.verdict !== 'cleartext');
+    const failed = required.filter(host => host.verdict !== 'pass');
+
+    return {
+      passed: failed.length === 0,
+      pinnedHosts,
+      controlHosts,
+      caTrustProof,
+      hosts,
+      intercepted: hosts.filter(host => host.verdict === 'fail').map(host => host.hostname),
+      inconclusive: hosts.filter(host => host.verdict === 'inconclusive').map(host => host.hostname),
+      cleartext: hosts.filter(host => host.verdict === 'cleartext').map(host => host.hostname)
+    };
+  }
+
+  logReport(report) {
+    const colors = { pass: chalk.green, not_observed: chalk.gray, inconclusive: chalk.yellow };
+    console.log(chalk.blue(`🔐 Certificate pinning: ${report.hosts.length} hosts`));
+    report.hosts.forEach(host => {
+      const color = colors[host.verdict] || chalk.red;
+      console.log(color(`   [${host.verdict}] ${host.hostname}${host.port ? `:${host.port}` : ''} - ${host.reason}`));
+    });
+    if (report.inconclusive.length > 0) {
+      console.log(chalk.yellow('⚠️  Proxy CA trust not proven: install it with installCaCertificate(adb, { system: true }) or set mitm.control_hosts'));
+    }
+    console.log(report.passed ? chalk.green('✅ Certificate pinning verified') : chalk.red('❌ Certificate pinning not enforced'));
+  }
+}
+
+module.exports = MitmProxy;
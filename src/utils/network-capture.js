@@ -0,0 +1,165 @@
+/**
+ * Network Capture Utility
+ * Per-test network traces as evidence: HAR from the MITM proxy, or pcap from
+ * on-device tcpdump on rooted devices
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const MitmProxy = require('./mitm-proxy');
+const TrafficAnalyzer = require('./traffic-analyzer');
+const { securityTestConfig } = require('../config/security-config');
+
+const MODES = ['auto', 'proxy', 'tcpdump'];
+
+// tcpdump runs detached from the adb shell; its pid is printed so stop() can signal it
+const TCPDUMP_SCRIPT = 'tcpdump -i "$1" -s 0 -U -w "$2" </dev/null >/dev/null 2>&1 & echo $!';
+
+// Only one capture runs per device, so the on-device file name is fixed
+const REMOTE_TRACE_NAME = 'network-trace.pcap';
+
+class NetworkCapture {
+  /**
+   * @param {ADBHelper} adb - Device helper
+   * @param {Object} options - { outputDir, captureMode, interface, remoteDir, captureSsl, proxy (a MitmProxy
+   *   to record from instead of starting one), analyzer } overriding securityTestConfig.evidence.network_traces
+   */
+  constructor(adb, options = {}) {
+    const config = securityTestConfig.evidence.network_traces;
+    this.adb = adb;
+    this.outputDir = options.outputDir || config.path;
+    this.mode = options.captureMode || config.mode;
+    this.interface = options.interface || config.interface;
+    this.remoteDir = options.remoteDir || config.remote_dir;
+    this.captureSsl = options.captureSsl ?? config.capture_ssl;
+    this.proxy = options.proxy || null;
+    this.analyzer = options.analyzer || new TrafficAnalyzer(options);
+    this.session = null;
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown network capture mode: ${this.mode}`);
+    }
+  }
+
+  /**
+   * Trace file name for a test: slug of its title plus a timestamp
+   */
+  static traceName(testName, extension) {
+    const slug = String(testName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'trace';
+    return `${slug}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+  }
+
+  /**
+   * tcpdump needs root and the binary, which stock images do not ship
+   */
+  async canUseTcpdump() {
+    const result = await this.adb.shell(['su', '0', 'sh', '-c', 'command -v tcpdump']);
+    return result.success && result.output.length > 0;
+  }
+
+  async resolveMode() {
+    if (this.mode !== 'auto') return this.mode;
+    return await this.canUseTcpdump() ? 'tcpdump' : 'proxy';
+  }
+
+  /**
+   * Start capturing for a test. Only one capture runs at a time.
+   */
+  async start(testName) {
+    try {
+      if (this.session) {
+        throw new Error(`Network capture already running for: ${this.session.testName}`);
+      }
+
+      const mode = await this.resolveMode();
+      const localPath = path.join(this.outputDir, NetworkCapture.traceName(testName, mode === 'tcpdump' ? 'pcap' : 'har'));
+      await fs.ensureDir(this.outputDir);
+
+      if (mode === 'tcpdump') {
+        const remotePath = path.posix.join(this.remoteDir, REMOTE_TRACE_NAME);
+        const result = await this.adb.shell(['su', '0', 'sh', '-c', TCPDUMP_SCRIPT, 'sh', this.interface, remotePath]);
+        const pid = parseInt(result.output, 10);
+        if (!result.success || Number.isNaN(pid)) {
+          throw new Error(`Failed to start tcpdump: ${result.error || result.output}`);
+        }
+        this.session = { testName, mode, localPath, remotePath, pid };
+      } else {
+        // A proxy passed in is already routed; one started here is ours to attach and tear down
+        const ownsProxy = !this.proxy;
+        const proxy = this.proxy || new MitmProxy({ intercept: this.captureSsl });
+        if (ownsProxy) {
+          await proxy.start();
+          try {
+            await proxy.attachDevice(this.adb);
+          } catch (error) {
+            await proxy.stop();
+            throw error;
+          }
+        }
+        this.session = { testName, mode, localPath, proxy, ownsProxy, since: proxy.getTracePosition() };
+      }
+
+      console.log(chalk.blue(`📡 Network capture started (${mode}): ${testName}`));
+      return { success: true, mode, path: localPath };
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to start network capture:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop capturing and save the trace; options.analyze also runs TrafficAnalyzer on it
+   */
+  async stop(options = {}) {
+    const session = this.session;
+    if (!session) {
+      return { success: false, error: 'No network capture running' };
+    }
+    this.session = null;
+
+    try {
+      if (session.mode === 'tcpdump') {
+        await this.stopTcpdump(session);
+      } else {
+        await fs.writeJson(session.localPath, session.proxy.getHar({ since: session.since }), { spaces: 2 });
+      }
+
+      console.log(chalk.green(`✅ Network trace saved: ${session.localPath}`));
+      const result = { success: true, mode: session.mode, path: session.localPath };
+      if (options.analyze) {
+        result.analysis = await this.analyzer.analyzeFile(session.localPath);
+      }
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to save network trace:'), error.message);
+      return { success: false, mode: session.mode, error: error.message };
+    } finally {
+      if (session.ownsProxy) {
+        await session.proxy.detachDevice();
+        await session.proxy.stop();
+      }
+    }
+  }
+
+  /**
+   * SIGINT lets tcpdump flush; the root-owned file is made readable for adb pull
+   */
+  async stopTcpdump(session) {
+    await this.adb.shell(['su', '0', 'kill', '-INT', String(session.pid)]);
+
+    try {
+      await this.adb.shell(['su', '0', 'chmod', '644', session.remotePath]);
+      const pull = await this.adb.pullFile(session.remotePath, session.localPath);
+      if (!pull.success) {
+        throw new Error(`Failed to pull ${session.remotePath}: ${pull.error}`);
+      }
+    } finally {
+      await this.adb.shell(['su', '0', 'rm', '-f', session.remotePath]);
+    }
+  }
+}
+
+NetworkCapture.TCPDUMP_SCRIPT = TCPDUMP_SCRIPT;
+
+module.exports = NetworkCapture;
@@ -0,0 +1,318 @@
+/**
+ * Network Scenarios Utility
+ * Puts the device into a network configuration (global proxy, PAC URL, private
+ * DNS, hosts override, VPN), checks the app's reaction through SecurityPage
+ * and restores the previous configuration
+ */
+
+const chalk = require('chalk');
+const DeviceDetector = require('./device-detector');
+const FileManipulator = require('./file-manipulator');
+const PolicyEvaluator = require('./policy-evaluator');
+const { SecurityConfigManager, securityTestConfig } = require('../config/security-config');
+
+const DECISIONS = ['allow', 'warn', 'block'];
+
+// Global settings each kind of scenario changes
+const SCENARIO_SETTINGS = {
+  proxy: ['http_proxy'],
+  pacUrl: ['global_proxy_pac_url'],
+  privateDns: ['private_dns_mode', 'private_dns_specifier']
+};
+
+// SecurityPage warning types that count as a reaction to the network
+const NETWORK_WARNING_TYPES = ['network', 'general'];
+
+class NetworkScenarios {
+  /**
+   * @param {ADBHelper} adb - Device helper
+   * @param {Object} options - { securityPage, securityConfig, deviceDetector, fileManipulator, settleTime,
+   *   hostsPath, scenarios } overriding securityTestConfig.network_scenarios
+   */
+  constructor(adb, options = {}) {
+    const config = securityTestConfig.network_scenarios;
+    this.adb = adb;
+    this.securityPage = options.securityPage || null;
+    this.securityConfig = options.securityConfig || new SecurityConfigManager(process.env.TEST_ENV || 'development');
+    this.deviceDetector = options.deviceDetector || new DeviceDetector(null, { adb, securityConfig: this.securityConfig });
+    this.fileManipulator = options.fileManipulator || new FileManipulator(null, { adb });
+    this.policyEvaluator = new PolicyEvaluator(this.securityConfig);
+    this.settleTime = options.settleTime ?? config.settle_time_ms;
+    this.hostsPath = options.hostsPath || config.hosts_path;
+    this.scenarios = options.scenarios || config.scenarios;
+    this.tamperSession = null;
+  }
+
+  /**
+   * Scenario for one of mockData.networkConfigurations. Plain DNS servers
+   * cannot be set per network without root, so `dns` is not applied.
+   */
+  static fromMockConfiguration(name, configuration) {
+    return {
+      name,
+      proxy: configuration.proxy ? configuration.proxy.replace(/^[a-z]+:\/\//, '').replace(/\/$/, '') : null,
+      vpn: Boolean(configuration.vpn)
+    };
+  }
+
+  /**
+   * Decision the app should reach: the scenario's `expect`, or the most severe
+   * of what proxyPolicy and trafficPolicy.vpn_detection imply
+   */
+  expectedReaction(scenario) {
+    if (scenario.expect) return scenario.expect;
+
+    const expectations = ['allow'];
+    if (scenario.proxy || scenario.pacUrl) {
+      const [host, port] = scenario.proxy ? scenario.proxy.split(':') : [null, null];
+      const proxySettings = { configured: true, host, port: port || null, pacUrl: scenario.pacUrl || null };
+      const reasons = this.policyEvaluator.evaluateProxyPolicy({ networkAnalysis: { details: { proxySettings } } });
+      expectations.push(...reasons.map(reason => reason.outcome));
+    }
+    if (scenario.vpn && this.securityConfig.getSecurityPolicy('networkSecurity', 'trafficPolicy').vpn_detection) {
+      expectations.push('warn');
+    }
+
+    return expectations.reduce((worst, outcome) => DECISIONS.indexOf(outcome) > DECISIONS.indexOf(worst) ? outcome : worst);
+  }
+
+  /**
+   * Run every configured scenario (or options.scenarios) in turn
+   */
+  async runAll(options = {}) {
+    const results = [];
+    for (const scenario of options.scenarios || this.scenarios) {
+      results.push(await this.run(scenario, options));
+    }
+
+    const summary = {
+      passed: results.every(result => result.passed || result.skipped),
+      results,
+      timestamp: new Date().toISOString()
+    };
+    this.logResults(summary);
+    return summary;
+  }
+
+  /**
+   * Apply a scenario, let the app react, record the reaction and restore the
+   * device. options.packageName relaunches the app after applying;
+   * options.trigger(scenario) drives it instead.
+   */
+  async run(scenario, options = {}) {
+    const securityPage = options.securityPage || this.securityPage;
+    const result = {
+      name: scenario.name,
+      expected: this.expectedReaction(scenario),
+      observed: null,
+      passed: false,
+      skipped: false,
+      reason: null,
+      applied: null,
+      restored: false
+    };
+
+    console.log(chalk.blue(`🌐 Network scenario: ${scenario.name}`));
+
+    let snapshot = null;
+    try {
+      const baseline = securityPage ? await this.getNetworkWarnings(securityPage) : [];
+      snapshot = await this.snapshot(scenario);
+      await this.apply(scenario);
+      result.applied = await this.verify(scenario);
+
+      if (scenario.vpn && !result.applied.vpn) {
+        result.skipped = true;
+        result.reason = 'No VPN interface is up; connect the VPN app before running this scenario';
+        return result;
+      }
+
+      if (options.trigger) {
+        await options.trigger(scenario);
+      } else if (options.packageName) {
+        await this.adb.shell(['am', 'force-stop', options.packageName]);
+        await this.adb.shell(['monkey', '-p', options.packageName, '-c', 'android.intent.category.LAUNCHER', '1']);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.settleTime));
+
+      if (!securityPage) {
+        result.passed = null;
+        result.reason = 'No SecurityPage to observe the reaction';
+        return result;
+      }
+
+      result.observed = await this.observeReaction(securityPage, baseline);
+      result.passed = result.observed === result.expected;
+      result.reason = `expected ${result.expected}, app reacted with ${result.observed}`;
+      return result;
+    } catch (error) {
+      console.error(chalk.red(`❌ Network scenario ${scenario.name} failed:`), error.message);
+      result.reason = error.message;
+      result.error = error.message;
+      return result;
+    } finally {
+      if (snapshot) {
+        result.restored = await this.restore(snapshot);
+      }
+      this.logScenario(result);
+    }
+  }
+
+  /**
+   * Current values of the settings a scenario changes
+   */
+  async snapshot(scenario) {
+    const settings = {};
+    for (const key of NetworkScenarios.settingsFor(scenario)) {
+      settings[key] = await this.deviceDetector.getSetting('global', key);
+    }
+    return { settings };
+  }
+
+  static settingsFor(scenario) {
+    return Object.entries(SCENARIO_SETTINGS).filter(([field]) => scenario[field]).flatMap(([, keys]) => keys);
+  }
+
+  async apply(scenario) {
+    if (scenario.proxy) {
+      await this.putSetting('http_proxy', scenario.proxy);
+    }
+    if (scenario.pacUrl) {
+      await this.putSetting('global_proxy_pac_url', scenario.pacUrl);
+    }
+    if (scenario.privateDns) {
+      await this.putSetting('private_dns_mode', scenario.privateDns.mode);
+      if (scenario.privateDns.specifier) {
+        await this.putSetting('private_dns_specifier', scenario.privateDns.specifier);
+      }
+    }
+    if (scenario.hosts) {
+      this.tamperSession = await this.overrideHosts(scenario.hosts);
+    }
+  }
+
+  /**
+   * Append entries to the system hosts file through a tamper session, so the
+   * original is restored even if the run crashes. Needs an adb root build.
+   */
+  async overrideHosts(hosts) {
+    for (const args of [['root'], ['remount']]) {
+      const result = await this.adb.run(args);
+      if (!result.success) {
+        throw new Error(`hosts overrides need an adb root build: adb ${args[0]} failed: ${result.error}`);
+      }
+    }
+
+    const current = await this.adb.shell(['cat', this.hostsPath]);
+    if (!current.success) {
+      throw new Error(`Cannot read ${this.hostsPath}: ${current.error}`);
+    }
+
+    const session = await this.fileManipulator.startTamperSession();
+    const entries = Object.entries(hosts).map(([hostname, address]) => `${address} ${hostname}`);
+    const write = await session.writeFile(this.hostsPath, [current.output, ...entries].join('\n'));
+    if (!write.success) {
+      await session.rollback();
+      throw new Error(`Failed to write ${this.hostsPath}: ${write.error}`);
+    }
+    return session;
+  }
+
+  /**
+   * What the device reports after applying: proxy settings, private DNS and
+   * whether a VPN interface is up
+   */
+  async verify(scenario) {
+    const applied = {};
+
+    if (scenario.proxy || scenario.pacUrl) {
+      const proxySettings = await this.deviceDetector.checkProxySettings();
+      applied.proxy = proxySettings.configured ? proxySettings.pacUrl || `${proxySettings.host}:${proxySettings.port || ''}` : null;
+    }
+    if (scenario.privateDns) {
+      applied.privateDns = {
+        mode: await this.deviceDetector.getSetting('global', 'private_dns_mode'),
+        specifier: await this.deviceDetector.getSetting('global', 'private_dns_specifier')
+      };
+    }
+    if (scenario.hosts) {
+      applied.hosts = Object.keys(scenario.hosts);
+    }
+    if (scenario.vpn) {
+      const vpnStatus = await this.deviceDetector.checkVPNStatus();
+      applied.vpn = vpnStatus.active ? vpnStatus.interfaces : null;
+    }
+
+    return applied;
+  }
+
+  /**
+   * Put back every setting the scenario changed and roll back the hosts file
+   */
+  async restore(snapshot) {
+    let restored = true;
+
+    for (const [key, value] of Object.entries(snapshot.settings)) {
+      let result;
+      if (value !== null) {
+        result = await this.adb.shell(['settings', 'put', 'global', key, value]);
+      } else if (key === 'http_proxy') {
+        // ':0' clears the proxy immediately; deleting the setting only applies after a reboot
+        result = await this.adb.shell(['settings', 'put', 'global', key, ':0']);
+      } else {
+        result = await this.adb.shell(['settings', 'delete', 'global', key]);
+      }
+      restored = restored && result.success;
+    }
+
+    if (this.tamperSession) {
+      const rollback = await this.tamperSession.rollback();
+      this.tamperSession = null;
+      restored = restored && rollback.success;
+    }
+
+    if (!restored) {
+      console.log(chalk.red('⚠️  Network configuration not fully restored'));
+    }
+    return restored;
+  }
+
+  async putSetting(key, value) {
+    const result = await this.adb.shell(['settings', 'put', 'global', key, value]);
+    if (!result.success) {
+      throw new Error(`Failed to set ${key}: ${result.error}`);
+    }
+  }
+
+  async getNetworkWarnings(securityPage) {
+    const warnings = await securityPage.getActiveWarnings();
+    return warnings.filter(warning => NETWORK_WARNING_TYPES.includes(warning.type)).map(warning => warning.message);
+  }
+
+  /**
+   * 'block' when the app blocks access or forces an exit, 'warn' for a network
+   * warning that was not already on screen, otherwise 'allow'
+   */
+  async observeReaction(securityPage, baseline = []) {
+    const action = await securityPage.getWarningAction();
+    if (action === 'block_access' || action === 'force_exit') return 'block';
+
+    const warnings = await this.getNetworkWarnings(securityPage);
+    return warnings.some(message => !baseline.includes(message)) ? 'warn' : 'allow';
+  }
+
+  logScenario(result) {
+    const color = result.skipped || result.passed === null ? chalk.gray : result.passed ? chalk.green : chalk.red;
+    const status = result.skipped ? 'SKIPPED' : result.passed === null ? 'NOT OBSERVED' : result.passed ? 'PASSED' : 'FAILED';
+    console.log(color(`   ${result.name}: ${status} - ${result.reason}${result.restored ? '' : ' (not restored)'}`));
+  }
+
+  logResults(summary) {
+    const passed = summary.results.filter(result => result.passed).length;
+    const skipped = summary.results.filter(result => result.skipped).length;
+    console.log(chalk.blue(`📋 Network scenarios: ${passed}/${summary.results.length} passed, ${skipped} skipped`));
+    console.log(summary.passed ? chalk.green('✅ App reacted to every network scenario as expected') : chalk.red('❌ App reaction did not match for some network scenarios'));
+  }
+}
+
+module.exports = NetworkScenarios;
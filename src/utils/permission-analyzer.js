@@ -0,0 +1,309 @@
+/**
+ * Permission Analyzer Utility
+ * Classifies an app's requested and granted permissions by protection level,
+ * flags risky combinations and diffs permission sets between app versions
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const { securityTestConfig } = require('../config/security-config');
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const ACCESSIBILITY_SERVICE = 'accessibility_service';
+const ACCESSIBILITY_ACTION = 'android.accessibilityservice.AccessibilityService';
+const BIND_ACCESSIBILITY_SERVICE = 'android.permission.BIND_ACCESSIBILITY_SERVICE';
+
+// Platform protection levels. Anything not listed and not declared by the app is 'unknown'.
+const PROTECTION_LEVELS = {
+  dangerous: [
+    'READ_CALENDAR', 'WRITE_CALENDAR', 'CAMERA', 'READ_CONTACTS', 'WRITE_CONTACTS', 'GET_ACCOUNTS',
+    'ACCESS_FINE_LOCATION', 'ACCESS_COARSE_LOCATION', 'ACCESS_BACKGROUND_LOCATION', 'ACCESS_MEDIA_LOCATION',
+    'RECORD_AUDIO', 'READ_PHONE_STATE', 'READ_PHONE_NUMBERS', 'CALL_PHONE', 'ANSWER_PHONE_CALLS',
+    'READ_CALL_LOG', 'WRITE_CALL_LOG', 'ADD_VOICEMAIL', 'USE_SIP', 'PROCESS_OUTGOING_CALLS',
+    'BODY_SENSORS', 'ACTIVITY_RECOGNITION', 'SEND_SMS', 'RECEIVE_SMS', 'READ_SMS', 'RECEIVE_WAP_PUSH',
+    'RECEIVE_MMS', 'READ_EXTERNAL_STORAGE', 'WRITE_EXTERNAL_STORAGE', 'READ_MEDIA_IMAGES',
+    'READ_MEDIA_VIDEO', 'READ_MEDIA_AUDIO', 'POST_NOTIFICATIONS', 'NEARBY_WIFI_DEVICES',
+    'BLUETOOTH_SCAN', 'BLUETOOTH_CONNECT', 'BLUETOOTH_ADVERTISE', 'UWB_RANGING'
+  ],
+  // Granted through an app-op the user toggles in Settings
+  appop: [
+    'SYSTEM_ALERT_WINDOW', 'WRITE_SETTINGS', 'REQUEST_INSTALL_PACKAGES', 'MANAGE_EXTERNAL_STORAGE',
+    'PACKAGE_USAGE_STATS', 'SCHEDULE_EXACT_ALARM'
+  ],
+  signature: [
+    'BIND_ACCESSIBILITY_SERVICE', 'BIND_DEVICE_ADMIN', 'BIND_NOTIFICATION_LISTENER_SERVICE', 'BIND_VPN_SERVICE',
+    'BIND_INPUT_METHOD', 'INSTALL_PACKAGES', 'DELETE_PACKAGES', 'READ_LOGS', 'WRITE_SECURE_SETTINGS',
+    'MOUNT_UNMOUNT_FILESYSTEMS', 'READ_PRIVILEGED_PHONE_STATE', 'CHANGE_COMPONENT_ENABLED_STATE'
+  ],
+  normal: [
+    'INTERNET', 'ACCESS_NETWORK_STATE', 'ACCESS_WIFI_STATE', 'CHANGE_WIFI_STATE', 'VIBRATE', 'WAKE_LOCK',
+    'RECEIVE_BOOT_COMPLETED', 'FOREGROUND_SERVICE', 'REQUEST_IGNORE_BATTERY_OPTIMIZATIONS', 'USE_BIOMETRIC',
+    'USE_FINGERPRINT', 'NFC', 'BLUETOOTH', 'BLUETOOTH_ADMIN', 'QUERY_ALL_PACKAGES', 'REQUEST_DELETE_PACKAGES',
+    'KILL_BACKGROUND_PROCESSES', 'ACCESS_NOTIFICATION_POLICY', 'USE_FULL_SCREEN_INTENT'
+  ]
+};
+
+const PLATFORM_LEVELS = new Map(Object.entries(PROTECTION_LEVELS)
+  .flatMap(([level, names]) => names.map(name => [`android.permission.${name}`, level])));
+
+// App-op names that differ from their permission's short name
+const APP_OP_PERMISSIONS = {
+  GET_USAGE_STATS: 'android.permission.PACKAGE_USAGE_STATS'
+};
+
+class PermissionAnalyzer {
+  /**
+   * @param {ADBHelper} adb - Device helper
+   * @param {Object} options - { maxDangerousGranted, riskyCombinations } overriding securityTestConfig.permissions
+   */
+  constructor(adb, options = {}) {
+    this.adb = adb;
+    this.maxDangerousGranted = options.maxDangerousGranted || securityTestConfig.permissions.max_dangerous_granted;
+    this.riskyCombinations = options.riskyCombinations || securityTestConfig.permissions.risky_combinations;
+  }
+
+  /**
+   * Analyze the installed app's permissions, or options.manifest (a
+   * ManifestAnalyzer summary) without a device. options.previous is an earlier
+   * analysis, or the path of one saved as JSON, to diff against.
+   */
+  async analyze(packageName, options = {}) {
+    try {
+      console.log(chalk.blue(`🔑 Analyzing permissions: ${packageName}`));
+
+      const state = options.manifest
+        ? PermissionAnalyzer.fromManifest(options.manifest)
+        : await this.readDeviceState(packageName);
+
+      const permissions = state.requested.map(name => ({
+        name,
+        protectionLevel: PermissionAnalyzer.classify(name, state.declared),
+        ...state.grants.get(name)
+      }));
+      const combinations = this.evaluateCombinations(permissions, state.accessibilityService);
+
+      const dangerousGranted = permissions.filter(permission => permission.protectionLevel === 'dangerous' && permission.granted).length;
+      const risk = [dangerousGranted > this.maxDangerousGranted ? 'medium' : 'low', ...combinations.map(combination => combination.severity)]
+        .reduce((worst, severity) => SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(worst) ? severity : worst, 'low');
+
+      const result = {
+        packageName,
+        versionName: state.versionName,
+        versionCode: state.versionCode,
+        source: options.manifest ? 'manifest' : 'device',
+        risk,
+        permissions,
+        accessibilityService: state.accessibilityService,
+        combinations,
+        summary: {
+          requested: permissions.length,
+          granted: permissions.filter(permission => permission.granted).length,
+          dangerous: permissions.filter(permission => permission.protectionLevel === 'dangerous').length,
+          dangerousGranted,
+          appop: permissions.filter(permission => permission.protectionLevel === 'appop').length,
+          signature: permissions.filter(permission => permission.protectionLevel === 'signature').length,
+          unknown: permissions.filter(permission => permission.protectionLevel === 'unknown').length
+        },
+        diff: null
+      };
+
+      if (options.previous) {
+        const previous = typeof options.previous === 'string' ? await fs.readJson(options.previous) : options.previous;
+        result.diff = PermissionAnalyzer.diff(previous, result);
+      }
+
+      this.logAnalysis(result);
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ Permission analysis failed:'), error.message);
+      return { risk: 'unknown', error: error.message };
+    }
+  }
+
+  async readDeviceState(packageName) {
+    const dumpsys = await this.adb.shell(['dumpsys', 'package', packageName]);
+    if (!dumpsys.success || !dumpsys.output.includes(`Package [${packageName}]`)) {
+      throw new Error(`Package not installed: ${packageName}`);
+    }
+
+    const state = PermissionAnalyzer.parseDumpsys(dumpsys.output, packageName);
+
+    // App-op permissions (overlay, install packages...) are granted by their op mode, not the permission grant
+    const appOps = await this.adb.shell(['appops', 'get', packageName]);
+    if (appOps.success) {
+      for (const [permission, mode] of PermissionAnalyzer.parseAppOps(appOps.output)) {
+        const grant = state.grants.get(permission);
+        if (!grant || PermissionAnalyzer.classify(permission, state.declared) !== 'appop') continue;
+        grant.appOpMode = mode;
+        grant.granted = mode === 'allow' || mode === 'foreground' || (mode === 'default' && grant.granted);
+        grant.grantType = 'appop';
+      }
+    }
+
+    if (state.accessibilityService) {
+      const enabledServices = await this.adb.shell(['settings', 'get', 'secure', 'enabled_accessibility_services']);
+      state.accessibilityService = {
+        declared: true,
+        enabled: enabledServices.success && enabledServices.output.split(':').some(service => service.startsWith(`${packageName}/`))
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Requested permissions, grant state, app-declared permissions and whether an
+   * accessibility service is declared, from `dumpsys package <pkg>`
+   */
+  static parseDumpsys(output, packageName) {
+    const lines = output.split('\n');
+    const start = lines.findIndex(line => line.includes(`Package [${packageName}]`));
+    const end = lines.findIndex((line, i) => i > start && (/^\S/.test(line) || /^\s*Package \[/.test(line)));
+    const packageLines = lines.slice(start, end === -1 ? lines.length : end);
+
+    const requested = PermissionAnalyzer.readSection(packageLines, 'requested permissions')
+      .map(line => line.split(/[:,\s]/)[0]);
+    const grants = new Map(requested.map(name => [name, { granted: false, grantType: null, flags: [] }]));
+
+    const applyGrants = (section, grantType) => {
+      PermissionAnalyzer.readSection(packageLines, section).forEach(line => {
+        const match = line.match(/^([^:\s]+): granted=(true|false)(?:, flags=\[\s*([^\]]*?)\s*\])?/);
+        if (!match) return;
+        grants.set(match[1], {
+          granted: match[2] === 'true',
+          grantType,
+          flags: match[3] ? match[3].split('|').filter(Boolean) : []
+        });
+      });
+    };
+    applyGrants('install permissions', 'install');
+    // First user's runtime grants
+    applyGrants('runtime permissions', 'runtime');
+
+    const declared = new Map(PermissionAnalyzer.readSection(packageLines, 'declared permissions').map(line => {
+      const match = line.match(/^([^:\s]+): prot=([a-z]+)/);
+      return match ? [match[1], match[2]] : null;
+    }).filter(Boolean));
+
+    return {
+      versionName: (output.match(/versionName=(\S+)/) || [])[1] || null,
+      versionCode: (output.match(/versionCode=(\d+)/) || [])[1] || null,
+      requested,
+      grants,
+      declared,
+      accessibilityService: output.includes(ACCESSIBILITY_ACTION)
+    };
+  }
+
+  /**
+   * Item lines of the first indented `<title>:` section
+   */
+  static readSection(lines, title) {
+    const start = lines.findIndex(line => line.trim() === `${title}:`);
+    if (start === -1) return [];
+
+    const indent = lines[start].search(/\S/);
+    const items = [];
+    for (const line of lines.slice(start + 1)) {
+      if (!line.trim() || line.search(/\S/) <= indent) break;
+      items.push(line.trim());
+    }
+    return items;
+  }
+
+  /**
+   * [permission, mode] pairs from `appops get <pkg>`
+   */
+  static parseAppOps(output) {
+    return output.split('\n')
+      .map(line => line.trim().match(/^(?:Uid mode: )?([A-Z_]+): ([a-z]+)/))
+      .filter(Boolean)
+      .map(([, op, mode]) => [APP_OP_PERMISSIONS[op] || `android.permission.${op}`, mode]);
+  }
+
+  /**
+   * Requested permissions from a ManifestAnalyzer summary; grant state is unknown
+   */
+  static fromManifest(manifest) {
+    const accessibility = manifest.components.some(component => component.type === 'service' && component.permission === BIND_ACCESSIBILITY_SERVICE);
+
+    return {
+      versionName: manifest.versionName,
+      versionCode: manifest.versionCode,
+      requested: manifest.permissions,
+      grants: new Map(manifest.permissions.map(name => [name, { granted: null, grantType: null, flags: [] }])),
+      declared: new Map(),
+      accessibilityService: accessibility ? { declared: true, enabled: null } : false
+    };
+  }
+
+  static classify(name, declared = new Map()) {
+    if (PLATFORM_LEVELS.has(name)) return PLATFORM_LEVELS.get(name);
+    if (declared.has(name)) return declared.get(name);
+    return 'unknown';
+  }
+
+  evaluateCombinations(permissions, accessibilityService) {
+    const requested = new Map(permissions.map(permission => [permission.name, permission]));
+    if (accessibilityService) {
+      requested.set(ACCESSIBILITY_SERVICE, { name: ACCESSIBILITY_SERVICE, granted: accessibilityService.enabled });
+    }
+
+    return this.riskyCombinations.map(combination => {
+      const matched = combination.requires.map(group => group.filter(name => requested.has(name)));
+      if (matched.some(group => group.length === 0)) return null;
+
+      return {
+        id: combination.id,
+        severity: combination.severity,
+        description: combination.description,
+        permissions: matched.flat(),
+        // Whether every group has a granted member; null when grant state is unknown
+        granted: matched.every(group => group.some(name => requested.get(name).granted === true))
+          ? true
+          : matched.some(group => group.every(name => requested.get(name).granted === false)) ? false : null
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Permission changes between two analyses (e.g. the previous and current app version)
+   */
+  static diff(previous, current) {
+    const before = new Map(previous.permissions.map(permission => [permission.name, permission]));
+    const after = new Map(current.permissions.map(permission => [permission.name, permission]));
+    const previousCombinations = new Set((previous.combinations || []).map(combination => combination.id));
+
+    const added = current.permissions.filter(permission => !before.has(permission.name));
+    return {
+      fromVersion: previous.versionName || null,
+      toVersion: current.versionName || null,
+      added: added.map(permission => permission.name),
+      removed: previous.permissions.filter(permission => !after.has(permission.name)).map(permission => permission.name),
+      newlyGranted: current.permissions
+        .filter(permission => permission.granted === true && before.has(permission.name) && before.get(permission.name).granted === false)
+        .map(permission => permission.name),
+      addedDangerous: added.filter(permission => permission.protectionLevel !== 'normal').map(permission => permission.name),
+      newCombinations: current.combinations.filter(combination => !previousCombinations.has(combination.id)).map(combination => combination.id)
+    };
+  }
+
+  logAnalysis(result) {
+    const { summary } = result;
+    console.log(chalk.gray(`   ${summary.requested} requested, ${summary.granted} granted, ${summary.dangerousGranted}/${summary.dangerous} dangerous granted`));
+
+    result.combinations.forEach(combination => {
+      const color = combination.severity === 'critical' || combination.severity === 'high' ? chalk.red : chalk.yellow;
+      console.log(color(`⚠️  [${combination.severity}] ${combination.description}: ${combination.permissions.join(', ')}`));
+    });
+
+    if (result.diff && (result.diff.addedDangerous.length > 0 || result.diff.newCombinations.length > 0)) {
+      console.log(chalk.yellow(`⚠️  New since ${result.diff.fromVersion || 'previous version'}: ${[...result.diff.addedDangerous, ...result.diff.newCombinations].join(', ')}`));
+    }
+  }
+}
+
+PermissionAnalyzer.PROTECTION_LEVELS = PROTECTION_LEVELS;
+
+module.exports = PermissionAnalyzer;
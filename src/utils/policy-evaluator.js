@@ -0,0 +1,194 @@
+/**
+ * Policy Evaluator Utility
+ * Turns a DeviceDetector analysis into an allow/warn/block decision
+ */
+
+const chalk = require('chalk');
+const { SecurityConfigManager } = require('../config/security-config');
+
+// Ordered by severity; the overall decision is the most severe outcome
+const DECISIONS = ['allow', 'warn', 'block'];
+
+// Policy actions mapped onto decisions ('log' records the finding but allows)
+const ACTION_DECISIONS = {
+  block: 'block',
+  warn: 'warn',
+  log: 'allow'
+};
+
+// debugPolicy.allowed_in_* flag for each environment
+const DEBUG_ALLOWANCES = {
+  development: 'allowed_in_dev',
+  staging: 'allowed_in_staging',
+  production: 'allowed_in_production'
+};
+
+class PolicyEvaluator {
+  constructor(securityConfig = null) {
+    this.securityConfig = securityConfig || new SecurityConfigManager(process.env.TEST_ENV || 'development');
+  }
+
+  /**
+   * Evaluate a device analysis against the active environment's policies
+   */
+  evaluate(analysis, options = {}) {
+    const deviceIds = this.getDeviceIds(analysis, options.deviceId);
+    const reasons = [
+      ...this.evaluateEmulatorPolicy(analysis, deviceIds, options),
+      ...this.evaluateRootPolicy(analysis, options),
+      ...this.evaluateDebugPolicy(analysis),
+      ...this.evaluateProxyPolicy(analysis)
+    ];
+
+    const decision = reasons.reduce(
+      (worst, reason) => DECISIONS.indexOf(reason.outcome) > DECISIONS.indexOf(worst) ? reason.outcome : worst,
+      'allow'
+    );
+
+    const result = {
+      decision,
+      allowed: decision !== 'block',
+      environment: this.securityConfig.environment,
+      deviceId: deviceIds[0] || null,
+      reasons,
+      timestamp: new Date().toISOString()
+    };
+
+    this.logDecision(result);
+    return result;
+  }
+
+  evaluateEmulatorPolicy(analysis, deviceIds, options) {
+    const policy = this.securityConfig.getSecurityPolicy('deviceSecurity', 'emulatorPolicy');
+    if (!policy.enabled) return [];
+
+    const blacklisted = deviceIds.find(id => (policy.blacklist || []).includes(id));
+    if (blacklisted) {
+      return [this.reason('emulatorPolicy', 'block', 'block', `Device ${blacklisted} is blacklisted`)];
+    }
+
+    const whitelisted = deviceIds.find(id => (policy.whitelist || []).includes(id));
+    if (whitelisted) {
+      return [this.reason('emulatorPolicy', policy.action, 'allow', `Device ${whitelisted} is whitelisted`)];
+    }
+
+    if (!analysis.emulatorDetection?.isEmulator) return [];
+
+    const confidence = Math.round((analysis.emulatorDetection.confidence || 0) * 100);
+    return [this.actionReason('emulatorPolicy', policy, `Emulator detected (${confidence}% confidence)`, options)];
+  }
+
+  evaluateRootPolicy(analysis, options) {
+    const policy = this.securityConfig.getSecurityPolicy('deviceSecurity', 'rootPolicy');
+    if (!policy.enabled || !analysis.rootDetection?.isRooted) return [];
+
+    const confidence = Math.round((analysis.rootDetection.confidence || 0) * 100);
+    return [this.actionReason('rootPolicy', policy, `Root detected (${confidence}% confidence)`, options)];
+  }
+
+  evaluateDebugPolicy(analysis) {
+    const policy = this.securityConfig.getSecurityPolicy('deviceSecurity', 'debugPolicy');
+    if (!policy.enabled || !analysis.debugDetection?.debuggingDetected) return [];
+
+    const signals = Object.entries(analysis.debugDetection.details || {})
+      .filter(([, enabled]) => enabled)
+      .map(([name]) => name);
+    const detail = `Debugging enabled (${signals.join(', ')})`;
+
+    const allowance = DEBUG_ALLOWANCES[this.securityConfig.environment];
+    if (allowance && policy[allowance]) {
+      return [this.reason('debugPolicy', policy.action, 'allow', `${detail} - allowed in ${this.securityConfig.environment}`)];
+    }
+
+    return [this.reason('debugPolicy', policy.action, ACTION_DECISIONS[policy.action] || 'warn', detail)];
+  }
+
+  evaluateProxyPolicy(analysis) {
+    const policy = this.securityConfig.getSecurityPolicy('networkSecurity', 'proxyPolicy');
+    const proxy = analysis.networkAnalysis?.details?.proxySettings;
+    if (!policy.enabled || !proxy?.configured) return [];
+
+    // A PAC file is judged by the host serving it; the full URL is only reported
+    const host = proxy.host || this.getPacHost(proxy.pacUrl);
+    const label = proxy.host ? host : `PAC ${proxy.pacUrl}`;
+
+    if ((policy.blacklist || []).includes(host)) {
+      return [this.reason('proxyPolicy', 'block', 'block', `Proxy ${label} is blacklisted`)];
+    }
+
+    if ((policy.whitelist || []).includes(host)) {
+      return [this.reason('proxyPolicy', policy.action, 'allow', `Proxy ${label} is whitelisted`)];
+    }
+
+    if (policy.corporate_proxies_allowed && this.isCorporateProxy(host, policy.corporate_proxies)) {
+      return [this.reason('proxyPolicy', policy.action, 'allow', `Corporate proxy ${label} allowed`)];
+    }
+
+    return [this.reason('proxyPolicy', policy.action, ACTION_DECISIONS[policy.action] || 'warn', `Proxy configured: ${label}`)];
+  }
+
+  /**
+   * Outcome for a detection policy, honouring bypass_allowed
+   */
+  actionReason(policyName, policy, detail, options) {
+    const outcome = ACTION_DECISIONS[policy.action] || 'block';
+
+    if (outcome === 'block' && policy.bypass_allowed && options.bypass) {
+      return this.reason(policyName, policy.action, 'warn', `${detail} - bypass granted`);
+    }
+
+    return this.reason(policyName, policy.action, outcome, detail);
+  }
+
+  reason(policy, action, outcome, detail) {
+    return { policy, action, outcome, detail };
+  }
+
+  /**
+   * Identifiers the allow/deny lists may reference: the adb serial and the
+   * device's reported ro.serialno
+   */
+  getDeviceIds(analysis, deviceId) {
+    return [deviceId, analysis.deviceInfo?.serialNumber]
+      .filter(Boolean)
+      .filter((id, index, ids) => ids.indexOf(id) === index);
+  }
+
+  /**
+   * Hostname of a PAC URL, or the value itself when it does not parse
+   */
+  getPacHost(pacUrl) {
+    if (!pacUrl) return null;
+    try {
+      return new URL(pacUrl).hostname || pacUrl;
+    } catch (error) {
+      return pacUrl;
+    }
+  }
+
+  /**
+   * Whether host is one of the configured corporate proxies. Entries starting
+   * with '.' match any subdomain; private address ranges alone do not qualify.
+   */
+  isCorporateProxy(host, corporateProxies = []) {
+    if (!host) return false;
+    const name = host.toLowerCase();
+    return corporateProxies.some(entry => {
+      const candidate = entry.toLowerCase();
+      return candidate.startsWith('.') ? name.endsWith(candidate) : name === candidate;
+    });
+  }
+
+  logDecision(result) {
+    const color = result.decision === 'block' ? chalk.red :
+      result.decision === 'warn' ? chalk.yellow :
+        chalk.green;
+
+    console.log(color(`🚦 Policy decision: ${result.decision.toUpperCase()} (${result.environment})`));
+    result.reasons.forEach(reason => {
+      console.log(chalk.gray(`   ${reason.policy}: ${reason.outcome} - ${reason.detail}`));
+    });
+  }
+}
+
+module.exports = PolicyEvaluator;
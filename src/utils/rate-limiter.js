@@ -0,0 +1,66 @@
+/**
+ * Rate Limiter Utility
+ * Token bucket for outbound API calls: `ratePerMinute` tokens refill
+ * continuously up to `burst`, and each call takes one
+ */
+
+class RateLimiter {
+  /**
+   * @param {Object} options - { ratePerMinute, burst (bucket size, default ratePerMinute) }
+   */
+  constructor(options = {}) {
+    if (!(options.ratePerMinute > 0)) {
+      throw new Error(`Invalid rate limit: ${options.ratePerMinute}`);
+    }
+
+    this.capacity = options.burst || options.ratePerMinute;
+    this.refillPerMs = options.ratePerMinute / 60000;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until a token is available
+   */
+  waitTime() {
+    this.refill();
+    const refillWait = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    return Math.max(refillWait, this.pausedUntil - Date.now());
+  }
+
+  tryAcquire() {
+    if (this.waitTime() > 0) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Resolve once a token has been taken. Waiting callers are served in order.
+   */
+  acquire() {
+    const turn = this.queue.then(async () => {
+      while (!this.tryAcquire()) {
+        await new Promise(resolve => setTimeout(resolve, this.waitTime()));
+      }
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Hold every caller for ms, e.g. for a server's Retry-After
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+module.exports = RateLimiter;
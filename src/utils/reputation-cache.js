@@ -0,0 +1,66 @@
+/**
+ * Reputation Cache Utility
+ * On-disk cache of reputation verdicts per provider and indicator. Entries
+ * are fresh for `ttlSeconds`; stale entries are kept for offline runs.
+ */
+
+const fs = require('fs-extra');
+
+const CACHE_VERSION = 1;
+
+class ReputationCache {
+  /**
+   * @param {Object} options - { cachePath, ttlSeconds }
+   */
+  constructor(options = {}) {
+    this.cachePath = options.cachePath;
+    this.ttlMs = options.ttlSeconds * 1000;
+    this.entries = new Map();
+    this.dirty = false;
+  }
+
+  static key(provider, type, value) {
+    return `${provider}|${type}|${String(value).toLowerCase()}`;
+  }
+
+  async load() {
+    if (!this.cachePath || !await fs.pathExists(this.cachePath)) return this;
+
+    const data = await fs.readJson(this.cachePath);
+    if (data.version !== CACHE_VERSION) {
+      throw new Error(`Unsupported reputation cache version: ${data.version}`);
+    }
+
+    this.entries = new Map(Object.entries(data.entries));
+    return this;
+  }
+
+  /**
+   * Cached verdict, or null when there is none or it is older than the TTL
+   * (unless options.allowStale). `stale` tells the two apart.
+   */
+  get(provider, type, value, options = {}) {
+    const entry = this.entries.get(ReputationCache.key(provider, type, value));
+    if (!entry) return null;
+
+    const stale = Date.now() - new Date(entry.fetchedAt).getTime() > this.ttlMs;
+    if (stale && !options.allowStale) return null;
+    return { ...entry, stale };
+  }
+
+  set(provider, type, value, result) {
+    const entry = { verdict: result.verdict, score: result.score ?? null, detail: result.detail || null, fetchedAt: new Date().toISOString() };
+    this.entries.set(ReputationCache.key(provider, type, value), entry);
+    this.dirty = true;
+    return entry;
+  }
+
+  async save() {
+    if (!this.cachePath || !this.dirty) return;
+
+    await fs.outputJson(this.cachePath, { version: CACHE_VERSION, entries: Object.fromEntries(this.entries) }, { spaces: 2 });
+    this.dirty = false;
+  }
+}
+
+module.exports = ReputationCache;
@@ -0,0 +1,180 @@
+/**
+ * Reputation Providers
+ * Pluggable reputation lookups used by ReputationService. A provider declares
+ * which indicator types it supports and resolves each lookup to a verdict.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const VERDICTS = ['unknown', 'clean', 'suspicious', 'malicious'];
+
+// Connection failures that mean the service is unreachable, not that it answered
+const OFFLINE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ETIMEDOUT'];
+
+/**
+ * Lookup failure. `code` is OFFLINE when the service cannot be reached,
+ * RATE_LIMITED when it asked to back off, HTTP for any other error response.
+ */
+class ReputationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ReputationError';
+    this.code = details.code || null;
+    this.status = details.status || null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Base provider. Subclasses implement lookup(type, value) and resolve to
+ * { verdict, score, detail } with verdict one of VERDICTS.
+ */
+class ReputationProvider {
+  /**
+   * @param {Object} options - { name, types (indicator types served), rateLimit (requests per minute) }
+   */
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.name;
+    this.types = options.types || [];
+    this.rateLimit = options.rateLimit || null;
+  }
+
+  supports(type) {
+    return this.types.includes(type);
+  }
+
+  async lookup(type, value) {
+    throw new Error(`${this.constructor.name} does not implement lookup()`);
+  }
+}
+
+/**
+ * Provider for any JSON-over-HTTP reputation API. Each supported type has an
+ * endpoint URL template with `{value}`. The verdict is read from verdictPath,
+ * or derived from malicious/suspicious engine counts when those paths are set.
+ */
+class HttpReputationProvider extends ReputationProvider {
+  /**
+   * @param {Object} options - ReputationProvider options plus { endpoints: { type: url }, headers, timeoutMs,
+   *   verdictPath, scorePath, detailPath, maliciousCountPath, suspiciousCountPath }
+   */
+  constructor(options = {}) {
+    super({ ...options, types: Object.keys(options.endpoints || {}) });
+    this.endpoints = options.endpoints || {};
+    this.headers = options.headers || {};
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.verdictPath = options.verdictPath || 'verdict';
+    this.scorePath = options.scorePath || 'score';
+    this.detailPath = options.detailPath || 'detail';
+    this.maliciousCountPath = options.maliciousCountPath || null;
+    this.suspiciousCountPath = options.suspiciousCountPath || null;
+  }
+
+  static readPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((current, key) => current == null ? undefined : current[key], object);
+  }
+
+  async lookup(type, value) {
+    const template = this.endpoints[type];
+    if (!template) {
+      throw new Error(`${this.name} does not support ${type} lookups`);
+    }
+
+    const url = template.replace(/\{value\}/g, encodeURIComponent(value));
+    const response = await this.request(url);
+
+    // Never seen by the service: a valid answer, and worth caching
+    if (response.status === 404) {
+      return { verdict: 'unknown', score: null, detail: 'Not found' };
+    }
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers['retry-after'], 10);
+      throw new ReputationError(`${this.name} rate limit exceeded`, {
+        code: 'RATE_LIMITED',
+        status: 429,
+        retryAfterMs: Number.isNaN(retryAfter) ? 60000 : retryAfter * 1000
+      });
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new ReputationError(`${this.name} returned HTTP ${response.status}`, { code: 'HTTP', status: response.status });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (error) {
+      throw new ReputationError(`${this.name} returned invalid JSON`, { code: 'HTTP', status: response.status });
+    }
+    return this.parseVerdict(body);
+  }
+
+  parseVerdict(body) {
+    const score = HttpReputationProvider.readPath(body, this.scorePath) ?? null;
+    const detail = HttpReputationProvider.readPath(body, this.detailPath) ?? null;
+
+    if (this.maliciousCountPath) {
+      const malicious = HttpReputationProvider.readPath(body, this.maliciousCountPath) || 0;
+      const suspicious = this.suspiciousCountPath ? HttpReputationProvider.readPath(body, this.suspiciousCountPath) || 0 : 0;
+      const verdict = malicious > 0 ? 'malicious' : suspicious > 0 ? 'suspicious' : 'clean';
+      return { verdict, score: score ?? malicious, detail: detail ?? `${malicious} malicious, ${suspicious} suspicious detections` };
+    }
+
+    const verdict = String(HttpReputationProvider.readPath(body, this.verdictPath) || '').toLowerCase();
+    return { verdict: VERDICTS.includes(verdict) ? verdict : 'unknown', score, detail };
+  }
+
+  request(url) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const request = client.get(url, { headers: { Accept: 'application/json', ...this.headers }, timeout: this.timeoutMs }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(Object.assign(new Error(`${this.name} timed out after ${this.timeoutMs}ms`), { code: 'ETIMEDOUT' })));
+      request.on('error', (error) => {
+        reject(OFFLINE_CODES.includes(error.code)
+          ? new ReputationError(`${this.name} unreachable: ${error.message}`, { code: 'OFFLINE' })
+          : error);
+      });
+    });
+  }
+}
+
+/**
+ * Provider for a threatIntelligence.reputation.services entry
+ */
+function createProvider(service) {
+  const type = service.type || 'http';
+
+  switch (type) {
+    case 'http':
+      return new HttpReputationProvider({
+        name: service.name,
+        endpoints: service.endpoints,
+        headers: service.api_key && service.api_key_header
+          ? { ...service.headers, [service.api_key_header]: service.api_key }
+          : service.headers,
+        rateLimit: service.rate_limit,
+        timeoutMs: service.timeout_ms,
+        verdictPath: service.verdict_path,
+        scorePath: service.score_path,
+        detailPath: service.detail_path,
+        maliciousCountPath: service.malicious_count_path,
+        suspiciousCountPath: service.suspicious_count_path
+      });
+    default:
+      throw new Error(`Unknown reputation provider type: ${type}`);
+  }
+}
+
+module.exports = {
+  ReputationProvider,
+  HttpReputationProvider,
+  ReputationError,
+  createProvider,
+  VERDICTS
+};
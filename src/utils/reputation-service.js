@@ -0,0 +1,163 @@
+/**
+ * Reputation Service Utility
+ * Looks up file hashes and domains with the configured reputation providers,
+ * through a persistent cache and a per-provider rate limiter. Offline, or
+ * once a provider is unreachable, lookups are answered from the cache only.
+ */
+
+const chalk = require('chalk');
+const RateLimiter = require('./rate-limiter');
+const ReputationCache = require('./reputation-cache');
+const { createProvider, VERDICTS } = require('./reputation-providers');
+const { threatIntelligence } = require('../config/security-config');
+
+class ReputationService {
+  /**
+   * @param {Object} options - { providers (ReputationProvider instances), cache, cachePath, cacheDuration (seconds),
+   *   offline, maxWaitMs, batchBudgetMs } overriding threatIntelligence.reputation
+   */
+  constructor(options = {}) {
+    const config = threatIntelligence.reputation;
+    this.offline = options.offline ?? config.offline;
+    this.maxWaitMs = options.maxWaitMs ?? config.max_wait_seconds * 1000;
+    this.batchBudgetMs = options.batchBudgetMs ?? config.batch_budget_seconds * 1000;
+    this.batchDeadline = Infinity;
+    this.cache = options.cache || new ReputationCache({
+      cachePath: options.cachePath || config.cache_path,
+      ttlSeconds: options.cacheDuration ?? config.cache_duration
+    });
+    this.providers = options.providers ||
+      (config.enabled ? config.services.filter(service => service.enabled).map(createProvider) : []);
+    this.limiters = new Map(this.providers
+      .filter(provider => provider.rateLimit)
+      .map(provider => [provider.name, new RateLimiter({ ratePerMinute: provider.rateLimit })]));
+    this.unreachable = new Set();
+    this.loaded = false;
+  }
+
+  static worstVerdict(verdicts) {
+    return verdicts.reduce((worst, verdict) => VERDICTS.indexOf(verdict) > VERDICTS.indexOf(worst) ? verdict : worst, 'unknown');
+  }
+
+  async load() {
+    if (!this.loaded) {
+      await this.cache.load();
+      this.loaded = true;
+    }
+  }
+
+  /**
+   * Reputation of one indicator across every provider that supports its type
+   */
+  async lookup(type, value) {
+    const [result] = (await this.lookupMany([{ type, value }])).results;
+    return result;
+  }
+
+  /**
+   * Look up a batch of { type, value, ...context } items in order, then save
+   * the cache once. Context fields are carried through to each result. Once
+   * batchBudgetMs has been spent, the remaining items are answered from the
+   * cache only and marked `deferred`.
+   */
+  async lookupMany(items) {
+    await this.load();
+
+    this.batchDeadline = Date.now() + this.batchBudgetMs;
+    const results = [];
+    try {
+      for (const item of items) {
+        const providerResults = [];
+        for (const provider of this.providers.filter(candidate => candidate.supports(item.type))) {
+          providerResults.push(await this.query(provider, item.type, item.value));
+        }
+        results.push({ ...item, verdict: ReputationService.worstVerdict(providerResults.map(result => result.verdict)), providers: providerResults });
+      }
+    } finally {
+      this.batchDeadline = Infinity;
+      await this.cache.save();
+    }
+
+    const count = verdict => results.filter(result => result.verdict === verdict).length;
+    const providerResults = results.flatMap(result => result.providers);
+    const deferred = providerResults.filter(result => result.deferred).length;
+    if (deferred > 0) {
+      console.log(chalk.yellow(`⚠️  ${deferred} reputation lookups deferred to a later run and answered from the cache`));
+    }
+    return {
+      results,
+      summary: {
+        total: results.length,
+        malicious: count('malicious'),
+        suspicious: count('suspicious'),
+        clean: count('clean'),
+        unknown: count('unknown'),
+        fetched: providerResults.filter(result => result.fetched).length,
+        cached: providerResults.filter(result => result.cached).length,
+        deferred,
+        cacheOnly: this.offline || this.unreachable.size > 0 || deferred > 0
+      }
+    };
+  }
+
+  /**
+   * One provider's verdict: fresh cache, then the provider, then (offline,
+   * unreachable, rate-limited past maxWaitMs or past the batch budget)
+   * whatever the cache still has
+   */
+  async query(provider, type, value, retried = false) {
+    const fresh = this.cache.get(provider.name, type, value);
+    if (fresh) {
+      return { provider: provider.name, ...fresh, cached: true, fetched: false };
+    }
+
+    const limiter = this.limiters.get(provider.name);
+    if (this.offline || this.unreachable.has(provider.name)) {
+      return this.fromCacheOnly(provider, type, value, 'Offline: answered from cache only');
+    }
+
+    const wait = limiter ? limiter.waitTime() : 0;
+    let deferral = null;
+    if (wait > this.maxWaitMs) {
+      deferral = `Deferred: ${provider.name} rate limit would delay this lookup more than ${Math.round(this.maxWaitMs / 1000)}s`;
+    } else if (Date.now() + wait > this.batchDeadline) {
+      deferral = `Deferred: the ${Math.round(this.batchBudgetMs / 1000)}s batch budget is used up`;
+    }
+    if (deferral) {
+      return { ...this.fromCacheOnly(provider, type, value, deferral), deferred: true };
+    }
+
+    try {
+      if (limiter) await limiter.acquire();
+      const result = await provider.lookup(type, value);
+      const entry = this.cache.set(provider.name, type, value, result);
+      return { provider: provider.name, ...entry, stale: false, cached: false, fetched: true };
+    } catch (error) {
+      if (error.code === 'OFFLINE') {
+        console.log(chalk.yellow(`⚠️  ${error.message}; using cached reputation only`));
+        this.unreachable.add(provider.name);
+        return this.fromCacheOnly(provider, type, value, error.message);
+      }
+      if (error.code === 'RATE_LIMITED' && !retried && error.retryAfterMs <= this.maxWaitMs) {
+        if (limiter) {
+          limiter.pause(error.retryAfterMs);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, error.retryAfterMs));
+        }
+        return this.query(provider, type, value, true);
+      }
+
+      console.error(chalk.red(`❌ ${provider.name} lookup failed for ${value}:`), error.message);
+      return { ...this.fromCacheOnly(provider, type, value, error.message), error: error.message };
+    }
+  }
+
+  fromCacheOnly(provider, type, value, reason) {
+    const stale = this.cache.get(provider.name, type, value, { allowStale: true });
+    return stale
+      ? { provider: provider.name, ...stale, cached: true, fetched: false, reason }
+      : { provider: provider.name, verdict: 'unknown', score: null, detail: null, cached: false, fetched: false, reason };
+  }
+}
+
+module.exports = ReputationService;
@@ -4,16 +4,43 @@
  */
 
 const ADBHelper = require('./adb-helper');
+const ApkSignatureVerifier = require('./apk-signature-verifier');
+const BaselineManager = require('./baseline-manager');
+const ComponentProber = require('./component-prober');
+const DeepLinkFuzzer = require('./deep-link-fuzzer');
 const DeviceDetector = require('./device-detector');
 const FileManipulator = require('./file-manipulator');
+const IocStore = require('./ioc-store');
+const ManifestAnalyzer = require('./manifest-analyzer');
+const MitmProxy = require('./mitm-proxy');
+const NetworkCapture = require('./network-capture');
+const NetworkScenarios = require('./network-scenarios');
+const PermissionAnalyzer = require('./permission-analyzer');
+const PolicyEvaluator = require('./policy-evaluator');
+const ReputationService = require('./reputation-service');
+const TrafficAnalyzer = require('./traffic-analyzer');
+const { SecurityConfigManager } = require('../config/security-config');
 const chalk = require('chalk');
 const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// App security score deductions per permission analysis risk level
+const PERMISSION_RISK_PENALTIES = { medium: 10, high: 20, critical: 30 };
 
 class SecurityChecker {
-  constructor(deviceId = null) {
-    this.adb = new ADBHelper(deviceId);
-    this.deviceDetector = new DeviceDetector(deviceId);
-    this.fileManipulator = new FileManipulator(deviceId);
+  constructor(deviceId = null, options = {}) {
+    this.adb = options.adb || new ADBHelper(deviceId, options);
+    this.deviceDetector = new DeviceDetector(deviceId, { ...options, adb: this.adb });
+    this.fileManipulator = new FileManipulator(deviceId, { ...options, adb: this.adb });
+    this.securityConfig = options.securityConfig || new SecurityConfigManager(process.env.TEST_ENV || 'development');
+    this.policyEvaluator = new PolicyEvaluator(this.securityConfig);
+    this.baselineManager = new BaselineManager(this.adb, options);
+    this.permissionAnalyzer = new PermissionAnalyzer(this.adb, options);
+    this.componentProber = new ComponentProber(this.adb, options);
+    this.deepLinkFuzzer = new DeepLinkFuzzer(this.adb, options);
+    this.networkCapture = new NetworkCapture(this.adb, options);
     this.securityResults = new Map();
     this.alertThresholds = {
       emulator: 0.7,
@@ -32,11 +59,11 @@ class SecurityChecker {
       
       const validation = {
         timestamp: new Date().toISOString(),
-        deviceAnalysis: await this.validateDeviceSecurity(),
-        applicationSecurity: await this.validateApplicationSecurity(options.packageName),
+        deviceAnalysis: await this.validateDeviceSecurity({ bypass: options.bypass }),
+        applicationSecurity: await this.validateApplicationSecurity(options.packageName, { apkPath: options.apkPath }),
         environmentSecurity: await this.validateEnvironmentSecurity(),
-        fileIntegrity: await this.validateFileIntegrity(options.criticalFiles || []),
-        networkSecurity: await this.validateNetworkSecurity(),
+        fileIntegrity: await this.validateFileIntegrity(options.criticalFiles || [], { packageName: options.packageName }),
+        networkSecurity: await this.validateNetworkSecurity({ packageName: options.packageName, mitm: options.mitm, networkTrace: options.networkTrace }),
         runtimeSecurity: await this.validateRuntimeSecurity(),
         overallAssessment: null
       };
@@ -60,7 +87,7 @@ class SecurityChecker {
   /**
    * Validate device-level security
    */
-  async validateDeviceSecurity() {
+  async validateDeviceSecurity(options = {}) {
     try {
       console.log(chalk.blue('📱 Validating device security...'));
       
@@ -90,7 +117,11 @@ class SecurityChecker {
           passed: (deviceAnalysis.securityFeatures?.securityScore || 0) >= 7
         },
         overallRisk: deviceAnalysis.riskAssessment?.score || 50,
-        recommendations: this.generateDeviceRecommendations(deviceAnalysis)
+        recommendations: this.generateDeviceRecommendations(deviceAnalysis),
+        policyDecision: this.policyEvaluator.evaluate(deviceAnalysis, {
+          deviceId: this.adb.deviceId,
+          bypass: options.bypass
+        })
       };
 
       return deviceSecurity;
@@ -101,41 +132,58 @@ class SecurityChecker {
   }
 
   /**
-   * Validate application-specific security
+   * Validate application-specific security from the app's AndroidManifest.xml
+   * and signature. Reads the build artifact when options.apkPath is given (no
+   * device needed), otherwise the installed base APK.
    */
-  async validateApplicationSecurity(packageName) {
-    if (!packageName) {
+  async validateApplicationSecurity(packageName, options = {}) {
+    if (!packageName && !options.apkPath) {
       return { skipped: true, reason: 'No package name provided' };
     }
 
     try {
-      console.log(chalk.blue(`📱 Validating application security: ${packageName}`));
-      
-      const appInfo = await this.adb.getApplicationInfo(packageName);
-      
-      if (!appInfo.success) {
-        return { error: 'Failed to get application information' };
-      }
+      console.log(chalk.blue(`📱 Validating application security: ${packageName || options.apkPath}`));
+
+      const apk = options.apkPath
+        ? { apkPath: options.apkPath, buffer: await fs.readFile(options.apkPath) }
+        : await this.pullBaseApk(packageName);
+      const manifestAnalysis = ManifestAnalyzer.fromBuffer(apk.buffer, options).analyze();
+      const { application } = manifestAnalysis.manifest;
+      packageName = packageName || manifestAnalysis.manifest.packageName;
 
       const appSecurity = {
-        packageInfo: appInfo.info,
+        packageInfo: {
+          packageName,
+          versionName: manifestAnalysis.manifest.versionName,
+          versionCode: manifestAnalysis.manifest.versionCode,
+          targetSdkVersion: manifestAnalysis.manifest.targetSdkVersion,
+          minSdkVersion: manifestAnalysis.manifest.minSdkVersion,
+          debuggable: application.debuggable,
+          testOnly: application.testOnly,
+          allowBackup: application.allowBackup
+        },
         debuggableCheck: {
-          isDebuggable: appInfo.info.debuggable || false,
-          risk: appInfo.info.debuggable ? 'high' : 'low',
-          passed: !appInfo.info.debuggable
+          isDebuggable: application.debuggable,
+          risk: application.debuggable ? 'high' : 'low',
+          passed: !application.debuggable
         },
         backupCheck: {
-          allowsBackup: appInfo.info.allowBackup || false,
-          risk: appInfo.info.allowBackup ? 'medium' : 'low',
-          passed: !appInfo.info.allowBackup
+          allowsBackup: application.allowBackup,
+          risk: application.allowBackup ? 'medium' : 'low',
+          passed: !application.allowBackup
         },
         testOnlyCheck: {
-          isTestOnly: appInfo.info.testOnly || false,
-          risk: appInfo.info.testOnly ? 'high' : 'low',
-          passed: !appInfo.info.testOnly
+          isTestOnly: application.testOnly,
+          risk: application.testOnly ? 'high' : 'low',
+          passed: !application.testOnly
         },
-        permissionsAnalysis: await this.analyzeAppPermissions(packageName),
-        certificateValidation: await this.validateAppCertificate(packageName),
+        manifestAnalysis,
+        permissionsAnalysis: await this.analyzeAppPermissions(packageName, {
+          // A build artifact only tells us what is requested, not what is granted
+          manifest: options.apkPath ? manifestAnalysis.manifest : null,
+          previous: options.previousPermissions
+        }),
+        certificateValidation: await this.validateAppCertificate(packageName, { apk }),
         codeIntegrity: await this.validateCodeIntegrity(packageName)
       };
 
@@ -146,6 +194,177 @@ class SecurityChecker {
     }
   }
 
+  /**
+   * Verify the app's v1/v2/v3 signatures and check the signer certificates
+   * against the configured pin, debug certificate subjects and known malicious
+   * certificates. Pulls the installed base APK unless options.apk ({ apkPath, buffer }) is given.
+   */
+  async validateAppCertificate(packageName, options = {}) {
+    try {
+      console.log(chalk.blue(`🔏 Validating signing certificate: ${packageName}`));
+
+      const { apkPath, buffer } = options.apk || await this.pullBaseApk(packageName);
+      const verification = ApkSignatureVerifier.verify(buffer);
+      const { signing } = this.securityConfig.config.testConfig;
+      const pins = (signing.expected_signers[packageName] || []).map(pin => pin.replace(/:/g, '').toLowerCase());
+      const violations = [];
+
+      if (verification.signers.length === 0) {
+        violations.push({ type: 'unsigned', severity: 'critical', message: 'APK carries no signature' });
+      } else if (!verification.verified) {
+        violations.push({
+          type: 'signature_invalid',
+          severity: 'critical',
+          message: verification.strippedSchemes.length > 0
+            ? `Signature scheme(s) stripped: ${verification.strippedSchemes.join(', ')}`
+            : 'APK contents do not match their signature'
+        });
+      }
+
+      if (pins.length > 0 && !verification.certificates.some(certificate => pins.includes(certificate.sha256))) {
+        violations.push({
+          type: 'signer_mismatch',
+          severity: 'critical',
+          message: 'Signer does not match the pinned certificate',
+          expected: pins,
+          actual: verification.certificates.map(certificate => certificate.sha256)
+        });
+      }
+
+      for (const certificate of verification.certificates) {
+        if (signing.debug_subjects.some(subject => this.matchesCertificate(certificate, subject))) {
+          violations.push({ type: 'debug_certificate', severity: 'high', message: `Signed with a debug certificate: ${certificate.subject}` });
+        }
+
+        const malicious = this.securityConfig.config.threatIntel.knownThreats.malicious_certificates
+          .find(entry => this.matchesCertificate(certificate, entry));
+        if (malicious) {
+          violations.push({ type: 'malicious_certificate', severity: 'critical', message: `Known malicious certificate: ${malicious}` });
+        }
+      }
+
+      violations.forEach(violation => console.log(chalk.red(`⚠️  Certificate violation: ${violation.message}`)));
+      if (pins.length === 0) {
+        console.log(chalk.yellow(`⚠️  No expected signer pinned for ${packageName}`));
+      }
+
+      return {
+        valid: violations.length === 0,
+        pinned: pins.length > 0,
+        risk: violations.some(violation => violation.severity === 'critical') ? 'critical' : violations.length > 0 ? 'high' : 'low',
+        violations,
+        details: {
+          apkPath,
+          schemes: verification.schemes,
+          verified: verification.verified,
+          signers: verification.signers,
+          certificates: verification.certificates
+        }
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ Certificate validation failed:'), error.message);
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Copy the installed base APK off the device
+   */
+  async pullBaseApk(packageName) {
+    return await this.pullApk(await this.getBaseApkPath(packageName));
+  }
+
+  async pullApk(apkPath) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-apk-'));
+
+    try {
+      const localPath = path.join(tempDir, 'base.apk');
+      const pull = await this.adb.pullFile(apkPath, localPath);
+      if (!pull.success) {
+        throw new Error(`Failed to pull ${apkPath}: ${pull.error}`);
+      }
+      return { apkPath, buffer: await fs.readFile(localPath) };
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  /**
+   * Requested/granted permissions by protection level, risky combinations and,
+   * with options.previous, the diff against an earlier version's analysis
+   */
+  async analyzeAppPermissions(packageName, options = {}) {
+    return await this.permissionAnalyzer.analyze(packageName, options);
+  }
+
+  /**
+   * Invoke the app's exported components with crafted extras and URIs. Components
+   * come from the installed APK's manifest, or dumpsys when it cannot be pulled.
+   */
+  async probeExportedComponents(packageName, options = {}) {
+    let manifest = options.manifest || null;
+
+    if (!manifest) {
+      try {
+        manifest = await this.getInstalledManifest(packageName);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not read the installed manifest, enumerating from dumpsys: ${error.message}`));
+      }
+    }
+
+    return await this.componentProber.probe(packageName, { ...options, manifest });
+  }
+
+  /**
+   * Fuzz the app's deep links with seeded URI and extra mutations. Reproducers
+   * for crashes, ANRs and gated screens opened without a check go to reports/fuzz.
+   */
+  async fuzzDeepLinks(packageName, options = {}) {
+    try {
+      const manifest = options.manifest || await this.getInstalledManifest(packageName);
+      return await this.deepLinkFuzzer.fuzz(packageName, { ...options, manifest });
+    } catch (error) {
+      console.error(chalk.red('❌ Deep link fuzzing failed:'), error.message);
+      return { passed: false, risk: 'unknown', error: error.message };
+    }
+  }
+
+  /**
+   * ManifestAnalyzer summary of the installed base APK
+   */
+  async getInstalledManifest(packageName) {
+    const { buffer } = await this.pullBaseApk(packageName);
+    return ManifestAnalyzer.fromBuffer(buffer).getSummary();
+  }
+
+  async getBaseApkPath(packageName) {
+    const result = await this.adb.shell(['pm', 'path', packageName]);
+    const paths = result.output.split('\n').map(line => line.trim().replace(/^package:/, '')).filter(Boolean);
+    const basePath = paths.find(apkPath => apkPath.endsWith('/base.apk')) || paths[0];
+
+    if (!result.success || !basePath) {
+      throw new Error(`Package not installed: ${packageName}`);
+    }
+    return basePath;
+  }
+
+  /**
+   * True when a certificate matches a SHA-256 fingerprint or every RDN of a
+   * distinguished name (e.g. 'CN=Android Debug') in its subject or issuer
+   */
+  matchesCertificate(certificate, pattern) {
+    const fingerprint = pattern.replace(/:/g, '').toLowerCase();
+    if (/^[0-9a-f]{64}$/.test(fingerprint)) {
+      return certificate.sha256 === fingerprint;
+    }
+
+    const components = pattern.split(/\s*,\s*/);
+    return [certificate.subject, certificate.issuer].some(name => {
+      const rdns = name.split(/\s*,\s*/);
+      return components.every(component => rdns.includes(component));
+    });
+  }
+
   /**
    * Validate environment security
    */
@@ -171,11 +390,21 @@ class SecurityChecker {
   }
 
   /**
-   * Validate file integrity
+   * Validate file integrity against the golden baseline recorded for this
+   * device fingerprint and app version. Without a baseline, criticalFiles are
+   * only checked for presence.
    */
-  async validateFileIntegrity(criticalFiles) {
+  async validateFileIntegrity(criticalFiles, options = {}) {
     try {
       console.log(chalk.blue('📁 Validating file integrity...'));
+
+      const comparison = await this.baselineManager.compare({ packageName: options.packageName });
+      if (!comparison.success) {
+        return { error: comparison.error };
+      }
+      if (comparison.baselineFound) {
+        return this.summarizeBaselineComparison(comparison);
+      }
       
       if (criticalFiles.length === 0) {
         // Use default critical files if none provided
@@ -188,6 +417,7 @@ class SecurityChecker {
       }
 
       const integrityResults = {
+        baseline: null,
         checkedFiles: [],
         violations: [],
         summary: {
@@ -221,17 +451,67 @@ class SecurityChecker {
     }
   }
 
+  /**
+   * Integrity results from a BaselineManager comparison; every added, removed,
+   * modified or permission-changed file is a violation
+   */
+  summarizeBaselineComparison(comparison) {
+    const { diff } = comparison;
+    const violations = [
+      ...diff.added.map(entry => ({ ...entry, exists: true, tampered: true, changeType: 'added' })),
+      ...diff.removed.map(entry => ({ ...entry, exists: false, tampered: true, changeType: 'removed' })),
+      ...diff.modified.map(entry => ({ ...entry, exists: true, tampered: true, changeType: 'modified' })),
+      ...diff.permissionChanged.map(entry => ({ ...entry, exists: true, tampered: true, changeType: 'permission_changed' }))
+    ];
+
+    violations.forEach(violation => {
+      console.log(chalk.red(`⚠️  File integrity violation: ${violation.filePath} (${violation.changeType})`));
+    });
+
+    return {
+      baseline: comparison.manifestPath,
+      baselineCreatedAt: comparison.baselineCreatedAt,
+      violations,
+      diff,
+      summary: {
+        total: diff.unchanged + violations.length,
+        passed: diff.unchanged,
+        failed: violations.length,
+        missing: diff.removed.length,
+        added: diff.added.length,
+        modified: diff.modified.length,
+        permissionChanged: diff.permissionChanged.length
+      }
+    };
+  }
+
+  /**
+   * Presence check for a single file (content is only verifiable against a baseline)
+   */
+  async checkFileIntegrity(filePath) {
+    const result = await this.adb.shell(['test', '-e', filePath]);
+    return { filePath, exists: result.exitCode === 0, tampered: false };
+  }
+
   /**
    * Validate network security
    */
-  async validateNetworkSecurity() {
+  async validateNetworkSecurity(options = {}) {
     try {
       console.log(chalk.blue('🌐 Validating network security...'));
-      
+
+      // The MITM harness reconfigures the device proxy, so it only runs when asked for
+      const trafficPolicy = this.securityConfig.getSecurityPolicy('networkSecurity', 'trafficPolicy');
+      const verifyPinning = options.packageName && options.mitm && trafficPolicy.ssl_pinning;
+
       const networkSecurity = {
-        connectionAnalysis: await this.analyzeNetworkConnections(),
+        connectionAnalysis: options.networkTrace
+          ? await this.analyzeNetworkTrace(options.networkTrace)
+          : await this.analyzeNetworkConnections(),
         dnsValidation: await this.validateDNSConfiguration(),
-        certificatePinning: await this.checkCertificatePinning(),
+        certificatePinning: verifyPinning
+          ? await this.verifyCertificatePinning(options.packageName, options.mitm === true ? {} : options.mitm)
+          : await this.checkCertificatePinning(),
         trafficInterception: await this.detectTrafficInterception(),
         networkOperator: await this.validateNetworkOperator()
       };
@@ -243,6 +523,209 @@ class SecurityChecker {
     }
   }
 
+  /**
+   * Route the device through a local MITM proxy, exercise the app and report
+   * for each host whether it refused the proxy's certificate. options.trigger
+   * drives the app (default: launch it and wait observeTime ms); MitmProxy
+   * options such as upstreams, pinnedHosts and controlHosts are passed through.
+   */
+  async verifyCertificatePinning(packageName, options = {}) {
+    const proxy = options.proxy || new MitmProxy(options);
+
+    try {
+      console.log(chalk.blue(`🔐 Verifying certificate pinning: ${packageName}`));
+      await proxy.start();
+      await proxy.attachDevice(this.adb);
+      await this.adb.shell(['am', 'force-stop', packageName]);
+
+      if (options.trigger) {
+        await options.trigger(proxy);
+      } else {
+        await this.adb.shell(['monkey', '-p', packageName, '-c', 'android.intent.category.LAUNCHER', '1']);
+        await new Promise(resolve => setTimeout(resolve, options.observeTime ?? this.securityConfig.config.testConfig.mitm.observe_ms));
+      }
+
+      const report = proxy.getReport(options);
+      // Development builds are expected to ship with pinning switched off
+      report.enforced = !this.securityConfig.config.bypass_ssl_pinning;
+      report.enabled = report.passed;
+      report.bypass = report.intercepted.length > 0;
+      proxy.logReport(report);
+      return report;
+    } catch (error) {
+      console.error(chalk.red('❌ Certificate pinning verification failed:'), error.message);
+      return { passed: false, enabled: false, bypass: false, error: error.message };
+    } finally {
+      await proxy.detachDevice();
+      await proxy.stop();
+    }
+  }
+
+  /**
+   * Start capturing the device's traffic for a test (HAR through the proxy,
+   * or pcap from tcpdump on rooted devices)
+   */
+  async startNetworkCapture(testName) {
+    return await this.networkCapture.start(testName);
+  }
+
+  /**
+   * Save the running capture to reports/network; options.analyze also analyzes it
+   */
+  async stopNetworkCapture(options = {}) {
+    const trace = await this.networkCapture.stop();
+    if (trace.success && options.analyze) {
+      trace.analysis = await this.analyzeNetworkTrace(trace.path);
+    }
+    return trace;
+  }
+
+  /**
+   * Analyze a saved .har or .pcap trace against this environment's traffic policy
+   */
+  async analyzeNetworkTrace(tracePath, options = {}) {
+    const trafficPolicy = this.securityConfig.getSecurityPolicy('networkSecurity', 'trafficPolicy');
+    const analyzer = new TrafficAnalyzer({
+      allowedDomains: trafficPolicy.allowed_domains,
+      blockedDomains: trafficPolicy.blocked_domains,
+      requireHttps: trafficPolicy.require_https,
+      ...options
+    });
+    return await analyzer.analyzeFile(tracePath);
+  }
+
+  /**
+   * Put the device through each network scenario (proxy, PAC, private DNS,
+   * hosts override, VPN), relaunch the app and check its reaction on
+   * options.securityPage. The device configuration is restored after each one.
+   */
+  async runNetworkScenarios(packageName, options = {}) {
+    const scenarios = new NetworkScenarios(this.adb, {
+      ...options,
+      securityConfig: this.securityConfig,
+      deviceDetector: this.deviceDetector,
+      fileManipulator: this.fileManipulator
+    });
+    return await scenarios.runAll({ ...options, packageName });
+  }
+
+  /**
+   * Match installed packages, third-party APK hashes and signers, file hashes
+   * and the domains the device uses against the local IOC store. Options:
+   * { store, domains, urls, networkTrace (.har/.pcap whose hosts and URLs are checked), filePaths }
+   */
+  async scanIocs(options = {}) {
+    try {
+      console.log(chalk.blue('🧬 Matching device against the IOC store...'));
+
+      const store = options.store || await IocStore.open();
+      const observables = await this.collectIocObservables(options);
+      const result = store.match(observables);
+      store.logResults(result);
+      return result;
+    } catch (error) {
+      console.error(chalk.red('❌ IOC scan failed:'), error.message);
+      return { passed: false, risk: 'unknown', error: error.message };
+    }
+  }
+
+  async collectIocObservables(options = {}) {
+    const { scan } = this.securityConfig.config.threatIntel.ioc_store;
+    const observables = {
+      packages: await this.deviceDetector.getInstalledPackages(),
+      signers: [],
+      files: [],
+      domains: [...(options.domains || [])],
+      urls: [...(options.urls || [])]
+    };
+
+    // Third-party APKs are pulled once, then hashed and signature-checked locally
+    const apks = await this.listPackageApks({ thirdPartyOnly: true });
+    if (apks.length > scan.max_apk_pulls) {
+      console.log(chalk.yellow(`⚠️  Checking the first ${scan.max_apk_pulls} of ${apks.length} third-party APKs`));
+    }
+
+    for (const { apkPath, packageName } of apks.slice(0, scan.max_apk_pulls)) {
+      try {
+        const { buffer } = await this.pullApk(apkPath);
+        const [sha256, sha1, md5] = ['sha256', 'sha1', 'md5'].map(algorithm => crypto.createHash(algorithm).update(buffer).digest('hex'));
+        observables.files.push({ path: apkPath, sha256, sha1, md5 });
+        ApkSignatureVerifier.verify(buffer).certificates
+          .forEach(certificate => observables.signers.push({ packageName, sha256: certificate.sha256, sha1: certificate.sha1 }));
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Skipping ${packageName}: ${error.message}`));
+      }
+    }
+
+    const filePaths = await this.baselineManager.expandPaths(options.filePaths || scan.file_paths);
+    const files = await this.baselineManager.snapshotFiles(filePaths);
+    Object.entries(files).forEach(([filePath, entry]) => observables.files.push({ path: filePath, sha256: entry.sha256 }));
+
+    if (options.networkTrace) {
+      const analysis = await this.analyzeNetworkTrace(options.networkTrace);
+      observables.domains.push(...(analysis.hosts || []));
+      observables.urls.push(...(analysis.urls || []));
+    }
+
+    const proxySettings = await this.deviceDetector.checkProxySettings();
+    const privateDns = await this.deviceDetector.getSetting('global', 'private_dns_specifier');
+    observables.domains.push(...[proxySettings.host, proxySettings.pacUrl, privateDns].filter(Boolean));
+
+    return observables;
+  }
+
+  /**
+   * Hash every installed APK on the device and look the hashes up with the
+   * reputation providers (cached and rate-limited). Options: { reputationService,
+   * includeSystemApks }
+   */
+  async checkApkReputation(options = {}) {
+    try {
+      const { apk_scan: apkScan } = this.securityConfig.config.threatIntel.reputation;
+      const service = options.reputationService || new ReputationService();
+      const apks = await this.listPackageApks({ thirdPartyOnly: !(options.includeSystemApks ?? apkScan.include_system_apks) });
+      console.log(chalk.blue(`🧬 Checking reputation of ${apks.length} installed APKs...`));
+
+      const files = await this.baselineManager.snapshotFiles(apks.map(apk => apk.apkPath));
+      const hashed = apks.filter(apk => files[apk.apkPath] && files[apk.apkPath].sha256);
+      const lookup = await service.lookupMany(hashed.map(apk => ({ type: 'file_hash', value: files[apk.apkPath].sha256, ...apk })));
+      const { summary } = lookup;
+
+      lookup.results.filter(result => result.verdict === 'malicious' || result.verdict === 'suspicious')
+        .forEach(result => console.log(chalk.red(`⚠️  ${result.packageName}: ${result.verdict} (${result.value})`)));
+      console.log(chalk.blue(`📋 APK reputation: ${summary.malicious} malicious, ${summary.suspicious} suspicious, ` +
+        `${summary.clean} clean, ${summary.unknown} unknown (${summary.cached} cached, ${summary.fetched} fetched` +
+        `${summary.deferred ? `, ${summary.deferred} deferred` : ''}${summary.cacheOnly ? ', cache only' : ''})`));
+
+      return {
+        passed: summary.malicious === 0,
+        risk: summary.malicious > 0 ? 'critical' : summary.suspicious > 0 ? 'medium' : 'low',
+        apks: lookup.results,
+        unhashed: apks.filter(apk => !hashed.includes(apk)).map(apk => apk.packageName),
+        summary
+      };
+    } catch (error) {
+      console.error(chalk.red('❌ APK reputation check failed:'), error.message);
+      return { passed: false, risk: 'unknown', error: error.message };
+    }
+  }
+
+  /**
+   * Installed packages with their base APK paths (`pm list packages -f`)
+   */
+  async listPackageApks(options = {}) {
+    const result = await this.adb.shell(['pm', 'list', 'packages', '-f', ...(options.thirdPartyOnly ? ['-3'] : [])]);
+    if (!result.success) {
+      throw new Error(`Failed to list packages: ${result.error}`);
+    }
+
+    // APK paths can contain '=' (base64 install dirs); the package name follows the last one
+    return result.output.split('\n')
+      .map(line => line.trim().match(/^package:(.+)=([^=]+)$/))
+      .filter(Boolean)
+      .map(([, apkPath, packageName]) => ({ packageName, apkPath }));
+  }
+
   /**
    * Validate runtime security
    */
@@ -333,65 +816,6 @@ class SecurityChecker {
     }
   }
 
-  /**
-   * Validate file integrity for a specific file
-   */
-  async validateFileIntegrity(filePath) {
-    try {
-      console.log(chalk.blue(`🔍 Validating file integrity: ${filePath}`));
-      
-      // Check if file exists
-      const existsResult = await this.adb.executeShellCommand(`test -f ${filePath} && echo exists || echo missing`);
-      const exists = existsResult.success && existsResult.output.includes('exists');
-      
-      if (!exists) {
-        return {
-          filePath: filePath,
-          exists: false,
-          tampered: false,
-          details: 'File does not exist'
-        };
-      }
-
-      // Calculate current checksum
-      const checksumResult = await this.adb.executeShellCommand(`sha256sum ${filePath}`);
-      if (!checksumResult.success) {
-        return {
-          filePath: filePath,
-          exists: true,
-          tampered: null,
-          error: 'Could not calculate checksum'
-        };
-      }
-
-      const currentChecksum = checksumResult.output.split(' ')[0];
-      
-      // Check against known good checksums (if available)
-      const knownChecksums = this.getKnownFileChecksums();
-      const expectedChecksum = knownChecksums[filePath];
-      
-      const integrity = {
-        filePath: filePath,
-        exists: true,
-        currentChecksum: currentChecksum,
-        expectedChecksum: expectedChecksum,
-        tampered: expectedChecksum ? currentChecksum !== expectedChecksum : false,
-        timestamp: new Date().toISOString()
-      };
-
-      if (integrity.tampered) {
-        console.log(chalk.red(`⚠️  File integrity violation: ${filePath}`));
-      } else {
-        console.log(chalk.green(`✅ File integrity verified: ${filePath}`));
-      }
-
-      return integrity;
-    } catch (error) {
-      console.error(chalk.red(`❌ File integrity check failed: ${filePath}`), error.message);
-      return { filePath, error: error.message };
-    }
-  }
-
   /**
    * Calculate overall security assessment
    */
@@ -401,9 +825,9 @@ class SecurityChecker {
       let maxScore = 0;
       const factors = [];
 
-      // Device security (40% weight)
-      if (validation.deviceSecurity && !validation.deviceSecurity.error) {
-        const deviceScore = this.calculateDeviceSecurityScore(validation.deviceSecurity);
+      // Device security (40% weight), from validateDeviceSecurity() as stored by validateSecurity()
+      if (validation.deviceAnalysis && !validation.deviceAnalysis.error) {
+        const deviceScore = this.calculateDeviceSecurityScore(validation.deviceAnalysis);
         totalScore += deviceScore * 0.4;
         maxScore += 0.4;
         factors.push({ category: 'device', score: deviceScore, weight: 0.4 });
@@ -441,7 +865,9 @@ class SecurityChecker {
         factors.push({ category: 'network', score: networkScore, weight: 0.05 });
       }
 
-      const normalizedScore = maxScore > 0 ? (totalScore / maxScore) * 100 : 50;
+      // Category scores are already 0-100 and maxScore sums the weights, so this stays on 0-100
+      const normalizedScore = maxScore > 0 ? totalScore / maxScore : 50;
+      const policyDecision = validation.deviceAnalysis?.policyDecision?.decision || 'allow';
       
       return {
         overallScore: Math.round(normalizedScore),
@@ -449,7 +875,8 @@ class SecurityChecker {
         riskLevel: this.getRiskLevel(100 - normalizedScore),
         factors: factors,
         recommendations: this.generateOverallRecommendations(validation, normalizedScore),
-        passed: normalizedScore >= 70,
+        policyDecision,
+        passed: normalizedScore >= 70 && policyDecision !== 'block',
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -500,15 +927,6 @@ class SecurityChecker {
     return recommendations;
   }
 
-  getKnownFileChecksums() {
-    // In a real implementation, this would come from a secure database
-    return {
-      '/system/build.prop': 'known_checksum_1',
-      '/system/bin/su': null, // Should not exist
-      '/system/xbin/su': null // Should not exist
-    };
-  }
-
   calculateDeviceSecurityScore(deviceSecurity) {
     let score = 100;
     
@@ -528,6 +946,8 @@ class SecurityChecker {
     if (appSecurity.debuggableCheck?.isDebuggable) score -= 30;
     if (appSecurity.backupCheck?.allowsBackup) score -= 15;
     if (appSecurity.testOnlyCheck?.isTestOnly) score -= 25;
+    if (appSecurity.certificateValidation?.valid === false) score -= 30;
+    score -= PERMISSION_RISK_PENALTIES[appSecurity.permissionsAnalysis?.risk] || 0;
     
     return Math.max(0, score);
   }
@@ -579,11 +999,11 @@ class SecurityChecker {
       recommendations.push('Overall security posture is insufficient for production use');
     }
     
-    if (validation.deviceSecurity?.emulatorStatus?.isEmulator) {
+    if (validation.deviceAnalysis?.emulatorStatus?.isEmulator) {
       recommendations.push('Implement emulator detection and blocking');
     }
     
-    if (validation.deviceSecurity?.rootStatus?.isRooted) {
+    if (validation.deviceAnalysis?.rootStatus?.isRooted) {
       recommendations.push('Implement root detection and access restriction');
     }
     
@@ -610,8 +1030,6 @@ class SecurityChecker {
   }
 
   // Stub methods for comprehensive implementation
-  async analyzeAppPermissions(packageName) { return { risk: 'low', details: [] }; }
-  async validateAppCertificate(packageName) { return { valid: true, details: {} }; }
   async validateCodeIntegrity(packageName) { return { intact: true, details: {} }; }
   async checkADBSecurity() { return { secure: true, details: {} }; }
   async checkDeveloperOptions() { return { enabled: false, risk: 'low' }; }
@@ -620,7 +1038,6 @@ class SecurityChecker {
   async detectProxy() { return { detected: false, risk: 'low' }; }
   async detectHookingFrameworks() { return { detected: false, risk: 'low' }; }
   async checkAntiDebuggingMeasures() { return { active: true, effectiveness: 'high' }; }
-  async checkFileIntegrity(filePath) { return { exists: true, tampered: false }; }
   async analyzeNetworkConnections() { return { suspicious: false, details: [] }; }
   async validateDNSConfiguration() { return { secure: true, details: {} }; }
   async checkCertificatePinning() { return { enabled: true, bypass: false }; }
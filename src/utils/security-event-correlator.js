@@ -0,0 +1,275 @@
+/**
+ * Security Event Correlator Utility
+ * Aligns tamper actions, logcat entries and UI warnings on one timeline
+ * and reports time-to-detect for each scenario
+ */
+
+const { EventEmitter } = require('events');
+const chalk = require('chalk');
+const LogcatMonitor = require('./logcat-monitor');
+
+// Default logcat filter for app-side security events
+const SECURITY_LOG_PATTERN = /root|emulator|tamper|integrity|debugger|hook|frida|security/i;
+
+class SecurityEventCorrelator extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {ADBHelper} options.adb - Device whose logcat is streamed
+   * @param {SecurityPage} [options.securityPage] - Source of UI observations
+   * @param {FileManipulator} [options.fileManipulator] - Runs tamper actions
+   * @param {LogcatMonitor} [options.logcatMonitor] - Defaults to adb.createLogcatMonitor()
+   * @param {number} [options.clockOffsetMs] - Device minus host clock; measured on start() when omitted
+   * @param {number} [options.pollInterval=500] - UI polling interval in ms
+   */
+  constructor(options = {}) {
+    super();
+    this.adb = options.adb;
+    this.securityPage = options.securityPage || null;
+    this.fileManipulator = options.fileManipulator || null;
+    this.logcatMonitor = options.logcatMonitor || (this.adb ? this.adb.createLogcatMonitor() : null);
+    this.logFilter = options.logFilter || { message: SECURITY_LOG_PATTERN };
+    this.clockOffsetMs = options.clockOffsetMs !== undefined ? options.clockOffsetMs : null;
+    this.pollInterval = options.pollInterval || 500;
+    this.clock = options.clock || Date.now;
+    this.events = [];
+    this.scenarios = [];
+    this.seenWarnings = new Set();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Measure the device clock offset and start collecting security log entries
+   */
+  async start() {
+    if (this.clockOffsetMs === null) {
+      this.clockOffsetMs = await this.measureClockOffset();
+    }
+
+    this.unsubscribe = await this.logcatMonitor.subscribe(this.logFilter, (entry) => {
+      this.recordEvent('log', entry.tag, {
+        time: this.toHostTime(entry),
+        deviceTime: entry.deviceTime,
+        details: entry
+      });
+    });
+    await this.logcatMonitor.start();
+
+    console.log(chalk.blue(`🕒 Event correlation started (device clock offset ${this.clockOffsetMs}ms)`));
+    return this;
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.logcatMonitor.stop();
+  }
+
+  /**
+   * Device minus host clock in ms, sampled around a `date` call on the device
+   */
+  async measureClockOffset() {
+    const before = this.clock();
+    const result = await this.adb.shell(['date', '+%s%N']);
+    const after = this.clock();
+
+    const nanos = result.success ? result.output.trim() : '';
+    if (!/^\d{10,}$/.test(nanos)) {
+      console.log(chalk.yellow('⚠️  Could not read device clock, assuming it matches the host'));
+      return 0;
+    }
+
+    const deviceMs = Number(BigInt(nanos) / 1000000n);
+    return Math.round(deviceMs - (before + after) / 2);
+  }
+
+  /**
+   * Host time of a log entry; entries without a device date use arrival time
+   */
+  toHostTime(entry) {
+    return entry.deviceTime ? Date.parse(entry.deviceTime) - this.clockOffsetMs : this.clock();
+  }
+
+  recordEvent(source, type, fields = {}) {
+    const event = { source, type, time: this.clock(), ...fields };
+    this.events.push(event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Run a tamper action through FileManipulator and record it
+   */
+  async tamper(filePath, tamperType, options = {}) {
+    const result = await this.fileManipulator.tamperWithFile(filePath, tamperType, options);
+    this.recordEvent('tamper', tamperType, { details: { filePath, success: result.success } });
+    return result;
+  }
+
+  /**
+   * Record each warning type when it appears on screen; one that goes away
+   * and comes back is recorded again. Warnings are timestamped when the poll
+   * starts: getActiveWarnings() waits on every absent selector, which must
+   * not count towards the detection latency.
+   */
+  async observeUI() {
+    const polledAt = this.clock();
+    const warnings = await this.securityPage.getActiveWarnings();
+    const onScreen = new Set(warnings.map(warning => warning.type));
+
+    for (const warning of warnings) {
+      if (!this.seenWarnings.has(warning.type)) {
+        this.seenWarnings.add(warning.type);
+        this.recordEvent('ui', warning.type, { time: polledAt, details: warning });
+      }
+    }
+    [...this.seenWarnings].filter(type => !onScreen.has(type)).forEach(type => this.seenWarnings.delete(type));
+
+    return warnings;
+  }
+
+  /**
+   * First event matching predicate at or after `since`, waiting up to `timeout` ms
+   */
+  waitForEvent(predicate, since, timeout) {
+    const existing = this.events.find(event => event.time >= since && predicate(event));
+    if (existing) return Promise.resolve(existing);
+
+    return new Promise((resolve) => {
+      const onEvent = (event) => {
+        if (event.time >= since && predicate(event)) {
+          clearTimeout(timer);
+          this.removeListener('event', onEvent);
+          resolve(event);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.removeListener('event', onEvent);
+        resolve(null);
+      }, timeout);
+      this.on('event', onEvent);
+    });
+  }
+
+  /**
+   * Poll the UI until a warning of the given type appears
+   */
+  async waitForWarning(type, since, timeout) {
+    const deadline = this.clock() + timeout;
+    const isWarning = event => event.source === 'ui' && event.type === type;
+
+    while (this.clock() <= deadline) {
+      await this.observeUI();
+      const event = this.events.find(e => e.time >= since && isWarning(e));
+      if (event) return event;
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    return null;
+  }
+
+  /**
+   * Trigger a scenario and measure tamper -> log -> UI latency.
+   *
+   * @param {Object} scenario - { name, trigger: async (correlator) => {}, log: logcat filter,
+   *   warning: SecurityPage warning type, timeout }
+   */
+  async runScenario(scenario) {
+    const timeout = scenario.timeout || 30000;
+
+    console.log(chalk.blue(`🎬 Running correlation scenario: ${scenario.name}`));
+
+    // Warnings already on screen cannot be attributed to this scenario; they
+    // only count again once they have gone away and come back
+    this.seenWarnings = this.securityPage
+      ? new Set((await this.securityPage.getActiveWarnings()).map(warning => warning.type))
+      : new Set();
+
+    const startedAt = this.clock();
+    await scenario.trigger(this);
+    const tamperEvent = [...this.events].reverse().find(e => e.source === 'tamper' && e.time >= startedAt);
+    const since = tamperEvent ? tamperEvent.time : startedAt;
+
+    // The app may log before adb reports the tamper complete, so search from the trigger;
+    // latencies are still measured from the tamper action and can be negative
+    const [logEvent, uiEvent] = await Promise.all([
+      this.waitForEvent(e => e.source === 'log' && LogcatMonitor.matches(e.details, scenario.log || {}), startedAt, timeout),
+      scenario.warning && this.securityPage ? this.waitForWarning(scenario.warning, startedAt, timeout) : Promise.resolve(null)
+    ]);
+
+    const result = {
+      name: scenario.name,
+      tamperAt: tamperEvent ? tamperEvent.time : null,
+      logAt: logEvent ? logEvent.time : null,
+      uiAt: uiEvent ? uiEvent.time : null,
+      latency: {
+        tamperToLog: this.latency(since, logEvent),
+        logToUi: logEvent && uiEvent ? uiEvent.time - logEvent.time : null,
+        tamperToUi: this.latency(since, uiEvent)
+      },
+      logEntry: logEvent ? logEvent.details : null,
+      warning: uiEvent ? uiEvent.details : null
+    };
+    result.verdict = this.getVerdict(result);
+
+    this.scenarios.push(result);
+    this.logScenario(result);
+    return result;
+  }
+
+  latency(since, event) {
+    return event ? event.time - since : null;
+  }
+
+  /**
+   * correlated - the app logged the detection before the warning appeared
+   * ui_without_log - a warning with no detection log (possibly a hard-coded screen)
+   * log_without_ui - detected but never surfaced to the user
+   * undetected - neither
+   */
+  getVerdict(result) {
+    if (result.logAt !== null && result.uiAt !== null) {
+      return result.logAt <= result.uiAt ? 'correlated' : 'ui_without_log';
+    }
+    if (result.uiAt !== null) return 'ui_without_log';
+    if (result.logAt !== null) return 'log_without_ui';
+    return 'undetected';
+  }
+
+  /**
+   * Every recorded event in time order
+   */
+  getTimeline() {
+    return [...this.events].sort((a, b) => a.time - b.time);
+  }
+
+  generateReport() {
+    const detected = this.scenarios.filter(s => s.latency.tamperToUi !== null);
+    const timesToDetect = detected.map(s => s.latency.tamperToUi);
+
+    return {
+      timestamp: new Date().toISOString(),
+      clockOffsetMs: this.clockOffsetMs,
+      scenarios: this.scenarios,
+      summary: {
+        total: this.scenarios.length,
+        correlated: this.scenarios.filter(s => s.verdict === 'correlated').length,
+        meanTimeToDetectMs: timesToDetect.length ? Math.round(timesToDetect.reduce((a, b) => a + b, 0) / timesToDetect.length) : null,
+        maxTimeToDetectMs: timesToDetect.length ? Math.max(...timesToDetect) : null
+      },
+      timeline: this.getTimeline().map(({ details, ...event }) => event)
+    };
+  }
+
+  logScenario(result) {
+    const color = result.verdict === 'correlated' ? chalk.green : chalk.yellow;
+    const format = value => value === null ? 'n/a' : `${value}ms`;
+
+    console.log(color(`   ${result.name}: ${result.verdict}`));
+    console.log(chalk.gray(
+      `   tamper→log ${format(result.latency.tamperToLog)} | log→UI ${format(result.latency.logToUi)} | ` +
+      `tamper→UI ${format(result.latency.tamperToUi)}`
+    ));
+  }
+}
+
+module.exports = SecurityEventCorrelator;
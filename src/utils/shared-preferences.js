@@ -0,0 +1,171 @@
+/**
+ * Shared Preferences Utility
+ * Parses and rewrites Android SharedPreferences XML with typed entries
+ */
+
+// Android writes values as attributes for these types and as element text for strings
+const VALUE_TYPES = ['boolean', 'int', 'long', 'float'];
+
+const ENTRY_PATTERN = /<(boolean|int|long|float)\s+name="([^"]*)"\s+value="([^"]*)"\s*\/>|<string\s+name="([^"]*)"\s*(?:\/>|>([\s\S]*?)<\/string>)|<set\s+name="([^"]*)"\s*(?:\/>|>([\s\S]*?)<\/set>)|<null\s+name="([^"]*)"\s*\/>/g;
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': '\'' };
+
+function unescapeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);|&#(\d+);|&#x([0-9a-f]+);/gi, (entity, name, dec, hex) => {
+    if (name) return XML_ENTITIES[entity.toLowerCase()];
+    return String.fromCodePoint(dec ? parseInt(dec, 10) : parseInt(hex, 16));
+  });
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class SharedPreferences {
+  constructor(entries = new Map()) {
+    this.entries = entries;
+  }
+
+  /**
+   * Parse a shared_prefs/*.xml file
+   */
+  static parse(xml) {
+    if (!/<map\s*\/>|<map>[\s\S]*<\/map>/.test(xml)) {
+      throw new Error('Not a SharedPreferences file: missing <map> root');
+    }
+
+    const entries = new Map();
+    for (const match of xml.matchAll(ENTRY_PATTERN)) {
+      const [, valueType, valueName, value, stringName, stringText, setName, setBody, nullName] = match;
+
+      if (valueType) {
+        entries.set(unescapeXml(valueName), { type: valueType, value: SharedPreferences.parseValue(valueType, unescapeXml(value)) });
+      } else if (stringName !== undefined) {
+        entries.set(unescapeXml(stringName), { type: 'string', value: unescapeXml(stringText || '') });
+      } else if (setName !== undefined) {
+        const values = [...(setBody || '').matchAll(/<string>([\s\S]*?)<\/string>/g)].map(item => unescapeXml(item[1]));
+        entries.set(unescapeXml(setName), { type: 'set', value: values });
+      } else {
+        entries.set(unescapeXml(nullName), { type: 'null', value: null });
+      }
+    }
+
+    return new SharedPreferences(entries);
+  }
+
+  static parseValue(type, text) {
+    switch (type) {
+      case 'boolean':
+        return text === 'true';
+      case 'int':
+        return parseInt(text, 10);
+      case 'long':
+        // Longs can exceed Number.MAX_SAFE_INTEGER, so they stay decimal strings
+        return text;
+      case 'float':
+        return parseFloat(text);
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Type Android would store a JS value as
+   */
+  static inferType(value) {
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'bigint') return 'long';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'float';
+    if (Array.isArray(value)) return 'set';
+    if (value === null) return 'null';
+    return 'string';
+  }
+
+  get(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.value : undefined;
+  }
+
+  getType(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.type : null;
+  }
+
+  /**
+   * Set a value. Existing entries keep their type (so "true" written to a
+   * <boolean> stays a boolean); new entries use `type` or the inferred type.
+   */
+  set(name, value, type = null) {
+    const entryType = type || this.getType(name) || SharedPreferences.inferType(value);
+    this.entries.set(name, { type: entryType, value: SharedPreferences.coerce(entryType, value) });
+    return this;
+  }
+
+  remove(name) {
+    return this.entries.delete(name);
+  }
+
+  static coerce(type, value) {
+    switch (type) {
+      case 'boolean':
+        return value === true || value === 'true';
+      case 'int':
+      case 'float': {
+        const number = type === 'int' ? parseInt(value, 10) : parseFloat(value);
+        if (Number.isNaN(number)) throw new Error(`Invalid ${type} value: ${value}`);
+        return number;
+      }
+      case 'long':
+        if (!/^-?\d+$/.test(String(value))) throw new Error(`Invalid long value: ${value}`);
+        return String(value);
+      case 'set':
+        return (Array.isArray(value) ? value : [value]).map(String);
+      case 'null':
+        return null;
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Serialise in the layout Android's XmlUtils writes
+   */
+  toXML() {
+    const lines = ["<?xml version='1.0' encoding='utf-8' standalone='yes' ?>"];
+
+    if (this.entries.size === 0) {
+      lines.push('<map />');
+      return lines.join('\n') + '\n';
+    }
+
+    lines.push('<map>');
+    for (const [name, { type, value }] of this.entries) {
+      const attr = `name="${escapeXml(name)}"`;
+
+      if (VALUE_TYPES.includes(type)) {
+        lines.push(`    <${type} ${attr} value="${escapeXml(String(value))}" />`);
+      } else if (type === 'set') {
+        lines.push(`    <set ${attr}>`);
+        value.forEach(item => lines.push(`        <string>${escapeXml(item)}</string>`));
+        lines.push('    </set>');
+      } else if (type === 'null') {
+        lines.push(`    <null ${attr} />`);
+      } else {
+        lines.push(`    <string ${attr}>${escapeXml(value)}</string>`);
+      }
+    }
+    lines.push('</map>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  toObject() {
+    return Object.fromEntries([...this.entries].map(([name, entry]) => [name, entry.value]));
+  }
+}
+
+module.exports = SharedPreferences;
@@ -0,0 +1,267 @@
+/**
+ * Tamper Session Utility
+ * Journals every device file mutation before it is applied so the original
+ * content, permissions, ownership, timestamps and SELinux labels can be
+ * restored on exit, or on the next run after a crash
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_FILE = 'journal.json';
+
+// Octal mode, numeric uid/gid, mtime in seconds and SELinux context
+const STAT_FORMAT = '%a %u %g %Y %C';
+
+// Sessions opened by this process that have not been rolled back yet
+const activeSessions = new Set();
+
+class TamperSession {
+  /**
+   * @param {FileManipulator} fileManipulator - Applies the mutations
+   * @param {Object} options - { journalDir }
+   */
+  constructor(fileManipulator, options = {}) {
+    this.fileManipulator = fileManipulator;
+    this.adb = fileManipulator.adb;
+    this.journalDir = options.journalDir || fileManipulator.journalDir;
+    this.journal = options.journal || {
+      version: JOURNAL_VERSION,
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      deviceId: this.adb.deviceId || null,
+      hostname: os.hostname(),
+      pid: process.pid,
+      startedAt: new Date().toISOString(),
+      snapshots: [],
+      mutations: []
+    };
+    this.sessionDir = path.join(this.journalDir, this.journal.id);
+  }
+
+  /**
+   * Open journals for a device, oldest first
+   */
+  static async findOpenJournals(journalDir, deviceId = null) {
+    if (!await fs.pathExists(journalDir)) return [];
+
+    const journals = [];
+    for (const id of (await fs.readdir(journalDir)).sort()) {
+      const journalPath = path.join(journalDir, id, JOURNAL_FILE);
+      if (!await fs.pathExists(journalPath)) continue;
+
+      const journal = await fs.readJson(journalPath);
+      if (journal.version === JOURNAL_VERSION && journal.deviceId === deviceId && !TamperSession.isOwnerRunning(journal)) {
+        journals.push(journal);
+      }
+    }
+    return journals;
+  }
+
+  /**
+   * Whether the process that opened a journal is still alive (its session is
+   * in progress, not abandoned)
+   */
+  static isOwnerRunning(journal) {
+    if (journal.hostname !== os.hostname()) return false;
+    if (journal.pid === process.pid) return activeSessions.has(journal.id);
+
+    try {
+      process.kill(journal.pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Roll back every unfinished session left on this device by a crashed run
+   */
+  static async recover(fileManipulator, journalDir = fileManipulator.journalDir) {
+    const journals = await TamperSession.findOpenJournals(journalDir, fileManipulator.adb.deviceId || null);
+    const results = [];
+
+    for (const journal of journals) {
+      console.log(chalk.yellow(`⚠️  Replaying unfinished tamper journal: ${journal.id} (started ${journal.startedAt})`));
+      const session = new TamperSession(fileManipulator, { journalDir, journal });
+      results.push(await session.rollback());
+    }
+
+    return results;
+  }
+
+  /**
+   * Create the session directory and write the empty journal
+   */
+  async open() {
+    await fs.ensureDir(this.sessionDir);
+    await this.writeJournal();
+    activeSessions.add(this.journal.id);
+    console.log(chalk.blue(`📒 Tamper session opened: ${this.journal.id}`));
+    return this;
+  }
+
+  /**
+   * Atomically persist the journal (write, then rename over the old copy)
+   */
+  async writeJournal() {
+    const journalPath = path.join(this.sessionDir, JOURNAL_FILE);
+    const tempPath = `${journalPath}.tmp`;
+    await fs.outputJson(tempPath, this.journal, { spaces: 2 });
+    await fs.rename(tempPath, journalPath);
+  }
+
+  /**
+   * Journal a mutation, saving the file's original state the first time it
+   * is touched, then apply it. `apply` is only called once the journal is on disk.
+   */
+  async mutate(filePath, action, apply) {
+    if (!this.journal.snapshots.some(snapshot => snapshot.filePath === filePath)) {
+      this.journal.snapshots.push(await this.snapshot(filePath));
+    }
+
+    this.journal.mutations.push({ filePath, action, timestamp: new Date().toISOString() });
+    await this.writeJournal();
+
+    const result = await apply();
+    this.fileManipulator.monitoredFiles.add(filePath);
+    return result;
+  }
+
+  /**
+   * Apply one of FileManipulator's tamper types
+   */
+  async tamper(filePath, tamperType, options = {}) {
+    return await this.mutate(filePath, tamperType, () => this.fileManipulator.applyTamper(filePath, tamperType, options));
+  }
+
+  async writeFile(filePath, content) {
+    return await this.mutate(filePath, 'write', () => this.fileManipulator.writeRemoteFile(filePath, content));
+  }
+
+  async remove(filePath) {
+    return await this.mutate(filePath, 'remove', () => this.adb.shell(['rm', '-f', filePath]));
+  }
+
+  /**
+   * Original state of a device file; content is pulled into the session directory
+   */
+  async snapshot(filePath) {
+    const index = this.journal.snapshots.length;
+    const stat = await this.readStat(filePath);
+
+    if (!stat) {
+      return { index, filePath, existed: false };
+    }
+
+    const backupPath = path.join(this.sessionDir, `${index}.bak`);
+
+    const pull = await this.adb.pullFile(filePath, backupPath);
+    if (!pull.success) {
+      throw new Error(`Could not back up ${filePath}: ${pull.error}`);
+    }
+    const sha256 = crypto.createHash('sha256').update(await fs.readFile(backupPath)).digest('hex');
+
+    return {
+      index,
+      filePath,
+      existed: true,
+      backup: `${index}.bak`,
+      sha256,
+      ...stat
+    };
+  }
+
+  /**
+   * Mode, owner, mtime and SELinux context of a device file, or null when it does not exist
+   */
+  async readStat(filePath) {
+    const stat = await this.adb.shell(['stat', '-c', STAT_FORMAT, filePath]);
+    if (stat.code) throw new Error(stat.error);
+    if (stat.exitCode !== 0) return null;
+
+    const [mode, uid, gid, mtime, context] = stat.output.trim().split(/\s+/);
+    return {
+      mode,
+      uid,
+      gid,
+      mtime: parseInt(mtime),
+      context: context && context !== '?' ? context : null
+    };
+  }
+
+  /**
+   * Restore every touched file in reverse order. The journal is removed only
+   * when all files were restored, so a failed rollback is retried on the next initialize().
+   */
+  async rollback() {
+    console.log(chalk.blue(`🔄 Rolling back tamper session: ${this.journal.id}`));
+
+    const restored = [];
+    const failed = [];
+
+    for (const snapshot of [...this.journal.snapshots].reverse()) {
+      try {
+        await this.restore(snapshot);
+        restored.push(snapshot.filePath);
+      } catch (error) {
+        console.error(chalk.red(`❌ Failed to restore ${snapshot.filePath}:`), error.message);
+        failed.push({ filePath: snapshot.filePath, error: error.message });
+      }
+    }
+
+    activeSessions.delete(this.journal.id);
+    if (failed.length === 0) {
+      await fs.remove(this.sessionDir);
+      console.log(chalk.green(`✅ Tamper session rolled back: ${restored.length} file(s) restored`));
+    } else {
+      console.log(chalk.red(`⚠️  Tamper session ${this.journal.id} left open: ${failed.length} file(s) not restored`));
+    }
+
+    return { id: this.journal.id, success: failed.length === 0, restored, failed };
+  }
+
+  async restore(snapshot) {
+    const { filePath } = snapshot;
+
+    if (!snapshot.existed) {
+      await this.expectSuccess(this.adb.shell(['rm', '-f', filePath]), 'remove');
+      return;
+    }
+
+    const push = await this.adb.pushFile(path.join(this.sessionDir, snapshot.backup), filePath);
+    if (!push.success) throw new Error(`push failed: ${push.error}`);
+
+    // Only reapply attributes that differ, so unchanged files do not need root
+    const current = await this.readStat(filePath);
+    if (!current) throw new Error('file missing after push');
+
+    if (current.uid !== snapshot.uid || current.gid !== snapshot.gid) {
+      await this.expectSuccess(this.adb.shell(['chown', `${snapshot.uid}:${snapshot.gid}`, filePath]), 'chown');
+    }
+    if (current.mode !== snapshot.mode) {
+      await this.expectSuccess(this.adb.shell(['chmod', snapshot.mode, filePath]), 'chmod');
+    }
+    if (snapshot.context && current.context !== snapshot.context) {
+      await this.expectSuccess(this.adb.shell(['chcon', snapshot.context, filePath]), 'chcon');
+    }
+    // Last, since every step above updates the file's times
+    await this.expectSuccess(this.adb.shell(['touch', '-d', `@${snapshot.mtime}`, filePath]), 'touch');
+
+    const checksum = await this.fileManipulator.calculateRemoteFileChecksum(filePath);
+    if (checksum !== snapshot.sha256) {
+      throw new Error('restored content does not match the backup');
+    }
+  }
+
+  async expectSuccess(resultPromise, step) {
+    const result = await resultPromise;
+    if (!result.success) throw new Error(`${step} failed: ${result.error}`);
+    return result;
+  }
+}
+
+module.exports = TamperSession;
@@ -0,0 +1,573 @@
+/**
+ * Traffic Analyzer Utility
+ * Offline analysis of captured network traces (HAR from the proxy, pcap from
+ * tcpdump): cleartext HTTP, weak TLS versions, unexpected or blocked hosts and
+ * contact with known malicious domains
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const net = require('net');
+const path = require('path');
+const { securityTestConfig, securityPolicies, threatIntelligence } = require('../config/security-config');
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+const TLS_VERSIONS = {
+  0x0300: 'SSLv3',
+  0x0301: 'TLSv1',
+  0x0302: 'TLSv1.1',
+  0x0303: 'TLSv1.2',
+  0x0304: 'TLSv1.3'
+};
+
+const TLS_CONTENT_HANDSHAKE = 0x16;
+const TLS_CLIENT_HELLO = 1;
+const TLS_SERVER_HELLO = 2;
+const TLS_EXTENSION_SERVER_NAME = 0;
+const TLS_EXTENSION_SUPPORTED_VERSIONS = 43;
+
+const HTTP_REQUEST_LINE = /^([A-Z]+) (\S+) HTTP\/(\d\.\d)$/;
+
+// pcap link types tcpdump writes on Android and desktops
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = [12, 101, 228, 229];
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_LINUX_SLL2 = 276;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_VLAN = 0x8100;
+const IP_PROTOCOL_TCP = 6;
+const IP_PROTOCOL_UDP = 17;
+const DNS_PORT = 53;
+
+// Bytes buffered per TCP flow while waiting for a complete TLS hello or HTTP head
+const MAX_FLOW_BUFFER = 16384;
+
+const LOOPBACK_HOSTS = ['localhost', 'ip6-localhost'];
+
+class TrafficAnalyzer {
+  /**
+   * @param {Object} options - { allowedDomains, blockedDomains, maliciousDomains, requireHttps,
+   *   minTlsVersion, failSeverities } overriding trafficPolicy, threat intelligence and
+   *   securityTestConfig.evidence.network_traces
+   */
+  constructor(options = {}) {
+    const trafficPolicy = securityPolicies.networkSecurity.trafficPolicy;
+    const config = securityTestConfig.evidence.network_traces;
+    this.allowedDomains = options.allowedDomains || trafficPolicy.allowed_domains;
+    this.blockedDomains = options.blockedDomains || trafficPolicy.blocked_domains;
+    this.maliciousDomains = options.maliciousDomains || threatIntelligence.knownThreats.malicious_domains;
+    this.requireHttps = options.requireHttps ?? trafficPolicy.require_https;
+    this.minTlsVersion = options.minTlsVersion || config.min_tls_version;
+    this.failSeverities = options.failSeverities || config.fail_severities;
+  }
+
+  /**
+   * Analyze a saved trace; the format follows the extension (.har or .pcap)
+   */
+  async analyzeFile(tracePath) {
+    try {
+      console.log(chalk.blue(`🔎 Analyzing network trace: ${tracePath}`));
+
+      const extension = path.extname(tracePath).toLowerCase();
+      let observations;
+      if (extension === '.har') {
+        observations = TrafficAnalyzer.fromHar(await fs.readJson(tracePath));
+      } else if (extension === '.pcap') {
+        observations = TrafficAnalyzer.fromPcap(await fs.readFile(tracePath));
+      } else {
+        throw new Error(`Unsupported trace format: ${extension || tracePath}`);
+      }
+
+      return { tracePath, ...this.analyze(observations) };
+    } catch (error) {
+      console.error(chalk.red('❌ Network trace analysis failed:'), error.message);
+      return { tracePath, passed: false, risk: 'unknown', error: error.message };
+    }
+  }
+
+  /**
+   * Findings for a list of observations: { type: 'http' | 'https' | 'tls' | 'dns',
+   * host, address, port, version, offeredVersions, method, url }
+   */
+  analyze(observations) {
+    const findings = [];
+    const seen = new Set();
+    const add = (check, severity, host, message, extra = {}) => {
+      const key = `${check}:${host}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      findings.push({ check, severity, host, message, ...extra });
+    };
+
+    for (const observation of observations) {
+      const host = observation.host || observation.address;
+      if (!host || TrafficAnalyzer.isLoopback(host)) continue;
+
+      if (observation.type === 'http') {
+        add('cleartext_http', this.requireHttps ? 'high' : 'medium', host,
+          `Cleartext HTTP request: ${observation.method} ${observation.url}`, { url: observation.url });
+      }
+
+      if (observation.type === 'tls' && observation.version && TrafficAnalyzer.compareTlsVersions(observation.version, this.minTlsVersion) < 0) {
+        add('weak_tls', 'high', host, `${observation.version} ${observation.negotiated ? 'negotiated' : 'offered at most'} (minimum ${this.minTlsVersion})`,
+          { version: observation.version });
+      }
+
+      if (TrafficAnalyzer.matchesAnyDomain(host, this.maliciousDomains)) {
+        add('malicious_domain', 'critical', host, `Contacted known malicious domain: ${host}`);
+      } else if (TrafficAnalyzer.matchesAnyDomain(host, this.blockedDomains)) {
+        add('blocked_domain', 'high', host, `Contacted blocked domain: ${host}`);
+      } else if (this.allowedDomains.length > 0 && !net.isIP(host) && !TrafficAnalyzer.matchesAnyDomain(host, this.allowedDomains)) {
+        add('unexpected_host', 'medium', host, `Host not in allowed_domains: ${host} (${observation.type})`);
+      }
+    }
+
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+    const hosts = [...new Set(observations.map(observation => observation.host || observation.address).filter(Boolean))];
+    const urls = [...new Set(observations.map(observation => observation.url).filter(Boolean))];
+    const result = {
+      passed: !findings.some(finding => this.failSeverities.includes(finding.severity)),
+      risk: findings.length > 0 ? findings[0].severity : 'low',
+      findings,
+      hosts,
+      urls,
+      summary: {
+        observations: observations.length,
+        http: observations.filter(observation => observation.type === 'http').length,
+        https: observations.filter(observation => observation.type === 'https').length,
+        tls: observations.filter(observation => observation.type === 'tls').length,
+        dns: observations.filter(observation => observation.type === 'dns').length
+      }
+    };
+
+    this.logAnalysis(result);
+    return result;
+  }
+
+  logAnalysis(result) {
+    console.log(chalk.blue(`🌐 Network trace: ${result.summary.observations} observations, ${result.hosts.length} hosts`));
+    result.findings.forEach(finding => {
+      const color = ['critical', 'high'].includes(finding.severity) ? chalk.red : chalk.yellow;
+      console.log(color(`   [${finding.severity}] ${finding.message}`));
+    });
+    console.log(result.passed ? chalk.green('✅ Network trace checks passed') : chalk.red('❌ Network trace checks failed'));
+  }
+
+  /**
+   * Observations from a HAR log. Entries are requests; `_connections` (written
+   * by MitmProxy) are TLS handshakes, including ones that never sent a request.
+   */
+  static fromHar(har) {
+    const log = har.log || har;
+    const observations = [];
+
+    for (const connection of log._connections || []) {
+      observations.push({
+        type: 'tls',
+        host: connection.sni || connection.hostname,
+        port: connection.port,
+        version: connection.version || TrafficAnalyzer.maxTlsVersion(connection.offeredVersions || []),
+        offeredVersions: connection.offeredVersions || [],
+        negotiated: Boolean(connection.version)
+      });
+    }
+
+    for (const entry of log.entries || []) {
+      let url;
+      try {
+        url = new URL(entry.request.url);
+      } catch (error) {
+        continue;
+      }
+      observations.push({
+        type: url.protocol === 'http:' ? 'http' : 'https',
+        host: url.hostname.replace(/^\[|\]$/g, ''),
+        address: entry.serverIPAddress || null,
+        port: parseInt(url.port) || (url.protocol === 'http:' ? 80 : 443),
+        method: entry.request.method,
+        url: entry.request.url
+      });
+    }
+
+    return observations;
+  }
+
+  /**
+   * Observations from a classic pcap capture. Only the first bytes of each TCP
+   * flow are reassembled: enough for TLS hellos and HTTP request heads.
+   */
+  static fromPcap(buffer) {
+    const packets = TrafficAnalyzer.parsePcap(buffer);
+    const observations = [];
+    const flows = new Map();
+    const connections = new Map();
+    const names = new Map();
+
+    for (const packet of packets) {
+      const ip = TrafficAnalyzer.decodeLinkLayer(packet.data, packet.linkType);
+      if (!ip) continue;
+
+      if (ip.protocol === IP_PROTOCOL_UDP && ip.payload.length >= 8) {
+        const sourcePort = ip.payload.readUInt16BE(0);
+        const destinationPort = ip.payload.readUInt16BE(2);
+        if (sourcePort !== DNS_PORT && destinationPort !== DNS_PORT) continue;
+
+        const message = TrafficAnalyzer.parseDns(ip.payload.subarray(8));
+        if (!message) continue;
+        if (!message.response) {
+          message.questions.forEach(name => observations.push({ type: 'dns', host: name, address: ip.destination, port: destinationPort }));
+        }
+        message.answers.forEach(answer => names.set(answer.address, answer.name));
+        continue;
+      }
+
+      if (ip.protocol !== IP_PROTOCOL_TCP || ip.payload.length < 20) continue;
+      const sourcePort = ip.payload.readUInt16BE(0);
+      const destinationPort = ip.payload.readUInt16BE(2);
+      const payload = ip.payload.subarray((ip.payload[12] >> 4) * 4);
+      if (payload.length === 0) continue;
+
+      const key = `${ip.source}:${sourcePort}>${ip.destination}:${destinationPort}`;
+      const flow = flows.get(key) || { buffer: Buffer.alloc(0), done: false, http: false };
+      flows.set(key, flow);
+
+      if (flow.http) {
+        const head = TrafficAnalyzer.parseHttpRequest(payload);
+        if (head) observations.push(TrafficAnalyzer.httpObservation(head, ip.destination, destinationPort));
+        continue;
+      }
+      if (flow.done) continue;
+
+      flow.buffer = Buffer.concat([flow.buffer, payload]).subarray(0, MAX_FLOW_BUFFER);
+
+      if (flow.buffer[0] === TLS_CONTENT_HANDSHAKE) {
+        const hello = TrafficAnalyzer.parseTlsHello(flow.buffer);
+        if (hello === undefined && flow.buffer.length < MAX_FLOW_BUFFER) continue;
+        flow.done = true;
+
+        if (hello && hello.type === 'client_hello') {
+          const connection = {
+            type: 'tls',
+            host: hello.serverName,
+            address: ip.destination,
+            port: destinationPort,
+            version: TrafficAnalyzer.maxTlsVersion(hello.versions),
+            offeredVersions: hello.versions,
+            negotiated: false
+          };
+          connections.set(key, connection);
+          observations.push(connection);
+        } else if (hello && hello.type === 'server_hello') {
+          const connection = connections.get(`${ip.destination}:${destinationPort}>${ip.source}:${sourcePort}`);
+          if (connection) {
+            connection.version = hello.version;
+            connection.negotiated = true;
+          }
+        }
+        continue;
+      }
+
+      const head = TrafficAnalyzer.parseHttpRequest(flow.buffer);
+      if (head === undefined && flow.buffer.length < MAX_FLOW_BUFFER && /^[A-Z]{1,10}( |$)/.test(flow.buffer.toString('latin1', 0, 11))) continue;
+      flow.done = true;
+      if (head) {
+        flow.http = true;
+        observations.push(TrafficAnalyzer.httpObservation(head, ip.destination, destinationPort));
+      }
+    }
+
+    // Name TLS connections without SNI after the DNS answer that resolved their address
+    observations.filter(observation => !observation.host && names.has(observation.address))
+      .forEach(observation => { observation.host = names.get(observation.address); });
+
+    return observations;
+  }
+
+  static httpObservation(head, address, port) {
+    const host = (head.headers.host || address).replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+    const url = /^https?:\/\//.test(head.target) ? head.target : `http://${head.headers.host || address}${head.target}`;
+    return { type: 'http', host, address, port, method: head.method, url };
+  }
+
+  /**
+   * Records of a classic (not pcapng) capture file in either byte order
+   */
+  static parsePcap(buffer) {
+    if (buffer.length < 24) throw new Error('Not a pcap file: too short');
+
+    const magic = buffer.readUInt32LE(0);
+    let littleEndian;
+    if (magic === 0xa1b2c3d4 || magic === 0xa1b23c4d) {
+      littleEndian = true;
+    } else if (magic === 0xd4c3b2a1 || magic === 0x4d3cb2a1) {
+      littleEndian = false;
+    } else if (magic === 0x0a0d0d0a) {
+      throw new Error('pcapng captures are not supported; write classic pcap (tcpdump -w)');
+    } else {
+      throw new Error('Not a pcap file: bad magic number');
+    }
+
+    const readUInt32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const nanoseconds = magic === 0xa1b23c4d || magic === 0x4d3cb2a1;
+    const linkType = readUInt32(20) & 0xffff;
+    const packets = [];
+
+    for (let offset = 24; offset + 16 <= buffer.length;) {
+      const seconds = readUInt32(offset);
+      const fraction = readUInt32(offset + 4);
+      const capturedLength = readUInt32(offset + 8);
+      const start = offset + 16;
+      if (start + capturedLength > buffer.length) break;
+
+      packets.push({
+        timestamp: seconds * 1000 + Math.floor(fraction / (nanoseconds ? 1e6 : 1e3)),
+        linkType,
+        data: buffer.subarray(start, start + capturedLength)
+      });
+      offset = start + capturedLength;
+    }
+
+    return packets;
+  }
+
+  /**
+   * Strip the link-layer header and decode the IPv4/IPv6 header, or null for
+   * anything else
+   */
+  static decodeLinkLayer(data, linkType) {
+    let etherType;
+    let offset;
+
+    if (linkType === LINKTYPE_ETHERNET) {
+      if (data.length < 14) return null;
+      etherType = data.readUInt16BE(12);
+      offset = 14;
+      while (etherType === ETHERTYPE_VLAN && data.length >= offset + 4) {
+        etherType = data.readUInt16BE(offset + 2);
+        offset += 4;
+      }
+    } else if (linkType === LINKTYPE_LINUX_SLL) {
+      if (data.length < 16) return null;
+      etherType = data.readUInt16BE(14);
+      offset = 16;
+    } else if (linkType === LINKTYPE_LINUX_SLL2) {
+      if (data.length < 20) return null;
+      etherType = data.readUInt16BE(0);
+      offset = 20;
+    } else if (linkType === LINKTYPE_NULL) {
+      offset = 4;
+      etherType = data.length > 4 && data[4] >> 4 === 6 ? ETHERTYPE_IPV6 : ETHERTYPE_IPV4;
+    } else if (LINKTYPE_RAW.includes(linkType)) {
+      offset = 0;
+      etherType = data.length > 0 && data[0] >> 4 === 6 ? ETHERTYPE_IPV6 : ETHERTYPE_IPV4;
+    } else {
+      return null;
+    }
+
+    const packet = data.subarray(offset);
+    if (etherType === ETHERTYPE_IPV4 && packet.length >= 20 && packet[0] >> 4 === 4) {
+      const headerLength = (packet[0] & 0x0f) * 4;
+      const totalLength = packet.readUInt16BE(2);
+      return {
+        protocol: packet[9],
+        source: Array.from(packet.subarray(12, 16)).join('.'),
+        destination: Array.from(packet.subarray(16, 20)).join('.'),
+        payload: packet.subarray(headerLength, Math.min(totalLength || packet.length, packet.length))
+      };
+    }
+    if (etherType === ETHERTYPE_IPV6 && packet.length >= 40 && packet[0] >> 4 === 6) {
+      return {
+        protocol: packet[6],
+        source: TrafficAnalyzer.formatIpv6(packet.subarray(8, 24)),
+        destination: TrafficAnalyzer.formatIpv6(packet.subarray(24, 40)),
+        payload: packet.subarray(40, 40 + packet.readUInt16BE(4))
+      };
+    }
+    return null;
+  }
+
+  static formatIpv6(bytes) {
+    const groups = [];
+    for (let index = 0; index < 16; index += 2) groups.push(bytes.readUInt16BE(index).toString(16));
+    return groups.join(':').replace(/(^|:)0(:0)+(:|$)/, '::').replace(/:{3,}/, '::');
+  }
+
+  /**
+   * TLS ClientHello or ServerHello at the start of a stream. Returns undefined
+   * while the record is incomplete and null when the bytes are not a hello.
+   */
+  static parseTlsHello(buffer) {
+    if (buffer.length < 5) return undefined;
+    if (buffer[0] !== TLS_CONTENT_HANDSHAKE || buffer[1] !== 0x03) return null;
+
+    const recordLength = buffer.readUInt16BE(3);
+    if (buffer.length < 5 + recordLength) return undefined;
+
+    const handshake = buffer.subarray(5, 5 + recordLength);
+    const type = handshake[0];
+    if (handshake.length < 38 || (type !== TLS_CLIENT_HELLO && type !== TLS_SERVER_HELLO)) return null;
+
+    try {
+      const legacyVersion = handshake.readUInt16BE(4);
+      let offset = 38;
+      offset += 1 + handshake[offset]; // session id
+
+      if (type === TLS_CLIENT_HELLO) {
+        offset += 2 + handshake.readUInt16BE(offset); // cipher suites
+        offset += 1 + handshake[offset]; // compression methods
+      } else {
+        offset += 3; // cipher suite, compression method
+      }
+
+      let serverName = null;
+      let versions = [legacyVersion];
+      if (offset + 2 <= handshake.length) {
+        const end = Math.min(offset + 2 + handshake.readUInt16BE(offset), handshake.length);
+        for (offset += 2; offset + 4 <= end;) {
+          const extensionType = handshake.readUInt16BE(offset);
+          const extension = handshake.subarray(offset + 4, offset + 4 + handshake.readUInt16BE(offset + 2));
+          offset += 4 + extension.length;
+
+          if (extensionType === TLS_EXTENSION_SERVER_NAME && extension.length > 5 && extension[2] === 0) {
+            serverName = extension.toString('latin1', 5, 5 + extension.readUInt16BE(3)).toLowerCase();
+          } else if (extensionType === TLS_EXTENSION_SUPPORTED_VERSIONS) {
+            versions = type === TLS_CLIENT_HELLO
+              ? Array.from({ length: extension[0] >> 1 }, (_, index) => extension.readUInt16BE(1 + index * 2))
+              : [extension.readUInt16BE(0)];
+          }
+        }
+      }
+
+      // GREASE values (0x?a?a) are padding, not versions
+      const names = versions.filter(version => TLS_VERSIONS[version]).map(version => TLS_VERSIONS[version]);
+      return type === TLS_CLIENT_HELLO
+        ? { type: 'client_hello', serverName, versions: names }
+        : { type: 'server_hello', version: names[0] || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Request line and headers of an HTTP/1.x request. Returns undefined while
+   * the head is incomplete and null when the bytes are not a request.
+   */
+  static parseHttpRequest(buffer) {
+    const text = buffer.toString('latin1');
+    const lineEnd = text.indexOf('\r\n');
+    if (lineEnd < 0) return text.length < 2048 ? undefined : null;
+
+    const match = text.slice(0, lineEnd).match(HTTP_REQUEST_LINE);
+    if (!match) return null;
+
+    const headEnd = text.indexOf('\r\n\r\n');
+    const headers = {};
+    text.slice(lineEnd + 2, headEnd < 0 ? undefined : headEnd).split('\r\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    });
+
+    if (headEnd < 0 && !headers.host) return undefined;
+    return { method: match[1], target: match[2], httpVersion: match[3], headers };
+  }
+
+  /**
+   * DNS questions and A/AAAA answers, or null when the datagram is not DNS
+   */
+  static parseDns(message) {
+    if (message.length < 12) return null;
+
+    try {
+      const response = Boolean(message[2] & 0x80);
+      const questionCount = message.readUInt16BE(4);
+      const answerCount = message.readUInt16BE(6);
+      const questions = [];
+      const answers = [];
+      let offset = 12;
+
+      for (let index = 0; index < questionCount; index++) {
+        const name = TrafficAnalyzer.readDnsName(message, offset);
+        questions.push(name.value);
+        offset = name.next + 4;
+      }
+
+      for (let index = 0; index < answerCount; index++) {
+        const name = TrafficAnalyzer.readDnsName(message, offset);
+        const recordType = message.readUInt16BE(name.next);
+        const dataLength = message.readUInt16BE(name.next + 8);
+        const data = message.subarray(name.next + 10, name.next + 10 + dataLength);
+
+        if (recordType === 1 && data.length === 4) {
+          answers.push({ name: name.value, address: Array.from(data).join('.') });
+        } else if (recordType === 28 && data.length === 16) {
+          answers.push({ name: name.value, address: TrafficAnalyzer.formatIpv6(data) });
+        }
+        offset = name.next + 10 + dataLength;
+      }
+
+      return { response, questions, answers };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static readDnsName(message, offset) {
+    const labels = [];
+    let next = null;
+
+    for (let jumps = 0; jumps < 32; jumps++) {
+      const length = message[offset];
+      if (length === undefined) throw new Error('Truncated DNS name');
+      if (length === 0) {
+        return { value: labels.join('.').toLowerCase(), next: next ?? offset + 1 };
+      }
+      if ((length & 0xc0) === 0xc0) {
+        if (next === null) next = offset + 2;
+        offset = message.readUInt16BE(offset) & 0x3fff;
+        continue;
+      }
+      labels.push(message.toString('latin1', offset + 1, offset + 1 + length));
+      offset += 1 + length;
+    }
+    throw new Error('DNS name compression loop');
+  }
+
+  static compareTlsVersions(a, b) {
+    const rank = version => Object.values(TLS_VERSIONS).indexOf(version);
+    return rank(a) - rank(b);
+  }
+
+  static maxTlsVersion(versions) {
+    return versions.reduce((best, version) => !best || TrafficAnalyzer.compareTlsVersions(version, best) > 0 ? version : best, null);
+  }
+
+  /**
+   * 'example.com' and '*.example.com' both match example.com's subdomains;
+   * only the former matches example.com itself
+   */
+  static matchesDomain(host, domain) {
+    const normalizedHost = host.toLowerCase().replace(/\.$/, '');
+    const normalizedDomain = domain.toLowerCase().replace(/\.$/, '');
+
+    if (normalizedDomain.startsWith('*.')) {
+      return normalizedHost.endsWith(normalizedDomain.slice(1));
+    }
+    return normalizedHost === normalizedDomain || normalizedHost.endsWith(`.${normalizedDomain}`);
+  }
+
+  static matchesAnyDomain(host, domains) {
+    return domains.some(domain => TrafficAnalyzer.matchesDomain(host, domain));
+  }
+
+  static isLoopback(host) {
+    return LOOPBACK_HOSTS.includes(host) || host === '::1' || /^127\./.test(host);
+  }
+}
+
+TrafficAnalyzer.TLS_VERSIONS = TLS_VERSIONS;
+
+module.exports = TrafficAnalyzer;
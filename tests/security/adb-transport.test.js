@@ -0,0 +1,170 @@
+/**
+ * ADB Transport Tests
+ * Replays captured device profiles through ADBHelper without hardware
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const { ExecTransport, RecordingTransport, ReplayTransport, createTransport } = require('../../src/utils/adb-transport');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+describe('ADB Transport Tests', function() {
+  let tmpDir;
+
+  before(async function() {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'adb-transport-'));
+  });
+
+  after(async function() {
+    await fs.remove(tmpDir);
+  });
+
+  describe('Replay Mode', function() {
+    it('should serve recorded device lists and properties', async function() {
+      const adb = new ADBHelper(null, { mode: 'replay', fixturePath: path.join(fixturesDir, 'clean.json') });
+
+      const devices = await adb.getConnectedDevices();
+      const properties = await adb.getSystemProperties();
+
+      expect(devices).to.deep.equal([{ deviceId: '0A041FDD4003SX', status: 'device' }]);
+      expect(properties['ro.product.model']).to.equal('Pixel 5');
+    });
+
+    it('should distinguish captured emulator and physical profiles', async function() {
+      const emulator = new ADBHelper(null, { mode: 'replay', fixturePath: path.join(fixturesDir, 'emulator.json') });
+      const physical = new ADBHelper(null, { mode: 'replay', fixturePath: path.join(fixturesDir, 'clean.json') });
+
+      expect((await emulator.isEmulator()).isEmulator).to.be.true;
+      expect((await physical.isEmulator()).isEmulator).to.be.false;
+    });
+
+    it('should write recorded file contents on pull', async function() {
+      const adb = new ADBHelper(null, { mode: 'replay', fixturePath: path.join(fixturesDir, 'clean.json') });
+      const localPath = path.join(tmpDir, 'test_config.properties');
+
+      const result = await adb.pullFile('/data/local/tmp/test_config.properties', localPath);
+
+      expect(result.success).to.be.true;
+      expect(await fs.readFile(localPath, 'utf8')).to.include('security.level=high');
+    });
+
+    it('should fail unrecorded commands and track them as misses', async function() {
+      const transport = new ReplayTransport({ fixture: { version: 2, commands: [] } });
+      const adb = new ADBHelper(null, { transport });
+
+      const result = await adb.executeShellCommand('id');
+
+      expect(result).to.include({ success: false, code: 'ENOREPLAY' });
+      expect(transport.misses).to.deep.equal(['shell id']);
+    });
+
+    it('should serve repeated commands in recording order', async function() {
+      const transport = new ReplayTransport({
+        fixture: {
+          version: 2,
+          commands: [
+            { command: 'shell getenforce', exitCode: 0, stdout: 'Enforcing\n' },
+            { command: 'shell getenforce', exitCode: 0, stdout: 'Permissive\n' }
+          ]
+        }
+      });
+
+      expect((await transport.run(['shell', 'getenforce'])).stdout).to.equal('Enforcing\n');
+      expect((await transport.run(['shell', 'getenforce'])).stdout).to.equal('Permissive\n');
+      expect((await transport.run(['shell', 'getenforce'])).stdout).to.equal('Permissive\n');
+    });
+  });
+
+  describe('Record Mode', function() {
+    it('should capture command/output pairs that replay identically', async function() {
+      const fixturePath = path.join(tmpDir, 'recorded.json');
+      const inner = {
+        adbPath: 'adb',
+        deviceId: 'emulator-5554',
+        run: async (args) => {
+          if (args[1] === 'whoami') return { exitCode: 0, stdout: 'shell\n', stderr: '' };
+          return { exitCode: 1, stdout: '', stderr: '' };
+        }
+      };
+
+      const recorder = new RecordingTransport({ inner, fixturePath });
+      const recording = new ADBHelper('emulator-5554', { transport: recorder });
+      await recording.executeShellCommand('whoami');
+      await recording.executeShellCommand('which su');
+
+      const replay = new ADBHelper('emulator-5554', { mode: 'replay', fixturePath });
+      const whoami = await replay.executeShellCommand('whoami');
+      const su = await replay.executeShellCommand('which su');
+
+      expect(whoami).to.include({ success: true, exitCode: 0, output: 'shell' });
+      expect(su).to.include({ success: false, exitCode: 1 });
+    });
+
+    it('should share a fixture recorder per device and refuse a second serial', function() {
+      const fixturePath = path.join(tmpDir, 'shared.json');
+      const record = deviceId => createTransport({ mode: 'record', fixturePath, deviceId, adbPath: 'adb' });
+
+      const first = record('emulator-5554');
+      expect(record('emulator-5554')).to.equal(first);
+      expect(first.inner.deviceId).to.equal('emulator-5554');
+      expect(() => record('RZ8N70ABCDE')).to.throw(/already recording emulator-5554/);
+      expect(() => record(null)).to.throw(/already recording emulator-5554/);
+    });
+  });
+
+  describe('Argv Execution', function() {
+    let fakeAdb;
+
+    before(async function() {
+      // Stand-in adb: prints each argument on its own line, or sleeps / fails on request
+      fakeAdb = path.join(tmpDir, 'fake-adb');
+      await fs.writeFile(fakeAdb, [
+        '#!/bin/sh',
+        'if [ "$1" = "sleep" ]; then sleep 5; fi',
+        'if [ "$1" = "fail" ]; then echo "error: closed" >&2; exit 3; fi',
+        'for arg in "$@"; do echo "$arg"; done'
+      ].join('\n'), { mode: 0o755 });
+    });
+
+    it('should pass arguments to adb without a local shell', async function() {
+      const adb = new ADBHelper('emulator-5554', { transport: new ExecTransport({ adbPath: fakeAdb, deviceId: 'emulator-5554' }) });
+
+      const result = await adb.run(['push', '/tmp/a "b" $HOME.txt', '/sdcard/x']);
+
+      expect(result.stdout.split('\n')).to.deep.equal(['-s', 'emulator-5554', 'push', '/tmp/a "b" $HOME.txt', '/sdcard/x', '']);
+    });
+
+    it('should quote shell() arguments for the device shell', async function() {
+      const adb = new ADBHelper(null, { transport: new ExecTransport({ adbPath: fakeAdb }) });
+
+      const result = await adb.shell(['echo', "it's $(reboot)", '/data/local/tmp/a b']);
+
+      expect(result.output).to.equal("shell\necho 'it'\\''s $(reboot)' '/data/local/tmp/a b'");
+    });
+
+    it('should report exit code and stderr for failing commands', async function() {
+      const adb = new ADBHelper(null, { transport: new ExecTransport({ adbPath: fakeAdb }) });
+
+      const result = await adb.run(['fail']);
+
+      expect(result).to.include({ success: false, exitCode: 3, stderr: 'error: closed\n', error: 'error: closed' });
+    });
+
+    it('should enforce per-call timeouts and cancellation', async function() {
+      const adb = new ADBHelper(null, { transport: new ExecTransport({ adbPath: fakeAdb }) });
+      const controller = new AbortController();
+
+      const timedOut = await adb.run(['sleep'], { timeout: 50 });
+      const pending = adb.run(['sleep'], { signal: controller.signal });
+      controller.abort();
+      const cancelled = await pending;
+
+      expect(timedOut).to.include({ success: false, code: 'ETIMEDOUT' });
+      expect(cancelled).to.include({ success: false, code: 'ABORT_ERR' });
+    });
+  });
+});
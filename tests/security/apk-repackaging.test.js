@@ -0,0 +1,120 @@
+/**
+ * APK Repackaging Tests
+ * Local APK modification and test-key re-signing
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ApkArchive = require('../../src/utils/apk-archive');
+const ApkSigner = require('../../src/utils/apk-signer');
+const FileManipulator = require('../../src/utils/file-manipulator');
+
+function sha256Base64(data) {
+  return crypto.createHash('sha256').update(data).digest('base64');
+}
+
+// Smallest dex the header fix-up accepts: magic plus a zeroed 0x70-byte header
+function dexFile() {
+  const dex = Buffer.alloc(0x70);
+  dex.write('dex\n035\0', 0, 'latin1');
+  return dex;
+}
+
+function buildApk() {
+  return new ApkArchive()
+    .set('AndroidManifest.xml', Buffer.from('<manifest package="com.security.testapp" />'))
+    .set('classes.dex', dexFile())
+    .set('res/raw/config.json', Buffer.from('{"debug":false}'), { compress: false })
+    .set('lib/arm64-v8a/libnative.so', Buffer.from('\x7fELF original'), { compress: false })
+    .set('META-INF/OLD.RSA', Buffer.from('stale signature'))
+    .toBuffer();
+}
+
+describe('APK Repackaging Tests', function() {
+  this.timeout(20000);
+
+  let signingKey;
+  let tempDir;
+
+  before(async function() {
+    signingKey = ApkSigner.generateTestKey({ bits: 1024 });
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apk-repackaging-'));
+  });
+
+  after(async function() {
+    await fs.remove(tempDir);
+  });
+
+  describe('ApkArchive', function() {
+    it('should round-trip entries and align stored data', function() {
+      const apk = buildApk();
+      const archive = ApkArchive.fromBuffer(apk);
+
+      expect(archive.get('res/raw/config.json').toString()).to.equal('{"debug":false}');
+      expect(archive.entries.get('lib/arm64-v8a/libnative.so').method).to.equal(0);
+
+      const headerOffset = apk.indexOf('lib/arm64-v8a/libnative.so') - 30;
+      const dataOffset = headerOffset + 30 + apk.readUInt16LE(headerOffset + 26) + apk.readUInt16LE(headerOffset + 28);
+      expect(dataOffset % 4096).to.equal(0);
+    });
+  });
+
+  describe('repackageAPK', function() {
+    let result;
+    let signed;
+
+    before(async function() {
+      const apkPath = path.join(tempDir, 'app.apk');
+      await fs.writeFile(apkPath, buildApk());
+
+      const manipulator = new FileManipulator(null, { adb: {} });
+      result = await manipulator.repackageAPK(apkPath, [
+        { type: 'replace_entry', entry: 'res/raw/config.json', content: '{"debug":true}' },
+        { type: 'append_dex_byte', byte: 0x41 },
+        { type: 'swap_native_lib', entry: 'lib/arm64-v8a/libnative.so', content: '\x7fELF patched' }
+      ], { signingKey, outputPath: path.join(tempDir, 'app-repackaged.apk') });
+
+      signed = await fs.readFile(result.outputPath);
+    });
+
+    it('should report every modification with before and after hashes', function() {
+      expect(result.success).to.be.true;
+      expect(result.modifications.map(m => m.entry)).to.deep.equal(['res/raw/config.json', 'classes.dex', 'lib/arm64-v8a/libnative.so']);
+      result.modifications.forEach(m => expect(m.newSha256).to.not.equal(m.originalSha256));
+      expect(result.signer.schemes).to.deep.equal(['v1', 'v2']);
+    });
+
+    it('should fix up the modified dex header', function() {
+      const dex = ApkArchive.fromBuffer(signed).get('classes.dex');
+
+      expect(dex.length).to.equal(0x71);
+      expect(dex.readUInt32LE(32)).to.equal(dex.length);
+      expect(dex.subarray(12, 32)).to.deep.equal(crypto.createHash('sha1').update(dex.subarray(32)).digest());
+    });
+
+    it('should write a v1 signature that covers the modified entries', function() {
+      const archive = ApkArchive.fromBuffer(signed);
+      const manifest = archive.get('META-INF/MANIFEST.MF').toString();
+
+      expect(archive.has('META-INF/OLD.RSA')).to.be.false;
+      expect(manifest).to.include(`Name: res/raw/config.json\r\nSHA-256-Digest: ${sha256Base64('{"debug":true}')}`);
+      expect(archive.get('META-INF/CERT.SF').toString()).to.include(`SHA-256-Digest-Manifest: ${sha256Base64(archive.get('META-INF/MANIFEST.MF'))}`);
+
+      const p7 = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(archive.get('META-INF/CERT.RSA').toString('binary')));
+      const md = forge.md.sha256.create().update(archive.get('META-INF/CERT.SF').toString('binary'));
+      expect(p7.certificates[0].publicKey.verify(md.digest().getBytes(), p7.rawCapture.signature)).to.be.true;
+    });
+
+    it('should insert a v2 signing block and repoint the central directory', function() {
+      const eocdOffset = ApkArchive.findEndOfCentralDirectory(signed);
+      const centralDirectoryOffset = signed.readUInt32LE(eocdOffset + 16);
+
+      expect(signed.toString('ascii', centralDirectoryOffset - 16, centralDirectoryOffset)).to.equal('APK Sig Block 42');
+      expect(signed.readUInt32LE(centralDirectoryOffset)).to.equal(0x02014b50);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * APK Signature Verification Tests
+ * v1/v2 signature parsing and SecurityChecker.validateAppCertificate
+ */
+
+const { expect } = require('chai');
+const ADBHelper = require('../../src/utils/adb-helper');
+const ApkArchive = require('../../src/utils/apk-archive');
+const ApkSignatureVerifier = require('../../src/utils/apk-signature-verifier');
+const ApkSigner = require('../../src/utils/apk-signer');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { SecurityConfigManager } = require('../../src/config/security-config');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+const APK_PATH = `/data/app/~~x1/${PACKAGE}-y2/base.apk`;
+
+function signedApk(key, options = {}) {
+  const archive = new ApkArchive()
+    .set('AndroidManifest.xml', Buffer.from('<manifest package="com.security.testapp" />'))
+    .set('classes.dex', Buffer.from('dex\n035\0'))
+    .set('res/raw/config.json', Buffer.from('{"debug":false}'), { compress: false });
+  return new ApkSigner(key).sign(archive, options);
+}
+
+// Device with the given APK installed; expectedSigners pins the package's signer
+function certificateChecker(apk, expectedSigners = []) {
+  const commands = [
+    { command: `shell pm path ${PACKAGE}`, exitCode: 0, stdout: `package:${APK_PATH}\npackage:${APK_PATH.replace('base', 'split_config.arm64_v8a')}\n`, stderr: '' },
+    { command: `pull ${APK_PATH}`, exitCode: 0, stdout: '', stderr: '', file: apk.toString('base64') }
+  ];
+  const securityConfig = new SecurityConfigManager('development');
+  securityConfig.config.testConfig = {
+    ...securityConfig.config.testConfig,
+    signing: { expected_signers: { [PACKAGE]: expectedSigners }, debug_subjects: ['CN=Android Debug'] }
+  };
+
+  const adb = new ADBHelper(null, { transport: new ReplayTransport({ fixture: { version: 2, commands } }) });
+  return new SecurityChecker(null, { adb, securityConfig });
+}
+
+describe('APK Signature Verification Tests', function() {
+  this.timeout(20000);
+
+  let releaseKey;
+  let releaseFingerprint;
+
+  before(function() {
+    releaseKey = ApkSigner.generateTestKey({ bits: 1024, commonName: 'Security Testapp Release' });
+    releaseFingerprint = new ApkSigner(releaseKey).getCertificateSha256();
+  });
+
+  describe('ApkSignatureVerifier', function() {
+    it('should verify v1 and v2 signatures and describe the signer', function() {
+      const result = ApkSignatureVerifier.verify(signedApk(releaseKey));
+
+      expect(result.verified).to.be.true;
+      expect(result.schemes).to.deep.equal(['v1', 'v2']);
+      expect(result.certificates).to.have.lengthOf(1);
+      expect(result.certificates[0]).to.include({
+        sha256: releaseFingerprint,
+        subject: 'CN=Security Testapp Release, O=Mobile Security Automation',
+        keyAlgorithm: 'RSA',
+        keySize: 1024,
+        selfSigned: true
+      });
+    });
+
+    it('should fail the v2 digest when signed bytes change outside any entry', function() {
+      const apk = signedApk(releaseKey);
+      apk[10] ^= 1; // first local header's modification time: covered by v2, not by v1
+
+      const result = ApkSignatureVerifier.verify(apk);
+      const [v1, v2] = result.signers;
+
+      expect(result.verified).to.be.false;
+      expect(v1.verified).to.be.true;
+      expect(v2).to.include({ signatureVerified: true, digestVerified: false });
+    });
+
+    it('should detect a modified entry and the stripped v2 signature', function() {
+      const archive = ApkArchive.fromBuffer(signedApk(releaseKey));
+      archive.set('res/raw/config.json', Buffer.from('{"debug":true}'));
+
+      const result = ApkSignatureVerifier.verify(archive.toBuffer());
+
+      expect(result.verified).to.be.false;
+      expect(result.strippedSchemes).to.deep.equal(['v2']);
+      expect(result.signers[0].mismatchedEntries).to.deep.equal(['res/raw/config.json']);
+    });
+  });
+
+  describe('validateAppCertificate', function() {
+    it('should accept the pinned release signer', async function() {
+      const checker = certificateChecker(signedApk(releaseKey), [releaseFingerprint.toUpperCase().match(/../g).join(':')]);
+
+      const result = await checker.validateAppCertificate(PACKAGE);
+
+      expect(result).to.include({ valid: true, pinned: true, risk: 'low' });
+      expect(result.details.apkPath).to.equal(APK_PATH);
+      expect(checker.adb.transport.misses).to.be.empty;
+    });
+
+    it('should flag a re-signed debug build that does not match the pin', async function() {
+      const debugKey = ApkSigner.generateTestKey({ bits: 1024, commonName: 'Android Debug' });
+      const checker = certificateChecker(signedApk(debugKey), [releaseFingerprint]);
+
+      const result = await checker.validateAppCertificate(PACKAGE);
+
+      expect(result.valid).to.be.false;
+      expect(result.violations.map(violation => violation.type)).to.deep.equal(['signer_mismatch', 'debug_certificate']);
+    });
+
+    it('should flag certificates from threat intelligence', async function() {
+      const suspiciousKey = ApkSigner.generateTestKey({ bits: 1024, commonName: 'Suspicious Signer' });
+      const checker = certificateChecker(signedApk(suspiciousKey, { v2: false }));
+
+      const result = await checker.validateAppCertificate(PACKAGE);
+
+      expect(result).to.include({ valid: false, pinned: false, risk: 'critical' });
+      expect(result.details.schemes).to.deep.equal(['v1']);
+      expect(result.violations[0]).to.include({ type: 'malicious_certificate' });
+    });
+  });
+});
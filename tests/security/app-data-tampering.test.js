@@ -0,0 +1,141 @@
+/**
+ * App Data Tampering Tests
+ * SharedPreferences and SQLite edits inside an app's private data directory
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const initSqlJs = require('sql.js');
+const ADBHelper = require('../../src/utils/adb-helper');
+const AppDataAccess = require('../../src/utils/app-data-access');
+const FileManipulator = require('../../src/utils/file-manipulator');
+const SharedPreferences = require('../../src/utils/shared-preferences');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+const DATA_DIR = `/data/data/${PACKAGE}`;
+
+const PREFS_XML = `<?xml version='1.0' encoding='utf-8' standalone='yes' ?>
+<map>
+    <boolean name="root_check_passed" value="false" />
+    <int name="launch_count" value="3" />
+    <long name="install_time" value="1792324800123" />
+    <string name="user_tier">free &amp; trial</string>
+    <set name="features">
+        <string>search</string>
+    </set>
+</map>
+`;
+
+function shellKey(args) {
+  return `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+}
+
+function script(name, remotePath, stagingPath = '') {
+  return shellKey(['sh', '-c', AppDataAccess.SCRIPTS['run-as'][name], 'sh', PACKAGE, remotePath, stagingPath]);
+}
+
+const ok = command => ({ command, exitCode: 0, stdout: '', stderr: '' });
+
+// run-as device whose app file pulls back as `content`; pushes are captured
+function appManipulator(remotePath, content, extraCommands = []) {
+  const staging = `/data/local/tmp/tamper_stage_${PACKAGE}_${remotePath.split('/').pop()}`;
+  const commands = [
+    ok(shellKey(['am', 'force-stop', PACKAGE])),
+    ok(script('read', remotePath, staging)),
+    ok(script('write', remotePath, staging)),
+    ok(shellKey(['rm', '-f', staging])),
+    { command: `pull ${staging}`, exitCode: 0, stdout: '', stderr: '', file: Buffer.from(content).toString('base64') },
+    ...extraCommands
+  ];
+
+  const adb = new ADBHelper(null, { transport: new ReplayTransport({ fixture: { version: 2, commands } }) });
+  const manipulator = new FileManipulator(null, { adb });
+  manipulator.pushed = [];
+  adb.pushFile = async (localPath, target) => {
+    manipulator.pushed.push({ target, content: await fs.readFile(localPath) });
+    return { success: true };
+  };
+  return manipulator;
+}
+
+describe('App Data Tampering Tests', function() {
+  describe('SharedPreferences', function() {
+    it('should parse typed entries and write them back unchanged', function() {
+      const prefs = SharedPreferences.parse(PREFS_XML);
+
+      expect(prefs.toObject()).to.deep.equal({
+        root_check_passed: false,
+        launch_count: 3,
+        install_time: '1792324800123',
+        user_tier: 'free & trial',
+        features: ['search']
+      });
+      expect(prefs.toXML()).to.equal(PREFS_XML);
+    });
+
+    it('should keep the existing type when setting a value', function() {
+      const prefs = SharedPreferences.parse(PREFS_XML)
+        .set('root_check_passed', 'true')
+        .set('launch_count', '42')
+        .set('is_premium', true);
+
+      expect(prefs.get('root_check_passed')).to.equal(true);
+      expect(prefs.getType('launch_count')).to.equal('int');
+      expect(prefs.toXML()).to.include('<boolean name="is_premium" value="true" />');
+      expect(() => prefs.set('launch_count', 'many')).to.throw('Invalid int value: many');
+    });
+  });
+
+  describe('Device edits', function() {
+    it('should flip a preference through run-as', async function() {
+      const prefsPath = `${DATA_DIR}/shared_prefs/security_prefs.xml`;
+      const manipulator = appManipulator(prefsPath, PREFS_XML);
+
+      const result = await manipulator.modifySharedPreference(PACKAGE, 'security_prefs', 'root_check_passed', true);
+
+      expect(result).to.include({ success: true, filePath: prefsPath, type: 'boolean', originalValue: false, newValue: true });
+      expect(manipulator.pushed[0].content.toString()).to.include('<boolean name="root_check_passed" value="true" />');
+      expect(manipulator.adb.transport.misses).to.be.empty;
+    });
+
+    it('should update SQLite rows and push the edited database back', async function() {
+      const SQL = await initSqlJs();
+      const seed = new SQL.Database();
+      seed.run('CREATE TABLE account (id INTEGER PRIMARY KEY, email TEXT, is_premium INTEGER)');
+      seed.run('INSERT INTO account VALUES (1, \'a@example.com\', 0), (2, \'b@example.com\', 0)');
+      const dbPath = `${DATA_DIR}/databases/app.db`;
+
+      const manipulator = appManipulator(dbPath, Buffer.from(seed.export()), [
+        { command: script('size', `${dbPath}-wal`), exitCode: 1, stdout: '', stderr: 'No such file or directory' }
+      ]);
+      seed.close();
+
+      const result = await manipulator.modifySQLiteRows(PACKAGE, 'app.db', {
+        table: 'account',
+        set: { is_premium: true },
+        where: { id: 1 }
+      });
+
+      expect(result).to.include({ success: true, rowsModified: 1 });
+      expect(result.originalRows).to.deep.equal([{ id: 1, email: 'a@example.com', is_premium: 0 }]);
+
+      const edited = new SQL.Database(manipulator.pushed[0].content);
+      expect(edited.exec('SELECT id, is_premium FROM account ORDER BY id')[0].values).to.deep.equal([[1, 1], [2, 0]]);
+      edited.close();
+    });
+
+    it('should refuse to edit a database with an un-checkpointed write-ahead log', async function() {
+      const dbPath = `${DATA_DIR}/databases/app.db`;
+      const manipulator = appManipulator(dbPath, '', [
+        { command: script('size', `${dbPath}-wal`), exitCode: 0, stdout: '4152\n', stderr: '' }
+      ]);
+
+      const result = await manipulator.modifySQLiteRows(PACKAGE, 'app.db', { table: 'account', set: { is_premium: 1 }, where: {} });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('not yet checkpointed');
+      expect(manipulator.pushed).to.be.empty;
+    });
+  });
+});
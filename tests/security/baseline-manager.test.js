@@ -0,0 +1,121 @@
+/**
+ * Baseline Manager Tests
+ * Records golden file manifests and diffs later device states against them
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const BaselineManager = require('../../src/utils/baseline-manager');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+const FINGERPRINT = 'google/redfin/redfin:13/TQ2A.230505.002/9891397:user/release-keys';
+const PREFS = `/data/data/${PACKAGE}/shared_prefs`;
+const PATTERNS = ['/data/local/tmp/*', '/data/data/{package}/shared_prefs'];
+const CONTEXT = 'u:object_r:app_data_file:s0';
+
+function shellKey(args) {
+  return `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+}
+
+function sh(args, stdout, exitCode = 0) {
+  return { command: shellKey(args), exitCode, stdout, stderr: '' };
+}
+
+const hashOf = letter => letter.repeat(64);
+
+// Device state: { file: [hash letter, size, mode] } -> commands for one capture
+function captureCommands(state) {
+  const files = Object.keys(state).map(name => `${PREFS}/${name}`);
+  const entries = Object.values(state);
+
+  return [
+    sh(['sh', '-c', BaselineManager.EXPAND_SCRIPT, 'sh', '/data/local/tmp/*', PREFS], files.join('\n') + '\n'),
+    sh(['stat', '-c', '%s %a %U %G %C %n', ...files],
+      files.map((file, i) => `${entries[i][1]} ${entries[i][2]} u0_a120 u0_a120 ${CONTEXT} ${file}`).join('\n')),
+    sh(['sha256sum', ...files], files.map((file, i) => `${hashOf(entries[i][0])}  ${file}`).join('\n'))
+  ];
+}
+
+// Replays each state in turn: record() captures the first, compare() the second
+function deviceAdb(...states) {
+  const commands = [
+    sh(['getprop'], `[ro.build.fingerprint]: [${FINGERPRINT}]\n`),
+    sh(['dumpsys', 'package', PACKAGE], '  versionCode=240 minSdk=26 targetSdk=34\n  versionName=2.4.0\n'),
+    ...states.flatMap(captureCommands)
+  ];
+
+  return new ADBHelper(null, { transport: new ReplayTransport({ fixture: { version: 2, commands } }) });
+}
+
+describe('Baseline Manager Tests', function() {
+  let baselineDir;
+
+  beforeEach(async function() {
+    baselineDir = await fs.mkdtemp(path.join(os.tmpdir(), 'baselines-'));
+  });
+
+  afterEach(async function() {
+    await fs.remove(baselineDir);
+  });
+
+  it('should store manifests per device fingerprint and app version', async function() {
+    const adb = deviceAdb({ 'auth.xml': ['a', 120, '660'] });
+    const manager = new BaselineManager(adb, { baselineDir, paths: PATTERNS });
+
+    const result = await manager.record(undefined, { packageName: PACKAGE });
+
+    expect(result.success).to.be.true;
+    expect(path.relative(baselineDir, result.manifestPath)).to.equal(
+      path.join('google_redfin_redfin_13_TQ2A.230505.002_9891397_user_release-keys', 'com.security.testapp_2.4.0.json')
+    );
+    expect(result.manifest).to.include({ fingerprint: FINGERPRINT, packageName: PACKAGE, appVersion: '2.4.0' });
+    expect(result.manifest.files[`${PREFS}/auth.xml`]).to.deep.equal({
+      sha256: hashOf('a'), size: 120, mode: '660', owner: 'u0_a120', group: 'u0_a120', context: CONTEXT
+    });
+  });
+
+  it('should classify added, removed, modified and permission-changed files', async function() {
+    const adb = deviceAdb(
+      { 'auth.xml': ['a', 120, '660'], 'flags.xml': ['b', 80, '660'], 'session.xml': ['c', 40, '660'] },
+      { 'auth.xml': ['d', 128, '660'], 'flags.xml': ['b', 80, '666'], 'injected.xml': ['e', 10, '660'] }
+    );
+    const manager = new BaselineManager(adb, { baselineDir, paths: PATTERNS });
+    await manager.record(undefined, { packageName: PACKAGE });
+
+    const result = await manager.compare({ packageName: PACKAGE });
+
+    expect(result).to.include({ success: true, baselineFound: true, passed: false });
+    expect(result.diff.modified.map(entry => entry.filePath)).to.deep.equal([`${PREFS}/auth.xml`]);
+    expect(result.diff.permissionChanged[0]).to.include({ filePath: `${PREFS}/flags.xml` });
+    expect(result.diff.permissionChanged[0].fields).to.deep.equal(['mode']);
+    expect(result.diff.removed.map(entry => entry.filePath)).to.deep.equal([`${PREFS}/session.xml`]);
+    expect(result.diff.added.map(entry => entry.filePath)).to.deep.equal([`${PREFS}/injected.xml`]);
+    expect(result.diff.violations).to.equal(4);
+  });
+
+  it('should report violations through SecurityChecker.validateFileIntegrity', async function() {
+    const state = { 'auth.xml': ['a', 120, '660'], 'flags.xml': ['b', 80, '660'] };
+    const adb = deviceAdb(state, { ...state, 'flags.xml': ['f', 80, '660'] });
+    await new BaselineManager(adb, { baselineDir, paths: PATTERNS }).record(undefined, { packageName: PACKAGE });
+
+    const checker = new SecurityChecker(null, { adb, baselineDir });
+    const integrity = await checker.validateFileIntegrity([], { packageName: PACKAGE });
+
+    expect(integrity.summary).to.include({ total: 2, passed: 1, failed: 1, modified: 1 });
+    expect(integrity.violations[0]).to.include({ filePath: `${PREFS}/flags.xml`, changeType: 'modified' });
+    expect(checker.calculateFileIntegrityScore(integrity)).to.equal(50);
+  });
+
+  it('should report a missing baseline instead of passing', async function() {
+    const manager = new BaselineManager(deviceAdb(), { baselineDir });
+
+    const result = await manager.compare({ packageName: PACKAGE });
+
+    expect(result).to.include({ success: true, baselineFound: false, passed: null });
+  });
+});
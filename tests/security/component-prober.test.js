@@ -0,0 +1,160 @@
+/**
+ * Component Prober Tests
+ * Enumerates exported components and probes them for auth bypass, crashes and data leaks
+ */
+
+const { expect } = require('chai');
+const ADBHelper = require('../../src/utils/adb-helper');
+const ComponentProber = require('../../src/utils/component-prober');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+const AUTHORITY = `${PACKAGE}.provider`;
+const AUTH_FLAGS = [{ id: 'auth_flags', extras: [{ key: 'authenticated', type: 'boolean', value: true }] }];
+
+const DUMPSYS = [
+  'Activity Resolver Table:',
+  '  Non-Data Actions:',
+  '      android.intent.action.MAIN:',
+  `        5a1b2c3 ${PACKAGE}/.MainActivity filter 7d8e9f0`,
+  '          Action: "android.intent.action.MAIN"',
+  '          Category: "android.intent.category.LAUNCHER"',
+  '  Schemes:',
+  '      testapp:',
+  `        1b2c3d4 ${PACKAGE}/.DeepLinkActivity filter 2c3d4e5`,
+  '',
+  'Receiver Resolver Table:',
+  '  Non-Data Actions:',
+  `      ${PACKAGE}.ACTION_RESET:`,
+  `        3c4d5e6 ${PACKAGE}/.ResetReceiver filter 4d5e6f7`,
+  '      android.intent.action.BOOT_COMPLETED:',
+  '        6f7a8b9 com.other.app/.BootReceiver filter 7a8b9c0',
+  '',
+  'ContentProvider Authorities:',
+  `  [${AUTHORITY}]:`,
+  `    Provider{9f8e7d6 ${PACKAGE}/.DataProvider}`,
+  '      applicationInfo=ApplicationInfo{1a2b3c4 com.security.testapp}',
+  '',
+  'Packages:',
+  `  Package [${PACKAGE}] (8a7f3c1):`,
+  '    userId=10234'
+].join('\n');
+
+const shellKey = args => `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+const response = (args, stdout, exitCode = 0) => ({ command: shellKey(args), exitCode, stdout, stderr: '' });
+const resumed = activity => `  mResumedActivity: ActivityRecord{f3a4b5c u0 ${PACKAGE}/${activity} t12}\n`;
+
+function proberFor(commands, options = {}) {
+  const transport = new ReplayTransport({
+    fixture: { version: 2, commands, streams: [{ args: 'logcat -v threadtime -v year -v UTC -v uid', chunks: [] }] }
+  });
+  const adb = new ADBHelper(null, { transport });
+  const logcatMonitor = adb.createLogcatMonitor();
+  return new ComponentProber(adb, { logcatMonitor, settleTime: 0, extraSets: AUTH_FLAGS, providerPaths: ['users'], ...options });
+}
+
+function logLine(pid, message) {
+  return `2026-10-19 09:00:00.000 10234  ${pid}  ${pid} E AndroidRuntime: ${message}`;
+}
+
+describe('Component Prober Tests', function() {
+  it('should enumerate exported components from dumpsys package', function() {
+    const components = ComponentProber.parseDumpsys(DUMPSYS, PACKAGE);
+
+    expect(components.map(component => `${component.type}:${component.name}`)).to.deep.equal([
+      `activity:${PACKAGE}.MainActivity`,
+      `activity:${PACKAGE}.DeepLinkActivity`,
+      `receiver:${PACKAGE}.ResetReceiver`,
+      `provider:${PACKAGE}.DataProvider`
+    ]);
+    expect(components[0].launcher).to.be.true;
+    expect(components[1].launcher).to.be.false;
+    expect(components[2].actions).to.deep.equal([`${PACKAGE}.ACTION_RESET`]);
+    expect(components[3].authorities).to.deep.equal([AUTHORITY]);
+  });
+
+  it('should report activities reached without authentication and leaking providers', async function() {
+    const account = `${PACKAGE}/${PACKAGE}.AccountActivity`;
+    const transfer = `${PACKAGE}/${PACKAGE}.TransferActivity`;
+    const usersUri = `content://${AUTHORITY}/users`;
+    const prober = proberFor([
+      response(['am', 'force-stop', PACKAGE], ''),
+      response(['am', 'start', '-W', '-n', account], `Starting: Intent { cmp=${account} }\nStatus: ok\nActivity: ${account}\n`),
+      response(['am', 'start', '-W', '-n', account, '--ez', 'authenticated', 'true'], 'Status: ok\n'),
+      response(['am', 'start', '-W', '-n', transfer], 'Status: ok\n'),
+      response(['am', 'start', '-W', '-n', transfer, '--ez', 'authenticated', 'true'], 'Status: ok\n'),
+      response(['dumpsys', 'activity', 'activities'], resumed('.AccountActivity')),
+      response(['dumpsys', 'activity', 'activities'], resumed('.AccountActivity')),
+      response(['dumpsys', 'activity', 'activities'], resumed('.LoginActivity')),
+      response(['dumpsys', 'activity', 'activities'], resumed('.TransferActivity')),
+      response(['content', 'query', '--uri', usersUri], 'Row: 0 _id=1, email=alice@example.com, token=abc, def\n'),
+      response(['content', 'query', '--uri', usersUri, '--where', "' OR '1'='1"],
+        'Error while accessing provider:com.security.testapp.provider\nandroid.database.sqlite.SQLiteException: unrecognized token\n'),
+      response(['content', 'read', '--uri', `content://${AUTHORITY}/../../../../../../../../etc/hosts`], '', 1)
+    ]);
+
+    const manifest = {
+      components: [
+        { type: 'activity', name: `${PACKAGE}.AccountActivity`, exported: true, enabled: true, launcher: false, intentFilters: [] },
+        { type: 'activity', name: `${PACKAGE}.TransferActivity`, exported: true, enabled: true, launcher: false, intentFilters: [] },
+        { type: 'service', name: `${PACKAGE}.SyncService`, exported: false, enabled: true, launcher: false, intentFilters: [] },
+        { type: 'provider', name: `${PACKAGE}.DataProvider`, exported: true, enabled: true, launcher: false, intentFilters: [], authorities: [AUTHORITY] }
+      ]
+    };
+
+    const result = await prober.probe(PACKAGE, { manifest });
+    const findings = result.findings.map(finding => `${finding.check}:${finding.severity}:${finding.component}`);
+
+    expect(result.source).to.equal('manifest');
+    expect(result.passed).to.be.false;
+    expect(result.summary).to.include({ components: 3, probes: 7 });
+    expect(findings).to.include.members([
+      `authentication_bypass:high:${PACKAGE}.AccountActivity`,
+      `authentication_bypass:high:${PACKAGE}.TransferActivity`,
+      `provider_data_leak:high:${PACKAGE}.DataProvider`,
+      `provider_sql_injection:medium:${PACKAGE}.DataProvider`
+    ]);
+    expect(result.findings.find(finding => finding.component === `${PACKAGE}.TransferActivity`).message).to.include('(auth_flags)');
+    expect(result.components[2].probes[0].rows).to.deep.equal([{ _id: '1', email: 'alice@example.com', token: 'abc, def' }]);
+  });
+
+  it('should attribute crashes to the probe that caused them', async function() {
+    const target = `${PACKAGE}/${PACKAGE}.ResetReceiver`;
+    const extras = ['--ei', 'id', '-1'];
+    const prober = proberFor([
+      response(['dumpsys', 'package', PACKAGE], DUMPSYS),
+      response(['am', 'broadcast', '-n', target, '-a', `${PACKAGE}.ACTION_RESET`], 'Broadcast completed: result=0, data="reset-token=93f1"\n'),
+      response(['am', 'broadcast', '-n', target, '-a', `${PACKAGE}.ACTION_RESET`, ...extras], 'Broadcast completed: result=0\n')
+    ], { extraSets: [{ id: 'type_confusion', extras: [{ key: 'id', type: 'int', value: -1 }] }] });
+
+    // The app crashes while handling the crafted broadcast
+    const shell = prober.adb.shell.bind(prober.adb);
+    prober.adb.shell = async (args, options) => {
+      const result = await shell(args, options);
+      if (args[1] === 'broadcast' && args.includes('--ei')) {
+        ['FATAL EXCEPTION: main', `Process: ${PACKAGE}, PID: 4321`, 'java.lang.IllegalArgumentException: id < 0',
+          `\tat ${PACKAGE}.ResetReceiver.onReceive(ResetReceiver.java:31)`].forEach(message => {
+          prober.logcatMonitor.handleLine(logLine(4321, message));
+        });
+      }
+      return result;
+    };
+
+    // Another subscriber on the shared monitor must outlive the probe run
+    const otherEntries = [];
+    await prober.logcatMonitor.subscribe({ tag: 'AndroidRuntime' }, entry => otherEntries.push(entry));
+
+    const probed = await prober.probe(PACKAGE);
+    const receiver = probed.components.find(component => component.type === 'receiver');
+    prober.logcatMonitor.handleLine(logLine(5555, 'FATAL EXCEPTION: main'));
+
+    expect(probed.source).to.equal('dumpsys');
+    expect(receiver.probes[0].crash).to.be.null;
+    expect(receiver.probes[1].crash).to.include({ exception: 'java.lang.IllegalArgumentException: id < 0', probe: 'type_confusion' });
+    expect(probed.crashes).to.have.length(1);
+    expect(probed.findings.map(finding => finding.check)).to.include.members(['component_crash', 'receiver_data_leak']);
+    expect(prober.logcatMonitor.process).to.not.be.null;
+    expect(otherEntries).to.have.length(5);
+    prober.logcatMonitor.stop();
+  });
+});
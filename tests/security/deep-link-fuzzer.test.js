@@ -0,0 +1,161 @@
+/**
+ * Deep Link Fuzzer Tests
+ * Seeded URI and extra mutations, failure detection and reproducer minimization
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const DeepLinkFuzzer = require('../../src/utils/deep-link-fuzzer');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+
+const MANIFEST = {
+  components: [
+    {
+      type: 'activity',
+      name: `${PACKAGE}.DeepLinkActivity`,
+      exported: true,
+      enabled: true,
+      intentFilters: [{
+        actions: ['android.intent.action.VIEW'],
+        categories: ['android.intent.category.DEFAULT', 'android.intent.category.BROWSABLE'],
+        data: [{ scheme: 'testapp' }, { host: 'app' }, { pathPrefix: '/open' }]
+      }]
+    },
+    {
+      type: 'activity',
+      name: `${PACKAGE}.InternalActivity`,
+      exported: false,
+      enabled: true,
+      intentFilters: [{ actions: ['android.intent.action.VIEW'], categories: [], data: [{ scheme: 'internal' }] }]
+    }
+  ]
+};
+
+const CORPUS = {
+  paths: ['help'],
+  traversals: ['../'],
+  hosts: ['localhost'],
+  query_keys: ['next'],
+  payloads: ['account', 'home'],
+  extras: [{ key: 'id', type: 'int', value: -1 }, { key: 'ref', type: 'string', value: 'promo' }]
+};
+
+const crashLine = message => `2026-10-19 09:00:00.000 10234  4321  4321 E AndroidRuntime: ${message}`;
+
+// Device stand-in: next=account opens the account screen without a login,
+// and a negative id extra crashes the app
+function fakeDevice() {
+  const transport = new ReplayTransport({
+    fixture: { version: 2, commands: [], streams: [{ args: 'logcat -v threadtime -v year -v UTC -v uid', chunks: [] }] }
+  });
+  const adb = new ADBHelper(null, { transport });
+  const logcatMonitor = adb.createLogcatMonitor();
+  let resumed = 'LoginActivity';
+
+  adb.shell = async (args) => {
+    if (args[1] === 'start') {
+      const uri = args[args.indexOf('-d') + 1];
+      const idExtra = args.indexOf('id');
+      resumed = uri.includes('next=account') ? 'AccountActivity' : 'LoginActivity';
+
+      if (idExtra > 0 && args[idExtra + 1] === '-1') {
+        ['FATAL EXCEPTION: main', `Process: ${PACKAGE}, PID: 4321`, 'java.lang.IllegalStateException: bad id']
+          .forEach(message => logcatMonitor.handleLine(crashLine(message)));
+      }
+    }
+    const output = args[0] === 'dumpsys'
+      ? `  mResumedActivity: ActivityRecord{f3a4b5c u0 ${PACKAGE}/.${resumed} t12}`
+      : 'Status: ok';
+    return { success: true, exitCode: 0, stdout: output, stderr: '', output };
+  };
+  return { adb, logcatMonitor };
+}
+
+describe('Deep Link Fuzzer Tests', function() {
+  let outputDir;
+
+  beforeEach(async function() {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deep-link-fuzz-'));
+  });
+
+  afterEach(async function() {
+    await fs.remove(outputDir);
+  });
+
+  it('should build targets from exported intent filters', function() {
+    const targets = DeepLinkFuzzer.getTargets(MANIFEST);
+
+    expect(targets).to.deep.equal([
+      { component: `${PACKAGE}.DeepLinkActivity`, scheme: 'testapp', host: 'app', path: '/open', browsable: true }
+    ]);
+    expect(DeepLinkFuzzer.buildIntent(targets[0], [
+      { type: 'path', value: 'help' },
+      { type: 'query', key: 'next', value: 'account' },
+      { type: 'extra', extra: CORPUS.extras[0] }
+    ])).to.deep.equal({ uri: 'testapp://app/open/help?next=account', extras: [CORPUS.extras[0]] });
+  });
+
+  it('should generate the same cases for the same seed', function() {
+    const targets = DeepLinkFuzzer.getTargets(MANIFEST);
+    const fuzzer = new DeepLinkFuzzer(null, { iterations: 10, corpus: CORPUS });
+    const mutations = seed => fuzzer.generateCases(targets, { seed }).map(fuzzCase => fuzzCase.mutations);
+
+    expect(mutations(42)).to.deep.equal(mutations(42));
+    expect(mutations(42)).to.not.deep.equal(mutations(43));
+    expect(mutations(42)[0]).to.be.empty;
+    expect(mutations(42)).to.have.length(11);
+  });
+
+  it('should write minimized reproducers for crashes and gate bypasses', async function() {
+    const { adb, logcatMonitor } = fakeDevice();
+    const fuzzer = new DeepLinkFuzzer(adb, { logcatMonitor, seed: 7, iterations: 20, settleTime: 0, corpus: CORPUS, outputDir });
+    const otherEntries = [];
+    await logcatMonitor.subscribe({ tag: 'AndroidRuntime' }, entry => otherEntries.push(entry));
+
+    const result = await fuzzer.fuzz(PACKAGE, { manifest: MANIFEST });
+    const byKind = Object.fromEntries(result.failures.map(failure => [failure.kind, failure]));
+
+    expect(result.passed).to.be.false;
+    expect(result.risk).to.equal('high');
+    expect(byKind.gate_bypass.minimized.mutations).to.deep.equal([{ type: 'query', key: 'next', value: 'account' }]);
+    expect(byKind.crash.minimized.mutations).to.deep.equal([{ type: 'extra', extra: CORPUS.extras[0] }]);
+    // The injected monitor keeps streaming for its other subscribers
+    expect(logcatMonitor.process).to.not.be.null;
+    expect(otherEntries).to.not.be.empty;
+    logcatMonitor.stop();
+
+    const reproducer = await fs.readJson(byKind.gate_bypass.testCasePath);
+    expect(reproducer).to.include({ kind: 'gate_bypass', seed: 7, uri: 'testapp://app/open?next=account' });
+    // Quoted once for the device shell and once more for the host shell
+    expect(reproducer.command).to.equal(
+      `adb shell 'am start -W -a android.intent.action.VIEW -d '\\''testapp://app/open?next=account'\\'' -n ${PACKAGE}/${PACKAGE}.DeepLinkActivity'`
+    );
+  });
+
+  it('should keep multi-parameter URIs intact through both shells in the reproducer', async function() {
+    const [target] = DeepLinkFuzzer.getTargets(MANIFEST);
+    const mutations = [{ type: 'query', key: 'next', value: 'account' }, { type: 'query', key: 'ref', value: 'promo' }];
+    const fuzzer = new DeepLinkFuzzer(null, { outputDir });
+
+    const testCasePath = await fuzzer.writeTestCase(PACKAGE, {
+      kind: 'gate_bypass',
+      signature: 'gate_bypass|AccountActivity',
+      case: { id: 3, seed: 7, target },
+      minimized: { target, mutations },
+      uri: 'testapp://app/open?next=account&ref=promo',
+      details: { resumedActivity: 'AccountActivity' }
+    });
+    const reproducer = await fs.readJson(testCasePath);
+
+    // Unquoted, the device shell would background the command at '&' and drop ref=promo
+    expect(reproducer.uri).to.equal('testapp://app/open?next=account&ref=promo');
+    expect(reproducer.command).to.equal(
+      `adb shell 'am start -W -a android.intent.action.VIEW -d '\\''testapp://app/open?next=account&ref=promo'\\'' -n ${PACKAGE}/${PACKAGE}.DeepLinkActivity'`
+    );
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Detection Scorer Tests
+ * Validates weighted, policy-driven emulator and root verdicts
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const DetectionScorer = require('../../src/utils/detection-scorer');
+const DeviceDetector = require('../../src/utils/device-detector');
+const { SecurityConfigManager } = require('../../src/config/security-config');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+function configWithPolicy(policyName, overrides) {
+  const securityConfig = new SecurityConfigManager('staging');
+  const deviceSecurity = securityConfig.config.policies.deviceSecurity;
+
+  securityConfig.config.policies = {
+    ...securityConfig.config.policies,
+    deviceSecurity: {
+      ...deviceSecurity,
+      [policyName]: { ...deviceSecurity[policyName], ...overrides }
+    }
+  };
+
+  return securityConfig;
+}
+
+describe('Detection Scorer Tests', function() {
+  describe('Weighted Scoring', function() {
+    it('should weight fired signals against the signals that ran', function() {
+      const scorer = new DetectionScorer(new SecurityConfigManager('staging'));
+
+      const result = scorer.score('emulator', {
+        build_fingerprint: { detected: true, evidence: [{ indicator: 'generic', reason: 'generic build fingerprint' }] },
+        hardware_features: { detected: false, evidence: [] },
+        sensor_data: { detected: true, evidence: [] }
+      });
+
+      // build_fingerprint (3) + sensor_data (2) out of 3 + 1 + 2
+      expect(result.confidence).to.be.closeTo(5 / 6, 1e-9);
+      expect(result.detected).to.be.true;
+      expect(result.breakdown.find(signal => signal.method === 'build_fingerprint').contribution).to.equal(0.5);
+      expect(result.breakdown.find(signal => signal.method === 'hardware_features').contribution).to.equal(0);
+    });
+
+    it('should honour the policy confidence threshold', function() {
+      const strict = new DetectionScorer(configWithPolicy('rootPolicy', { confidence_threshold: 0.9 }));
+      const results = {
+        su_binary: { detected: true, evidence: [{ indicator: '/system/xbin/su', reason: 'su binary present' }] },
+        busybox: { detected: false, evidence: [] }
+      };
+
+      const verdict = strict.score('root', results);
+
+      expect(verdict.threshold).to.equal(0.9);
+      expect(verdict.confidence).to.equal(0.75);
+      expect(verdict.detected).to.be.false;
+    });
+
+    it('should let decisive evidence settle the verdict on its own', function() {
+      const scorer = new DetectionScorer(new SecurityConfigManager('staging'));
+
+      const result = scorer.score('emulator', {
+        build_fingerprint: { detected: true, evidence: [{ indicator: 'ro.kernel.qemu=1', reason: 'kernel running under QEMU' }] },
+        hardware_features: { detected: false, evidence: [] },
+        system_files: { detected: false, evidence: [] },
+        sensor_data: { detected: false, evidence: [] }
+      });
+
+      expect(result.weightedConfidence).to.equal(3 / 9);
+      expect(result.confidence).to.equal(1);
+      expect(result.detected).to.be.true;
+      expect(result.decisive).to.deep.equal([
+        { method: 'build_fingerprint', indicator: 'ro.kernel.qemu=1', reason: 'kernel running under QEMU' }
+      ]);
+    });
+  });
+
+  describe('Policy Methods', function() {
+    it('should include advanced root methods only when enabled', function() {
+      const enabled = new DetectionScorer(new SecurityConfigManager('staging'));
+      const disabled = new DetectionScorer(configWithPolicy('rootPolicy', {
+        advanced_detection: { magisk_detection: false, root_cloaking_detection: false }
+      }));
+
+      expect(enabled.getEnabledMethods('root')).to.include.members(['magisk', 'root_cloaking']);
+      expect(disabled.getEnabledMethods('root')).to.not.include.members(['magisk', 'root_cloaking']);
+    });
+
+    it('should only run the detection methods listed in the policy', async function() {
+      const securityConfig = configWithPolicy('emulatorPolicy', { detection_methods: ['build_fingerprint', 'sensor_data'] });
+      const detector = new DeviceDetector(null, {
+        mode: 'replay',
+        fixturePath: path.join(fixturesDir, 'emulator.json'),
+        securityConfig
+      });
+
+      const result = await detector.detectEmulator();
+
+      expect(Object.keys(result.details)).to.deep.equal(['buildFingerprint', 'sensorData']);
+      expect(result.breakdown.map(signal => signal.method)).to.deep.equal(['build_fingerprint', 'sensor_data']);
+      expect(detector.adb.transport.calls).to.not.include('shell "ip addr"');
+    });
+
+    it('should keep clean devices below both thresholds', async function() {
+      const detector = new DeviceDetector(null, { mode: 'replay', fixturePath: path.join(fixturesDir, 'clean.json') });
+
+      const emulator = await detector.detectEmulator();
+      const root = await detector.detectRoot();
+
+      expect(emulator.isEmulator).to.be.false;
+      expect(emulator.confidence).to.equal(0);
+      expect(root.isRooted).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Device Detector Tests
+ * Runs DeviceDetector checks against recorded device profiles
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const DeviceDetector = require('../../src/utils/device-detector');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+function detectorFor(profile, options = {}) {
+  return new DeviceDetector(null, { mode: 'replay', fixturePath: path.join(fixturesDir, `${profile}.json`), ...options });
+}
+
+describe('Device Detector Tests', function() {
+  describe('Root Checks', function() {
+    it('should report su binaries with the paths that fired', async function() {
+      const result = await detectorFor('rooted').checkSuBinary();
+
+      expect(result.detected).to.be.true;
+      expect(result.evidence.map(e => e.indicator)).to.include('/system/xbin/su');
+    });
+
+    it('should flag root management and cloaking apps from the package list', async function() {
+      const detector = detectorFor('rooted');
+
+      const rootApps = await detector.checkRootApps();
+      const cloaking = await detector.checkRootCloaking();
+
+      expect(rootApps.evidence.map(e => e.indicator)).to.deep.equal(['com.topjohnwu.magisk']);
+      expect(cloaking.evidence.map(e => e.indicator)).to.include('com.devadvance.rootcloak');
+    });
+
+    it('should parse read-write system mounts from mount output', async function() {
+      const rooted = await detectorFor('rooted').checkSystemWritable();
+      const emulator = await detectorFor('emulator').checkSystemWritable();
+
+      expect(rooted.detected).to.be.true;
+      expect(rooted.evidence[0].indicator).to.equal('/');
+      expect(emulator.detected).to.be.false;
+      expect(emulator.mountsInspected).to.equal(3);
+    });
+
+    it('should explain dangerous build properties', async function() {
+      const result = await detectorFor('rooted').checkDangerousProps();
+      const indicators = result.evidence.map(e => e.indicator);
+
+      expect(indicators).to.include.members(['ro.debuggable=1', 'ro.secure=0', 'ro.build.tags=test-keys']);
+    });
+
+    it('should find Magisk mount traces, busybox and Xposed bridge files', async function() {
+      const detector = detectorFor('rooted');
+
+      const magisk = await detector.checkMagisk();
+      const busyBox = await detector.checkBusyBox();
+      const xposed = await detector.checkXposedFramework();
+
+      expect(magisk.evidence.filter(e => e.reason === 'Magisk mount trace')).to.have.length(2);
+      expect(busyBox.detected).to.be.true;
+      expect(xposed.evidence.map(e => e.indicator)).to.include.members(['/data/adb/lspd', 'org.lsposed.manager']);
+    });
+
+    it('should not report root on a clean device', async function() {
+      const result = await detectorFor('clean').detectRoot();
+
+      expect(result.isRooted).to.be.false;
+      expect(result.indicators).to.equal(0);
+    });
+
+    it('should report root on a rooted device', async function() {
+      const result = await detectorFor('rooted').detectRoot();
+
+      expect(result.isRooted).to.be.true;
+      expect(result.details.suBinary.evidence).to.not.be.empty;
+    });
+  });
+
+  describe('Debug Checks', function() {
+    it('should read developer and adb settings with their raw values', async function() {
+      const result = await detectorFor('emulator').detectDebugging();
+
+      expect(result.details.developerOptions).to.be.true;
+      expect(result.details.usbDebugging).to.be.true;
+      expect(result.checks.developerOptions.raw).to.deep.equal({ development_settings_enabled: '1' });
+      expect(result.checks.usbDebugging.raw['persist.sys.usb.config']).to.equal('adb');
+    });
+
+    it('should detect mock location apps and an attached tracer', async function() {
+      const detector = detectorFor('rooted', { packageName: 'com.security.testapp' });
+
+      const mockLocations = await detector.checkMockLocations();
+      const debuggerAttached = await detector.checkDebuggerAttached();
+
+      expect(mockLocations.raw.mockLocationApps).to.deep.equal(['com.lexa.fakegps']);
+      expect(debuggerAttached.attached).to.be.true;
+      expect(debuggerAttached.raw).to.deep.equal({ debuggerProcesses: ['frida-server(2001)'], tracerPid: 2001 });
+    });
+
+    it('should report no debugging on a clean device', async function() {
+      const result = await detectorFor('clean').detectDebugging();
+
+      expect(result.debuggingDetected).to.be.false;
+      expect(result.riskLevel).to.equal('low');
+    });
+  });
+
+  describe('Platform Security Checks', function() {
+    it('should pass every platform check on a clean device with a fresh patch', async function() {
+      const detector = detectorFor('clean', { maxPatchAgeDays: 100000 });
+
+      const result = await detector.checkSecurityFeatures();
+
+      expect(result.securityScore).to.equal(7);
+      expect(result.features.selinux.raw).to.deep.equal({ getenforce: 'Enforcing' });
+      expect(result.features.encryption.raw['ro.crypto.state']).to.equal('encrypted');
+    });
+
+    it('should compute the real security patch age in days', async function() {
+      const result = await detectorFor('rooted').checkSecurityPatchLevel();
+      const expectedAge = Math.floor((Date.now() - Date.parse('2021-03-05T00:00:00Z')) / 86400000);
+
+      expect(result.patchLevel).to.equal('2021-03-05');
+      expect(result.ageDays).to.equal(expectedAge);
+      expect(result.passed).to.be.false;
+    });
+
+    it('should fail SELinux, verified boot and screen lock on a rooted device', async function() {
+      const result = await detectorFor('rooted').checkSecurityFeatures();
+
+      expect(result.features.selinux.passed).to.be.false;
+      expect(result.features.verifiedBoot.raw['ro.boot.verifiedbootstate']).to.equal('orange');
+      expect(result.features.screenLock.passed).to.be.false;
+      expect(result.features.playProtect.passed).to.be.false;
+    });
+  });
+
+  describe('Emulator Probes', function() {
+    it('should flag QEMU NAT addresses and the virtual radio interface', async function() {
+      const emulator = await detectorFor('emulator').checkNetworkInterfaces();
+      const physical = await detectorFor('clean').checkNetworkInterfaces();
+
+      expect(emulator.evidence.map(e => e.indicator)).to.include.members(['eth0 10.0.2.15', 'wlan0 10.0.2.16', 'radio0']);
+      expect(physical.detected).to.be.false;
+      expect(physical.hasCellular).to.be.true;
+    });
+
+    it('should recognise emulated sensors, virtual CPUs and emulator services', async function() {
+      const detector = detectorFor('emulator');
+
+      const sensors = await detector.checkSensors();
+      const performance = await detector.checkPerformanceCharacteristics();
+      const processes = await detector.checkEmulatorProcesses();
+
+      expect(sensors.sensorCount).to.equal(3);
+      expect(sensors.evidence[0].indicator).to.equal('Goldfish 3-axis Accelerometer (The Android Open Source Project)');
+      expect(performance.evidence.map(e => e.indicator)).to.include.members(['Hardware: ranchu', 'hypervisor']);
+      expect(processes.evidence.map(e => e.indicator)).to.deep.equal(['qemu-props(301)', 'goldfish-logcat(302)']);
+    });
+
+    it('should return a real verdict for emulators and physical devices', async function() {
+      const emulator = await detectorFor('emulator').detectEmulator();
+      const physical = await detectorFor('clean').detectEmulator();
+
+      expect(emulator.error).to.be.undefined;
+      expect(emulator.isEmulator).to.be.true;
+      expect(physical.isEmulator).to.be.false;
+    });
+  });
+
+  describe('Network Probes', function() {
+    it('should read VPN, proxy, DNS and operator state', async function() {
+      const result = await detectorFor('rooted').analyzeNetwork();
+
+      expect(result.details.vpnStatus).to.deep.equal({ active: true, interfaces: ['tun0'] });
+      expect(result.details.proxySettings).to.include({ configured: true, host: '192.168.1.50', port: '8080' });
+      expect(result.details.dnsServers).to.deep.equal(['127.0.0.1', '8.8.8.8']);
+      expect(result.riskIndicators.map(risk => risk.type)).to.deep.equal(['vpn', 'proxy', 'dns']);
+    });
+
+    it('should treat a cleared proxy as not configured', async function() {
+      const result = await detectorFor('emulator').analyzeNetwork();
+
+      expect(result.details.proxySettings.configured).to.be.false;
+      expect(result.details.networkOperator).to.equal('Android');
+      expect(result.riskIndicators.map(risk => risk.type)).to.deep.equal(['operator']);
+    });
+
+    it('should report no network risks on a clean device', async function() {
+      const result = await detectorFor('clean').analyzeNetwork();
+
+      expect(result.details.dnsServers).to.deep.equal(['192.168.1.1', '8.8.8.8']);
+      // tunl0 is the kernel's IPIP placeholder and ppp0 is down; neither is a VPN
+      expect(result.details.vpnStatus).to.deep.equal({ active: false, interfaces: [] });
+      expect(result.riskIndicators).to.be.empty;
+    });
+  });
+});
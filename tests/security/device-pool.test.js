@@ -0,0 +1,98 @@
+/**
+ * Device Pool Tests
+ * Validates multi-device orchestration against recorded device profiles
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const DevicePool = require('../../src/utils/device-pool');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+const { SecurityConfigManager } = require('../../src/config/security-config');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+// Serial -> recorded profile for the simulated rack
+const RACK = {
+  '0A041FDD4003SX': 'clean',
+  'emulator-5554': 'emulator',
+  'RZ8N70ABCDE': 'rooted'
+};
+
+function rackAdb(extraLines = []) {
+  const lines = Object.keys(RACK).map(serial => `${serial}\tdevice`).concat(extraLines);
+  const transport = new ReplayTransport({
+    fixture: {
+      version: 2,
+      commands: [{ command: 'devices', exitCode: 0, stdout: ['List of devices attached', ...lines].join('\n') }]
+    }
+  });
+
+  return new ADBHelper(null, { transport });
+}
+
+describe('Device Pool Tests', function() {
+  it('should skip devices that are not online', async function() {
+    const pool = new DevicePool({ adb: rackAdb(['0B1C2D3E\tunauthorized', 'emulator-5556\toffline']) });
+
+    const deviceIds = await pool.discoverDevices();
+
+    // Checkers get their own per-serial helper, never the enumeration one
+    expect(pool.checkerOptions).to.not.have.any.keys('adb', 'transport');
+
+    expect(deviceIds).to.deep.equal(Object.keys(RACK));
+  });
+
+  it('should build a per-device results matrix', async function() {
+    const securityConfig = new SecurityConfigManager('staging');
+    const pool = new DevicePool({
+      adb: rackAdb(),
+      concurrency: 2,
+      checkerFactory: deviceId => new SecurityChecker(deviceId, {
+        mode: 'replay',
+        fixturePath: path.join(fixturesDir, `${RACK[deviceId]}.json`),
+        securityConfig
+      })
+    });
+
+    const matrix = await pool.validateAll();
+    const rows = Object.fromEntries(matrix.devices.map(device => [device.deviceId, device.row]));
+
+    expect(matrix.devices.map(device => device.deviceId)).to.deep.equal(Object.keys(RACK));
+    expect(rows['emulator-5554']).to.include({ emulator: true, rooted: false, policyDecision: 'block' });
+    expect(rows.RZ8N70ABCDE).to.include({ emulator: false, rooted: true, policyDecision: 'block' });
+    expect(rows['0A041FDD4003SX']).to.include({ emulator: false, rooted: false, policyDecision: 'allow' });
+    // The device factor counts, and weighted scores stay on the 0-100 scale
+    expect(rows['0A041FDD4003SX'].overallScore).to.be.above(rows.RZ8N70ABCDE.overallScore);
+    Object.values(rows).forEach(row => expect(row.overallScore).to.be.within(0, 100));
+    expect(matrix.summary).to.include({ total: 3, completed: 3, failed: 0, blocked: 2 });
+  });
+
+  it('should respect the concurrency limit and isolate failing devices', async function() {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const pool = new DevicePool({
+      adb: rackAdb(),
+      concurrency: 2,
+      checkerFactory: deviceId => ({
+        validateSecurity: async () => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          inFlight--;
+
+          if (deviceId === 'emulator-5554') throw new Error('device went offline');
+          return { deviceAnalysis: {}, overallAssessment: { overallScore: 90, passed: true } };
+        }
+      })
+    });
+
+    const matrix = await pool.validateAll();
+
+    expect(maxInFlight).to.equal(2);
+    expect(matrix.devices[1]).to.include({ deviceId: 'emulator-5554', status: 'failed', error: 'device went offline' });
+    expect(matrix.summary).to.include({ completed: 2, failed: 1, passed: 2 });
+  });
+});
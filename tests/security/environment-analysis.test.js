@@ -267,6 +267,21 @@ describe('Environment Analysis Security Tests', function() {
         global.SecurityTestUtils.logSecurityPassed('no_vpn_detected');
       }
     });
+
+    it('should react to proxy, VPN and DNS manipulation as configured', async function() {
+      this.timeout(300000);
+      global.SecurityTestUtils.logSecurityStep('network_scenarios', 'Applying proxy, VPN and DNS scenarios');
+
+      const summary = await global.securityChecker.runNetworkScenarios(process.env.APP_PACKAGE, { securityPage });
+
+      summary.results.forEach(result => {
+        expect(result.restored, `${result.name} left the device reconfigured`).to.be.true;
+        if (result.passed === false) {
+          global.SecurityTestUtils.logThreatDetected('network_scenario_mismatch', `${result.name}: ${result.reason}`);
+        }
+      });
+      expect(summary.passed).to.be.true;
+    });
   });
 
   describe('Application Environment Analysis', function() {
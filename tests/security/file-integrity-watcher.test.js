@@ -0,0 +1,115 @@
+/**
+ * File Integrity Watcher Tests
+ * Watches recorded file snapshots through inotifyd and polling
+ */
+
+const { expect } = require('chai');
+const ADBHelper = require('../../src/utils/adb-helper');
+const FileIntegrityWatcher = require('../../src/utils/file-integrity-watcher');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const CONFIG = '/data/local/tmp/test_config.properties';
+const STAT = `shell stat -c '%s %a %Y' ${CONFIG}`;
+const HASH = `shell sha256sum ${CONFIG}`;
+
+function stat(size, mode, mtime) {
+  return { command: STAT, exitCode: 0, stdout: `${size} ${mode} ${mtime}\n`, stderr: '' };
+}
+
+function hash(sha256) {
+  return { command: HASH, exitCode: 0, stdout: `${sha256}  ${CONFIG}\n`, stderr: '' };
+}
+
+const missing = { command: STAT, exitCode: 1, stdout: '', stderr: `stat: '${CONFIG}': No such file or directory\n` };
+
+// Baseline, then modified, deleted and recreated on successive checks
+const lifecycle = [
+  stat(120, '644', 1792324800), hash('aaa'),
+  stat(140, '644', 1792324810), hash('bbb'),
+  missing,
+  stat(140, '600', 1792324820), hash('bbb')
+];
+
+function adbWith(commands, streams = []) {
+  const transport = new ReplayTransport({ fixture: { version: 2, commands, streams } });
+  return new ADBHelper(null, { transport });
+}
+
+function waitForChanges(watcher, count) {
+  return new Promise((resolve) => {
+    watcher.on('change', () => {
+      if (watcher.changes.length === count) resolve(watcher.changes);
+    });
+  });
+}
+
+describe('File Integrity Watcher Tests', function() {
+  let watcher;
+
+  afterEach(async function() {
+    if (watcher) await watcher.stop();
+    watcher = null;
+  });
+
+  it('should report modification, deletion and recreation while polling', async function() {
+    watcher = new FileIntegrityWatcher(adbWith(lifecycle), [CONFIG], { useInotify: false, interval: 5 });
+    const changes = waitForChanges(watcher, 3);
+    await watcher.start();
+
+    const [modified, deleted, created] = await changes;
+
+    expect(watcher.mode).to.equal('poll');
+    expect(modified.changeType).to.equal('content_modified');
+    expect(modified.previous).to.deep.equal({ sha256: 'aaa', size: 120, mode: '644', mtime: 1792324800 });
+    expect(modified.current).to.deep.equal({ sha256: 'bbb', size: 140, mode: '644', mtime: 1792324810 });
+    expect(deleted).to.include({ changeType: 'deleted', current: null });
+    expect(created).to.include({ changeType: 'created', previous: null });
+    expect(created.current.mode).to.equal('600');
+  });
+
+  it('should check files named by inotifyd events', async function() {
+    const adb = adbWith(
+      [{ command: 'shell which inotifyd', exitCode: 0, stdout: '/system/bin/inotifyd\n', stderr: '' }, ...lifecycle],
+      [{
+        args: 'shell inotifyd - /data/local/tmp:cewymnd',
+        chunks: ['w\t/data/local/tmp\ttest_config.properties\n', 'n\t/data/local/tmp\tunrelated.txt\n']
+      }]
+    );
+    watcher = new FileIntegrityWatcher(adb, [CONFIG]);
+    const changes = waitForChanges(watcher, 1);
+    await watcher.start();
+
+    const [change] = await changes;
+    const summary = await watcher.stop();
+
+    expect(summary.mode).to.equal('inotify');
+    expect(change.changeType).to.equal('content_modified');
+    expect(summary.changes).to.have.length(1);
+    expect(adb.transport.calls.filter(call => call === STAT)).to.have.length(2);
+  });
+
+  it('should fall back to polling when the inotifyd stream ends', async function() {
+    const adb = adbWith(
+      [{ command: 'shell which inotifyd', exitCode: 0, stdout: '/system/bin/inotifyd\n', stderr: '' }, ...lifecycle],
+      [{ args: 'shell inotifyd - /data/local/tmp:cewymnd', chunks: [], exitCode: 1 }]
+    );
+    watcher = new FileIntegrityWatcher(adb, [CONFIG], { interval: 5 });
+    const changes = waitForChanges(watcher, 3);
+    await watcher.start();
+
+    const [modified, deleted, created] = await changes;
+
+    expect(watcher.mode).to.equal('poll');
+    expect(watcher.inotifyProcess).to.be.null;
+    expect([modified, deleted, created].map(change => change.changeType)).to.deep.equal(['content_modified', 'deleted', 'created']);
+  });
+
+  it('should classify metadata-only changes separately from content changes', function() {
+    const before = { sha256: 'aaa', size: 120, mode: '644', mtime: 1 };
+
+    expect(FileIntegrityWatcher.classify(before, { ...before })).to.be.null;
+    expect(FileIntegrityWatcher.classify(before, { ...before, mode: '777' })).to.equal('metadata_modified');
+    expect(FileIntegrityWatcher.classify(before, { ...before, sha256: 'bbb' })).to.equal('content_modified');
+    expect(FileIntegrityWatcher.classify(null, null)).to.be.null;
+  });
+});
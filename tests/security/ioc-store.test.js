@@ -0,0 +1,207 @@
+/**
+ * IOC Store Tests
+ * Feed import (JSON, CSV, STIX 2.1) with provenance and expiry, and matching
+ * device packages, signers, file hashes and domains against the store
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const ApkArchive = require('../../src/utils/apk-archive');
+const ApkSigner = require('../../src/utils/apk-signer');
+const BaselineManager = require('../../src/utils/baseline-manager');
+const IocStore = require('../../src/utils/ioc-store');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const DROPPER_HASH = 'a'.repeat(64);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STIX_BUNDLE = {
+  type: 'bundle',
+  id: 'bundle--5d0092c5-5f74-4287-9642-33f4c354e56d',
+  objects: [
+    { type: 'identity', id: 'identity--f431f809-377b-45e0-aa1c-6a4751cae5ff', name: 'Mobile Threat Exchange' },
+    {
+      type: 'indicator',
+      id: 'indicator--8e2e2d2b-17d4-4cbf-938f-98ee46b3cd3f',
+      created_by_ref: 'identity--f431f809-377b-45e0-aa1c-6a4751cae5ff',
+      name: 'Banking trojan C2',
+      pattern: "[domain-name:value = 'c2.trojan.example'] OR [url:value = 'https://drop.trojan.example/payload.apk']",
+      pattern_type: 'stix',
+      valid_from: '2026-01-01T00:00:00Z',
+      x_severity: 'critical'
+    },
+    {
+      type: 'indicator',
+      id: 'indicator--c1f5a2a4-5d8e-4c1b-9f3e-0b0c0d0e0f10',
+      created_by_ref: 'identity--f431f809-377b-45e0-aa1c-6a4751cae5ff',
+      name: 'Dropper APK',
+      pattern: `[file:hashes.'SHA-256' = '${DROPPER_HASH}']`,
+      pattern_type: 'stix',
+      valid_from: '2026-01-01T00:00:00Z',
+      valid_until: '2026-03-01T00:00:00Z'
+    },
+    {
+      type: 'indicator',
+      id: 'indicator--0a7d9c3e-2b1f-4e5d-8c6b-7a9f0e1d2c3b',
+      name: 'Overlay kit',
+      pattern: "[software:name = 'com.overlay.kit' AND software:vendor = 'unknown']",
+      pattern_type: 'stix',
+      valid_from: '2026-01-01T00:00:00Z'
+    }
+  ]
+};
+
+describe('IOC Store Tests', function() {
+  this.timeout(20000);
+
+  let workDir;
+
+  beforeEach(async function() {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ioc-store-'));
+  });
+
+  afterEach(async function() {
+    await fs.remove(workDir);
+  });
+
+  it('should import JSON, CSV and STIX feeds with provenance and expiry', async function() {
+    const store = new IocStore({ storePath: path.join(workDir, 'store.json'), seed: false, defaultTtlDays: 30 });
+    const stixPath = path.join(workDir, 'mobile-threats.json');
+    const csvPath = path.join(workDir, 'sideload-watch.csv');
+    const jsonPath = path.join(workDir, 'partner.json');
+    await fs.writeJson(stixPath, STIX_BUNDLE);
+    await fs.writeFile(csvPath, 'type,value,severity,description\r\npackage,com.fake.wallet,high,"Clones the wallet UI, steals PINs"\r\nsigner,"AB:CD:EF:01",medium,\r\ncolour,blue,low,\r\n');
+    await fs.writeJson(jsonPath, { source: 'Partner CERT', indicators: [{ type: 'domain', value: 'Promo.Example.' }] });
+
+    const stix = await store.importFeed(stixPath);
+    const csv = await store.importFeed(csvPath);
+    const json = await store.importFeed(jsonPath);
+
+    expect(stix).to.include({ success: true, source: 'Mobile Threat Exchange', format: 'stix', imported: 2, expired: 1 });
+    expect(stix.skipped.map(entry => entry.reason)).to.deep.equal(['Compound pattern']);
+    expect(csv).to.include({ source: 'sideload-watch', format: 'csv', imported: 2 });
+    expect(csv.skipped[0].reason).to.equal('Unknown indicator type: colour');
+    expect(json).to.include({ source: 'Partner CERT', imported: 1 });
+
+    const [c2] = store.lookup('domain', 'c2.trojan.example');
+    expect(c2).to.include({ source: 'Mobile Threat Exchange', feed: 'mobile-threats.json', reference: STIX_BUNDLE.objects[1].id, severity: 'critical' });
+    // A URL indicator flags that URL only, not everything else on its host
+    expect(store.lookup('url', 'HTTPS://Drop.Trojan.Example:443/payload.apk#x')).to.have.lengthOf(1);
+    expect(store.lookup('url', 'https://drop.trojan.example/readme.txt')).to.be.empty;
+    expect(store.lookup('domain', 'drop.trojan.example')).to.be.empty;
+    expect(store.lookup('package', 'com.fake.wallet')[0].description).to.equal('Clones the wallet UI, steals PINs');
+    expect(store.lookup('signer', 'abcdef01')[0].severity).to.equal('medium');
+    expect(new Date(store.lookup('domain', 'promo.example')[0].expiresAt) - new Date(store.sources['Partner CERT'].importedAt))
+      .to.equal(30 * DAY_MS);
+
+    // A newer snapshot of a source replaces the old one
+    await fs.writeJson(jsonPath, { source: 'Partner CERT', indicators: [{ type: 'domain', value: 'other.example' }] });
+    await store.importFeed(jsonPath);
+    expect(store.lookup('domain', 'promo.example')).to.be.empty;
+    expect(store.lookup('domain', 'other.example')).to.have.lengthOf(1);
+  });
+
+  it('should match observables, ignore expired indicators and persist imports', async function() {
+    const storePath = path.join(workDir, 'store.json');
+    const feedPath = path.join(workDir, 'feed.json');
+    await fs.writeJson(feedPath, [
+      { type: 'domain', value: 'trojan.example', severity: 'critical', id: 'TI-1' },
+      { type: 'url', value: 'https://cdn.example/files/dropper.apk', severity: 'high' },
+      { type: 'signer', value: 'AB:CD:EF:01', severity: 'high' },
+      { type: 'file_hash', value: DROPPER_HASH, severity: 'medium', expires_at: new Date(Date.now() + 7 * DAY_MS).toISOString() }
+    ]);
+
+    // ttlDays 0: entries without their own expiry never lapse
+    const store = new IocStore({ storePath });
+    await store.importFeed(feedPath, { source: 'intel', ttlDays: 0 });
+    await store.save();
+
+    const reopened = await IocStore.open({ storePath });
+    const observables = {
+      packages: ['com.android.settings', 'com.hacker.tool'],
+      signers: [{ packageName: 'com.fake.wallet', sha256: 'abcdef01' }],
+      files: [{ path: '/sdcard/Download/update.apk', sha256: DROPPER_HASH }],
+      domains: ['api.c2.trojan.example', 'bank.example', 'cdn.example'],
+      urls: ['https://cdn.example/files/dropper.apk', 'https://cdn.example/files/app.apk']
+    };
+
+    const result = reopened.match(observables);
+    const matches = result.findings.map(finding => `${finding.type}:${finding.observed}:${finding.indicator.source}`);
+
+    expect(matches).to.have.members([
+      'package:com.hacker.tool:config',
+      'signer:abcdef01:intel',
+      `file_hash:${DROPPER_HASH}:intel`,
+      'domain:api.c2.trojan.example:intel',
+      'url:https://cdn.example/files/dropper.apk:intel'
+    ]);
+    expect(result.findings.find(finding => finding.type === 'domain').indicator).to.include({ value: 'trojan.example', reference: 'TI-1', feed: 'feed.json' });
+    expect(result).to.include({ passed: false, risk: 'critical' });
+
+    const nextMonth = new Date(Date.now() + 30 * DAY_MS);
+    const later = reopened.match(observables, { now: nextMonth });
+    expect(later.findings.map(finding => finding.type)).to.have.members(['package', 'signer', 'domain', 'url']);
+    expect(reopened.purgeExpired(nextMonth)).to.equal(1);
+    expect((await fs.readJson(storePath)).indicators.every(indicator => indicator.source === 'intel')).to.be.true;
+  });
+
+  it('should scan device packages, APK signers, files and DNS settings', async function() {
+    const key = ApkSigner.generateTestKey({ bits: 1024, commonName: 'Fake Wallet' });
+    const apk = new ApkSigner(key).sign(new ApkArchive().set('AndroidManifest.xml', Buffer.from('<manifest package="com.fake.wallet" />')));
+    const apkPath = '/data/app/~~Q2g==/com.fake.wallet-Zx1==/base.apk';
+    const download = '/sdcard/Download/update.apk';
+
+    const shellKey = args => `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+    const sh = (args, stdout = '') => ({ command: shellKey(args), exitCode: 0, stdout, stderr: '' });
+    const setting = (key, value) => sh(['settings', 'get', 'global', key], `${value}\n`);
+    const transport = new ReplayTransport({
+      fixture: {
+        version: 2,
+        commands: [
+          { command: 'shell pm list packages', exitCode: 0, stdout: 'package:com.android.settings\npackage:com.fake.wallet\n', stderr: '' },
+          sh(['pm', 'list', 'packages', '-f', '-3'], `package:${apkPath}=com.fake.wallet\n`),
+          { command: `pull ${apkPath}`, exitCode: 0, stdout: '', stderr: '', file: apk.toString('base64') },
+          sh(['sh', '-c', BaselineManager.EXPAND_SCRIPT, 'sh', '/sdcard/Download/*'], `${download}\n`),
+          sh(['stat', '-c', '%s %a %U %G %C %n', download], `4096 660 root sdcard_rw u:object_r:fuse:s0 ${download}\n`),
+          sh(['sha256sum', download], `${DROPPER_HASH}  ${download}\n`),
+          setting('http_proxy', 'null'),
+          setting('global_http_proxy_host', 'null'),
+          setting('global_http_proxy_port', 'null'),
+          setting('global_proxy_pac_url', 'null'),
+          setting('private_dns_specifier', 'dns.trojan.example')
+        ]
+      }
+    });
+
+    const storePath = path.join(workDir, 'store.json');
+    const feedPath = path.join(workDir, 'feed.csv');
+    await fs.writeFile(feedPath, [
+      'type,value,severity',
+      `signer,${new ApkSigner(key).getCertificateSha256()},critical`,
+      `sha256,${DROPPER_HASH},high`,
+      `md5,${crypto.createHash('md5').update(apk).digest('hex')},high`,
+      'domain,trojan.example,high'
+    ].join('\n'));
+    const store = new IocStore({ storePath, seed: false });
+    const imported = await store.importFeed(feedPath);
+    expect(imported.apkOnlyHashes).to.equal(1);
+
+    const checker = new SecurityChecker(null, { adb: new ADBHelper(null, { transport }) });
+    const result = await checker.scanIocs({ store, filePaths: ['/sdcard/Download/*'] });
+
+    expect(transport.misses).to.be.empty;
+    expect(result.checked).to.deep.equal({ packages: 2, signers: 1, files: 2, domains: 1, urls: 0 });
+    expect(result.findings.map(finding => finding.context)).to.have.members([
+      'Signer of com.fake.wallet',
+      `File ${apkPath}`,
+      `File ${download}`,
+      'Domain dns.trojan.example'
+    ]);
+    expect(result.risk).to.equal('critical');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Logcat Monitor Tests
+ * Parses and subscribes to recorded logcat streams
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const LogcatMonitor = require('../../src/utils/logcat-monitor');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+function monitorFor(profile, options = {}) {
+  const adb = new ADBHelper(null, { mode: 'replay', fixturePath: path.join(fixturesDir, `${profile}.json`) });
+  return adb.createLogcatMonitor(options);
+}
+
+describe('Logcat Monitor Tests', function() {
+  let monitor;
+
+  afterEach(function() {
+    if (monitor) monitor.stop();
+    monitor = null;
+  });
+
+  describe('Parsing', function() {
+    it('should parse threadtime lines with device timestamps and uids', function() {
+      const entry = LogcatMonitor.parseLine('2026-10-18 12:00:01.250 10120  4321  4350 W RootDetection: Root detected: su binary');
+
+      expect(entry).to.deep.equal({
+        timestamp: '2026-10-18 12:00:01.250',
+        deviceTime: '2026-10-18T12:00:01.250Z',
+        uid: 10120,
+        pid: 4321,
+        tid: 4350,
+        level: 'W',
+        tag: 'RootDetection',
+        message: 'Root detected: su binary'
+      });
+    });
+
+    it('should parse plain threadtime lines and named uids', function() {
+      const plain = LogcatMonitor.parseLine('10-18 12:00:00.100  1100  1180 I ActivityManager  : Start proc');
+      const named = LogcatMonitor.parseLine('2026-10-18 12:00:00.100 u10_a5  1100  1180 I Tag: msg');
+
+      expect(plain).to.include({ timestamp: '10-18 12:00:00.100', deviceTime: null, uid: null, tag: 'ActivityManager' });
+      expect(named.uid).to.equal(1010005);
+      expect(LogcatMonitor.parseLine('--------- beginning of main')).to.be.null;
+    });
+
+    it('should match filters by tag, minimum level, uid and message', function() {
+      const entry = LogcatMonitor.parseLine('2026-10-18 12:00:01.250 10120  4321  4350 W RootDetection: Root detected');
+
+      expect(LogcatMonitor.matches(entry, { tag: 'RootDetection', level: 'I', uid: 10120 })).to.be.true;
+      expect(LogcatMonitor.matches(entry, { tag: /^Root/, message: 'detected$' })).to.be.true;
+      expect(LogcatMonitor.matches(entry, { level: 'E' })).to.be.false;
+      expect(LogcatMonitor.matches(entry, { uid: 1000 })).to.be.false;
+    });
+  });
+
+  describe('Streaming', function() {
+    it('should wait for the app root detection line without sleeping', async function() {
+      monitor = monitorFor('rooted');
+      await monitor.start();
+
+      const entry = await monitor.waitFor({ package: 'com.security.testapp', message: /root detected/i }, { timeout: 1000 });
+
+      expect(entry).to.include({ tag: 'RootDetection', pid: 4321, level: 'W' });
+      expect(entry.message).to.equal('Root detected: su binary at /system/xbin/su');
+    });
+
+    it('should deliver live subscription events in arrival order', async function() {
+      monitor = monitorFor('rooted');
+      const tags = [];
+
+      await monitor.subscribe({ uid: 10120 }, entry => tags.push(entry.tag));
+      await monitor.start();
+      await monitor.waitFor({ level: 'E' }, { timeout: 1000 });
+
+      expect(tags).to.deep.equal(['SecurityModule', 'RootDetection', 'SecurityModule']);
+    });
+
+    it('should reject waitFor after the timeout', async function() {
+      monitor = monitorFor('rooted');
+      await monitor.start();
+
+      let error = null;
+      try {
+        await monitor.waitFor({ tag: 'NeverLogged' }, { timeout: 20 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('No logcat entry matched within 20ms');
+    });
+  });
+});
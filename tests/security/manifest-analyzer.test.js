@@ -0,0 +1,216 @@
+/**
+ * Manifest Analyzer Tests
+ * Binary AndroidManifest.xml parsing and static manifest checks
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const ApkArchive = require('../../src/utils/apk-archive');
+const AxmlParser = require('../../src/utils/axml-parser');
+const ManifestAnalyzer = require('../../src/utils/manifest-analyzer');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const ANDROID_ATTRIBUTE_IDS = {
+  name: 0x01010003,
+  permission: 0x01010006,
+  debuggable: 0x0101000f,
+  exported: 0x01010010,
+  minSdkVersion: 0x0101020c,
+  versionCode: 0x0101021b,
+  versionName: 0x0101021c,
+  targetSdkVersion: 0x01010270,
+  allowBackup: 0x01010280,
+  usesCleartextTraffic: 0x010104ec,
+  networkSecurityConfig: 0x01010527
+};
+
+function chunk(type, headerSize, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(headerSize, 2);
+  header.writeUInt32LE(8 + body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+function uint32s(...values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeUInt32LE(value >>> 0, i * 4));
+  return buffer;
+}
+
+/**
+ * Compile an element tree ({ name, attrs: { 'android:x': value }, children }) the
+ * way aapt does: UTF-16 string pool, android attribute names first so they line
+ * up with the resource map. stripNames blanks those names, like obfuscators do.
+ */
+function compileManifest(root, options = {}) {
+  const elements = [];
+  (function walk(element) {
+    elements.push(element);
+    (element.children || []).forEach(walk);
+  })(root);
+
+  const androidNames = [...new Set(elements.flatMap(element => Object.keys(element.attrs || {}))
+    .filter(key => key.startsWith('android:')).map(key => key.slice(8)))];
+  const strings = [...androidNames];
+  const index = value => {
+    if (!strings.includes(value)) strings.push(value);
+    return strings.indexOf(value);
+  };
+  const androidUri = index(AxmlParser.ANDROID_NAMESPACE);
+  const androidPrefix = index('android');
+
+  const nodes = [chunk(0x0100, 16, uint32s(1, -1, androidPrefix, androidUri))];
+  (function emit(element) {
+    const attributes = Object.entries(element.attrs || {}).map(([key, value]) => {
+      const android = key.startsWith('android:');
+      const name = android ? key.slice(8) : key;
+      let type = 0x03;
+      let data = 0;
+      let raw = -1;
+      if (typeof value === 'boolean') [type, data] = [0x12, value ? -1 : 0];
+      else if (typeof value === 'number') [type, data] = [0x10, value];
+      else if (value.startsWith('@0x')) [type, data] = [0x01, parseInt(value.slice(3), 16)];
+      else data = raw = index(value);
+      return Buffer.concat([uint32s(android ? androidUri : -1, index(name), raw), Buffer.from([8, 0, 0, type]), uint32s(data)]);
+    });
+
+    const info = Buffer.alloc(12);
+    info.writeUInt16LE(20, 0);
+    info.writeUInt16LE(20, 2);
+    info.writeUInt16LE(attributes.length, 4);
+    nodes.push(chunk(0x0102, 16, Buffer.concat([uint32s(1, -1, -1, index(element.name)), info, ...attributes])));
+    (element.children || []).forEach(emit);
+    nodes.push(chunk(0x0103, 16, uint32s(1, -1, -1, index(element.name))));
+  })(root);
+  nodes.push(chunk(0x0101, 16, uint32s(1, -1, androidPrefix, androidUri)));
+
+  const encoded = strings.map((value, i) => {
+    const text = options.stripNames && i < androidNames.length ? '' : value;
+    const bytes = Buffer.alloc(4 + text.length * 2);
+    bytes.writeUInt16LE(text.length, 0);
+    bytes.write(text, 2, 'utf16le');
+    return bytes;
+  });
+  let offset = 0;
+  const offsets = encoded.map(bytes => (offset += bytes.length) - bytes.length);
+  const data = Buffer.concat(encoded);
+  const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+  const pool = chunk(0x0001, 28, Buffer.concat([uint32s(strings.length, 0, 0, 28 + strings.length * 4, 0, ...offsets), padded]));
+  const resourceMap = chunk(0x0180, 8, uint32s(...androidNames.map(name => ANDROID_ATTRIBUTE_IDS[name])));
+
+  return chunk(0x0003, 8, Buffer.concat([pool, resourceMap, ...nodes]));
+}
+
+function manifestTree(applicationAttrs, components, sdk = { 'android:minSdkVersion': 21, 'android:targetSdkVersion': 33 }) {
+  return {
+    name: 'manifest',
+    attrs: { package: 'com.security.testapp', 'android:versionCode': 42, 'android:versionName': '2.1.0' },
+    children: [
+      { name: 'uses-sdk', attrs: sdk },
+      { name: 'uses-permission', attrs: { 'android:name': 'android.permission.INTERNET' } },
+      { name: 'application', attrs: applicationAttrs, children: components }
+    ]
+  };
+}
+
+const intentFilter = (action, category) => ({
+  name: 'intent-filter',
+  children: [
+    { name: 'action', attrs: { 'android:name': action } },
+    { name: 'category', attrs: { 'android:name': category } }
+  ]
+});
+
+const COMPONENTS = [
+  { name: 'activity', attrs: { 'android:name': '.MainActivity', 'android:exported': true }, children: [intentFilter('android.intent.action.MAIN', 'android.intent.category.LAUNCHER')] },
+  { name: 'activity', attrs: { 'android:name': '.DeepLinkActivity' }, children: [intentFilter('android.intent.action.VIEW', 'android.intent.category.BROWSABLE')] },
+  { name: 'service', attrs: { 'android:name': '.SyncService', 'android:exported': true, 'android:permission': 'com.security.testapp.SYNC' } },
+  { name: 'provider', attrs: { 'android:name': '.DataProvider', 'android:exported': true } },
+  { name: 'receiver', attrs: { 'android:name': '.BootReceiver', 'android:exported': false } }
+];
+
+describe('Manifest Analyzer Tests', function() {
+  describe('AxmlParser', function() {
+    it('should decode elements and typed attributes', function() {
+      const manifest = AxmlParser.parse(compileManifest(manifestTree({ 'android:debuggable': true }, COMPONENTS)));
+
+      expect(manifest.name).to.equal('manifest');
+      expect(AxmlParser.getAttribute(manifest, 'package', null)).to.equal('com.security.testapp');
+      expect(AxmlParser.getAttribute(manifest, 'versionCode')).to.equal(42);
+      expect(AxmlParser.getAttribute(AxmlParser.children(manifest, 'application')[0], 'debuggable')).to.equal(true);
+      expect(AxmlParser.children(AxmlParser.children(manifest, 'application')[0], 'activity')).to.have.lengthOf(2);
+    });
+
+    it('should resolve android attributes through the resource map when names are stripped', function() {
+      const manifest = AxmlParser.parse(compileManifest(manifestTree({ 'android:allowBackup': false }, []), { stripNames: true }));
+      const application = AxmlParser.children(manifest, 'application')[0];
+
+      expect(AxmlParser.getAttribute(application, 'allowBackup')).to.equal(false);
+    });
+  });
+
+  describe('ManifestAnalyzer', function() {
+    it('should flag insecure flags, unprotected exported components and old minSdkVersion', function() {
+      const analyzer = new ManifestAnalyzer(AxmlParser.parse(compileManifest(manifestTree({ 'android:debuggable': true }, COMPONENTS))));
+      const result = analyzer.analyze();
+
+      expect(result.passed).to.be.false;
+      expect(result.risk).to.equal('high');
+      expect(result.findings.map(finding => finding.check)).to.have.members([
+        'debuggable', 'allow_backup', 'network_security_config', 'min_sdk_version', 'exported_component', 'exported_component'
+      ]);
+      expect(result.findings.filter(finding => finding.check === 'exported_component').map(finding => finding.component)).to.deep.equal([
+        'com.security.testapp.DataProvider',
+        'com.security.testapp.DeepLinkActivity'
+      ]);
+      expect(result.manifest).to.include({ packageName: 'com.security.testapp', versionName: '2.1.0', minSdkVersion: 21, targetSdkVersion: 33 });
+    });
+
+    it('should apply platform defaults for cleartext traffic', function() {
+      const legacy = new ManifestAnalyzer(AxmlParser.parse(compileManifest(manifestTree({ 'android:allowBackup': false }, [], {
+        'android:minSdkVersion': 24, 'android:targetSdkVersion': 26
+      })))).analyze();
+      const configured = new ManifestAnalyzer(AxmlParser.parse(compileManifest(manifestTree({
+        'android:allowBackup': false,
+        'android:usesCleartextTraffic': true,
+        'android:networkSecurityConfig': '@0x7f140003'
+      }, [], { 'android:minSdkVersion': 24, 'android:targetSdkVersion': 34 })))).analyze();
+
+      expect(legacy.findings.map(finding => finding.check)).to.include('cleartext_traffic');
+      expect(configured.passed).to.be.true;
+      expect(configured.findings).to.deep.equal([
+        { check: 'network_security_config', severity: 'info', message: 'Network security config: @0x7f140003' }
+      ]);
+    });
+
+    it('should analyze the manifest inside an APK file', async function() {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-analyzer-'));
+      const apkPath = path.join(tempDir, 'app-release.apk');
+      await fs.writeFile(apkPath, new ApkArchive()
+        .set('AndroidManifest.xml', compileManifest(manifestTree({ 'android:allowBackup': false }, COMPONENTS.slice(0, 1))))
+        .toBuffer());
+
+      try {
+        const result = (await ManifestAnalyzer.fromApk(apkPath)).analyze();
+        expect(result.manifest.permissions).to.deep.equal(['android.permission.INTERNET']);
+        expect(result.manifest.components[0]).to.include({ name: 'com.security.testapp.MainActivity', launcher: true });
+
+        // Application checks run against the artifact without touching a device
+        const adb = new ADBHelper(null, { transport: new ReplayTransport({ fixture: { version: 2, commands: [] } }) });
+        const appSecurity = await new SecurityChecker(null, { adb }).validateApplicationSecurity(null, { apkPath });
+
+        expect(appSecurity.packageInfo).to.include({ packageName: 'com.security.testapp', versionCode: 42 });
+        expect(appSecurity.backupCheck.passed).to.be.true;
+        expect(appSecurity.certificateValidation.violations[0].type).to.equal('unsigned');
+        expect(adb.transport.calls).to.be.empty;
+      } finally {
+        await fs.remove(tempDir);
+      }
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Network Scenario Tests
+ * Proxy, private DNS and VPN scenarios applied through adb, checked against
+ * the app's reaction and restored afterwards
+ */
+
+const { expect } = require('chai');
+const ADBHelper = require('../../src/utils/adb-helper');
+const NetworkScenarios = require('../../src/utils/network-scenarios');
+const { mockData } = require('../../src/config/test-data');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+
+const shellKey = args => `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+const sh = (args, stdout = '') => ({ command: shellKey(args), exitCode: 0, stdout, stderr: '' });
+const getSetting = (key, ...values) => values.map(value => sh(['settings', 'get', 'global', key], `${value}\n`));
+
+// Stand-in for SecurityPage: shows the reaction once reacted() is true
+function fakeSecurityPage(reaction, reacted = () => true) {
+  return {
+    getActiveWarnings: async () => reacted() ? reaction.warnings || [] : [],
+    getWarningAction: async () => reacted() ? reaction.action || 'warning_continue' : 'warning_continue'
+  };
+}
+
+function scenarios(commands) {
+  const transport = new ReplayTransport({ fixture: { version: 2, commands } });
+  return { transport, scenarios: new NetworkScenarios(new ADBHelper(null, { transport }), { settleTime: 0 }) };
+}
+
+describe('Network Scenario Tests', function() {
+  it('should derive the expected reaction from the proxy and traffic policies', function() {
+    const { scenarios: runner } = scenarios([]);
+    const expected = Object.fromEntries(runner.scenarios.map(scenario => [scenario.name, runner.expectedReaction(scenario)]));
+
+    expect(expected).to.include({
+      blacklisted_proxy: 'block',
+      whitelisted_proxy: 'allow',
+      corporate_proxy: 'allow',
+      // Served from the blacklisted mitm.attacker.net
+      pac_proxy: 'block',
+      private_dns: 'warn',
+      vpn: 'warn'
+    });
+    expect(NetworkScenarios.fromMockConfiguration('suspicious', mockData.networkConfigurations.suspicious))
+      .to.deep.equal({ name: 'suspicious', proxy: 'suspicious-proxy.com:8080', vpn: true });
+  });
+
+  it('should apply a proxy, relaunch the app and clear the proxy again', async function() {
+    const { transport, scenarios: runner } = scenarios([
+      ...getSetting('http_proxy', 'null', 'proxy.suspicious.com:8080'),
+      sh(['settings', 'put', 'global', 'http_proxy', 'proxy.suspicious.com:8080']),
+      ...getSetting('global_http_proxy_host', 'null'),
+      ...getSetting('global_http_proxy_port', 'null'),
+      ...getSetting('global_proxy_pac_url', 'null'),
+      sh(['am', 'force-stop', PACKAGE]),
+      sh(['monkey', '-p', PACKAGE, '-c', 'android.intent.category.LAUNCHER', '1']),
+      sh(['settings', 'put', 'global', 'http_proxy', ':0'])
+    ]);
+    const monkey = shellKey(['monkey', '-p', PACKAGE, '-c', 'android.intent.category.LAUNCHER', '1']);
+    const securityPage = fakeSecurityPage({ action: 'block_access' }, () => transport.calls.includes(monkey));
+
+    const result = await runner.run({ name: 'blacklisted_proxy', proxy: 'proxy.suspicious.com:8080' }, { packageName: PACKAGE, securityPage });
+
+    expect(transport.misses).to.be.empty;
+    expect(transport.calls[transport.calls.length - 1]).to.equal(shellKey(['settings', 'put', 'global', 'http_proxy', ':0']));
+    expect(result).to.include({ expected: 'block', observed: 'block', passed: true, restored: true });
+    expect(result.applied.proxy).to.equal('proxy.suspicious.com:8080');
+  });
+
+  it('should restore private DNS, skip an absent VPN and report a missing warning', async function() {
+    const { transport, scenarios: runner } = scenarios([
+      ...getSetting('private_dns_mode', 'off', 'hostname'),
+      ...getSetting('private_dns_specifier', 'null', 'dns.suspicious.com'),
+      sh(['settings', 'put', 'global', 'private_dns_mode', 'hostname']),
+      sh(['settings', 'put', 'global', 'private_dns_specifier', 'dns.suspicious.com']),
+      sh(['settings', 'put', 'global', 'private_dns_mode', 'off']),
+      sh(['settings', 'delete', 'global', 'private_dns_specifier']),
+      { command: 'shell ip addr', exitCode: 0, stdout: '1: lo: <LOOPBACK,UP> mtu 65536 state UNKNOWN\n2: wlan0: <BROADCAST,UP> mtu 1500 state UP\n', stderr: '' }
+    ]);
+    const securityPage = fakeSecurityPage({ warnings: [{ type: 'emulator', message: 'Emulator detected' }] });
+
+    const summary = await runner.runAll({
+      securityPage,
+      scenarios: [
+        { name: 'private_dns', privateDns: { mode: 'hostname', specifier: 'dns.suspicious.com' }, expect: 'warn' },
+        { name: 'vpn', vpn: true }
+      ]
+    });
+    const [privateDns, vpn] = summary.results;
+
+    expect(transport.misses).to.be.empty;
+    expect(transport.calls).to.include.members([
+      shellKey(['settings', 'put', 'global', 'private_dns_mode', 'off']),
+      shellKey(['settings', 'delete', 'global', 'private_dns_specifier'])
+    ]);
+    expect(privateDns).to.include({ expected: 'warn', observed: 'allow', passed: false, restored: true });
+    expect(privateDns.applied.privateDns).to.deep.equal({ mode: 'hostname', specifier: 'dns.suspicious.com' });
+    expect(vpn).to.include({ skipped: true, restored: true });
+    expect(summary.passed).to.be.false;
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Network Security Tests
+ * Certificate pinning verification through the local MITM proxy, run offline
+ * against a stand-in backend
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const ADBHelper = require('../../src/utils/adb-helper');
+const MitmProxy = require('../../src/utils/mitm-proxy');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const API_HOST = 'api.bank.example';
+const PINNED_HOST = 'pinned.bank.example';
+const CONTROL_HOST = 'cdn.bank.example';
+
+// Open a tunnel through the proxy and complete a TLS handshake over it
+function connectThroughProxy(proxy, hostname, tlsOptions) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port: proxy.port, method: 'CONNECT', path: `${hostname}:443` });
+    request.on('connect', (response, socket) => {
+      const secureSocket = tls.connect({ socket, servername: hostname, ...tlsOptions });
+      secureSocket.once('secureConnect', () => resolve(secureSocket));
+      secureSocket.once('error', (error) => {
+        socket.destroy();
+        reject(error);
+      });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+function get(socket, hostname, requestPath) {
+  return new Promise((resolve) => {
+    let body = '';
+    socket.on('data', chunk => { body += chunk; });
+    socket.on('end', () => resolve(body));
+    socket.write(`GET ${requestPath} HTTP/1.1\r\nHost: ${hostname}\r\nConnection: close\r\n\r\n`);
+  });
+}
+
+const waitForClose = socket => new Promise(resolve => socket.destroyed ? resolve() : socket.once('close', resolve));
+
+describe('Network Security Tests', function() {
+  this.timeout(20000);
+
+  let backend;
+  let backendCa;
+  let proxy;
+
+  before(async function() {
+    // Stand-in backend with its own CA: the certificate a pinned app expects
+    backendCa = new MitmProxy({ port: 0 });
+    backend = https.createServer({ SNICallback: (servername, callback) => callback(null, backendCa.getSecureContext(servername)) }, (request, response) => {
+      response.end(JSON.stringify({ path: request.url, balance: 1250 }));
+    });
+    await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async function() {
+    await new Promise(resolve => backend.close(resolve));
+  });
+
+  beforeEach(async function() {
+    const upstream = `127.0.0.1:${backend.address().port}`;
+    proxy = new MitmProxy({
+      port: 0,
+      upstreams: { [API_HOST]: upstream, [PINNED_HOST]: upstream, [CONTROL_HOST]: upstream },
+      upstreamCa: backendCa.ca.certificatePem
+    });
+    await proxy.start();
+  });
+
+  afterEach(async function() {
+    await proxy.stop();
+  });
+
+  it('should fail hosts whose client trusts the proxy certificate', async function() {
+    const socket = await connectThroughProxy(proxy, API_HOST, { ca: proxy.ca.certificatePem });
+    const response = await get(socket, API_HOST, '/v1/balance');
+
+    expect(response).to.include('"balance":1250');
+
+    const report = proxy.getReport();
+    expect(report.passed).to.be.false;
+    expect(report.intercepted).to.deep.equal([API_HOST]);
+    expect(report.hosts[0]).to.include({ hostname: API_HOST, port: 443, verdict: 'fail' });
+    expect(report.hosts[0].requests).to.deep.equal(['GET /v1/balance HTTP/1.1']);
+  });
+
+  it('should pass hosts whose client refuses the proxy certificate', async function() {
+    const backendCertificate = new crypto.X509Certificate(backendCa.ca.certificatePem);
+
+    // Pins the backend CA, like OkHttp's CertificatePinner: rejects after the handshake
+    const pinned = await connectThroughProxy(proxy, PINNED_HOST, {
+      ca: proxy.ca.certificatePem,
+      checkServerIdentity: (hostname, certificate) => {
+        const chain = [certificate, certificate.issuerCertificate].filter(Boolean);
+        return chain.some(entry => entry.fingerprint256 === backendCertificate.fingerprint256)
+          ? undefined
+          : new Error(`Certificate pin mismatch for ${hostname}`);
+      }
+    }).catch(error => error);
+    expect(pinned.message).to.include('pin mismatch');
+
+    // Does not trust the proxy CA at all: rejects during the handshake
+    const strict = await connectThroughProxy(proxy, API_HOST, {}).catch(error => error);
+    expect(strict).to.be.an('error');
+
+    // A control host that does not pin proves the client trusts the proxy CA
+    const control = await connectThroughProxy(proxy, CONTROL_HOST, { ca: proxy.ca.certificatePem });
+    await get(control, CONTROL_HOST, '/health');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await Promise.all([...proxy.sockets].map(waitForClose));
+
+    const report = proxy.getReport({ pinnedHosts: [PINNED_HOST, API_HOST], controlHosts: [CONTROL_HOST] });
+    const byHost = Object.fromEntries(report.hosts.map(host => [host.hostname, host]));
+
+    expect(report.passed).to.be.true;
+    expect(report.caTrustProof).to.equal(`control_host:${CONTROL_HOST}`);
+    expect(report.intercepted).to.be.empty;
+    expect(byHost).to.not.have.property(CONTROL_HOST);
+    expect(byHost[PINNED_HOST].verdict).to.equal('pass');
+    expect(byHost[API_HOST].verdict).to.equal('pass');
+    expect(byHost[API_HOST].reason).to.match(/^(Handshake rejected|Connection closed after the handshake)/);
+  });
+
+  it('should not pass rejected handshakes until the device is known to trust the proxy CA', async function() {
+    // Does not trust the proxy CA, whether it pins or not
+    const strict = await connectThroughProxy(proxy, API_HOST, {}).catch(error => error);
+    expect(strict).to.be.an('error');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await Promise.all([...proxy.sockets].map(waitForClose));
+
+    const report = proxy.getReport({ pinnedHosts: [API_HOST], controlHosts: [CONTROL_HOST] });
+
+    expect(report.passed).to.be.false;
+    expect(report.caTrustProof).to.be.null;
+    expect(report.inconclusive).to.deep.equal([API_HOST]);
+    expect(report.hosts[0].reason).to.include('may not trust the proxy CA');
+
+    // Pushing the CA to the system store is proof as well
+    const rootedDevice = {
+      run: async () => ({ success: true }),
+      shell: async () => ({ success: true }),
+      pushFile: async () => ({ success: true })
+    };
+    const install = await proxy.installCaCertificate(rootedDevice, { system: true });
+    expect(install).to.include({ success: true, store: 'system' });
+    expect(proxy.getReport({ pinnedHosts: [API_HOST] })).to.include({ passed: true, caTrustProof: 'system_store' });
+  });
+
+  it('should point the device at the proxy and restore it afterwards', async function() {
+    const deviceProxy = previous => new ReplayTransport({
+      fixture: {
+        version: 2,
+        commands: [
+          { command: 'shell settings get global http_proxy', exitCode: 0, stdout: `${previous}\n`, stderr: '' },
+          { command: `reverse tcp:${proxy.port} tcp:${proxy.port}`, exitCode: 0, stdout: '', stderr: '' },
+          { command: `shell settings put global http_proxy 127.0.0.1:${proxy.port}`, exitCode: 0, stdout: '', stderr: '' },
+          { command: 'shell settings put global http_proxy :0', exitCode: 0, stdout: '', stderr: '' },
+          { command: 'shell settings put global http_proxy corporate-proxy.internal:3128', exitCode: 0, stdout: '', stderr: '' },
+          { command: `reverse --remove tcp:${proxy.port}`, exitCode: 0, stdout: '', stderr: '' }
+        ]
+      }
+    });
+
+    // No proxy before: cleared afterwards
+    const unset = deviceProxy('null');
+    await proxy.attachDevice(new ADBHelper(null, { transport: unset }));
+    await proxy.detachDevice();
+
+    expect(unset.misses).to.be.empty;
+    expect(unset.calls).to.have.length(5);
+    expect(unset.calls).to.include('shell settings put global http_proxy :0');
+
+    // A proxy the device already had is put back
+    const corporate = deviceProxy('corporate-proxy.internal:3128');
+    await proxy.attachDevice(new ADBHelper(null, { transport: corporate }));
+    await proxy.detachDevice();
+
+    expect(corporate.misses).to.be.empty;
+    expect(corporate.calls).to.include('shell settings put global http_proxy corporate-proxy.internal:3128');
+    expect(corporate.calls).to.not.include('shell settings put global http_proxy :0');
+    expect(proxy.getCaSubjectHash()).to.match(/^[0-9a-f]{8}$/);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Network Trace Tests
+ * Per-test capture through the proxy (HAR) and tcpdump (pcap), and offline
+ * analysis of both formats
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const ADBHelper = require('../../src/utils/adb-helper');
+const MitmProxy = require('../../src/utils/mitm-proxy');
+const NetworkCapture = require('../../src/utils/network-capture');
+const TrafficAnalyzer = require('../../src/utils/traffic-analyzer');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const ANALYZER_OPTIONS = { allowedDomains: ['bank.example'], blockedDomains: [], requireHttps: true, minTlsVersion: 'TLSv1.2' };
+
+const u16 = value => Buffer.from([value >> 8, value & 0xff]);
+const withLength16 = bytes => Buffer.concat([u16(bytes.length), bytes]);
+
+// TLS ClientHello (type 1) or ServerHello (type 2) record
+function tlsHello(type, legacyVersion, { serverName, versions } = {}) {
+  const extensions = [];
+  if (serverName) {
+    const name = Buffer.from(serverName);
+    extensions.push(u16(0), withLength16(withLength16(Buffer.concat([Buffer.from([0]), withLength16(name)]))));
+  }
+  if (versions) {
+    const list = Buffer.concat(versions.map(u16));
+    extensions.push(u16(43), withLength16(type === 1 ? Buffer.concat([Buffer.from([list.length]), list]) : list));
+  }
+
+  const body = Buffer.concat([
+    u16(legacyVersion),
+    Buffer.alloc(32, 7),
+    Buffer.from([0]),
+    type === 1 ? Buffer.concat([withLength16(u16(0x1301)), Buffer.from([1, 0])]) : Buffer.concat([u16(0x1301), Buffer.from([0])]),
+    withLength16(Buffer.concat(extensions))
+  ]);
+  const handshake = Buffer.concat([Buffer.from([type, 0, body.length >> 8, body.length & 0xff]), body]);
+  return Buffer.concat([Buffer.from([0x16, 0x03, 0x01]), withLength16(handshake)]);
+}
+
+function dnsMessage(id, name, answerAddress) {
+  const question = Buffer.concat([...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0, 0, 1, 0, 1])]);
+  const header = Buffer.concat([u16(id), u16(answerAddress ? 0x8180 : 0x0100), u16(1), u16(answerAddress ? 1 : 0), u16(0), u16(0)]);
+  const answer = answerAddress
+    ? Buffer.concat([u16(0xc00c), u16(1), u16(1), Buffer.from([0, 0, 0, 60]), u16(4), Buffer.from(answerAddress.split('.').map(Number))])
+    : Buffer.alloc(0);
+  return Buffer.concat([header, question, answer]);
+}
+
+function ipPacket(protocol, source, destination, payload) {
+  const header = Buffer.alloc(20);
+  header[0] = 0x45;
+  header.writeUInt16BE(20 + payload.length, 2);
+  header[8] = 64;
+  header[9] = protocol;
+  Buffer.from(source.split('.').map(Number)).copy(header, 12);
+  Buffer.from(destination.split('.').map(Number)).copy(header, 16);
+  return Buffer.concat([header, payload]);
+}
+
+function tcp(source, sourcePort, destination, destinationPort, payload) {
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(sourcePort, 0);
+  header.writeUInt16BE(destinationPort, 2);
+  header[12] = 0x50;
+  return ipPacket(6, source, destination, Buffer.concat([header, payload]));
+}
+
+function udp(source, sourcePort, destination, destinationPort, payload) {
+  return ipPacket(17, source, destination, Buffer.concat([u16(sourcePort), u16(destinationPort), u16(8 + payload.length), u16(0), payload]));
+}
+
+// Classic little-endian pcap with Linux cooked (SLL) headers, as `tcpdump -i any` writes
+function pcapFile(packets) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xa1b2c3d4, 0);
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(65535, 16);
+  header.writeUInt32LE(113, 20);
+
+  return Buffer.concat([header, ...packets.flatMap((packet, index) => {
+    const cooked = Buffer.concat([Buffer.alloc(14), u16(0x0800), packet]);
+    const record = Buffer.alloc(16);
+    record.writeUInt32LE(1792400000 + index, 0);
+    record.writeUInt32LE(cooked.length, 8);
+    record.writeUInt32LE(cooked.length, 12);
+    return [record, cooked];
+  })]);
+}
+
+const DEVICE = '10.0.2.15';
+
+const TRACE = pcapFile([
+  udp(DEVICE, 40001, '8.8.8.8', 53, dnsMessage(1, 'phishing-site.org')),
+  udp('8.8.8.8', 53, DEVICE, 40002, dnsMessage(2, 'api.bank.example', '93.184.216.34')),
+  // No SNI: named after the DNS answer; offers TLS 1.3 behind a GREASE value
+  tcp(DEVICE, 50001, '93.184.216.34', 443, tlsHello(1, 0x0303, { versions: [0x0a0a, 0x0304, 0x0303] })),
+  tcp(DEVICE, 50002, '203.0.113.9', 443, tlsHello(1, 0x0301, { serverName: 'legacy.bank.example' })),
+  tcp('203.0.113.9', 443, DEVICE, 50002, tlsHello(2, 0x0301)),
+  tcp(DEVICE, 50003, '198.51.100.7', 80, Buffer.from('GET /promo?id=7 HTTP/1.1\r\nHost: ads.tracker.example\r\n\r\n'))
+]);
+
+describe('Network Trace Tests', function() {
+  this.timeout(20000);
+
+  let outputDir;
+
+  beforeEach(async function() {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'network-trace-'));
+  });
+
+  afterEach(async function() {
+    await fs.remove(outputDir);
+  });
+
+  it('should decode TLS hellos, DNS and HTTP from a pcap', function() {
+    const observations = TrafficAnalyzer.fromPcap(TRACE);
+
+    expect(observations).to.deep.include({ type: 'dns', host: 'phishing-site.org', address: '8.8.8.8', port: 53 });
+    expect(observations).to.deep.include({
+      type: 'tls', host: 'api.bank.example', address: '93.184.216.34', port: 443,
+      version: 'TLSv1.3', offeredVersions: ['TLSv1.3', 'TLSv1.2'], negotiated: false
+    });
+    expect(observations).to.deep.include({
+      type: 'tls', host: 'legacy.bank.example', address: '203.0.113.9', port: 443,
+      version: 'TLSv1', offeredVersions: ['TLSv1'], negotiated: true
+    });
+    expect(observations).to.deep.include({
+      type: 'http', host: 'ads.tracker.example', address: '198.51.100.7', port: 80,
+      method: 'GET', url: 'http://ads.tracker.example/promo?id=7'
+    });
+  });
+
+  it('should pull and analyze a tcpdump capture', async function() {
+    const remotePath = '/data/local/tmp/network-trace.pcap';
+    const shell = args => `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+    const ok = (command, stdout = '') => ({ command, exitCode: 0, stdout, stderr: '' });
+    const transport = new ReplayTransport({
+      fixture: {
+        version: 2,
+        commands: [
+          ok(shell(['su', '0', 'sh', '-c', 'command -v tcpdump']), '/system/xbin/tcpdump\n'),
+          ok(shell(['su', '0', 'sh', '-c', NetworkCapture.TCPDUMP_SCRIPT, 'sh', 'any', remotePath]), '4242\n'),
+          ok(shell(['su', '0', 'kill', '-INT', '4242'])),
+          ok(shell(['su', '0', 'chmod', '644', remotePath])),
+          { ...ok(`pull ${remotePath}`), file: TRACE.toString('base64') },
+          ok(shell(['su', '0', 'rm', '-f', remotePath]))
+        ]
+      }
+    });
+    const capture = new NetworkCapture(new ADBHelper(null, { transport }), { outputDir, captureMode: 'auto', ...ANALYZER_OPTIONS });
+
+    expect((await capture.start('Login flow')).mode).to.equal('tcpdump');
+    const trace = await capture.stop({ analyze: true });
+    const checks = trace.analysis.findings.map(finding => `${finding.check}:${finding.host}`);
+
+    expect(transport.misses).to.be.empty;
+    expect(path.basename(trace.path)).to.match(/^login-flow-.*\.pcap$/);
+    expect(trace.analysis.passed).to.be.false;
+    expect(trace.analysis.risk).to.equal('critical');
+    expect(checks).to.have.members([
+      'malicious_domain:phishing-site.org',
+      'weak_tls:legacy.bank.example',
+      'cleartext_http:ads.tracker.example',
+      'unexpected_host:ads.tracker.example'
+    ]);
+  });
+
+  it('should record proxy traffic as HAR with the TLS handshakes', async function() {
+    const backendCa = new MitmProxy({ port: 0 });
+    const backend = https.createServer({ SNICallback: (servername, callback) => callback(null, backendCa.getSecureContext(servername)) },
+      (request, response) => response.end('ok'));
+    const cleartextBackend = http.createServer((request, response) => {
+      response.writeHead(302, { Location: '/landing' });
+      response.end();
+    });
+    await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+    await new Promise(resolve => cleartextBackend.listen(0, '127.0.0.1', resolve));
+
+    const proxy = new MitmProxy({
+      port: 0,
+      upstreams: {
+        'api.bank.example': `127.0.0.1:${backend.address().port}`,
+        'malicious-api.com': `127.0.0.1:${cleartextBackend.address().port}`
+      },
+      upstreamCa: backendCa.ca.certificatePem
+    });
+    await proxy.start();
+
+    try {
+      const capture = new NetworkCapture(null, { outputDir, captureMode: 'proxy', proxy, ...ANALYZER_OPTIONS });
+      await capture.start('Checkout');
+
+      await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: proxy.port, path: 'http://malicious-api.com/collect?device=1' }, (response) => {
+          response.resume();
+          response.on('end', resolve);
+        }).on('error', reject);
+      });
+      await new Promise((resolve, reject) => {
+        const request = http.request({ host: '127.0.0.1', port: proxy.port, method: 'CONNECT', path: 'api.bank.example:443' });
+        request.on('connect', (response, socket) => {
+          const secureSocket = tls.connect({ socket, servername: 'api.bank.example', ca: proxy.ca.certificatePem }, () => {
+            secureSocket.write('GET /v1/balance HTTP/1.1\r\nHost: api.bank.example\r\nConnection: close\r\n\r\n');
+          });
+          secureSocket.on('data', () => {});
+          secureSocket.on('end', resolve);
+          secureSocket.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end();
+      });
+
+      const trace = await capture.stop({ analyze: true });
+      const har = await fs.readJson(trace.path);
+      const byUrl = Object.fromEntries(har.log.entries.map(entry => [entry.request.url, entry]));
+
+      expect(har.log.version).to.equal('1.2');
+      expect(byUrl['http://malicious-api.com/collect?device=1'].response).to.include({ status: 302, redirectURL: '/landing' });
+      expect(byUrl['https://api.bank.example/v1/balance'].response.status).to.equal(200);
+      expect(har.log._connections[0]).to.include({ hostname: 'api.bank.example', sni: 'api.bank.example', intercepted: true });
+      expect(har.log._connections[0].offeredVersions).to.include('TLSv1.3');
+      expect(trace.analysis.findings.map(finding => finding.check)).to.have.members(['malicious_domain', 'cleartext_http']);
+    } finally {
+      await proxy.stop();
+      await new Promise(resolve => backend.close(resolve));
+      await new Promise(resolve => cleartextBackend.close(resolve));
+    }
+  });
+});
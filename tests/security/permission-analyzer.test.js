@@ -0,0 +1,109 @@
+/**
+ * Permission Analyzer Tests
+ * Protection levels, grant state, risky combinations and version diffs
+ */
+
+const { expect } = require('chai');
+const ADBHelper = require('../../src/utils/adb-helper');
+const PermissionAnalyzer = require('../../src/utils/permission-analyzer');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const PACKAGE = 'com.security.testapp';
+
+function dumpsys(versionName, requested, runtime) {
+  return [
+    'Service Resolver Table:',
+    '  Non-Data Actions:',
+    '      android.accessibilityservice.AccessibilityService:',
+    `        5e1d2c0 ${PACKAGE}/.ReaderService filter 3f0a1b2`,
+    '',
+    'Packages:',
+    `  Package [${PACKAGE}] (8a7f3c1):`,
+    '    userId=10234',
+    `    versionCode=${versionName === '2.0.0' ? 200 : 210} minSdk=24 targetSdk=34`,
+    `    versionName=${versionName}`,
+    '    declared permissions:',
+    `      ${PACKAGE}.permission.SYNC: prot=signature, INSTALLED`,
+    '    requested permissions:',
+    ...requested.map(name => `      ${name}`),
+    '    install permissions:',
+    '      android.permission.INTERNET: granted=true',
+    '      android.permission.SYSTEM_ALERT_WINDOW: granted=true',
+    `      ${PACKAGE}.permission.SYNC: granted=true`,
+    '    User 0: ceDataInode=4821 installed=true hidden=false suspended=false',
+    '      gids=[3003]',
+    '      runtime permissions:',
+    ...runtime.map(([name, granted]) => `        ${name}: granted=${granted}, flags=[ USER_SET|USER_SENSITIVE_WHEN_GRANTED ]`),
+    '',
+    'Queries:',
+    '  system apps queryable: false'
+  ].join('\n');
+}
+
+const V2_REQUESTED = ['android.permission.INTERNET', 'android.permission.CAMERA', `${PACKAGE}.permission.SYNC`];
+const V21_REQUESTED = [...V2_REQUESTED, 'android.permission.RECEIVE_SMS', 'android.permission.SYSTEM_ALERT_WINDOW'];
+
+function permissionAnalyzer(output, appOps = '') {
+  const commands = [
+    { command: `shell dumpsys package ${PACKAGE}`, exitCode: 0, stdout: output, stderr: '' },
+    { command: `shell appops get ${PACKAGE}`, exitCode: 0, stdout: appOps, stderr: '' },
+    { command: 'shell settings get secure enabled_accessibility_services', exitCode: 0, stdout: `${PACKAGE}/${PACKAGE}.ReaderService\n`, stderr: '' }
+  ];
+  const adb = new ADBHelper(null, { transport: new ReplayTransport({ fixture: { version: 2, commands } }) });
+  return new PermissionAnalyzer(adb);
+}
+
+describe('Permission Analyzer Tests', function() {
+  it('should classify permissions and read runtime and app-op grants', async function() {
+    const analyzer = permissionAnalyzer(
+      dumpsys('2.1.0', V21_REQUESTED, [['android.permission.CAMERA', false], ['android.permission.RECEIVE_SMS', true]]),
+      'SYSTEM_ALERT_WINDOW: allow; time=+2d1h ago\nRECEIVE_SMS: allow\n'
+    );
+
+    const result = await analyzer.analyze(PACKAGE);
+    const byName = Object.fromEntries(result.permissions.map(permission => [permission.name, permission]));
+
+    expect(byName['android.permission.CAMERA']).to.include({ protectionLevel: 'dangerous', granted: false, grantType: 'runtime' });
+    expect(byName['android.permission.RECEIVE_SMS'].flags).to.deep.equal(['USER_SET', 'USER_SENSITIVE_WHEN_GRANTED']);
+    expect(byName['android.permission.SYSTEM_ALERT_WINDOW']).to.include({ protectionLevel: 'appop', granted: true, appOpMode: 'allow' });
+    expect(byName[`${PACKAGE}.permission.SYNC`]).to.include({ protectionLevel: 'signature', grantType: 'install' });
+    expect(result.accessibilityService).to.deep.equal({ declared: true, enabled: true });
+    expect(result.summary).to.include({ requested: 5, dangerous: 2, dangerousGranted: 1 });
+  });
+
+  it('should flag risky combinations', async function() {
+    const analyzer = permissionAnalyzer(dumpsys('2.1.0', V21_REQUESTED, [['android.permission.RECEIVE_SMS', true]]), 'SYSTEM_ALERT_WINDOW: ignore\n');
+
+    const result = await analyzer.analyze(PACKAGE);
+    const combinations = Object.fromEntries(result.combinations.map(combination => [combination.id, combination]));
+
+    expect(result.risk).to.equal('critical');
+    expect(Object.keys(combinations)).to.have.members(['sms_accessibility', 'overlay_accessibility', 'overlay_internet']);
+    expect(combinations.sms_accessibility).to.include({ granted: true });
+    // The overlay app-op is denied even though the permission is requested
+    expect(combinations.overlay_internet).to.include({ granted: false });
+  });
+
+  it('should diff the permission set against the previous version', async function() {
+    const previous = await permissionAnalyzer(dumpsys('2.0.0', V2_REQUESTED, [['android.permission.CAMERA', false]])).analyze(PACKAGE);
+    const current = await permissionAnalyzer(dumpsys('2.1.0', V21_REQUESTED, [['android.permission.CAMERA', true]])).analyze(PACKAGE, { previous });
+
+    expect(current.diff).to.deep.equal({
+      fromVersion: '2.0.0',
+      toVersion: '2.1.0',
+      added: ['android.permission.RECEIVE_SMS', 'android.permission.SYSTEM_ALERT_WINDOW'],
+      removed: [],
+      newlyGranted: ['android.permission.CAMERA'],
+      addedDangerous: ['android.permission.RECEIVE_SMS', 'android.permission.SYSTEM_ALERT_WINDOW'],
+      newCombinations: ['sms_accessibility', 'overlay_accessibility', 'overlay_internet']
+    });
+  });
+
+  it('should lower the application security score by permission risk', function() {
+    const checker = new SecurityChecker(null, { adb: {} });
+
+    expect(checker.calculateAppSecurityScore({ permissionsAnalysis: { risk: 'low' } })).to.equal(100);
+    expect(checker.calculateAppSecurityScore({ permissionsAnalysis: { risk: 'critical' } })).to.equal(70);
+  });
+});
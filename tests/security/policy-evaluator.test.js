@@ -0,0 +1,123 @@
+/**
+ * Policy Evaluator Tests
+ * Validates allow/warn/block decisions against recorded device profiles
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const DeviceDetector = require('../../src/utils/device-detector');
+const PolicyEvaluator = require('../../src/utils/policy-evaluator');
+const { SecurityConfigManager } = require('../../src/config/security-config');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+function configWithPolicy(environment, category, policyName, overrides) {
+  const securityConfig = new SecurityConfigManager(environment);
+  const categoryPolicies = securityConfig.config.policies[category];
+
+  securityConfig.config.policies = {
+    ...securityConfig.config.policies,
+    [category]: {
+      ...categoryPolicies,
+      [policyName]: { ...categoryPolicies[policyName], ...overrides }
+    }
+  };
+
+  return securityConfig;
+}
+
+describe('Policy Evaluator Tests', function() {
+  const analyses = {};
+
+  before(async function() {
+    for (const profile of ['clean', 'emulator', 'rooted']) {
+      const detector = new DeviceDetector(null, { mode: 'replay', fixturePath: path.join(fixturesDir, `${profile}.json`) });
+      analyses[profile] = await detector.analyzeDevice();
+    }
+  });
+
+  describe('Device Policies', function() {
+    it('should allow a clean device', function() {
+      const result = new PolicyEvaluator(new SecurityConfigManager('production')).evaluate(analyses.clean);
+
+      expect(result.decision).to.equal('allow');
+      expect(result.allowed).to.be.true;
+      expect(result.reasons).to.be.empty;
+    });
+
+    it('should block emulators and rooted devices under the block action', function() {
+      const evaluator = new PolicyEvaluator(new SecurityConfigManager('staging'));
+
+      const emulator = evaluator.evaluate(analyses.emulator);
+      const rooted = evaluator.evaluate(analyses.rooted);
+
+      expect(emulator.decision).to.equal('block');
+      expect(emulator.reasons.map(reason => reason.policy)).to.include('emulatorPolicy');
+      expect(rooted.decision).to.equal('block');
+      expect(rooted.reasons.find(reason => reason.policy === 'rootPolicy').outcome).to.equal('block');
+    });
+
+    it('should honour the device-ID whitelist and blacklist', function() {
+      const whitelisted = new PolicyEvaluator(configWithPolicy('staging', 'deviceSecurity', 'emulatorPolicy', { whitelist: ['emulator-5554'] }));
+      const blacklisted = new PolicyEvaluator(configWithPolicy('staging', 'deviceSecurity', 'emulatorPolicy', { blacklist: ['0A041FDD4003SX'] }));
+
+      const allowed = whitelisted.evaluate(analyses.emulator, { deviceId: 'emulator-5554' });
+      const blocked = blacklisted.evaluate(analyses.clean);
+
+      expect(allowed.reasons.find(reason => reason.policy === 'emulatorPolicy').outcome).to.equal('allow');
+      expect(allowed.decision).to.not.equal('block');
+      expect(blocked.decision).to.equal('block');
+      expect(blocked.reasons[0].detail).to.equal('Device 0A041FDD4003SX is blacklisted');
+    });
+
+    it('should downgrade a block to a warning only when bypass is allowed', function() {
+      const bypassable = new PolicyEvaluator(configWithPolicy('staging', 'deviceSecurity', 'rootPolicy', { bypass_allowed: true }));
+      const strict = new PolicyEvaluator(new SecurityConfigManager('staging'));
+
+      const bypassed = bypassable.evaluate(analyses.rooted, { bypass: true });
+      const enforced = strict.evaluate(analyses.rooted, { bypass: true });
+
+      expect(bypassed.reasons.find(reason => reason.policy === 'rootPolicy').outcome).to.equal('warn');
+      expect(enforced.reasons.find(reason => reason.policy === 'rootPolicy').outcome).to.equal('block');
+    });
+
+    it('should apply per-environment debug allowances', function() {
+      const development = new PolicyEvaluator(new SecurityConfigManager('development')).evaluate(analyses.emulator);
+      const production = new PolicyEvaluator(new SecurityConfigManager('production')).evaluate(analyses.emulator);
+
+      expect(development.reasons.find(reason => reason.policy === 'debugPolicy').outcome).to.equal('allow');
+      expect(production.reasons.find(reason => reason.policy === 'debugPolicy').outcome).to.equal('block');
+    });
+  });
+
+  describe('Proxy Policy', function() {
+    it('should allow listed corporate proxies and block blacklisted hosts', function() {
+      const unlisted = new PolicyEvaluator(new SecurityConfigManager('staging')).evaluate(analyses.rooted);
+      const corporate = new PolicyEvaluator(configWithPolicy('staging', 'networkSecurity', 'proxyPolicy', {
+        corporate_proxies: ['192.168.1.50']
+      })).evaluate(analyses.rooted);
+      const blacklisted = new PolicyEvaluator(configWithPolicy('staging', 'networkSecurity', 'proxyPolicy', {
+        blacklist: ['192.168.1.50']
+      })).evaluate(analyses.rooted);
+
+      // A private-range proxy is not trusted just for being on the LAN
+      expect(unlisted.reasons.find(reason => reason.policy === 'proxyPolicy').outcome).to.equal('warn');
+      expect(corporate.reasons.find(reason => reason.policy === 'proxyPolicy').outcome).to.equal('allow');
+      expect(blacklisted.reasons.find(reason => reason.policy === 'proxyPolicy').outcome).to.equal('block');
+    });
+
+    it('should match a PAC file by the host that serves it', function() {
+      const evaluator = new PolicyEvaluator(new SecurityConfigManager('staging'));
+      const pac = pacUrl => evaluator.evaluateProxyPolicy({
+        networkAnalysis: { details: { proxySettings: { configured: true, host: null, port: null, pacUrl } } }
+      })[0];
+
+      expect(pac('http://mitm.attacker.net/proxy.pac')).to.include({
+        outcome: 'block',
+        detail: 'Proxy PAC http://mitm.attacker.net/proxy.pac is blacklisted'
+      });
+      expect(pac('https://corporate-proxy.internal:8443/wpad.dat').outcome).to.equal('allow');
+      expect(pac('http://wpad.example/proxy.pac').outcome).to.equal('warn');
+    });
+  });
+});
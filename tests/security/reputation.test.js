@@ -0,0 +1,201 @@
+/**
+ * Reputation Lookup Tests
+ * Token-bucket rate limiting, the generic HTTP provider against a local
+ * stand-in service, the on-disk cache and the cache-only offline fallback
+ */
+
+const { expect } = require('chai');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const RateLimiter = require('../../src/utils/rate-limiter');
+const ReputationService = require('../../src/utils/reputation-service');
+const SecurityChecker = require('../../src/utils/security-checker');
+const { HttpReputationProvider, ReputationProvider } = require('../../src/utils/reputation-providers');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const MALWARE_HASH = 'e'.repeat(64);
+const CLEAN_HASH = 'c'.repeat(64);
+
+// Stand-in for a VirusTotal-style API: engine counts per hash, 404 for unseen ones
+function standInService(options = {}) {
+  const requests = [];
+  let throttled = options.throttleFirst || 0;
+
+  const server = http.createServer((request, response) => {
+    requests.push({ url: request.url, apiKey: request.headers['x-apikey'] });
+    if (throttled > 0) {
+      throttled--;
+      response.writeHead(429, { 'Retry-After': '0' });
+      response.end();
+      return;
+    }
+
+    const hash = request.url.split('/').pop();
+    const stats = { [MALWARE_HASH]: { malicious: 41, suspicious: 2 }, [CLEAN_HASH]: { malicious: 0, suspicious: 0 } }[hash];
+    if (!stats) {
+      response.writeHead(404);
+      response.end('{"error":{"code":"NotFoundError"}}');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ data: { attributes: { last_analysis_stats: stats } } }));
+  });
+
+  return { server, requests };
+}
+
+function provider(port, options = {}) {
+  return new HttpReputationProvider({
+    name: 'StandIn',
+    endpoints: { file_hash: `http://127.0.0.1:${port}/api/v3/files/{value}` },
+    headers: { 'x-apikey': 'test-key' },
+    maliciousCountPath: 'data.attributes.last_analysis_stats.malicious',
+    suspiciousCountPath: 'data.attributes.last_analysis_stats.suspicious',
+    timeoutMs: 2000,
+    ...options
+  });
+}
+
+describe('Reputation Lookup Tests', function() {
+  this.timeout(20000);
+
+  let workDir;
+  let cachePath;
+  let service;
+
+  beforeEach(async function() {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reputation-'));
+    cachePath = path.join(workDir, 'cache.json');
+    service = standInService({ throttleFirst: 1 });
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async function() {
+    await new Promise(resolve => service.server.close(resolve));
+    await fs.remove(workDir);
+  });
+
+  it('should spend tokens up to the burst and then refill at the configured rate', async function() {
+    // 1200 per minute: one token every 50ms
+    const limiter = new RateLimiter({ ratePerMinute: 1200, burst: 2 });
+    const started = Date.now();
+
+    expect(limiter.tryAcquire()).to.be.true;
+    expect(limiter.tryAcquire()).to.be.true;
+    expect(limiter.tryAcquire()).to.be.false;
+    await Promise.all([limiter.acquire(), limiter.acquire()]);
+    expect(Date.now() - started).to.be.within(90, 1000);
+
+    limiter.pause(200);
+    expect(limiter.waitTime()).to.be.above(100);
+  });
+
+  it('should look up hashes over HTTP once and serve repeats from the on-disk cache', async function() {
+    const { port } = service.server.address();
+    const first = new ReputationService({ providers: [provider(port, { rateLimit: 600 })], cachePath, cacheDuration: 3600, offline: false });
+
+    const batch = await first.lookupMany([
+      { type: 'file_hash', value: MALWARE_HASH, packageName: 'com.fake.wallet' },
+      { type: 'file_hash', value: CLEAN_HASH },
+      { type: 'file_hash', value: 'f'.repeat(64) },
+      { type: 'domain', value: 'bank.example' }
+    ]);
+    const [malware, clean, unseen, unsupported] = batch.results;
+
+    expect(malware).to.include({ verdict: 'malicious', packageName: 'com.fake.wallet' });
+    expect(malware.providers[0]).to.include({ provider: 'StandIn', score: 41, fetched: true });
+    expect(clean.verdict).to.equal('clean');
+    expect(unseen.providers[0]).to.include({ verdict: 'unknown', detail: 'Not found' });
+    expect(unsupported.providers).to.be.empty;
+    // The first request was throttled with Retry-After and retried
+    expect(service.requests).to.have.lengthOf(4);
+    expect(service.requests.every(request => request.apiKey === 'test-key')).to.be.true;
+
+    const second = new ReputationService({ providers: [provider(port)], cachePath, cacheDuration: 3600, offline: false });
+    const repeat = await second.lookup('file_hash', MALWARE_HASH.toUpperCase());
+    expect(repeat).to.include({ verdict: 'malicious' });
+    expect(repeat.providers[0]).to.include({ cached: true, stale: false });
+    expect(service.requests).to.have.lengthOf(4);
+  });
+
+  it('should fall back to stale cache entries when the service is unreachable', async function() {
+    const { port } = service.server.address();
+    await fs.outputJson(cachePath, {
+      version: 1,
+      entries: {
+        [`StandIn|file_hash|${MALWARE_HASH}`]: { verdict: 'malicious', score: 41, detail: null, fetchedAt: '2020-01-01T00:00:00.000Z' }
+      }
+    });
+    await new Promise(resolve => service.server.close(resolve));
+
+    const offline = new ReputationService({ providers: [provider(port)], cachePath, cacheDuration: 3600, offline: false });
+    const result = await offline.lookupMany([{ type: 'file_hash', value: MALWARE_HASH }, { type: 'file_hash', value: CLEAN_HASH }]);
+
+    expect(result.results[0].providers[0]).to.include({ verdict: 'malicious', cached: true, stale: true });
+    expect(result.results[0].providers[0].reason).to.include('unreachable');
+    expect(result.results[1].providers[0]).to.include({ verdict: 'unknown', cached: false, reason: 'Offline: answered from cache only' });
+    expect(result.summary).to.include({ malicious: 1, unknown: 1, fetched: 0, cacheOnly: true });
+  });
+
+  it('should answer the rest of a batch from the cache once the batch budget is spent', async function() {
+    // A slow service: each lookup takes 100ms against a 150ms budget
+    class SlowProvider extends ReputationProvider {
+      async lookup(type, value) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return { verdict: 'clean', score: 0, detail: null };
+      }
+    }
+    await fs.outputJson(cachePath, {
+      version: 1,
+      entries: { [`Slow|file_hash|${MALWARE_HASH}`]: { verdict: 'malicious', score: 41, detail: null, fetchedAt: '2020-01-01T00:00:00.000Z' } }
+    });
+
+    const budgeted = new ReputationService({
+      providers: [new SlowProvider({ name: 'Slow', types: ['file_hash'] })],
+      cachePath,
+      cacheDuration: 3600,
+      offline: false,
+      batchBudgetMs: 150
+    });
+    const result = await budgeted.lookupMany([CLEAN_HASH, 'f'.repeat(64), 'd'.repeat(64), MALWARE_HASH].map(value => ({ type: 'file_hash', value })));
+    const [first, , unfetched, cachedMalware] = result.results.map(entry => entry.providers[0]);
+
+    expect(first).to.include({ verdict: 'clean', fetched: true });
+    expect(unfetched).to.include({ verdict: 'unknown', fetched: false, deferred: true });
+    expect(unfetched.reason).to.include('batch budget');
+    expect(cachedMalware).to.include({ verdict: 'malicious', stale: true, deferred: true });
+    expect(result.summary.cacheOnly).to.be.true;
+    expect(result.summary.deferred).to.be.at.least(2);
+  });
+
+  it('should hash every installed APK on the device and report malicious ones', async function() {
+    const shellKey = args => `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+    const apks = {
+      'com.fake.wallet': '/data/app/~~a1==/com.fake.wallet-b2==/base.apk',
+      'com.android.settings': '/system/priv-app/Settings/Settings.apk'
+    };
+    const paths = Object.values(apks);
+    const transport = new ReplayTransport({
+      fixture: {
+        version: 2,
+        commands: [
+          { command: shellKey(['pm', 'list', 'packages', '-f']), exitCode: 0, stdout: Object.entries(apks).map(([name, apkPath]) => `package:${apkPath}=${name}\n`).join(''), stderr: '' },
+          { command: shellKey(['stat', '-c', '%s %a %U %G %C %n', ...paths]), exitCode: 0, stdout: paths.map(apkPath => `1024 644 system system u:object_r:apk_data_file:s0 ${apkPath}\n`).join(''), stderr: '' },
+          { command: shellKey(['sha256sum', ...paths]), exitCode: 0, stdout: `${MALWARE_HASH}  ${paths[0]}\n${CLEAN_HASH}  ${paths[1]}\n`, stderr: '' }
+        ]
+      }
+    });
+
+    const checker = new SecurityChecker(null, { adb: new ADBHelper(null, { transport }) });
+    const reputationService = new ReputationService({ providers: [provider(service.server.address().port)], cachePath, cacheDuration: 3600, offline: false });
+    const result = await checker.checkApkReputation({ reputationService, includeSystemApks: true });
+
+    expect(transport.misses).to.be.empty;
+    expect(result).to.include({ passed: false, risk: 'critical' });
+    expect(result.apks.map(apk => `${apk.packageName}:${apk.verdict}`)).to.deep.equal(['com.fake.wallet:malicious', 'com.android.settings:clean']);
+    expect(result.summary).to.include({ total: 2, malicious: 1, clean: 1, fetched: 2 });
+  });
+});
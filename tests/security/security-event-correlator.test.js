@@ -0,0 +1,164 @@
+/**
+ * Security Event Correlator Tests
+ * Aligns tamper actions, logcat entries and UI warnings on one timeline
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const SecurityEventCorrelator = require('../../src/utils/security-event-correlator');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'devices');
+
+// An open logcat stream that only carries the lines a test feeds it
+function quietAdb() {
+  const transport = new ReplayTransport({
+    fixture: { version: 2, commands: [], streams: [{ args: 'logcat -v threadtime -v year -v UTC -v uid', chunks: [] }] }
+  });
+  return new ADBHelper(null, { transport });
+}
+
+function logLine(tag, message, time = Date.now()) {
+  const iso = new Date(time).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 23)} 10120  4321  4350 W ${tag}: ${message}`;
+}
+
+// SecurityPage stand-in whose warnings appear once show() is called
+function fakeSecurityPage() {
+  const page = { warnings: [] };
+  page.show = (type, message) => page.warnings.push({ type, message });
+  page.getActiveWarnings = async () => [...page.warnings];
+  return page;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Security Event Correlator Tests', function() {
+  let correlator;
+
+  afterEach(function() {
+    if (correlator) correlator.stop();
+    correlator = null;
+  });
+
+  it('should measure tamper to log to UI latency for a detected scenario', async function() {
+    const page = fakeSecurityPage();
+    correlator = new SecurityEventCorrelator({ adb: quietAdb(), securityPage: page, clockOffsetMs: 0, pollInterval: 5 });
+    await correlator.start();
+
+    const result = await correlator.runScenario({
+      name: 'su binary planted',
+      log: { tag: 'RootDetection' },
+      warning: 'root',
+      timeout: 1000,
+      trigger: async (c) => {
+        c.recordEvent('tamper', 'plant_su');
+        setTimeout(() => c.logcatMonitor.handleLine(logLine('RootDetection', 'Root detected: su binary')), 20);
+        setTimeout(() => page.show('root', 'Root detected'), 50);
+      }
+    });
+
+    expect(result.verdict).to.equal('correlated');
+    expect(result.logEntry.message).to.equal('Root detected: su binary');
+    expect(result.latency.tamperToLog).to.be.at.least(10);
+    expect(result.latency.logToUi).to.be.at.least(10);
+    expect(result.latency.tamperToUi).to.equal(result.latency.tamperToLog + result.latency.logToUi);
+  });
+
+  it('should flag a warning that no detection log explains', async function() {
+    const page = fakeSecurityPage();
+    correlator = new SecurityEventCorrelator({ adb: quietAdb(), securityPage: page, clockOffsetMs: 0, pollInterval: 5 });
+    await correlator.start();
+
+    const result = await correlator.runScenario({
+      name: 'hard-coded warning',
+      log: { tag: 'RootDetection' },
+      warning: 'root',
+      timeout: 50,
+      trigger: async (c) => {
+        c.recordEvent('tamper', 'noop');
+        page.show('root', 'Root detected');
+      }
+    });
+
+    expect(result.verdict).to.equal('ui_without_log');
+    expect(result.logAt).to.be.null;
+  });
+
+  it('should not attribute a warning already on screen to the next scenario', async function() {
+    const page = fakeSecurityPage();
+    correlator = new SecurityEventCorrelator({ adb: quietAdb(), securityPage: page, clockOffsetMs: 0, pollInterval: 5 });
+    await correlator.start();
+
+    // Left over from an earlier scenario; the app ignores this tamper
+    page.show('root', 'Root detected');
+    const ignored = await correlator.runScenario({
+      name: 'ignored tamper',
+      warning: 'root',
+      timeout: 50,
+      trigger: async (c) => c.recordEvent('tamper', 'plant_su')
+    });
+
+    // The warning is dismissed and shown again in reaction to this tamper
+    const redisplayed = await correlator.runScenario({
+      name: 'redisplayed warning',
+      warning: 'root',
+      timeout: 200,
+      trigger: async (c) => {
+        c.recordEvent('tamper', 'plant_su');
+        page.warnings = [];
+        setTimeout(() => page.show('root', 'Root detected'), 30);
+      }
+    });
+
+    expect(ignored).to.include({ verdict: 'undetected', uiAt: null });
+    expect(redisplayed.uiAt).to.not.be.null;
+    expect(redisplayed.latency.tamperToUi).to.be.at.least(10);
+  });
+
+  it('should timestamp warnings when the UI poll starts, not when slow selector checks return', async function() {
+    const page = fakeSecurityPage();
+    // Like SecurityPage waiting out its absent-selector timeouts
+    page.getActiveWarnings = async () => {
+      const warnings = [...page.warnings];
+      await delay(200);
+      return warnings;
+    };
+    correlator = new SecurityEventCorrelator({ adb: quietAdb(), securityPage: page, clockOffsetMs: 0, pollInterval: 5 });
+    await correlator.start();
+
+    const result = await correlator.runScenario({
+      name: 'warning shown at once',
+      warning: 'root',
+      timeout: 400,
+      trigger: async (c) => {
+        c.recordEvent('tamper', 'plant_su');
+        page.show('root', 'Root detected');
+      }
+    });
+
+    expect(result.uiAt).to.not.be.null;
+    expect(result.latency.tamperToUi).to.be.below(100);
+  });
+
+  it('should place log entries on the host timeline using the device clock offset', async function() {
+    const adb = new ADBHelper(null, { mode: 'replay', fixturePath: path.join(fixturesDir, 'rooted.json') });
+    correlator = new SecurityEventCorrelator({ adb });
+
+    const before = Date.now();
+    const offset = await correlator.measureClockOffset();
+    const after = Date.now();
+    correlator.clockOffsetMs = offset;
+
+    expect(offset).to.be.within(1792324800100 - after, 1792324800100 - before);
+
+    await correlator.start();
+    await delay(10);
+
+    const timeline = correlator.getTimeline();
+    const rootLog = timeline.find(event => event.type === 'RootDetection');
+    expect(rootLog.time).to.equal(Date.parse('2026-10-18T12:00:01.250Z') - offset);
+    expect(timeline.map(event => event.type)).to.deep.equal(['ActivityManager', 'SecurityModule', 'RootDetection', 'SecurityModule']);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tamper Session Tests
+ * Journals device file mutations and rolls them back on exit or after a crash
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ADBHelper = require('../../src/utils/adb-helper');
+const FileManipulator = require('../../src/utils/file-manipulator');
+const TamperSession = require('../../src/utils/tamper-session');
+const { ReplayTransport } = require('../../src/utils/adb-transport');
+
+const CONFIG = '/data/local/tmp/test_config.properties';
+const PAYLOAD = '/data/local/tmp/tamper_payload.sh';
+const CONTENT = 'debug.enabled=false\nsecurity.level=high\n';
+const CONTEXT = 'u:object_r:shell_data_file:s0';
+
+function shellKey(args) {
+  return `shell ${args.map(ADBHelper.quoteShellArg).join(' ')}`;
+}
+
+function sh(args, stdout = '', exitCode = 0) {
+  return { command: shellKey(args), exitCode, stdout, stderr: '' };
+}
+
+const statOf = filePath => ['stat', '-c', '%a %u %g %Y %C', filePath];
+
+// Config file chmod'ed to 777 and a payload file planted, then both undone
+function deviceManipulator(journalDir) {
+  const commands = [
+    sh(statOf(CONFIG), `644 2000 2000 1792324800 ${CONTEXT}\n`),
+    sh(statOf(CONFIG), `777 2000 2000 1792324900 ${CONTEXT}\n`),
+    { command: `pull ${CONFIG}`, exitCode: 0, stdout: '', stderr: '', file: Buffer.from(CONTENT).toString('base64') },
+    sh(['chmod', '777', CONFIG]),
+    sh(statOf(PAYLOAD), '', 1),
+    sh(['sh', '-c', 'printf \'%s\\n\' "$1" > "$2"', 'sh', 'echo pwned', PAYLOAD]),
+    sh(['rm', '-f', PAYLOAD]),
+    { command: `push ${CONFIG}`, exitCode: 0, stdout: '', stderr: '' },
+    sh(['chmod', '644', CONFIG]),
+    sh(['touch', '-d', '@1792324800', CONFIG]),
+    sh(['sha256sum', CONFIG], `${crypto.createHash('sha256').update(CONTENT).digest('hex')}  ${CONFIG}\n`)
+  ];
+
+  const adb = new ADBHelper(null, { transport: new ReplayTransport({ fixture: { version: 2, commands } }) });
+  return new FileManipulator(null, { adb, journalDir });
+}
+
+describe('Tamper Session Tests', function() {
+  let journalDir;
+
+  beforeEach(async function() {
+    journalDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tamper-journals-'));
+  });
+
+  afterEach(async function() {
+    await fs.remove(journalDir);
+  });
+
+  it('should restore every touched file in reverse order on exit', async function() {
+    const manipulator = deviceManipulator(journalDir);
+    const calls = manipulator.adb.transport.calls;
+
+    await manipulator.withTamperSession(async (session) => {
+      await session.tamper(CONFIG, 'modify_permissions');
+      await session.writeFile(PAYLOAD, 'echo pwned');
+    });
+
+    const tail = calls.slice(calls.indexOf(shellKey(['rm', '-f', PAYLOAD])));
+    expect(tail).to.deep.equal([
+      shellKey(['rm', '-f', PAYLOAD]),
+      `push ${CONFIG}`,
+      shellKey(statOf(CONFIG)),
+      shellKey(['chmod', '644', CONFIG]),
+      shellKey(['touch', '-d', '@1792324800', CONFIG]),
+      shellKey(['sha256sum', CONFIG])
+    ]);
+    expect(await fs.readdir(journalDir)).to.be.empty;
+  });
+
+  it('should journal the original state before applying a mutation', async function() {
+    const manipulator = deviceManipulator(journalDir);
+    const session = await manipulator.startTamperSession();
+
+    await session.tamper(CONFIG, 'modify_permissions');
+
+    const journal = await fs.readJson(path.join(session.sessionDir, 'journal.json'));
+    expect(journal.snapshots[0]).to.include({
+      filePath: CONFIG, existed: true, mode: '644', uid: '2000', gid: '2000', mtime: 1792324800, context: CONTEXT
+    });
+    expect(journal.mutations.map(mutation => mutation.action)).to.deep.equal(['modify_permissions']);
+    expect(await fs.readFile(path.join(session.sessionDir, journal.snapshots[0].backup), 'utf8')).to.equal(CONTENT);
+
+    await session.rollback();
+  });
+
+  it('should replay an abandoned journal on recovery', async function() {
+    const crashed = deviceManipulator(journalDir);
+    const session = await crashed.startTamperSession();
+    await session.tamper(CONFIG, 'modify_permissions');
+    await session.writeFile(PAYLOAD, 'echo pwned');
+
+    // The run "crashes": its journal now belongs to a process that is gone
+    const journalPath = path.join(session.sessionDir, 'journal.json');
+    await fs.writeJson(journalPath, { ...await fs.readJson(journalPath), hostname: 'crashed-runner' });
+
+    const next = new FileManipulator(null, { adb: crashed.adb, journalDir });
+    const [result] = await TamperSession.recover(next);
+
+    expect(result).to.include({ id: session.journal.id, success: true });
+    expect(result.restored).to.deep.equal([PAYLOAD, CONFIG]);
+    expect(await fs.readdir(journalDir)).to.be.empty;
+  });
+
+  it('should not recover sessions that are still in progress', async function() {
+    const manipulator = deviceManipulator(journalDir);
+    const session = await manipulator.startTamperSession();
+
+    expect(await TamperSession.recover(manipulator)).to.be.empty;
+
+    await session.rollback();
+  });
+});
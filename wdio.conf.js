@@ -12,6 +12,8 @@ const TEST_ENV = process.env.TEST_ENV || 'development';
 const DEVICE_TYPE = process.env.DEVICE_TYPE || 'emulator';
 const PARALLEL = process.env.PARALLEL ? parseInt(process.env.PARALLEL) : 1;
 const DEBUG = process.env.DEBUG === 'true';
+// Per-test network traces reroute the device's traffic, so they are opt-in
+const CAPTURE_NETWORK = process.env.CAPTURE_NETWORK === 'true';
 
 // Initialize security configuration
 const securityConfig = new SecurityConfigManager(TEST_ENV);
@@ -55,7 +57,8 @@ exports.config = {
       './tests/security/file-tampering.test.js'
     ],
     network: [
-      './tests/security/network-security.test.js'
+      './tests/security/network-security.test.js',
+      './tests/security/network-trace.test.js'
     ]
   },
   
@@ -196,11 +199,16 @@ exports.config = {
     const DeviceDetector = require('./src/utils/device-detector');
     const SecurityChecker = require('./src/utils/security-checker');
     const FileManipulator = require('./src/utils/file-manipulator');
+    const DevicePool = require('./src/utils/device-pool');
     
-    global.adbHelper = new ADBHelper();
-    global.deviceDetector = new DeviceDetector();
-    global.securityChecker = new SecurityChecker();
-    global.fileManipulator = new FileManipulator();
+    // Target the capability's device rather than whatever adb picks by default
+    const deviceId = process.env.DEVICE_UDID || null;
+    
+    global.adbHelper = new ADBHelper(deviceId);
+    global.deviceDetector = new DeviceDetector(deviceId, { securityConfig });
+    global.securityChecker = new SecurityChecker(deviceId, { securityConfig });
+    global.fileManipulator = new FileManipulator(deviceId);
+    global.devicePool = new DevicePool({ securityConfig, concurrency: PARALLEL });
     
     // Initialize file manipulator
     await global.fileManipulator.initialize();
@@ -225,11 +233,23 @@ exports.config = {
       args: ['-p', testDir]
     }).catch(() => {}); // Ignore errors
     
+    // Capture the test's traffic as evidence
+    if (CAPTURE_NETWORK && securityConfig.config.testConfig.evidence.network_traces.enabled) {
+      await global.securityChecker.startNetworkCapture(`${test.parent} ${test.title}`);
+    }
+    
     // Log test start for security audit
     global.SecurityTestUtils?.logSecurityStep('test_start', test.title);
   },
   
   afterTest: async function (test, context, { error, result, duration, passed, retries }) {
+    if (CAPTURE_NETWORK && securityConfig.config.testConfig.evidence.network_traces.enabled) {
+      const trace = await global.securityChecker.stopNetworkCapture({ analyze: true });
+      if (trace.analysis && !trace.analysis.passed) {
+        global.SecurityTestUtils?.logSecurityFailed(`${test.title} (network trace)`, trace.analysis.findings.map(finding => finding.message).join('; '));
+      }
+    }
+    
     if (error) {
       console.log(`❌ Test failed: ${test.title}`);
       console.log(`   Error: ${error.message}`);